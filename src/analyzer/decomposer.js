@@ -0,0 +1,160 @@
+/**
+ * Splits compound requests into ordered sub-tasks, each with its own intents and entities,
+ * e.g. "load sales.csv and q1.csv, merge them, then plot a bar chart and a line chart"
+ * becomes "load sales.csv and q1.csv", "merge them" and "plot a bar chart and a line chart".
+ */
+import {
+  INTENT_TYPES,
+  detectIntents,
+  extractFileReferences,
+  extractDataTypes,
+  extractCodeLanguages,
+  extractVisualizationTypes
+} from './rules.js';
+
+// Words that say one part of the request comes after another
+const SEQUENCE_PATTERN = /(?:\s*[,;]\s*|\s+)(?:and\s+)?(?:then|after that|afterwards|next|finally)\b[,\s]*|[;.](?:\s+|$)/gi;
+
+// Verbs that start a new sub-task when they follow "and" or a comma, with the intent they imply
+// when the clause has no other intent keywords (e.g. "merge them")
+const ACTION_VERBS = {
+  load: INTENT_TYPES.FILE_OPERATION,
+  read: INTENT_TYPES.FILE_OPERATION,
+  open: INTENT_TYPES.FILE_OPERATION,
+  import: INTENT_TYPES.FILE_OPERATION,
+  save: INTENT_TYPES.FILE_OPERATION,
+  write: INTENT_TYPES.FILE_OPERATION,
+  export: INTENT_TYPES.FILE_OPERATION,
+  merge: INTENT_TYPES.DATA_PROCESSING,
+  join: INTENT_TYPES.DATA_PROCESSING,
+  combine: INTENT_TYPES.DATA_PROCESSING,
+  process: INTENT_TYPES.DATA_PROCESSING,
+  transform: INTENT_TYPES.DATA_PROCESSING,
+  extract: INTENT_TYPES.DATA_PROCESSING,
+  convert: INTENT_TYPES.DATA_PROCESSING,
+  analyze: INTENT_TYPES.DATA_PROCESSING,
+  analyse: INTENT_TYPES.DATA_PROCESSING,
+  calculate: INTENT_TYPES.DATA_PROCESSING,
+  compute: INTENT_TYPES.DATA_PROCESSING,
+  filter: INTENT_TYPES.DATA_PROCESSING,
+  aggregate: INTENT_TYPES.DATA_PROCESSING,
+  summarize: INTENT_TYPES.DATA_PROCESSING,
+  summarise: INTENT_TYPES.DATA_PROCESSING,
+  sort: INTENT_TYPES.DATA_PROCESSING,
+  clean: INTENT_TYPES.DATA_PROCESSING,
+  group: INTENT_TYPES.DATA_PROCESSING,
+  plot: INTENT_TYPES.VISUALIZATION,
+  chart: INTENT_TYPES.VISUALIZATION,
+  graph: INTENT_TYPES.VISUALIZATION,
+  visualize: INTENT_TYPES.VISUALIZATION,
+  visualise: INTENT_TYPES.VISUALIZATION,
+  draw: INTENT_TYPES.VISUALIZATION,
+  render: INTENT_TYPES.VISUALIZATION,
+  display: INTENT_TYPES.VISUALIZATION,
+  show: INTENT_TYPES.VISUALIZATION,
+  search: INTENT_TYPES.KNOWLEDGE_RETRIEVAL,
+  find: INTENT_TYPES.KNOWLEDGE_RETRIEVAL,
+  lookup: INTENT_TYPES.KNOWLEDGE_RETRIEVAL,
+  retrieve: INTENT_TYPES.KNOWLEDGE_RETRIEVAL,
+  run: INTENT_TYPES.TERMINAL_EXECUTION,
+  execute: INTENT_TYPES.TERMINAL_EXECUTION,
+  // Verbs that need the rest of the clause to say what they do
+  create: null,
+  make: null,
+  build: null,
+  generate: null,
+  get: null,
+  fetch: null,
+  download: null
+};
+
+// Sequence words left at the start of a sentence, e.g. "Then plot it"
+const LEADING_SEQUENCE_PATTERN = /^\s*(?:and\s+)?(?:then|after that|afterwards|next|finally)\b[,\s]*/i;
+
+// "and" or a comma followed by one of the verbs above
+const CONJUNCTION_PATTERN = new RegExp(`(?:\\s*,\\s*(?:and\\s+)?|\\s+and\\s+)(?=(?:${Object.keys(ACTION_VERBS).join('|')})\\b)`, 'gi');
+
+/**
+ * Splits a request into sub-tasks in the order the user gave them
+ *
+ * @param {string} query The user's request
+ * @returns {Array<{ text: string, intents: string[], entities: Object, sequential: boolean }>}
+ *   The sub-tasks; `sequential` is set when the user said the sub-task comes after the previous
+ *   one ("then", "after that", a comma or a new sentence) rather than joining them with "and"
+ */
+export function decomposeQuery(query) {
+  const subTasks = [];
+
+  // Context such as the data type applies to every sub-task that doesn't say otherwise
+  const context = {
+    dataTypes: extractDataTypes(query),
+    codeLanguages: extractCodeLanguages(query)
+  };
+
+  // Parts separated by sequence words or sentence ends come one after the other;
+  // within a part, "and" or a comma before a verb starts another sub-task
+  splitOnPattern(query, SEQUENCE_PATTERN).forEach((part, partIndex) => {
+    splitOnPattern(part, CONJUNCTION_PATTERN, true).forEach(({ text, separator }, clauseIndex) => {
+      const subTask = analyzeClause(text, context);
+
+      if (subTask.intents.length === 0) return;
+
+      subTask.sequential = subTasks.length > 0 && (clauseIndex === 0 ? partIndex > 0 : separator.includes(','));
+      subTasks.push(subTask);
+    });
+  });
+
+  return subTasks;
+}
+
+/**
+ * Detects the intents and entities of one clause
+ */
+function analyzeClause(clause, context) {
+  const text = clause.replace(LEADING_SEQUENCE_PATTERN, '');
+  const detected = detectIntents(text);
+
+  // The verb is usually the first word, perhaps after "please" or "first"
+  const verb = text.trim().toLowerCase().split(/\s+/).slice(0, 3).find(word => Object.hasOwn(ACTION_VERBS, word));
+
+  if (detected.length === 0 && verb && ACTION_VERBS[verb]) {
+    detected.push(ACTION_VERBS[verb]);
+  }
+
+  const dataTypes = extractDataTypes(text);
+  const codeLanguages = extractCodeLanguages(text);
+
+  return {
+    text: text.trim(),
+    // Report intents in canonical order, like the analyzers do
+    intents: Object.values(INTENT_TYPES).filter(intent => detected.includes(intent)),
+    entities: {
+      files: extractFileReferences(text),
+      dataTypes: dataTypes.length > 0 ? dataTypes : context.dataTypes,
+      codeLanguages: codeLanguages.length > 0 ? codeLanguages : context.codeLanguages,
+      visualizationTypes: extractVisualizationTypes(text)
+    }
+  };
+}
+
+/**
+ * Splits text at every match of a global pattern, dropping empty parts.
+ * With `withSeparators`, returns { text, separator } pairs where separator is the text before each part.
+ */
+function splitOnPattern(text, pattern, withSeparators = false) {
+  const parts = [];
+  let lastIndex = 0;
+  let separator = '';
+
+  for (const match of text.matchAll(pattern)) {
+    parts.push({ text: text.slice(lastIndex, match.index), separator });
+    separator = match[0];
+    lastIndex = match.index + match[0].length;
+  }
+
+  parts.push({ text: text.slice(lastIndex), separator });
+
+  const nonEmpty = parts.filter(part => part.text.trim().length > 0);
+
+  return withSeparators ? nonEmpty : nonEmpty.map(part => part.text);
+}
\ No newline at end of file
@@ -0,0 +1,220 @@
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_BACKEND = process.env.EMBEDDING_BACKEND || 'tfidf';
+
+// Words that carry no meaning for matching requests to tools
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'me', 'my', 'of', 'on', 'or', 'please', 'so', 'that', 'the', 'then', 'this', 'to', 'tool',
+  'using', 'various', 'with', 'i', 'can', 'you', 'some', 'all'
+]);
+
+/**
+ * Splits text into normalized terms
+ */
+export function tokenize(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+    .map(stem);
+}
+
+// Very light stemming so "charts"/"chart" and "files"/"file" meet
+function stem(term) {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * A deterministic, offline embedding backend using TF-IDF weighted sparse vectors.
+ */
+export class TfidfBackend {
+  constructor() {
+    this.idf = new Map();
+    this.vectors = [];
+  }
+
+  async index(documents) {
+    const termSets = documents.map(document => new Set(tokenize(document)));
+    const documentFrequency = new Map();
+
+    for (const terms of termSets) {
+      for (const term of terms) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    this.idf = new Map();
+    for (const [term, frequency] of documentFrequency) {
+      this.idf.set(term, Math.log((documents.length + 1) / (frequency + 1)) + 1);
+    }
+
+    this.vectors = documents.map(document => this.vectorize(document));
+  }
+
+  async query(text) {
+    const queryVector = this.vectorize(text);
+    return this.vectors.map(vector => sparseCosine(queryVector, vector));
+  }
+
+  vectorize(text) {
+    const counts = new Map();
+
+    for (const term of tokenize(text)) {
+      // Terms that appear in no tool can't help the ranking
+      if (!this.idf.has(term)) continue;
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    const vector = new Map();
+    for (const [term, count] of counts) {
+      vector.set(term, (1 + Math.log(count)) * this.idf.get(term));
+    }
+
+    return vector;
+  }
+}
+
+/**
+ * An embedding backend using OpenAI embeddings through LangChain.
+ */
+export class OpenAiBackend {
+  constructor() {
+    this.embeddings = null;
+    this.vectors = [];
+  }
+
+  async getEmbeddings() {
+    if (!this.embeddings) {
+      let OpenAIEmbeddings;
+
+      try {
+        ({ OpenAIEmbeddings } = await import('@langchain/openai'));
+      } catch (error) {
+        throw new Error('The openai embedding backend requires the optional @langchain/openai package');
+      }
+
+      this.embeddings = new OpenAIEmbeddings({ modelName: process.env.EMBEDDING_MODEL || 'text-embedding-3-small' });
+    }
+
+    return this.embeddings;
+  }
+
+  async index(documents) {
+    const embeddings = await this.getEmbeddings();
+    this.vectors = documents.length > 0 ? await embeddings.embedDocuments(documents) : [];
+  }
+
+  async query(text) {
+    const embeddings = await this.getEmbeddings();
+    const queryVector = await embeddings.embedQuery(text);
+    return this.vectors.map(vector => denseCosine(queryVector, vector));
+  }
+}
+
+function sparseCosine(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let dot = 0;
+  for (const [term, weight] of a) {
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+
+  return dot / (norm(a.values()) * norm(b.values()));
+}
+
+function denseCosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+function norm(values) {
+  let sum = 0;
+  for (const value of values) {
+    sum += value * value;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Builds the text that represents a tool in the index
+ */
+export function describeTool(tool) {
+  const capabilities = tool.capabilities || {};
+  const inputs = tool.inputSchema && tool.inputSchema.properties ? Object.keys(tool.inputSchema.properties) : [];
+
+  return [
+    tool.name,
+    tool.id,
+    tool.description,
+    ...(capabilities.intents || []),
+    ...(capabilities.fileTypes || []),
+    ...(capabilities.dataTypes || []),
+    ...(capabilities.languages || []),
+    ...(capabilities.visualizationTypes || []),
+    ...inputs
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/[_.-]+/g, ' ');
+}
+
+/**
+ * An embedding index over the registry's tools, rebuilt whenever the set of tools changes.
+ */
+export class ToolIndex {
+  constructor(backendName = DEFAULT_BACKEND) {
+    this.backendName = backendName;
+    this.backend = createBackend(backendName);
+    this.signature = null;
+    this.toolIds = [];
+  }
+
+  async ensureIndexed(tools) {
+    const documents = tools.map(describeTool);
+    const signature = JSON.stringify(tools.map((tool, i) => [tool.id, tool.version, documents[i]]));
+
+    if (signature === this.signature) return;
+
+    await this.backend.index(documents);
+    this.toolIds = tools.map(tool => tool.id);
+    this.signature = signature;
+
+    logger.debug(`Rebuilt ${this.backendName} tool index with ${tools.length} tools`);
+  }
+
+  /**
+   * Ranks tools by similarity to a query
+   *
+   * @param {string} query The user's request
+   * @param {Object[]} tools The tools to rank
+   * @returns {Promise<Map<string, number>>} Similarity (0..1) per tool ID
+   */
+  async search(query, tools) {
+    await this.ensureIndexed(tools);
+
+    const similarities = await this.backend.query(query);
+    return new Map(this.toolIds.map((toolId, i) => [toolId, similarities[i]]));
+  }
+}
+
+function createBackend(name) {
+  switch (name) {
+    case 'tfidf':
+      return new TfidfBackend();
+
+    case 'openai':
+      return new OpenAiBackend();
+
+    default:
+      throw new Error(`Unknown embedding backend: ${name}`);
+  }
+}
\ No newline at end of file
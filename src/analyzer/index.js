@@ -1,240 +1,159 @@
 import { registry } from '../registry/index.js';
 import { logger } from '../utils/logger.js';
+import {
+  INTENT_TYPES,
+  detectIntents,
+  extractFileReferences,
+  extractDataTypes,
+  extractCodeLanguages,
+  extractVisualizationTypes
+} from './rules.js';
+import { analyzeWithLlm } from './llm.js';
+import { decomposeQuery } from './decomposer.js';
+import { ToolIndex } from './embeddings.js';
+import { isToolAllowed } from '../auth/index.js';
 
-// Intent definitions
-export const INTENT_TYPES = {
-  FILE_OPERATION: 'FILE_OPERATION',
-  DATA_PROCESSING: 'DATA_PROCESSING',
-  CODE_GENERATION: 'CODE_GENERATION',
-  VISUALIZATION: 'VISUALIZATION',
-  KNOWLEDGE_RETRIEVAL: 'KNOWLEDGE_RETRIEVAL',
-  TERMINAL_EXECUTION: 'TERMINAL_EXECUTION',
-  WEB_SEARCH: 'WEB_SEARCH',
-  UNKNOWN: 'UNKNOWN'
-};
+// Intent definitions live with the rules so the registry can reuse them without a cycle
+export { INTENT_TYPES };
+
+// Available analyzer strategies; the rule-based one is the default
+export const ANALYZERS = ['rules', 'llm'];
+
+const DEFAULT_ANALYZER = process.env.ANALYZER || 'rules';
+
+// How much semantic similarity (0..1) counts relative to entity-based match points
+const SEMANTIC_WEIGHT = parseFloat(process.env.SEMANTIC_MATCH_WEIGHT || '20');
+
+// Tools without a matching intent are still candidates when they are at least this similar
+const SEMANTIC_THRESHOLD = parseFloat(process.env.SEMANTIC_MATCH_THRESHOLD || '0.35');
+
+// Embedding index over the registry's tools
+const toolIndex = new ToolIndex();
 
 /**
  * Analyzes a user request to determine intent and requirements.
- * This is where LangChain integration would happen for more sophisticated parsing.
  * 
  * @param {string} query The user's request text
- * @returns {Object} Analysis result with intent, entities, and requirements
+ * @param {Object} options
+ * @param {string} [options.analyzer] 'rules' (keyword matching) or 'llm' (language model)
+ * @param {string} [options.provider] Model provider for the LLM analyzer
+ * @param {Object} [options.access] The client's tool allowlist; other tools aren't matched
+ * @returns {Object} Analysis result with intent, entities, and requirements, and the
+ *   request's sub-tasks in the order the user gave them, each with its own intents and entities
  */
-export async function analyzeRequest(query) {
-  logger.info(`Analyzing request: ${query}`);
-  
-  // For now, we'll use a simple rule-based approach
-  // In a real implementation, this would use LangChain or a similar NLP approach
-  
-  const lowerQuery = query.toLowerCase();
-  
-  // Detect intents based on keywords
-  const intents = [];
-  
-  if (lowerQuery.includes('file') || lowerQuery.includes('read') || lowerQuery.includes('write') || 
-      lowerQuery.includes('save') || lowerQuery.includes('load') || lowerQuery.includes('csv') ||
-      lowerQuery.includes('json') || lowerQuery.includes('txt')) {
-    intents.push(INTENT_TYPES.FILE_OPERATION);
-  }
-  
-  if (lowerQuery.includes('process') || lowerQuery.includes('transform') || 
-      lowerQuery.includes('extract') || lowerQuery.includes('convert') || 
-      lowerQuery.includes('analyze') || lowerQuery.includes('calculate')) {
-    intents.push(INTENT_TYPES.DATA_PROCESSING);
-  }
-  
-  if (lowerQuery.includes('code') || lowerQuery.includes('program') || 
-      lowerQuery.includes('function') || lowerQuery.includes('script') || 
-      lowerQuery.includes('algorithm') || lowerQuery.includes('develop')) {
-    intents.push(INTENT_TYPES.CODE_GENERATION);
-  }
-  
-  if (lowerQuery.includes('visualize') || lowerQuery.includes('chart') || 
-      lowerQuery.includes('plot') || lowerQuery.includes('graph') || 
-      lowerQuery.includes('dashboard') || lowerQuery.includes('display')) {
-    intents.push(INTENT_TYPES.VISUALIZATION);
+export async function analyzeRequest(query, options = {}) {
+  const analyzer = options.analyzer || DEFAULT_ANALYZER;
+  
+  if (!ANALYZERS.includes(analyzer)) {
+    throw new Error(`Unknown analyzer: ${analyzer}`);
+  }
+  
+  logger.info(`Analyzing request with ${analyzer} analyzer: ${query}`);
+  
+  let detected = null;
+  let analyzerUsed = analyzer;
+  let analyzerError;
+  
+  if (analyzer === 'llm') {
+    try {
+      detected = await analyzeWithLlm(query, {
+        provider: options.provider,
+        tools: registry.getTools().filter(tool => isToolAllowed(options.access, tool.id))
+      });
+    } catch (error) {
+      // Keep serving requests when the model is unavailable or misbehaves
+      logger.warn(`LLM analyzer failed, falling back to rules: ${error.message}`);
+      analyzerUsed = 'rules';
+      analyzerError = error.message;
+    }
   }
   
-  if (lowerQuery.includes('search') || lowerQuery.includes('find') || 
-      lowerQuery.includes('lookup') || lowerQuery.includes('retrieve') || 
-      lowerQuery.includes('get information')) {
-    intents.push(INTENT_TYPES.KNOWLEDGE_RETRIEVAL);
+  if (!detected) {
+    detected = analyzeWithRules(query);
   }
   
-  if (lowerQuery.includes('run') || lowerQuery.includes('execute') || 
-      lowerQuery.includes('terminal') || lowerQuery.includes('command') || 
-      lowerQuery.includes('shell') || lowerQuery.includes('bash')) {
-    intents.push(INTENT_TYPES.TERMINAL_EXECUTION);
-  }
-  
-  if (lowerQuery.includes('web') || lowerQuery.includes('internet') || 
-      lowerQuery.includes('online') || lowerQuery.includes('website') || 
-      lowerQuery.includes('url') || lowerQuery.includes('http')) {
-    intents.push(INTENT_TYPES.WEB_SEARCH);
-  }
-  
-  // If no intents were detected, mark as unknown
-  if (intents.length === 0) {
-    intents.push(INTENT_TYPES.UNKNOWN);
-  }
-  
-  // Extract potential entities (files, data types, etc.)
-  // In a real implementation, this would be more sophisticated
-  const entities = {
-    files: extractFileReferences(query),
-    dataTypes: extractDataTypes(query),
-    codeLanguages: extractCodeLanguages(query),
-    visualizationTypes: extractVisualizationTypes(query),
-  };
+  const { intents, entities, parameters, subTasks } = detected;
   
   // Match tools that might be suitable
-  const matchedTools = await matchToolsToIntents(intents, entities);
+  const matchedTools = await matchToolsToIntents(intents, entities, query, options.access);
   
   return {
     query,
+    analyzer: analyzerUsed,
+    analyzerError,
     intents,
     entities,
+    parameters,
+    subTasks,
     matchedTools,
-    confidence: calculateConfidence(intents, entities),
+    confidence: detected.confidence !== undefined ? detected.confidence : calculateConfidence(intents, entities),
     timestamp: new Date().toISOString()
   };
 }
 
 /**
- * Extracts file references from the query
- */
-function extractFileReferences(query) {
-  // Simple regex to find potential file references
-  // In a real implementation, this would be more sophisticated
-  const filePattern = /\b([\w-]+\.(csv|json|txt|md|py|js|html|css|xml|pdf))\b/g;
-  const matches = [...query.matchAll(filePattern)];
-  return matches.map(match => match[0]);
-}
-
-/**
- * Extracts data types from the query
- */
-function extractDataTypes(query) {
-  const lowerQuery = query.toLowerCase();
-  const dataTypes = [];
-  
-  if (lowerQuery.includes('csv') || lowerQuery.includes('spreadsheet') || 
-      lowerQuery.includes('excel') || lowerQuery.includes('table')) {
-    dataTypes.push('tabular');
-  }
-  
-  if (lowerQuery.includes('json') || lowerQuery.includes('object') || 
-      lowerQuery.includes('dictionary')) {
-    dataTypes.push('json');
-  }
-  
-  if (lowerQuery.includes('text') || lowerQuery.includes('string') || 
-      lowerQuery.includes('document')) {
-    dataTypes.push('text');
-  }
-  
-  if (lowerQuery.includes('image') || lowerQuery.includes('picture') || 
-      lowerQuery.includes('photo') || lowerQuery.includes('graphic')) {
-    dataTypes.push('image');
-  }
-  
-  return dataTypes;
-}
-
-/**
- * Extracts programming languages from the query
+ * Analyzes a request with simple keyword rules
  */
-function extractCodeLanguages(query) {
-  const lowerQuery = query.toLowerCase();
-  const languages = [];
+function analyzeWithRules(query) {
+  // Split compound requests into the sub-tasks the plan will follow
+  const subTasks = decomposeQuery(query);
   
-  // Check for common programming languages
-  const languagePatterns = [
-    { pattern: /\b(python|py)\b/i, language: 'python' },
-    { pattern: /\b(javascript|js|node)\b/i, language: 'javascript' },
-    { pattern: /\b(typescript|ts)\b/i, language: 'typescript' },
-    { pattern: /\b(java)\b/i, language: 'java' },
-    { pattern: /\b(c\+\+|cpp)\b/i, language: 'cpp' },
-    { pattern: /\b(c#|csharp)\b/i, language: 'csharp' },
-    { pattern: /\b(ruby|rb)\b/i, language: 'ruby' },
-    { pattern: /\b(go|golang)\b/i, language: 'go' },
-    { pattern: /\b(php)\b/i, language: 'php' },
-    { pattern: /\b(sql)\b/i, language: 'sql' },
-    { pattern: /\b(bash|shell)\b/i, language: 'bash' },
-    { pattern: /\b(rust)\b/i, language: 'rust' },
-    { pattern: /\b(html)\b/i, language: 'html' },
-    { pattern: /\b(css)\b/i, language: 'css' }
-  ];
+  // Detect intents based on keywords, plus those implied by a sub-task's verb (e.g. "merge them")
+  const detected = detectIntents(query);
+  const intents = Object.values(INTENT_TYPES).filter(intent => 
+    detected.includes(intent) || subTasks.some(subTask => subTask.intents.includes(intent))
+  );
   
-  for (const { pattern, language } of languagePatterns) {
-    if (pattern.test(lowerQuery)) {
-      languages.push(language);
-    }
-  }
-  
-  return languages;
-}
-
-/**
- * Extracts visualization types from the query
- */
-function extractVisualizationTypes(query) {
-  const lowerQuery = query.toLowerCase();
-  const types = [];
-  
-  if (lowerQuery.includes('bar') || lowerQuery.includes('column')) {
-    types.push('bar_chart');
-  }
-  
-  if (lowerQuery.includes('line') || lowerQuery.includes('trend')) {
-    types.push('line_chart');
-  }
-  
-  if (lowerQuery.includes('pie') || lowerQuery.includes('donut')) {
-    types.push('pie_chart');
-  }
-  
-  if (lowerQuery.includes('scatter') || lowerQuery.includes('point')) {
-    types.push('scatter_plot');
-  }
-  
-  if (lowerQuery.includes('heatmap') || lowerQuery.includes('heat map')) {
-    types.push('heatmap');
-  }
-  
-  if (lowerQuery.includes('histogram')) {
-    types.push('histogram');
+  // If no intents were detected, mark as unknown
+  if (intents.length === 0) {
+    intents.push(INTENT_TYPES.UNKNOWN);
   }
   
-  if (lowerQuery.includes('box plot') || lowerQuery.includes('boxplot')) {
-    types.push('box_plot');
-  }
+  // Extract potential entities (files, data types, etc.)
+  const entities = {
+    files: extractFileReferences(query),
+    dataTypes: extractDataTypes(query),
+    codeLanguages: extractCodeLanguages(query),
+    visualizationTypes: extractVisualizationTypes(query),
+  };
   
-  return types;
+  return { intents, entities, parameters: {}, subTasks };
 }
 
 /**
- * Matches suitable tools based on detected intents and entities
+ * Matches suitable tools based on detected intents and entities, blended with
+ * the semantic similarity between the request and each tool's description
  */
-async function matchToolsToIntents(intents, entities) {
+async function matchToolsToIntents(intents, entities, query, access) {
   const allTools = registry.getTools();
   const matchedTools = [];
   
+  const similarities = await getSemanticSimilarities(query, allTools);
+  
   for (const tool of allTools) {
+    // The index covers every tool, but clients only see the ones they may use
+    if (!isToolAllowed(access, tool.id)) continue;
+    
     // Check if the tool supports any of the detected intents
     const intentMatch = intents.some(intent => 
       tool.capabilities && tool.capabilities.intents && 
       tool.capabilities.intents.includes(intent)
     );
     
-    if (intentMatch) {
-      // Calculate match score based on entity compatibility
-      const score = calculateToolMatchScore(tool, entities);
+    const similarity = similarities.get(tool.id) || 0;
+    
+    if (intentMatch || similarity >= SEMANTIC_THRESHOLD) {
+      // Calculate match score based on entity compatibility and semantic similarity
+      const entityScore = calculateToolMatchScore(tool, entities);
+      const score = entityScore + similarity * SEMANTIC_WEIGHT;
       
       if (score > 0) {
         matchedTools.push({
           tool,
-          score
+          score,
+          entityScore,
+          similarity,
+          intentMatch
         });
       }
     }
@@ -244,6 +163,22 @@ async function matchToolsToIntents(intents, entities) {
   return matchedTools.sort((a, b) => b.score - a.score);
 }
 
+/**
+ * Queries the embedding index; matching falls back to entity scores if it fails
+ */
+async function getSemanticSimilarities(query, tools) {
+  if (!query || tools.length === 0) {
+    return new Map();
+  }
+  
+  try {
+    return await toolIndex.search(query, tools);
+  } catch (error) {
+    logger.warn(`Semantic tool matching unavailable: ${error.message}`);
+    return new Map();
+  }
+}
+
 /**
  * Calculates a match score for a tool based on entity compatibility
  */
@@ -0,0 +1,228 @@
+import { logger } from '../utils/logger.js';
+import { assertValid } from '../utils/validation.js';
+import {
+  INTENT_TYPES,
+  detectIntents,
+  extractFileReferences,
+  extractDataTypes,
+  extractCodeLanguages,
+  extractVisualizationTypes
+} from './rules.js';
+import { decomposeQuery } from './decomposer.js';
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const intentArray = {
+  type: 'array',
+  items: { type: 'string', enum: Object.values(INTENT_TYPES) }
+};
+
+// The structured output we ask the model for
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['intents', 'entities'],
+  properties: {
+    intents: intentArray,
+    entities: {
+      type: 'object',
+      required: ['files', 'dataTypes', 'codeLanguages', 'visualizationTypes'],
+      properties: {
+        files: stringArray,
+        dataTypes: stringArray,
+        codeLanguages: stringArray,
+        visualizationTypes: stringArray
+      }
+    },
+    parameters: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    },
+    subTasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text', 'intents'],
+        properties: {
+          text: { type: 'string' },
+          intents: intentArray,
+          entities: {
+            type: 'object',
+            properties: {
+              files: stringArray,
+              dataTypes: stringArray,
+              codeLanguages: stringArray,
+              visualizationTypes: stringArray
+            }
+          },
+          parameters: {
+            type: 'object',
+            additionalProperties: { type: 'object' }
+          },
+          sequential: { type: 'boolean' }
+        }
+      }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+/**
+ * Analyzes a request with a language model.
+ *
+ * @param {string} query The user's request text
+ * @param {Object} options
+ * @param {string} [options.provider] Model provider name ('openai' or 'stub')
+ * @param {Object[]} [options.tools] Registered tools, described to the model so it can extract their parameters
+ * @returns {Promise<Object>} { intents, entities, parameters, subTasks, confidence }
+ */
+export async function analyzeWithLlm(query, { provider = DEFAULT_PROVIDER, tools = [] } = {}) {
+  const model = await createChatModel(provider);
+
+  const response = await model.invoke([
+    ['system', buildSystemPrompt(tools)],
+    ['human', query]
+  ]);
+
+  const analysis = parseModelOutput(response.content);
+
+  assertValid(ANALYSIS_SCHEMA, analysis, 'LLM analysis');
+
+  logger.info(`LLM analyzer (${provider}) detected intents: ${analysis.intents.join(', ')}`);
+
+  const subTasks = (analysis.subTasks || []).map(normalizeSubTask);
+
+  // Report intents in the same canonical order (and without duplicates) as the rule-based analyzer
+  const intents = Object.values(INTENT_TYPES).filter(intent => 
+    analysis.intents.includes(intent) || subTasks.some(subTask => subTask.intents.includes(intent))
+  );
+
+  return {
+    intents: intents.length > 0 ? intents : [INTENT_TYPES.UNKNOWN],
+    entities: analysis.entities,
+    parameters: analysis.parameters || {},
+    subTasks: subTasks.length > 0 ? subTasks : undefined,
+    confidence: analysis.confidence
+  };
+}
+
+/**
+ * Fills in the optional fields of a sub-task from the model
+ */
+function normalizeSubTask({ text, intents, entities = {}, parameters, sequential }) {
+  return {
+    text,
+    intents: Object.values(INTENT_TYPES).filter(intent => intents.includes(intent)),
+    entities: {
+      files: entities.files || [],
+      dataTypes: entities.dataTypes || [],
+      codeLanguages: entities.codeLanguages || [],
+      visualizationTypes: entities.visualizationTypes || []
+    },
+    parameters,
+    sequential: Boolean(sequential)
+  };
+}
+
+/**
+ * Creates a chat model for a provider. Models expose `invoke(messages)` and
+ * return a message with string `content`, matching LangChain chat models.
+ */
+async function createChatModel(provider) {
+  switch (provider) {
+    case 'openai': {
+      let ChatOpenAI;
+
+      try {
+        ({ ChatOpenAI } = await import('@langchain/openai'));
+      } catch (error) {
+        throw new Error('The openai provider requires the optional @langchain/openai package');
+      }
+
+      return new ChatOpenAI({
+        modelName: DEFAULT_MODEL,
+        temperature: 0,
+        modelKwargs: { response_format: { type: 'json_object' } }
+      });
+    }
+
+    case 'stub':
+      return new StubChatModel();
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+function buildSystemPrompt(tools) {
+  const toolDescriptions = tools
+    .filter(tool => tool.capabilities && tool.capabilities.intents)
+    .map(tool => {
+      const inputs = tool.inputSchema && tool.inputSchema.properties
+        ? Object.keys(tool.inputSchema.properties)
+        : Object.keys(tool.defaultParams || {});
+      return `- ${tool.id} (intents: ${tool.capabilities.intents.join(', ')}; inputs: ${inputs.join(', ') || 'none'})`;
+    })
+    .join('\n');
+
+  return `You analyze requests for a tool orchestration server.
+Respond with a single JSON object with these fields:
+- "intents": the user's goals, from: ${Object.values(INTENT_TYPES).filter(intent => intent !== INTENT_TYPES.UNKNOWN).join(', ')}. Only include intents the user actually asks for.
+- "entities": { "files": file names mentioned, "dataTypes": any of tabular, json, text, image, "codeLanguages": programming languages, "visualizationTypes": any of bar_chart, line_chart, pie_chart, scatter_plot, heatmap, histogram, box_plot }
+- "parameters": an object keyed by intent with the input values the request specifies for that intent's tool
+- "subTasks": for requests with several parts, the parts in the order the user wants them done, each { "text", "intents", "entities" (as above, for that part only), "parameters" (as above, for that part only), "sequential" (true if it must wait for the previous part) }
+- "confidence": a number between 0 and 1
+
+Available tools:
+${toolDescriptions || '- none'}`;
+}
+
+/**
+ * Parses model output as JSON, tolerating a surrounding markdown code fence
+ */
+function parseModelOutput(content) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+
+  try {
+    return JSON.parse(fenced ? fenced[1] : text);
+  } catch (error) {
+    throw new Error(`LLM analyzer returned invalid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * A deterministic, offline stand-in for a chat model, used in tests and local development.
+ * It answers with the rule-based analysis of the request, or with a fixed response
+ * from LLM_STUB_RESPONSE when set.
+ */
+export class StubChatModel {
+  constructor({ response = process.env.LLM_STUB_RESPONSE } = {}) {
+    this.response = response;
+  }
+
+  async invoke(messages) {
+    if (this.response) {
+      return { content: this.response };
+    }
+
+    const [, query] = messages[messages.length - 1];
+
+    return {
+      content: JSON.stringify({
+        intents: detectIntents(query),
+        entities: {
+          files: extractFileReferences(query),
+          dataTypes: extractDataTypes(query),
+          codeLanguages: extractCodeLanguages(query),
+          visualizationTypes: extractVisualizationTypes(query)
+        },
+        parameters: {},
+        subTasks: decomposeQuery(query),
+        confidence: 0.5
+      })
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Keyword rules used to detect intents and entities in free text.
+ * Shared by the request analyzer and by the registry when inferring tool capabilities.
+ */
+
+// Intent definitions
+export const INTENT_TYPES = {
+  FILE_OPERATION: 'FILE_OPERATION',
+  DATA_PROCESSING: 'DATA_PROCESSING',
+  CODE_GENERATION: 'CODE_GENERATION',
+  VISUALIZATION: 'VISUALIZATION',
+  KNOWLEDGE_RETRIEVAL: 'KNOWLEDGE_RETRIEVAL',
+  TERMINAL_EXECUTION: 'TERMINAL_EXECUTION',
+  WEB_SEARCH: 'WEB_SEARCH',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Detects intents in a piece of text based on keywords
+ *
+ * @param {string} text The text to inspect
+ * @returns {string[]} The detected intents (possibly empty)
+ */
+export function detectIntents(text) {
+  const lowerQuery = text.toLowerCase();
+  const intents = [];
+  
+  if (lowerQuery.includes('file') || lowerQuery.includes('read') || lowerQuery.includes('write') || 
+      lowerQuery.includes('save') || lowerQuery.includes('load') || lowerQuery.includes('csv') ||
+      lowerQuery.includes('json') || lowerQuery.includes('txt')) {
+    intents.push(INTENT_TYPES.FILE_OPERATION);
+  }
+  
+  if (lowerQuery.includes('process') || lowerQuery.includes('transform') || 
+      lowerQuery.includes('extract') || lowerQuery.includes('convert') || 
+      lowerQuery.includes('analyze') || lowerQuery.includes('calculate')) {
+    intents.push(INTENT_TYPES.DATA_PROCESSING);
+  }
+  
+  if (lowerQuery.includes('code') || lowerQuery.includes('program') || 
+      lowerQuery.includes('function') || lowerQuery.includes('script') || 
+      lowerQuery.includes('algorithm') || lowerQuery.includes('develop')) {
+    intents.push(INTENT_TYPES.CODE_GENERATION);
+  }
+  
+  if (lowerQuery.includes('visualize') || lowerQuery.includes('chart') || 
+      lowerQuery.includes('plot') || lowerQuery.includes('graph') || 
+      lowerQuery.includes('dashboard') || lowerQuery.includes('display')) {
+    intents.push(INTENT_TYPES.VISUALIZATION);
+  }
+  
+  if (lowerQuery.includes('search') || lowerQuery.includes('find') || 
+      lowerQuery.includes('lookup') || lowerQuery.includes('retrieve') || 
+      lowerQuery.includes('get information')) {
+    intents.push(INTENT_TYPES.KNOWLEDGE_RETRIEVAL);
+  }
+  
+  if (lowerQuery.includes('run') || lowerQuery.includes('execute') || 
+      lowerQuery.includes('terminal') || lowerQuery.includes('command') || 
+      lowerQuery.includes('shell') || lowerQuery.includes('bash')) {
+    intents.push(INTENT_TYPES.TERMINAL_EXECUTION);
+  }
+  
+  if (lowerQuery.includes('web') || lowerQuery.includes('internet') || 
+      lowerQuery.includes('online') || lowerQuery.includes('website') || 
+      lowerQuery.includes('url') || lowerQuery.includes('http')) {
+    intents.push(INTENT_TYPES.WEB_SEARCH);
+  }
+  
+  return intents;
+}
+
+/**
+ * Extracts file references from the query
+ */
+export function extractFileReferences(query) {
+  // Simple regex to find potential file references
+  // In a real implementation, this would be more sophisticated
+  const filePattern = /\b([\w-]+\.(csv|json|txt|md|py|js|html|css|xml|pdf))\b/g;
+  const matches = [...query.matchAll(filePattern)];
+  return matches.map(match => match[0]);
+}
+
+/**
+ * Extracts data types from the query
+ */
+export function extractDataTypes(query) {
+  const lowerQuery = query.toLowerCase();
+  const dataTypes = [];
+  
+  if (lowerQuery.includes('csv') || lowerQuery.includes('spreadsheet') || 
+      lowerQuery.includes('excel') || lowerQuery.includes('table')) {
+    dataTypes.push('tabular');
+  }
+  
+  if (lowerQuery.includes('json') || lowerQuery.includes('object') || 
+      lowerQuery.includes('dictionary')) {
+    dataTypes.push('json');
+  }
+  
+  if (lowerQuery.includes('text') || lowerQuery.includes('string') || 
+      lowerQuery.includes('document')) {
+    dataTypes.push('text');
+  }
+  
+  if (lowerQuery.includes('image') || lowerQuery.includes('picture') || 
+      lowerQuery.includes('photo') || lowerQuery.includes('graphic')) {
+    dataTypes.push('image');
+  }
+  
+  return dataTypes;
+}
+
+/**
+ * Extracts programming languages from the query
+ */
+export function extractCodeLanguages(query) {
+  const lowerQuery = query.toLowerCase();
+  const languages = [];
+  
+  // Check for common programming languages
+  const languagePatterns = [
+    { pattern: /\b(python|py)\b/i, language: 'python' },
+    { pattern: /\b(javascript|js|node)\b/i, language: 'javascript' },
+    { pattern: /\b(typescript|ts)\b/i, language: 'typescript' },
+    { pattern: /\b(java)\b/i, language: 'java' },
+    { pattern: /\b(c\+\+|cpp)\b/i, language: 'cpp' },
+    { pattern: /\b(c#|csharp)\b/i, language: 'csharp' },
+    { pattern: /\b(ruby|rb)\b/i, language: 'ruby' },
+    { pattern: /\b(go|golang)\b/i, language: 'go' },
+    { pattern: /\b(php)\b/i, language: 'php' },
+    { pattern: /\b(sql)\b/i, language: 'sql' },
+    { pattern: /\b(bash|shell)\b/i, language: 'bash' },
+    { pattern: /\b(rust)\b/i, language: 'rust' },
+    { pattern: /\b(html)\b/i, language: 'html' },
+    { pattern: /\b(css)\b/i, language: 'css' }
+  ];
+  
+  for (const { pattern, language } of languagePatterns) {
+    if (pattern.test(lowerQuery)) {
+      languages.push(language);
+    }
+  }
+  
+  return languages;
+}
+
+/**
+ * Extracts visualization types from the query
+ */
+export function extractVisualizationTypes(query) {
+  const lowerQuery = query.toLowerCase();
+  const types = [];
+  
+  if (lowerQuery.includes('bar') || lowerQuery.includes('column')) {
+    types.push('bar_chart');
+  }
+  
+  if (lowerQuery.includes('line') || lowerQuery.includes('trend')) {
+    types.push('line_chart');
+  }
+  
+  if (lowerQuery.includes('pie') || lowerQuery.includes('donut')) {
+    types.push('pie_chart');
+  }
+  
+  if (lowerQuery.includes('scatter') || lowerQuery.includes('point')) {
+    types.push('scatter_plot');
+  }
+  
+  if (lowerQuery.includes('heatmap') || lowerQuery.includes('heat map')) {
+    types.push('heatmap');
+  }
+  
+  if (lowerQuery.includes('histogram')) {
+    types.push('histogram');
+  }
+  
+  if (lowerQuery.includes('box plot') || lowerQuery.includes('boxplot')) {
+    types.push('box_plot');
+  }
+  
+  return types;
+}
+
+/**
+ * Extracts file extensions mentioned anywhere in the text (e.g. "reads CSV files")
+ */
+export function extractFileTypes(text) {
+  const matches = text.toLowerCase().match(/\b(csv|json|txt|md|py|js|html|css|xml|pdf)\b/g) || [];
+  return [...new Set(matches)];
+}
\ No newline at end of file
@@ -0,0 +1,325 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { assertValid } from '../utils/validation.js';
+import { INTENT_TYPES } from '../analyzer/rules.js';
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+export const ROLES = ['reader', 'operator', 'admin'];
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || 'api-keys.json';
+
+// Allowed clock difference when checking JWT expiry, in seconds
+const JWT_CLOCK_TOLERANCE = 30;
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+// Allowlists shared by API keys and JWT claims; leaving one out allows everything
+const accessProperties = {
+  role: { type: 'string', enum: ROLES },
+  tools: stringArray,
+  intents: { type: 'array', items: { type: 'string', enum: Object.values(INTENT_TYPES) } }
+};
+
+const API_KEYS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['name', 'role'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      key: { type: 'string', minLength: 16 },
+      keyHash: { type: 'string', pattern: '^sha256:[0-9a-f]{64}$' },
+      ...accessProperties
+    },
+    oneOf: [{ required: ['key'] }, { required: ['keyHash'] }]
+  }
+};
+
+const JWT_CLAIMS_SCHEMA = {
+  type: 'object',
+  required: ['role'],
+  properties: accessProperties
+};
+
+// Tool fields that say how a tool is reached or launched; they can hold URLs, headers,
+// environment variables and credentials, so only admins get to see them
+const CONNECTION_FIELDS = ['apiEndpoint', 'executionConfig', 'mcp', 'process'];
+
+// Who the caller is when authentication is disabled
+const ANONYMOUS = Object.freeze({ subject: 'anonymous', role: 'admin', method: 'none' });
+
+/**
+ * Raised when a request can't be authenticated (401) or isn't allowed (403)
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+let config = null;
+
+/**
+ * Loads the authentication settings, so problems with the API key file show up at startup
+ */
+export function initializeAuth() {
+  return getAuthConfig();
+}
+
+/**
+ * Loads the authentication settings once: API keys from API_KEYS_FILE and JWT verification keys.
+ * Authentication is on when AUTH_ENABLED=true, or when it isn't set and any credentials are configured.
+ */
+function getAuthConfig() {
+  if (config) return config;
+
+  const apiKeys = loadApiKeys();
+  const jwt = {
+    secret: process.env.JWT_SECRET,
+    publicKey: process.env.JWT_PUBLIC_KEY,
+    issuer: process.env.JWT_ISSUER,
+    audience: process.env.JWT_AUDIENCE
+  };
+
+  const hasCredentials = apiKeys.length > 0 || Boolean(jwt.secret || jwt.publicKey);
+  const enabled = process.env.AUTH_ENABLED ? process.env.AUTH_ENABLED === 'true' : hasCredentials;
+
+  if (!enabled) {
+    logger.warn('Authentication is disabled: every client has admin access. Configure API keys or a JWT secret to enable it.');
+  } else if (!hasCredentials) {
+    logger.warn('Authentication is enabled but no API keys or JWT keys are configured; all requests will be rejected');
+  }
+
+  config = { enabled, apiKeys, jwt };
+  return config;
+}
+
+function loadApiKeys() {
+  const filePath = path.resolve(API_KEYS_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const keys = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assertValid(API_KEYS_SCHEMA, keys, `API keys in ${filePath}`);
+
+  logger.info(`Loaded ${keys.length} API keys from ${filePath}`);
+
+  // Keep only digests in memory
+  return keys.map(({ key, keyHash, ...entry }) => ({
+    ...entry,
+    digest: key ? sha256(key) : Buffer.from(keyHash.slice('sha256:'.length), 'hex')
+  }));
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Express middleware that identifies the caller from an `X-API-Key` header or an
+ * `Authorization: Bearer` token (a JWT or an API key) and sets `req.auth`:
+ * { subject, role, method, tools?, intents? }.
+ */
+export function authenticate(req, res, next) {
+  try {
+    req.auth = authenticateRequest(req);
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+}
+
+function authenticateRequest(req) {
+  const { enabled, apiKeys, jwt } = getAuthConfig();
+
+  if (!enabled) {
+    return ANONYMOUS;
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  const token = req.get('X-API-Key') || (bearer && bearer[1]);
+
+  if (!token) {
+    throw new AuthError('Authentication required');
+  }
+
+  // JWTs have three dot-separated parts; anything else is treated as an API key
+  if (token.split('.').length === 3) {
+    return authenticateJwt(token, jwt);
+  }
+
+  const digest = sha256(token);
+  const apiKey = apiKeys.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+
+  if (!apiKey) {
+    throw new AuthError('Invalid API key');
+  }
+
+  return {
+    subject: apiKey.name,
+    role: apiKey.role,
+    method: 'api-key',
+    tools: apiKey.tools,
+    intents: apiKey.intents
+  };
+}
+
+/**
+ * Verifies an HS256 (JWT_SECRET) or RS256 (JWT_PUBLIC_KEY) token and maps its claims
+ * (`sub`, `role`, `tools`, `intents`) to a principal
+ */
+function authenticateJwt(token, { secret, publicKey, issuer, audience }) {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  let header;
+  let claims;
+
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  let valid = false;
+
+  if (header.alg === 'HS256' && secret) {
+    const expected = crypto.createHmac('sha256', secret).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256' && publicKey) {
+    valid = crypto.verify('RSA-SHA256', Buffer.from(signingInput), publicKey, signature);
+  } else {
+    throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if (!valid) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.exp !== undefined && now > claims.exp + JWT_CLOCK_TOLERANCE) {
+    throw new AuthError('Token has expired');
+  }
+  if (claims.nbf !== undefined && now < claims.nbf - JWT_CLOCK_TOLERANCE) {
+    throw new AuthError('Token is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError('Token has the wrong issuer');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new AuthError('Token has the wrong audience');
+  }
+
+  try {
+    assertValid(JWT_CLAIMS_SCHEMA, claims, 'token claims');
+  } catch (error) {
+    throw new AuthError(error.message, 403);
+  }
+
+  return {
+    subject: claims.sub || 'unknown',
+    role: claims.role,
+    method: 'jwt',
+    tools: claims.tools,
+    intents: claims.intents
+  };
+}
+
+/**
+ * Express middleware that requires the caller to have at least the given role
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.auth, role)) {
+      return sendAuthError(res, new AuthError(`This action requires the ${role} role`, 403));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Whether a principal has at least the given role
+ *
+ * @param {Object} [access] The principal; without one, authentication is disabled and every role is granted
+ * @param {string} role The role
+ */
+export function hasRole(access, role) {
+  return ROLES.indexOf((access || ANONYMOUS).role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Gets what a principal may see of a tool or MCP server definition: everything for
+ * admins, and everything but its connection and execution config for other roles
+ */
+export function redactTool(access, tool) {
+  if (hasRole(access, 'admin')) {
+    return tool;
+  }
+
+  const redacted = { ...tool };
+
+  for (const field of CONNECTION_FIELDS) {
+    delete redacted[field];
+  }
+
+  return redacted;
+}
+
+/**
+ * Express middleware that rejects requests for a tool (`:id` route parameter) outside the caller's allowlist
+ */
+export function requireToolAccess(req, res, next) {
+  const toolId = req.params.id.split('@')[0];
+
+  if (!isToolAllowed(req.auth, toolId)) {
+    return sendAuthError(res, new AuthError(`Not permitted to use tool ${toolId}`, 403));
+  }
+
+  next();
+}
+
+/**
+ * Whether a principal may use a tool. Allowlist entries are tool IDs, or prefixes ending in "*".
+ *
+ * @param {Object} [access] The principal; without one (or without a tools list) every tool is allowed
+ * @param {string} toolId The tool ID
+ */
+export function isToolAllowed(access, toolId) {
+  if (!access || !access.tools) return true;
+
+  return access.tools.some(pattern => pattern.endsWith('*')
+    ? toolId.startsWith(pattern.slice(0, -1))
+    : pattern === toolId);
+}
+
+/**
+ * Whether a principal may fulfil an intent
+ *
+ * @param {Object} [access] The principal; without one (or without an intents list) every intent is allowed
+ * @param {string} intent The intent type
+ */
+export function isIntentAllowed(access, intent) {
+  if (!access || !access.intents) return true;
+
+  return access.intents.includes(intent);
+}
+
+function sendAuthError(res, error) {
+  const status = error.status || 401;
+
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+
+  res.status(status).json({ error: error.message });
+}
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { createHash } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { createCacheStore } from './store.js';
+
+// How many results the in-memory cache holds before dropping the least recently used
+const MAX_ENTRIES = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES || '1000', 10);
+
+// How long results stay valid, in ms, unless the tool's cacheTtl says otherwise
+const DEFAULT_TTL = parseInt(process.env.RESULT_CACHE_TTL || '300000', 10);
+
+/**
+ * Caches the results of tools that declare `cacheable: true`, keyed by tool ID,
+ * tool version and input parameters. Results are kept in an in-memory LRU and,
+ * with RESULT_CACHE_STORE=disk, on disk as well.
+ */
+class ResultCache {
+  constructor(store = createCacheStore(), { maxEntries = MAX_ENTRIES, ttl = DEFAULT_TTL } = {}) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+
+    // Map iteration follows insertion order, so re-inserting an entry marks it as recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Gets a tool's cached result for some inputs
+   *
+   * @param {Object} tool The tool
+   * @param {Object} inputParams The inputs it would be called with
+   * @returns {Promise<{ value: * }|undefined>} The cached result, or undefined on a miss
+   */
+  async get(tool, inputParams) {
+    const key = createCacheKey(tool, inputParams);
+    let entry = this.entries.get(key);
+
+    if (entry) {
+      this.entries.delete(key);
+    } else {
+      entry = await this.store.get(key);
+    }
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    this.remember(key, entry);
+
+    // Copies, so callers changing a result (e.g. a later step) can't change what's cached
+    return { value: structuredClone(entry.value) };
+  }
+
+  /**
+   * Caches a tool's result for some inputs for the tool's `cacheTtl`
+   */
+  async set(tool, inputParams, value) {
+    const key = createCacheKey(tool, inputParams);
+    const entry = { value: structuredClone(value), expiresAt: Date.now() + (tool.cacheTtl || this.ttl) };
+
+    this.remember(key, entry);
+    await this.store.set(key, entry);
+  }
+
+  /**
+   * Forgets the cached results of every version of a tool, e.g. because its definition changed
+   */
+  async invalidate(toolId) {
+    const prefix = `${toolId}@`;
+
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+
+    await this.store.deleteMatching(prefix);
+    logger.info(`Cleared cached results of tool ${toolId}`);
+  }
+
+  remember(key, entry) {
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Builds the cache key of a tool call: the tool's ID and version with a hash of
+ * its inputs in canonical form, so the order of object keys doesn't matter
+ */
+export function createCacheKey(tool, inputParams) {
+  const hash = createHash('sha256').update(canonicalize(inputParams)).digest('hex');
+  return `${tool.id}@${tool.version || '0.0.0'}:${hash}`;
+}
+
+/**
+ * Serializes a value as JSON with object keys sorted at every level
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+    return `{${fields.join(',')}}`;
+  }
+
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+// Create singleton instance
+export const resultCache = new ResultCache();
\ No newline at end of file
@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_STORE = process.env.RESULT_CACHE_STORE || 'memory';
+const DEFAULT_STORE_PATH = process.env.RESULT_CACHE_PATH || '.result-cache';
+
+/**
+ * Keeps cached tool results on disk, one JSON file per entry, so they survive restarts
+ * and can be shared by instances on the same machine.
+ *
+ * Stores expose `get(key)`, resolving to an entry ({ value, expiresAt }) or undefined,
+ * `set(key, entry)`, `delete(key)` and `deleteMatching(prefix)`. Expired entries are
+ * deleted when they're read.
+ */
+export class DiskCacheStore {
+  constructor(directory = DEFAULT_STORE_PATH) {
+    this.directory = path.resolve(directory);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.fileFor(key), 'utf8'));
+
+      if (entry.expiresAt <= Date.now()) {
+        await this.delete(key);
+        return undefined;
+      }
+
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable cache entry ${key}: ${error.message}`);
+      }
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    const file = this.fileFor(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(entry));
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      logger.error(`Failed to write cache entry ${key} to ${this.directory}:`, error);
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  async deleteMatching(prefix) {
+    let files;
+
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      return;
+    }
+
+    const filePrefix = encodeKey(prefix);
+    await Promise.all(files
+      .filter(file => file.startsWith(filePrefix))
+      .map(file => fs.rm(path.join(this.directory, file), { force: true })));
+  }
+
+  fileFor(key) {
+    return path.join(this.directory, `${encodeKey(key)}.json`);
+  }
+}
+
+/**
+ * Doesn't keep anything beyond the in-memory cache
+ */
+export class MemoryCacheStore {
+  async get() {
+    return undefined;
+  }
+
+  async set() {}
+
+  async delete() {}
+
+  async deleteMatching() {}
+}
+
+// Tool IDs can contain characters file names shouldn't
+function encodeKey(key) {
+  return encodeURIComponent(key).replace(/%/g, '_');
+}
+
+/**
+ * Creates the cache store selected by RESULT_CACHE_STORE ('memory' or 'disk')
+ */
+export function createCacheStore(name = DEFAULT_STORE) {
+  switch (name) {
+    case 'disk':
+      return new DiskCacheStore();
+
+    case 'memory':
+      return new MemoryCacheStore();
+
+    default:
+      throw new Error(`Unknown result cache store: ${name}`);
+  }
+}
\ No newline at end of file
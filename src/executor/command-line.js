@@ -0,0 +1,205 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_TIMEOUT = parseInt(process.env.COMMAND_TOOL_TIMEOUT || '30000', 10);
+const DEFAULT_MAX_OUTPUT = parseInt(process.env.COMMAND_TOOL_MAX_OUTPUT || '1048576', 10);
+
+// Commands may only run inside this directory tree
+const SANDBOX_ROOT = path.resolve(process.env.COMMAND_TOOL_ROOT || process.cwd());
+
+// Environment variables passed through from the server process by default
+const DEFAULT_ENV_ALLOWLIST = ['PATH', 'LANG', 'TZ'];
+
+/**
+ * Executes a tool by spawning a local command.
+ *
+ * Supported config fields:
+ * - command: the executable to run (never interpreted by a shell)
+ * - args: argument list; "{name}" placeholders are replaced with params[name]
+ * - cwd: working directory, relative to COMMAND_TOOL_ROOT and confined to it
+ * - env: extra environment variables; envAllowlist: variables inherited from the server
+ * - stdin: when true, the params are written to stdin as JSON
+ * - timeout: wall-clock limit in ms; maxOutputSize: limit on stdout + stderr bytes
+ * - outputFormat: 'json' to parse stdout as JSON, otherwise stdout is returned as text
+ *
+ * @param {Object} config The tool's executionConfig
+ * @param {Object} params The step's input parameters
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Kills the command when aborted
+ * @returns {Promise<Object>} The command's output and exit code
+ */
+export async function executeCommandLineTool(config, params = {}, options = {}) {
+  if (!config.command) {
+    throw new Error('Command-line tool is missing executionConfig.command');
+  }
+
+  const args = (config.args || []).map(arg => templateArgument(arg, params));
+  const cwd = resolveWorkingDirectory(config.cwd);
+  const env = buildEnvironment(config);
+  const timeout = config.timeout || DEFAULT_TIMEOUT;
+  const maxOutputSize = config.maxOutputSize || DEFAULT_MAX_OUTPUT;
+
+  logger.info(`Executing command-line tool: ${config.command} ${args.join(' ')}`);
+
+  const { exitCode, signal, stdout, stderr } = await runCommand(config.command, args, {
+    cwd,
+    env,
+    timeout,
+    maxOutputSize,
+    input: config.stdin ? JSON.stringify(params) : null,
+    signal: options.signal
+  });
+
+  if (exitCode !== 0) {
+    const reason = signal ? `was terminated by ${signal}` : `exited with code ${exitCode}`;
+    throw Object.assign(new Error(`Command ${config.command} ${reason}: ${stderr.trim()}`), {
+      exitCode,
+      stdout,
+      stderr
+    });
+  }
+
+  return {
+    exitCode,
+    stdout,
+    stderr,
+    result: config.outputFormat === 'json' ? parseJsonOutput(config.command, stdout) : stdout
+  };
+}
+
+/**
+ * Replaces "{name}" placeholders in an argument with parameter values
+ */
+function templateArgument(arg, params) {
+  return String(arg).replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      throw new Error(`Missing parameter "${name}" for command argument "${arg}"`);
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Resolves the working directory and ensures it stays within the sandbox root
+ */
+function resolveWorkingDirectory(cwd) {
+  const resolved = path.resolve(SANDBOX_ROOT, cwd || '.');
+  const relative = path.relative(SANDBOX_ROOT, resolved);
+
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`Working directory ${cwd} is outside of the command sandbox`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Builds a minimal environment from the allowlist plus the tool's own variables
+ */
+function buildEnvironment(config) {
+  const allowlist = config.envAllowlist || DEFAULT_ENV_ALLOWLIST;
+  const env = {};
+
+  for (const name of allowlist) {
+    if (process.env[name] !== undefined) {
+      env[name] = process.env[name];
+    }
+  }
+
+  return { ...env, ...(config.env || {}) };
+}
+
+/**
+ * Spawns the command and collects its output within the given limits
+ */
+function runCommand(command, args, { cwd, env, timeout, maxOutputSize, input, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error(`Command ${command} was cancelled`));
+    }
+
+    const child = spawn(command, args, { cwd, env, shell: false });
+
+    const stdout = [];
+    const stderr = [];
+    let outputSize = 0;
+    let failure = null;
+
+    const timer = setTimeout(() => {
+      failure = new Error(`Command ${command} timed out after ${timeout}ms`);
+      child.kill('SIGKILL');
+    }, timeout);
+
+    const onAbort = () => {
+      failure = failure || new Error(`Command ${command} was cancelled`);
+      child.kill('SIGKILL');
+    };
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const cleanUp = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    const collect = chunks => data => {
+      outputSize += data.length;
+
+      if (outputSize > maxOutputSize) {
+        if (!failure) {
+          failure = new Error(`Command ${command} exceeded the output limit of ${maxOutputSize} bytes`);
+          child.kill('SIGKILL');
+        }
+        return;
+      }
+
+      chunks.push(data);
+    };
+
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    child.on('error', error => {
+      cleanUp();
+      reject(new Error(`Failed to start command ${command}: ${error.message}`));
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      cleanUp();
+
+      if (failure) {
+        return reject(failure);
+      }
+
+      resolve({
+        exitCode,
+        signal: exitSignal,
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8')
+      });
+    });
+
+    // Ignore EPIPE if the command exits without reading its input
+    child.stdin.on('error', () => {});
+
+    if (input !== null) {
+      child.stdin.write(input);
+    }
+    child.stdin.end();
+  });
+}
+
+/**
+ * Parses stdout as JSON for tools that declare JSON output
+ */
+function parseJsonOutput(command, stdout) {
+  try {
+    return JSON.parse(stdout);
+  } catch (error) {
+    throw new Error(`Command ${command} did not produce valid JSON output: ${error.message}`);
+  }
+}
\ No newline at end of file
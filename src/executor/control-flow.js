@@ -0,0 +1,120 @@
+/**
+ * Helpers for plan steps that aren't a single tool call:
+ * - `if` evaluates a `condition` over earlier steps' results and runs either its `then` or its `else` steps
+ * - `foreach` calls a tool once for every element of an upstream array (`items`)
+ * - `map-reduce` calls its `map` tool for every element of `items`, then combines the outputs with `reduce`
+ */
+import { parsePath, selectPath } from '../utils/data-mapping.js';
+import { getExpressionPaths } from '../utils/expressions.js';
+
+export const STEP_KINDS = ['tool', 'if', 'foreach', 'map-reduce'];
+
+// Upper limit on the iterations of one loop step; steps can set a lower `maxIterations`
+export const MAX_LOOP_ITERATIONS = parseInt(process.env.MAX_LOOP_ITERATIONS || '100', 10);
+
+// Built-in ways of combining the outputs of a map-reduce step's map calls
+const REDUCE_OPERATIONS = {
+  collect: values => values,
+  concat: values => values.flat(),
+  count: values => values.length,
+  sum: values => values.reduce((total, value) => total + Number(value), 0),
+  min: values => (values.length > 0 ? Math.min(...values.map(Number)) : undefined),
+  max: values => (values.length > 0 ? Math.max(...values.map(Number)) : undefined),
+  merge: values => Object.assign({}, ...values)
+};
+
+export const REDUCE_OPERATION_NAMES = Object.keys(REDUCE_OPERATIONS);
+
+export function getStepKind(step) {
+  return step.kind || 'tool';
+}
+
+/**
+ * Lists the tool calls a step makes
+ *
+ * @param {Object} step The plan step
+ * @returns {Array<{ call: Object, field: string, itemParam?: string }>} Each call's toolId, toolVersion
+ *   and inputParams, where it is in the step (e.g. '.map'), and the input the loop fills in
+ */
+export function getStepTools(step) {
+  switch (getStepKind(step)) {
+    case 'if':
+      return [];
+
+    case 'foreach':
+      return [{ call: step, field: '', itemParam: step.itemParam || 'item' }];
+
+    case 'map-reduce': {
+      const calls = [{ call: step.map || {}, field: '.map', itemParam: (step.map && step.map.itemParam) || 'item' }];
+
+      if (step.reduce && step.reduce.toolId) {
+        calls.push({ call: step.reduce, field: '.reduce', itemParam: step.reduce.itemsParam || 'items' });
+      }
+
+      return calls;
+    }
+
+    default:
+      return [{ call: step, field: '' }];
+  }
+}
+
+/**
+ * Lists the dependencies control-flow steps imply: the steps a condition or `items`
+ * refers to come first, and an `if` step comes before the steps of both its branches.
+ *
+ * @param {Object[]} steps The plan's steps
+ * @returns {Array<{ from: string, to: string }>} One entry per dependency, like the plan's data flow
+ */
+export function getControlFlowDependencies(steps) {
+  const stepIds = new Set(steps.map(step => step.stepId));
+  const dependencies = [];
+
+  for (const step of steps) {
+    for (const stepId of getReferencedSteps(step)) {
+      if (stepIds.has(stepId)) dependencies.push({ from: stepId, to: step.stepId });
+    }
+
+    if (getStepKind(step) === 'if') {
+      for (const stepId of [...(step.then || []), ...(step.else || [])]) {
+        dependencies.push({ from: step.stepId, to: stepId });
+      }
+    }
+  }
+
+  return dependencies;
+}
+
+/**
+ * Gets the IDs of the steps a step's condition or `items` refers to, e.g. step_1 for `$.step_1.result.rowCount`.
+ * Invalid expressions and paths refer to nothing; plan validation reports them.
+ */
+export function getReferencedSteps(step) {
+  try {
+    const paths = getStepKind(step) === 'if'
+      ? getExpressionPaths(step.condition)
+      : ['foreach', 'map-reduce'].includes(getStepKind(step)) ? [step.items] : [];
+
+    return [...new Set(paths.map(path => parsePath(path)[0]).filter(segment => typeof segment === 'string'))];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Gets the values a map-reduce step combines: the outputs of its map calls, or `reduce.path` selected from each
+ */
+export function selectReduceInputs(reduce, outputs) {
+  return reduce.path ? outputs.map(output => selectPath(output, reduce.path)) : outputs;
+}
+
+/**
+ * Combines values with one of the built-in reduce operations
+ */
+export function reduceValues(operation, values) {
+  if (!Object.hasOwn(REDUCE_OPERATIONS, operation)) {
+    throw new Error(`Unknown reduce operation: ${operation}`);
+  }
+
+  return REDUCE_OPERATIONS[operation](values);
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+import { logger } from '../utils/logger.js';
+import { selectPath } from '../utils/data-mapping.js';
+
+// Methods that are safe to send more than once
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Methods that carry their parameters in the query string
+const QUERY_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+// HTTP status codes worth retrying
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULT_TIMEOUT = parseInt(process.env.HTTP_TOOL_TIMEOUT || '30000', 10);
+const DEFAULT_RETRIES = parseInt(process.env.HTTP_TOOL_RETRIES || '2', 10);
+const DEFAULT_RETRY_DELAY = 500;
+
+/**
+ * Executes a tool via HTTP using its executionConfig.
+ *
+ * Supported config fields:
+ * - url, method (default POST), headers
+ * - timeout: per-attempt timeout in ms
+ * - retries / retryDelay: retry budget and base backoff for idempotent requests
+ * - idempotent: set to true to allow retries for non-idempotent methods
+ * - responseMapping: { outputKey: '$.path.in.response' } to reshape the JSON body
+ *
+ * @param {Object} config The tool's executionConfig
+ * @param {Object} params The step's input parameters
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Cancels the request, including any retries
+ * @returns {Promise<Object>} The mapped response
+ */
+export async function executeHttpTool(config, params, { signal } = {}) {
+  if (!config.url) {
+    throw new Error('HTTP tool is missing executionConfig.url');
+  }
+
+  const method = (config.method || 'POST').toUpperCase();
+  const timeout = config.timeout || DEFAULT_TIMEOUT;
+  const retries = config.retries !== undefined ? config.retries : DEFAULT_RETRIES;
+  const retryDelay = config.retryDelay || DEFAULT_RETRY_DELAY;
+  const canRetry = config.idempotent === true || IDEMPOTENT_METHODS.includes(method);
+  const maxAttempts = canRetry ? retries + 1 : 1;
+
+  const request = buildRequest(config, method, params);
+
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      logger.info(`Calling HTTP tool ${method} ${request.url} (attempt ${attempt}/${maxAttempts})`);
+
+      const body = await sendRequest(request, timeout, signal);
+
+      return mapResponse(body, config.responseMapping);
+    } catch (error) {
+      lastError = error;
+
+      if (!error.retryable || attempt === maxAttempts) {
+        break;
+      }
+
+      // Exponential backoff: retryDelay, 2 * retryDelay, 4 * retryDelay, ...
+      const delay = retryDelay * Math.pow(2, attempt - 1);
+      logger.warn(`HTTP tool call failed (${error.message}). Retrying in ${delay}ms`);
+      await wait(delay, signal);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Builds the URL and fetch options for a request
+ */
+function buildRequest(config, method, params) {
+  const url = new URL(config.url);
+  const headers = { ...(config.headers || {}) };
+  const options = { method, headers };
+
+  if (QUERY_METHODS.includes(method)) {
+    for (const [key, value] of Object.entries(params || {})) {
+      if (value === undefined || value === null) continue;
+      url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  } else {
+    if (!Object.keys(headers).some(header => header.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+    options.body = JSON.stringify(params || {});
+  }
+
+  return { url: url.toString(), options };
+}
+
+/**
+ * Waits between retries, giving up early if the call is cancelled
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('HTTP tool call was cancelled'));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Sends a single request, enforcing the timeout and parsing the body
+ */
+async function sendRequest(request, timeout, signal) {
+  if (signal && signal.aborted) {
+    throw new Error(`Request to ${request.url} was cancelled`);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let response;
+  let text;
+
+  // The timeout covers reading the body too, so a server that stalls mid-response can't hang the call
+  try {
+    response = await fetch(request.url, {
+      ...request.options,
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+    });
+    text = await response.text();
+  } catch (error) {
+    // Cancelled calls aren't retried
+    if (signal && signal.aborted) {
+      throw new Error(`Request to ${request.url} was cancelled`);
+    }
+
+    const message = error.name === 'AbortError'
+      ? `Request to ${request.url} timed out after ${timeout}ms`
+      : `Request to ${request.url} failed: ${error.message}`;
+
+    throw Object.assign(new Error(message), { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const body = parseBody(text, response.headers.get('content-type'));
+
+  if (!response.ok) {
+    const detail = body && typeof body === 'object' && body.error ? body.error : response.statusText;
+
+    throw Object.assign(new Error(`HTTP ${response.status} from ${request.url}: ${detail}`), {
+      status: response.status,
+      body,
+      retryable: RETRYABLE_STATUS_CODES.includes(response.status)
+    });
+  }
+
+  return body;
+}
+
+/**
+ * Parses a response body as JSON when possible
+ */
+function parseBody(text, contentType) {
+  if (!text) {
+    return null;
+  }
+
+  if ((contentType && contentType.includes('json')) || /^\s*[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      logger.warn('HTTP tool returned malformed JSON; using raw text');
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Maps a response body into a step result.
+ * Results always expose a `result` key so data flow mappings can pick it up.
+ */
+function mapResponse(body, responseMapping) {
+  if (responseMapping) {
+    const mapped = {};
+
+    for (const [outputKey, sourcePath] of Object.entries(responseMapping)) {
+      mapped[outputKey] = selectPath(body, sourcePath);
+    }
+
+    return mapped;
+  }
+
+  if (body && typeof body === 'object' && !Array.isArray(body) && 'result' in body) {
+    return body;
+  }
+
+  return { result: body };
+}
\ No newline at end of file
@@ -1,16 +1,49 @@
 import { logger } from '../utils/logger.js';
 import { registry } from '../registry/index.js';
+import { supervisor } from '../supervisor/index.js';
+import { executeHttpTool } from './http.js';
+import { executeCommandLineTool } from './command-line.js';
+import { selectPath, applyTransform } from '../utils/data-mapping.js';
+import { assertValid, ValidationError } from '../utils/validation.js';
+import { McpSessionPool, getMcpConnection, mapToolCallResult } from '../mcp/client.js';
+import { isToolAllowed, isIntentAllowed } from '../auth/index.js';
+import { resultCache } from '../cache/index.js';
+import { toolLimiter, CircuitOpenError } from '../limits/index.js';
+import { evaluateExpression } from '../utils/expressions.js';
+import {
+  MAX_LOOP_ITERATIONS,
+  getStepKind,
+  getStepTools,
+  getControlFlowDependencies,
+  selectReduceInputs,
+  reduceValues
+} from './control-flow.js';
+
+// Maximum number of steps of one plan that run at the same time
+const DEFAULT_CONCURRENCY = parseInt(process.env.EXECUTION_CONCURRENCY || '4', 10);
+
+// Delay before the first retry of a failed step, unless its failure policy says otherwise
+const DEFAULT_RETRY_DELAY = parseInt(process.env.STEP_RETRY_DELAY || '500', 10);
 
 /**
- * Executes a plan by running each step in sequence and handling data flow.
+ * Executes a plan as a dependency graph: each step starts once all of its
+ * parents have succeeded, and independent steps run concurrently.
+ * 
+ * Besides tool calls, steps can branch (`if`) and loop over upstream arrays
+ * (`foreach`, `map-reduce`); see control-flow.js. Steps of the branch an `if`
+ * didn't take are skipped, as are steps all of whose parents were skipped.
  * 
  * @param {Object} plan The execution plan created by the orchestrator
+ * @param {Object} [options]
+ * @param {Object} [options.access] The client's tool and intent allowlists; plans using anything else are refused
+ * @param {AbortSignal} [options.signal] Cancels the execution: no new steps start and running tool calls are aborted
+ * @param {Function} [options.onEvent] Called with progress events: step-started, step-progress and step-finished
+ *   (with `skipped` set for skipped steps)
+ * @param {boolean} [options.cache] Whether cacheable tools may reuse cached results (default true); fresh results are cached either way
  * @returns {Object} The execution results
  */
-export async function executeRequest(plan) {
-  logger.info(`Executing plan ${plan.planId} with ${plan.steps.length} steps`);
-  
-  // Check if plan can be executed
+export async function executeRequest(plan, { access, signal, onEvent, cache = true } = {}) {
+  // Check if plan can be executed (plans that can't may have no steps at all)
   if (!plan.canExecute) {
     return {
       success: false,
@@ -19,128 +52,916 @@ export async function executeRequest(plan) {
     };
   }
   
+  logger.info(`Executing plan ${plan.planId} with ${plan.steps.length} steps`);
+  
+  // Plans may come from elsewhere than the orchestrator, so check them against the allowlists again
+  const forbiddenSteps = findForbiddenSteps(plan, access);
+  
+  if (forbiddenSteps.length > 0) {
+    return {
+      success: false,
+      reason: `Not permitted to run steps: ${forbiddenSteps.map(describeStepTools).join(', ')}`
+    };
+  }
+  
   // Store results of each step
   const stepResults = {};
   
   // Track overall success
   let overallSuccess = true;
   let errorMessage = null;
+  let validationErrors = null;
   
-  // Execute each step in sequence
-  for (const step of plan.steps) {
-    try {
-      logger.info(`Executing step ${step.stepId} with tool ${step.toolId}`);
+  const startTime = Date.now();
+  
+  // MCP sessions are shared by all steps of this plan
+  const isCancelled = () => Boolean(signal && signal.aborted);
+  const context = { mcpSessions: new McpSessionPool(), signal, isCancelled, useCache: cache, emit: createEmitter(plan, onEvent) };
+  
+  const dependencies = buildDependencyMap(plan);
+  const concurrency = Math.max(1, plan.concurrency || DEFAULT_CONCURRENCY);
+  
+  const pending = [...plan.steps];
+  const running = new Map();
+  
+  // Steps of the branches `if` steps didn't take, with the reason they're skipped
+  const notTaken = new Map();
+  
+  const runStep = async step => {
+    const stepResult = await executeStep(step, stepResults, plan.dataFlow || {}, context);
+    stepResults[step.stepId] = stepResult;
+    
+    if (getStepKind(step) === 'if' && stepResult.success) {
+      const { branch } = stepResult.result;
+      
+      for (const stepId of (branch === 'then' ? step.else : step.then) || []) {
+        notTaken.set(stepId, `Branch not taken: the condition of step ${step.stepId} was ${branch === 'then'}`);
+      }
+    }
+    
+    // Stop scheduling new steps after the first failure, unless the step's policy says to carry on
+    if (!stepResult.success && !stepResult.continued && overallSuccess) {
+      overallSuccess = false;
+      errorMessage = stepResult.toolMissing
+        ? stepResult.error
+        : `Error in step ${step.stepId}: ${stepResult.error}`;
       
-      // Get the tool instance
-      const toolInstance = await getToolInstance(step.toolId);
+      if (stepResult.validationErrors) {
+        validationErrors = { stepId: step.stepId, errors: stepResult.validationErrors };
+      }
+    }
+  };
+  
+  while (pending.length > 0 || running.size > 0) {
+    // Launch every step whose parents have all succeeded (or failed but let the plan carry on), up to the concurrency limit.
+    // Skipping a step can make others ready, so look again until nothing more is skipped.
+    let lookAgain = overallSuccess && !isCancelled();
+    
+    while (lookAgain) {
+      lookAgain = false;
       
-      if (!toolInstance) {
-        logger.error(`Tool ${step.toolId} not found`);
-        stepResults[step.stepId] = {
-          success: false,
-          error: `Tool ${step.toolId} not found`
-        };
+      for (const step of [...pending]) {
+        if (running.size >= concurrency) break;
+        
+        const parents = dependencies.get(step.stepId);
+        const ready = parents.every(parentId => 
+          stepResults[parentId] && (stepResults[parentId].success || stepResults[parentId].continued)
+        );
+        
+        if (!ready) continue;
+        
+        pending.splice(pending.indexOf(step), 1);
+        
+        const skipReason = notTaken.get(step.stepId) ||
+          (parents.length > 0 && parents.every(parentId => stepResults[parentId].skipped) ? 'All of its parents were skipped' : null);
+        
+        if (skipReason) {
+          stepResults[step.stepId] = skipStep(step, skipReason, context);
+          lookAgain = true;
+        } else {
+          running.set(step.stepId, runStep(step).finally(() => running.delete(step.stepId)));
+        }
+      }
+    }
+    
+    if (running.size === 0) {
+      // Nothing is running and nothing can start: the remaining steps can never run
+      if (pending.length > 0 && overallSuccess && !isCancelled()) {
         overallSuccess = false;
-        errorMessage = `Tool ${step.toolId} not found`;
-        break;
+        errorMessage = `Steps ${pending.map(step => step.stepId).join(', ')} have unsatisfiable dependencies`;
       }
+      break;
+    }
+    
+    await Promise.race(running.values());
+  }
+  
+  await context.mcpSessions.closeAll();
+  
+  // Steps that fail because they were aborted are reported as a cancellation
+  const cancelled = isCancelled();
+  
+  if (cancelled) {
+    overallSuccess = false;
+    errorMessage = 'Execution was cancelled';
+    logger.info(`Execution of plan ${plan.planId} was cancelled`);
+  }
+  
+  const endTime = Date.now();
+  
+  // Which failure policies fired, per step
+  const policies = {};
+  
+  for (const [stepId, stepResult] of Object.entries(stepResults)) {
+    if (stepResult.policies) policies[stepId] = stepResult.policies;
+  }
+  
+  return {
+    planId: plan.planId,
+    success: overallSuccess,
+    cancelled: cancelled || undefined,
+    stepResults,
+    policies: Object.keys(policies).length > 0 ? policies : undefined,
+    error: errorMessage,
+    validationErrors: validationErrors || undefined,
+    startedAt: new Date(startTime).toISOString(),
+    finishedAt: new Date(endTime).toISOString(),
+    durationMs: endTime - startTime,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Works out what executing a plan would do without calling any tools: the tool
+ * version each step would use, the arguments it would be called with, and the
+ * stage it would run in (steps of the same stage can run concurrently).
+ * Arguments bound to an upstream step's output are shown as references of the
+ * form { $from: stepId, path, transform }, and the item each loop iteration
+ * receives as { $each: items }. Both branches of an `if` are listed.
+ *
+ * @param {Object} plan The execution plan
+ * @param {Object} [options]
+ * @param {Object} [options.access] The client's tool and intent allowlists
+ * @returns {Promise<Object>} { planId, dryRun, success, calls, error }
+ */
+export async function dryRunRequest(plan, { access } = {}) {
+  if (!plan.canExecute) {
+    return {
+      planId: plan.planId,
+      dryRun: true,
+      success: false,
+      reason: plan.reason || 'Plan cannot be executed',
+      suggestedTools: plan.suggestedTools
+    };
+  }
+  
+  const forbiddenSteps = findForbiddenSteps(plan, access);
+  
+  if (forbiddenSteps.length > 0) {
+    return {
+      planId: plan.planId,
+      dryRun: true,
+      success: false,
+      reason: `Not permitted to run steps: ${forbiddenSteps.map(describeStepTools).join(', ')}`
+    };
+  }
+  
+  const dependencies = buildDependencyMap(plan);
+  const stages = new Map();
+  const calls = [];
+  const errors = [];
+  
+  // Visit steps in dependency order, each one stage after its latest parent
+  const pending = [...plan.steps];
+  
+  while (pending.length > 0) {
+    const ready = pending.filter(step => dependencies.get(step.stepId).every(parentId => stages.has(parentId)));
+    
+    if (ready.length === 0) {
+      errors.push(`Steps ${pending.map(step => step.stepId).join(', ')} have unsatisfiable dependencies`);
+      break;
+    }
+    
+    for (const step of ready) {
+      pending.splice(pending.indexOf(step), 1);
       
-      // Transform input parameters if needed based on data flow
-      const inputParams = await transformInputParams(step, stepResults, plan.dataFlow);
+      const parents = dependencies.get(step.stepId);
+      const stage = 1 + Math.max(0, ...parents.map(parentId => stages.get(parentId)));
+      stages.set(step.stepId, stage);
       
-      // Execute the tool
-      const result = await executeTool(toolInstance, inputParams);
+      const call = { stepId: step.stepId, stage, kind: step.kind };
       
-      // Store the result
-      stepResults[step.stepId] = {
-        success: true,
-        result
+      // Arguments bound to upstream outputs, and to each item of a loop
+      const bindArguments = (target, itemParam, itemValue) => {
+        const args = bindInputParams({ stepId: step.stepId, inputParams: target.inputParams }, plan.dataFlow || {}, (connection, mapping) => ({
+          $from: connection.from,
+          path: mapping.fromPath || `$.${mapping.fromParam}`,
+          transform: mapping.transform
+        }));
+        
+        return itemParam ? { ...args, [itemParam]: itemValue } : args;
       };
       
-      logger.info(`Step ${step.stepId} completed successfully`);
-    } catch (error) {
-      logger.error(`Error executing step ${step.stepId}:`, error);
+      switch (getStepKind(step)) {
+        case 'if':
+          Object.assign(call, { condition: step.condition, then: step.then || [], else: step.else || [] });
+          break;
+          
+        case 'foreach':
+          Object.assign(call, await describeToolCall(step, errors), {
+            items: step.items,
+            maxIterations: Math.min(step.maxIterations || MAX_LOOP_ITERATIONS, MAX_LOOP_ITERATIONS),
+            failurePolicy: getFailurePolicy(findTool(step), step),
+            arguments: bindArguments(step, step.itemParam || 'item', { $each: step.items })
+          });
+          break;
+          
+        case 'map-reduce':
+          Object.assign(call, {
+            items: step.items,
+            maxIterations: Math.min(step.maxIterations || MAX_LOOP_ITERATIONS, MAX_LOOP_ITERATIONS),
+            map: {
+              ...await describeToolCall(step.map, errors),
+              arguments: bindArguments(step.map, step.map.itemParam || 'item', { $each: step.items })
+            },
+            reduce: step.reduce.toolId ? {
+              ...await describeToolCall(step.reduce, errors),
+              arguments: { ...step.reduce.inputParams, [step.reduce.itemsParam || 'items']: { $mapped: step.stepId, path: step.reduce.path } }
+            } : { operation: step.reduce.operation, path: step.reduce.path },
+            failurePolicy: getFailurePolicy(undefined, step)
+          });
+          break;
+          
+        default:
+          Object.assign(call, await describeToolCall(step, errors), {
+            failurePolicy: getFailurePolicy(findTool(step), step),
+            arguments: bindArguments(step)
+          });
+      }
       
-      stepResults[step.stepId] = {
-        success: false,
-        error: error.message
-      };
+      call.dependsOn = parents;
+      calls.push(call);
+    }
+  }
+  
+  return {
+    planId: plan.planId,
+    dryRun: true,
+    success: errors.length === 0,
+    calls,
+    error: errors.length > 0 ? errors.join('; ') : undefined
+  };
+}
+
+/**
+ * Finds the steps of a plan that use a tool or intent the client isn't allowed
+ */
+function findForbiddenSteps(plan, access) {
+  return plan.steps.filter(step => 
+    getStepTools(step).some(({ call }) => !isToolAllowed(access, String(call.toolId).split('@')[0])) ||
+    (step.intent && !isIntentAllowed(access, step.intent))
+  );
+}
+
+// e.g. "step_2 (csv-loader)"
+function describeStepTools(step) {
+  return `${step.stepId} (${getStepTools(step).map(({ call }) => call.toolId).join(', ')})`;
+}
+
+/**
+ * Describes the tool a step or one of its calls would use, for dry runs
+ */
+async function describeToolCall(target, errors) {
+  const tool = await getToolInstance(target);
+  
+  if (!tool) {
+    errors.push(`Tool ${target.toolId} not found`);
+  }
+  
+  return {
+    toolId: target.toolId,
+    toolVersion: tool ? tool.version : undefined,
+    deprecated: tool && tool.deprecated ? tool.deprecated : undefined,
+    call: tool ? describeCall(tool) : undefined
+  };
+}
+
+/**
+ * Describes how a tool would be called, for dry runs
+ */
+function describeCall(tool) {
+  if (tool.execute && typeof tool.execute === 'function') {
+    return { type: 'javascript' };
+  }
+  
+  if (tool.type === 'mcp-server' && (tool.mcp || !tool.executionConfig)) {
+    const connection = getMcpConnection(tool);
+    return {
+      type: 'mcp',
+      transport: connection ? connection.transport : undefined,
+      tool: tool.mcpToolName || tool.id
+    };
+  }
+  
+  const config = tool.executionConfig || {};
+  
+  switch (config.type) {
+    case 'http':
+      return { type: 'http', method: (config.method || 'POST').toUpperCase(), url: config.url };
       
-      overallSuccess = false;
-      errorMessage = `Error in step ${step.stepId}: ${error.message}`;
+    case 'command-line':
+      return { type: 'command-line', command: config.command, args: config.args || [] };
+      
+    default:
+      return { type: config.type };
+  }
+}
+
+/**
+ * Executes a single step, reporting when it starts, how it progresses and how it finished.
+ *
+ * When the step's tool fails, the failure policy (the tool's `failurePolicy`, overridden
+ * field by field by the step's) decides what happens next: retries with exponential
+ * backoff, the step's fallback tools in order, compensating `onFailure` calls, and
+ * whether the rest of the plan carries on. The step result lists the policies that
+ * fired and, when there was more than one, every attempt.
+ */
+async function executeStep(step, stepResults, dataFlow, context) {
+  context.emit('step-started', { stepId: step.stepId, toolId: step.toolId });
+  
+  const stepContext = {
+    ...context,
+    onProgress: progress => context.emit('step-progress', { stepId: step.stepId, toolId: step.toolId, ...progress })
+  };
+  
+  // Fallbacks, compensation and carrying on are governed by the policy of the step's own tool
+  const stepPolicy = getFailurePolicy(findTool(step), step);
+  const fallbacks = stepPolicy.fallback ? step.fallbackTools || [] : [];
+  
+  const policies = new Set();
+  const attempts = [];
+  let stepResult;
+  
+  for (let candidate = 0; candidate <= fallbacks.length; candidate++) {
+    const target = candidate === 0 ? step : {
+      ...step,
+      ...fallbacks[candidate - 1],
+      inputParams: fallbacks[candidate - 1].inputParams || step.inputParams
+    };
+    
+    if (candidate > 0) {
+      policies.add('fallback');
+      logger.warn(`Step ${step.stepId} falling back to tool ${target.toolId}`);
+    }
+    
+    // Each tool is retried according to its own policy
+    const policy = candidate === 0 ? stepPolicy : getFailurePolicy(findTool(target), step);
+    
+    for (let attempt = 1; ; attempt++) {
+      stepResult = await performStep(target, stepResults, dataFlow, stepContext);
+      
+      attempts.push({
+        toolId: target.toolId,
+        toolVersion: stepResult.toolVersion,
+        attempt,
+        success: stepResult.success,
+        error: stepResult.error,
+        durationMs: stepResult.durationMs
+      });
+      
+      if (stepResult.success || context.isCancelled() || !isRetryable(stepResult) || attempt > policy.retries) {
+        break;
+      }
+      
+      // Exponential backoff: retryDelay, 2 * retryDelay, 4 * retryDelay, ...
+      const delay = policy.retryDelay * Math.pow(2, attempt - 1);
+      policies.add('retry');
+      logger.warn(`Step ${step.stepId} failed (${stepResult.error}). Retrying in ${delay}ms`);
+      await sleep(delay, context.signal);
+    }
+    
+    if (stepResult.success || context.isCancelled()) {
       break;
     }
   }
   
+  if (!stepResult.success && !context.isCancelled()) {
+    if (stepPolicy.onFailure.length > 0) {
+      policies.add('on-failure');
+      stepResult.compensations = await runCompensations(step, stepPolicy.onFailure, stepContext);
+    }
+    
+    if (stepPolicy.continueOnError) {
+      policies.add('continue-on-error');
+      stepResult.continued = true;
+      logger.warn(`Step ${step.stepId} failed; continuing because its policy allows it`);
+    }
+  }
+  
+  if (policies.size > 0) {
+    stepResult.policies = [...policies];
+  }
+  
+  if (attempts.length > 1) {
+    stepResult.attempts = attempts;
+  }
+  
+  context.emit('step-finished', {
+    stepId: step.stepId,
+    toolId: stepResult.toolId,
+    success: stepResult.success,
+    error: stepResult.error,
+    policies: stepResult.policies,
+    cache: stepResult.cache,
+    durationMs: stepResult.durationMs
+  });
+  
+  return stepResult;
+}
+
+/**
+ * Makes the compensating tool calls of a failed step. Their failures are
+ * reported but don't change the outcome of the step.
+ */
+async function runCompensations(step, calls, context) {
+  const compensations = [];
+  
+  for (const [index, call] of calls.entries()) {
+    logger.info(`Running compensating call ${index + 1} of step ${step.stepId} with tool ${call.toolId}`);
+    
+    const result = await runTool({
+      stepId: `${step.stepId}:onFailure:${index + 1}`,
+      toolId: call.toolId,
+      toolVersion: call.toolVersion,
+      inputParams: call.inputParams || {}
+    }, {}, {}, context);
+    
+    compensations.push(result);
+  }
+  
+  return compensations;
+}
+
+/**
+ * Combines the default failure policy with a tool's and a step's
+ */
+function getFailurePolicy(tool, step) {
   return {
-    planId: plan.planId,
-    success: overallSuccess,
-    stepResults,
-    error: errorMessage,
-    timestamp: new Date().toISOString()
+    retries: 0,
+    retryDelay: DEFAULT_RETRY_DELAY,
+    fallback: false,
+    continueOnError: false,
+    onFailure: [],
+    ...(tool ? tool.failurePolicy : undefined),
+    ...step.failurePolicy
+  };
+}
+
+// Retrying doesn't help with a missing tool, inputs and outputs that don't match their schemas
+// or a tool whose circuit breaker is open
+function isRetryable(stepResult) {
+  return !stepResult.toolMissing && !stepResult.validationErrors && !stepResult.circuitOpen;
+}
+
+/**
+ * Waits before a retry; cancelling the execution ends the wait early
+ */
+function sleep(delay, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    
+    const timer = setTimeout(done, delay);
+    
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Runs a step according to its kind
+ */
+async function performStep(step, stepResults, dataFlow, context) {
+  switch (getStepKind(step)) {
+    case 'if':
+      return evaluateCondition(step, stepResults);
+      
+    case 'foreach':
+    case 'map-reduce':
+      return runLoop(step, stepResults, dataFlow, context);
+      
+    default:
+      return runTool(step, stepResults, dataFlow, context);
+  }
+}
+
+/**
+ * Evaluates an `if` step's condition over the results of the steps before it.
+ * The step's result says which branch runs.
+ */
+function evaluateCondition(step, stepResults) {
+  const timing = startTimer();
+  
+  try {
+    const value = Boolean(evaluateExpression(step.condition, stepResults));
+    
+    logger.info(`Condition of step ${step.stepId} is ${value}`);
+    
+    return {
+      success: true,
+      result: { value, branch: value ? 'then' : 'else' },
+      ...timing()
+    };
+  } catch (error) {
+    logger.error(`Error evaluating the condition of step ${step.stepId}:`, error);
+    return { success: false, error: error.message, ...timing() };
+  }
+}
+
+/**
+ * Runs a `foreach` or `map-reduce` step: calls its tool once for every element of
+ * `items`, a few at a time, and for map-reduce combines the outputs. The loop
+ * stops at the first failed iteration; loops over more elements than
+ * `maxIterations` (at most MAX_LOOP_ITERATIONS) fail without running.
+ */
+async function runLoop(step, stepResults, dataFlow, context) {
+  const timing = startTimer();
+  const mapCall = getStepKind(step) === 'map-reduce' ? step.map : step;
+  const itemParam = mapCall.itemParam || 'item';
+  
+  try {
+    const items = selectPath(stepResults, step.items);
+    
+    if (!Array.isArray(items)) {
+      throw new Error(`Items ${step.items} of step ${step.stepId} are not an array`);
+    }
+    
+    const limit = Math.min(step.maxIterations || MAX_LOOP_ITERATIONS, MAX_LOOP_ITERATIONS);
+    
+    if (items.length > limit) {
+      throw new Error(`Step ${step.stepId} has ${items.length} items, more than its limit of ${limit} iterations`);
+    }
+    
+    if (!findTool(mapCall)) {
+      return { success: false, toolId: mapCall.toolId, error: `Tool ${mapCall.toolId} not found`, toolMissing: true, ...timing() };
+    }
+    
+    // Inputs from upstream steps are the same for every iteration
+    const inputParams = await transformInputParams({ stepId: step.stepId, inputParams: mapCall.inputParams }, stepResults, dataFlow);
+    
+    logger.info(`Running step ${step.stepId} over ${items.length} items with tool ${mapCall.toolId}`);
+    
+    const results = await runIterations(items, step.concurrency || DEFAULT_CONCURRENCY, (item, index) => runTool({
+      stepId: `${step.stepId}[${index}]`,
+      toolId: mapCall.toolId,
+      toolVersion: mapCall.toolVersion,
+      inputParams: { ...inputParams, [itemParam]: item }
+    }, {}, {}, context), context);
+    
+    const iterations = results
+      .map((result, index) => result && { index, success: result.success, error: result.error, durationMs: result.durationMs })
+      .filter(Boolean);
+    
+    const failed = iterations.find(iteration => !iteration.success);
+    const stepResult = {
+      toolId: mapCall.toolId,
+      toolVersion: results.length > 0 && results[0] ? results[0].toolVersion : undefined,
+      inputParams,
+      iterations
+    };
+    
+    if (failed || iterations.length < items.length) {
+      return {
+        ...stepResult,
+        success: false,
+        error: failed
+          ? `Iteration ${failed.index + 1} of ${items.length} failed: ${failed.error}`
+          : 'Execution was cancelled',
+        validationErrors: failed ? results[failed.index].validationErrors : undefined,
+        ...timing()
+      };
+    }
+    
+    const outputs = results.map(result => result.result);
+    
+    if (getStepKind(step) === 'foreach') {
+      return { ...stepResult, success: true, result: outputs, ...timing() };
+    }
+    
+    // Combine the outputs with a built-in operation or a tool
+    const values = selectReduceInputs(step.reduce, outputs);
+    
+    if (!step.reduce.toolId) {
+      return { ...stepResult, success: true, result: reduceValues(step.reduce.operation, values), ...timing() };
+    }
+    
+    const reduced = await runTool({
+      stepId: `${step.stepId}:reduce`,
+      toolId: step.reduce.toolId,
+      toolVersion: step.reduce.toolVersion,
+      inputParams: { ...step.reduce.inputParams, [step.reduce.itemsParam || 'items']: values }
+    }, {}, {}, context);
+    
+    return {
+      ...stepResult,
+      success: reduced.success,
+      result: reduced.result,
+      reduce: { toolId: reduced.toolId, toolVersion: reduced.toolVersion },
+      error: reduced.success ? undefined : `Reduce with tool ${step.reduce.toolId} failed: ${reduced.error}`,
+      validationErrors: reduced.validationErrors,
+      toolMissing: reduced.toolMissing,
+      ...timing()
+    };
+  } catch (error) {
+    logger.error(`Error executing step ${step.stepId}:`, error);
+    return { success: false, toolId: mapCall.toolId, error: error.message, ...timing() };
+  }
+}
+
+/**
+ * Calls `run` for each item with at most `concurrency` calls at a time. No new
+ * calls start after one fails or the execution is cancelled, so the results of
+ * items that never ran are left empty.
+ */
+async function runIterations(items, concurrency, run, context) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  
+  const worker = async () => {
+    while (next < items.length && !failed && !context.isCancelled()) {
+      const index = next++;
+      results[index] = await run(items[index], index);
+      
+      if (!results[index].success) failed = true;
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  
+  return results;
+}
+
+/**
+ * Records a step that doesn't run because of an `if` upstream
+ */
+function skipStep(step, reason, context) {
+  logger.info(`Skipping step ${step.stepId}: ${reason}`);
+  
+  context.emit('step-finished', { stepId: step.stepId, toolId: step.toolId, success: true, skipped: true, reason });
+  
+  return { success: true, skipped: true, reason, toolId: step.toolId };
+}
+
+/**
+ * Runs a step's tool and records its timing
+ */
+async function runTool(step, stepResults, dataFlow, context) {
+  const timing = startTimer();
+  
+  // The tool and the inputs it was called with, kept for the execution history
+  let toolInstance;
+  let inputParams;
+  
+  try {
+    logger.info(`Executing step ${step.stepId} with tool ${step.toolId}`);
+    
+    // Get the tool instance
+    toolInstance = await getToolInstance(step);
+    
+    if (!toolInstance) {
+      logger.error(`Tool ${step.toolId} not found`);
+      return {
+        success: false,
+        toolId: step.toolId,
+        error: `Tool ${step.toolId} not found`,
+        toolMissing: true,
+        ...timing()
+      };
+    }
+    
+    // Transform input parameters if needed based on data flow
+    inputParams = await transformInputParams(step, stepResults, dataFlow);
+    
+    // Validate the inputs and outputs against the tool's declared schemas
+    if (toolInstance.inputSchema) {
+      assertValid(toolInstance.inputSchema, inputParams, `input for tool ${toolInstance.id}`);
+    }
+    
+    // Deterministic tools can reuse the result of an earlier call with the same inputs
+    const cacheable = Boolean(toolInstance.cacheable);
+    const cached = cacheable && context.useCache ? await resultCache.get(toolInstance, inputParams) : undefined;
+    
+    if (cached) {
+      logger.info(`Step ${step.stepId} reused a cached result of tool ${toolInstance.id}`);
+      
+      return {
+        success: true,
+        toolId: toolInstance.id,
+        toolVersion: toolInstance.version,
+        result: cached.value,
+        inputParams,
+        cache: 'hit',
+        ...timing()
+      };
+    }
+    
+    // Execute the tool once its rate limit, concurrency cap and circuit breaker allow it
+    const result = await toolLimiter.run(toolInstance, () => executeTool(toolInstance, inputParams, context), {
+      signal: context.signal
+    });
+    
+    if (toolInstance.outputSchema) {
+      assertValid(toolInstance.outputSchema, result, `output from tool ${toolInstance.id}`);
+    }
+    
+    if (cacheable) {
+      await resultCache.set(toolInstance, inputParams, result);
+    }
+    
+    logger.info(`Step ${step.stepId} completed successfully`);
+    
+    return {
+      success: true,
+      toolId: toolInstance.id,
+      toolVersion: toolInstance.version,
+      result,
+      inputParams,
+      // 'bypass' when the client asked for fresh results
+      cache: cacheable ? (context.useCache ? 'miss' : 'bypass') : undefined,
+      ...timing()
+    };
+  } catch (error) {
+    logger.error(`Error executing step ${step.stepId}:`, error);
+    
+    return {
+      success: false,
+      toolId: toolInstance ? toolInstance.id : step.toolId,
+      toolVersion: toolInstance ? toolInstance.version : undefined,
+      error: error.message,
+      validationErrors: error instanceof ValidationError ? error.errors : undefined,
+      circuitOpen: error instanceof CircuitOpenError || undefined,
+      inputParams,
+      ...timing()
+    };
+  }
+}
+
+/**
+ * Starts timing a step; the returned function gives its start, end and duration
+ */
+function startTimer() {
+  const startTime = Date.now();
+  
+  return () => {
+    const endTime = Date.now();
+    return {
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: new Date(endTime).toISOString(),
+      durationMs: endTime - startTime
+    };
   };
 }
 
 /**
- * Gets a tool instance by ID
+ * Creates the function steps use to report progress. Listeners that throw
+ * are logged and otherwise ignored so they can't break the execution.
  */
-async function getToolInstance(toolId) {
-  const tools = registry.getTools();
-  return tools.find(tool => tool.id === toolId);
+function createEmitter(plan, onEvent) {
+  return (type, data) => {
+    if (!onEvent) return;
+    
+    try {
+      onEvent({ type, planId: plan.planId, ...data, timestamp: new Date().toISOString() });
+    } catch (error) {
+      logger.warn(`Error handling ${type} event for plan ${plan.planId}: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Collects each step's parents from its dependsOn list, the plan's data flow and its control flow
+ */
+function buildDependencyMap(plan) {
+  const dependencies = new Map(plan.steps.map(step => [step.stepId, new Set(step.dependsOn || [])]));
+  
+  for (const flow of [...Object.values(plan.dataFlow || {}), ...getControlFlowDependencies(plan.steps)]) {
+    if (dependencies.has(flow.to)) {
+      dependencies.get(flow.to).add(flow.from);
+    }
+  }
+  
+  return new Map([...dependencies].map(([stepId, parents]) => [stepId, [...parents]]));
+}
+
+/**
+ * Gets the tool a step runs. Steps can pin a version with `toolVersion`
+ * or put a semver range in the tool reference, e.g. "toolId@^1.2".
+ */
+async function getToolInstance(step) {
+  const ref = step.toolVersion ? `${step.toolId}@${step.toolVersion}` : step.toolId;
+  const tool = registry.resolveTool(ref);
+  
+  if (tool && tool.deprecated) {
+    logger.warn(`Step ${step.stepId} uses deprecated tool ${tool.id}@${tool.version}${typeof tool.deprecated === 'string' ? `: ${tool.deprecated}` : ''}`);
+  }
+  
+  return tool;
+}
+
+/**
+ * Looks up a step's tool without failing on invalid version ranges, which are reported when the step runs
+ */
+function findTool(step) {
+  try {
+    return registry.resolveTool(step.toolVersion ? `${step.toolId}@${step.toolVersion}` : step.toolId);
+  } catch (error) {
+    return undefined;
+  }
 }
 
 /**
  * Transforms input parameters based on data flow from previous steps
  */
 async function transformInputParams(step, stepResults, dataFlow) {
+  return bindInputParams(step, dataFlow, (connection, mapping) => {
+    const sourceStepResult = stepResults[connection.from];
+    
+    // Skip if the source step didn't complete successfully
+    if (!sourceStepResult || !sourceStepResult.success) {
+      return undefined;
+    }
+    
+    // fromPath is a JSONPath-style selector, fromParam a top-level key
+    const selector = mapping.fromPath || `$.${mapping.fromParam}`;
+    const selected = selectPath(sourceStepResult.result, selector);
+    return selected === undefined ? undefined : applyTransform(selected, mapping.transform);
+  });
+}
+
+/**
+ * Combines a step's own input parameters with the values its data flow connections provide
+ *
+ * @param {Object} step The step
+ * @param {Object} dataFlow The plan's data flow
+ * @param {Function} resolve Gets the value for one mapping of a connection, or undefined to leave it out
+ */
+function bindInputParams(step, dataFlow, resolve) {
   // Start with the step's defined input parameters
   const inputParams = { ...step.inputParams };
   
   // Look for data flow connections to this step
   const connections = Object.values(dataFlow).filter(flow => flow.to === step.stepId);
   
+  // Values per target parameter; a join with several parents receives an array
+  const boundValues = new Map();
+  
   for (const connection of connections) {
-    const sourceStepId = connection.from;
-    const sourceStepResult = stepResults[sourceStepId];
-    
-    // Skip if the source step didn't complete successfully
-    if (!sourceStepResult || !sourceStepResult.success) {
-      continue;
-    }
-    
-    // Apply the mappings
     for (const mapping of connection.mappings) {
-      const sourceValue = sourceStepResult.result[mapping.fromParam];
+      const sourceValue = resolve(connection, mapping);
       
       if (sourceValue !== undefined) {
-        inputParams[mapping.toParam] = sourceValue;
+        if (!boundValues.has(mapping.toParam)) {
+          boundValues.set(mapping.toParam, []);
+        }
+        boundValues.get(mapping.toParam).push(sourceValue);
       }
     }
   }
   
+  for (const [toParam, values] of boundValues) {
+    inputParams[toParam] = values.length === 1 ? values[0] : values;
+  }
+  
   return inputParams;
 }
 
 /**
  * Executes a tool with the given parameters
  */
-async function executeTool(tool, params) {
-  // In a real implementation, this would use the tool's execution mechanism
-  // For now, we'll simulate execution
-  
+async function executeTool(tool, params, context) {
   // Check if the tool has an execute method (for JS-based tools)
+  // JS tools get the signal so they can stop early when the execution is cancelled,
+  // and onProgress to report how far along they are
   if (tool.execute && typeof tool.execute === 'function') {
-    return await tool.execute(params);
+    return await tool.execute(params, { signal: context.signal, onProgress: context.onProgress });
+  }
+  
+  // MCP servers with an explicit connection are called over the MCP protocol
+  if (tool.type === 'mcp-server' && tool.mcp) {
+    return await executeMcpServer(tool, params, context);
   }
   
   // Check if the tool has an executionConfig (for declarative tools)
   if (tool.executionConfig) {
-    return await executeDeclarativeTool(tool, params);
+    return await executeDeclarativeTool(tool, params, context);
   }
   
-  // For MCP servers, we would make an HTTP request
+  // Other MCP servers are reached through their apiEndpoint
   if (tool.type === 'mcp-server') {
-    return await executeMcpServer(tool, params);
+    return await executeMcpServer(tool, params, context);
   }
   
   throw new Error(`Tool ${tool.id} doesn't have a valid execution mechanism`);
@@ -149,16 +970,16 @@ async function executeTool(tool, params) {
 /**
  * Executes a declarative tool (defined by configuration)
  */
-async function executeDeclarativeTool(tool, params) {
+async function executeDeclarativeTool(tool, params, context) {
   const { executionConfig } = tool;
   
   // Check execution type
   switch (executionConfig.type) {
     case 'http':
-      return await executeHttpTool(executionConfig, params);
+      return await executeHttpTool(executionConfig, params, { signal: context.signal });
       
     case 'command-line':
-      return await executeCommandLineTool(executionConfig, params);
+      return await executeCommandLineTool(executionConfig, params, { signal: context.signal });
       
     default:
       throw new Error(`Unknown execution type: ${executionConfig.type}`);
@@ -166,69 +987,28 @@ async function executeDeclarativeTool(tool, params) {
 }
 
 /**
- * Executes a tool via HTTP
+ * Executes an MCP server tool via tools/call, reusing the plan's session when possible
  */
-async function executeHttpTool(config, params) {
-  // In a real implementation, this would make an actual HTTP request
-  logger.info(`Executing HTTP tool with URL: ${config.url}`);
+async function executeMcpServer(tool, params, context) {
+  const connection = getMcpConnection(tool);
   
-  // Placeholder for HTTP execution
-  return {
-    status: 'success',
-    message: 'HTTP tool executed successfully',
-    params
-  };
-}
-
-/**
- * Executes a tool via command line
- */
-async function executeCommandLineTool(config, params) {
-  // In a real implementation, this would execute a command
-  logger.info(`Executing command-line tool with command: ${config.command}`);
+  if (!connection) {
+    throw new Error(`MCP server ${tool.id} doesn't have an MCP connection or API endpoint`);
+  }
   
-  // Placeholder for command line execution
-  return {
-    status: 'success',
-    message: 'Command-line tool executed successfully',
-    params
-  };
-}
-
-/**
- * Executes an MCP server with the given parameters
- */
-async function executeMcpServer(tool, params) {
-  // In a real implementation, this would connect to the MCP server
-  logger.info(`Executing MCP server: ${tool.id}`);
+  // The name of the tool on the remote server may differ from our registry ID
+  const remoteToolName = tool.mcpToolName || tool.id;
   
-  // Check if the tool specifies an API endpoint
-  if (!tool.apiEndpoint) {
-    throw new Error(`MCP server ${tool.id} doesn't have an API endpoint`);
-  }
+  logger.info(`Calling MCP tool ${remoteToolName} on ${tool.id} via ${connection.transport}`);
   
   try {
-    // Placeholder for MCP server execution
-    // In a real implementation, this would make a request to the MCP server
-    
-    logger.info(`Calling MCP server at ${tool.apiEndpoint}`);
+    const client = await context.mcpSessions.getClient(connection);
+    const callResult = await client.callTool(remoteToolName, params, {
+      signal: context.signal,
+      onProgress: context.onProgress
+    });
     
-    // Simulate some processing time
-    await new Promise(resolve => setTimeout(resolve, 50));
-    
-    // Return a simulated result
-    return {
-      status: 'success',
-      message: 'MCP server executed successfully',
-      result: {
-        // We could include the simulated output of the MCP server here
-        data: {},
-        metadata: {
-          processingTime: '50ms',
-          server: tool.id
-        }
-      }
-    };
+    return mapToolCallResult(remoteToolName, callResult);
   } catch (error) {
     logger.error(`Error executing MCP server ${tool.id}:`, error);
     throw new Error(`Failed to execute MCP server ${tool.id}: ${error.message}`);
@@ -263,16 +1043,16 @@ export async function createMcpServer(definition) {
 }
 
 /**
- * Stops an MCP server
+ * Stops an MCP server's supervised process
  */
 export async function stopMcpServer(serverId) {
   logger.info(`Stopping MCP server: ${serverId}`);
   
-  // In a real implementation, this would stop the MCP server
-  // For now, we'll just simulate success
+  const status = await supervisor.stop(serverId);
   
   return {
     success: true,
-    message: `MCP server ${serverId} stopped successfully`
+    message: `MCP server ${serverId} stopped successfully`,
+    status
   };
 }
\ No newline at end of file
@@ -0,0 +1,187 @@
+import { logger } from '../utils/logger.js';
+import { createHistoryStore } from './store.js';
+import { getStepTools } from '../executor/control-flow.js';
+
+// Retention: keep at most this many executions, none older than the maximum age
+const MAX_ENTRIES = parseInt(process.env.EXECUTION_HISTORY_MAX_ENTRIES || '1000', 10);
+const MAX_AGE = parseInt(process.env.EXECUTION_HISTORY_MAX_AGE || String(30 * 24 * 60 * 60 * 1000), 10);
+
+export const EXECUTION_STATUSES = ['succeeded', 'failed', 'cancelled', 'rejected', 'planned'];
+
+/**
+ * Keeps a record of every analyzed and planned request, with its analysis, plan
+ * and execution result (including each step's inputs, outputs, timing and errors).
+ */
+class ExecutionHistory {
+  constructor(store = createHistoryStore(), { maxEntries = MAX_ENTRIES, maxAge = MAX_AGE } = {}) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.maxAge = maxAge;
+    this.records = [];
+    this.loading = null;
+  }
+
+  /**
+   * Loads stored records the first time the history is used
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.store.load()
+        .then(records => {
+          this.records = [...records, ...this.records];
+          this.prune();
+          logger.info(`Loaded ${this.records.length} executions from history`);
+        })
+        .catch(error => logger.error('Error loading execution history:', error));
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Records a request's analysis, plan and result. Never throws: losing a
+   * history entry mustn't fail the request it describes.
+   *
+   * @param {Object} execution
+   * @param {string} [execution.query] The request text
+   * @param {Object} [execution.analysis] The analysis result
+   * @param {Object} execution.plan The execution plan
+   * @param {Object} [execution.result] The execution result; plans that weren't executed have none
+   * @param {string} [execution.source] Where the request came in, e.g. 'api' or 'mcp'
+   * @param {Object} [execution.principal] The authenticated client
+   * @returns {Promise<Object|undefined>} The stored record
+   */
+  async record({ query, analysis, plan, result, source, principal }) {
+    try {
+      await this.load();
+
+      const outcome = result || {};
+
+      const recordedAt = new Date().toISOString();
+      const steps = plan.steps || [];
+
+      // Loop steps may call several tools, and fallbacks other tools than the plan's
+      const plannedToolIds = steps.flatMap(step => getStepTools(step).map(({ call }) => call.toolId));
+      const usedToolIds = Object.values(outcome.stepResults || {})
+        .flatMap(stepResult => (stepResult.attempts || [stepResult]).map(attempt => attempt.toolId))
+        .filter(Boolean);
+
+      const record = {
+        planId: plan.planId || outcome.planId,
+        query: query || (analysis && analysis.query),
+        source,
+        subject: principal ? principal.subject : undefined,
+        status: getStatus(plan, result),
+        toolIds: [...new Set([...plannedToolIds, ...usedToolIds])],
+        error: outcome.error || outcome.reason || plan.reason || undefined,
+        startedAt: outcome.startedAt || recordedAt,
+        finishedAt: outcome.finishedAt || recordedAt,
+        durationMs: outcome.durationMs || 0,
+        recordedAt,
+        analysis,
+        plan,
+        result
+      };
+
+      this.records.push(record);
+      this.store.append(record);
+
+      if (this.prune()) {
+        this.store.replace(this.records);
+      }
+
+      return record;
+    } catch (error) {
+      logger.error(`Error recording execution ${plan && plan.planId}:`, error);
+    }
+  }
+
+  /**
+   * Lists executions, newest first, as summaries without the full analysis, plan and result
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.tool] Only executions whose plan used this tool
+   * @param {string} [filters.status] 'succeeded', 'failed', 'cancelled', 'rejected' or 'planned'
+   * @param {string} [filters.from] Only executions started at or after this time (ISO 8601)
+   * @param {string} [filters.to] Only executions started at or before this time (ISO 8601)
+   * @param {string} [filters.subject] Only executions requested by this client
+   * @param {number} [filters.limit] Maximum number of executions to return (default 50)
+   * @param {number} [filters.offset] Number of matching executions to skip
+   * @returns {Promise<{ total: number, executions: Object[] }>}
+   */
+  async list({ tool, status, from, to, subject, limit = 50, offset = 0 } = {}) {
+    await this.load();
+
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+
+    const matching = this.records
+      .filter(record =>
+        (!tool || record.toolIds.includes(tool)) &&
+        (!status || record.status === status) &&
+        (!subject || record.subject === subject) &&
+        Date.parse(record.startedAt) >= fromTime &&
+        Date.parse(record.startedAt) <= toTime
+      )
+      .reverse();
+
+    return {
+      total: matching.length,
+      executions: matching.slice(offset, offset + limit).map(summarize)
+    };
+  }
+
+  /**
+   * Gets the full record of one execution
+   */
+  async get(planId) {
+    await this.load();
+    return this.records.find(record => record.planId === planId);
+  }
+
+  /**
+   * Drops records beyond the retention limits
+   *
+   * @returns {boolean} Whether any records were dropped
+   */
+  prune() {
+    const before = this.records.length;
+    const oldest = Date.now() - this.maxAge;
+
+    this.records = this.records
+      .filter(record => Date.parse(record.recordedAt) >= oldest)
+      .slice(-this.maxEntries);
+
+    return this.records.length < before;
+  }
+}
+
+function getStatus(plan, result) {
+  if (!plan.canExecute) return 'rejected';
+  if (!result) return 'planned';
+  if (result.cancelled) return 'cancelled';
+  return result.success ? 'succeeded' : 'failed';
+}
+
+/**
+ * Reduces a record to what a listing needs, including a one-line outcome per step
+ */
+function summarize({ analysis, plan, result, ...summary }) {
+  const stepResults = (result && result.stepResults) || {};
+
+  return {
+    ...summary,
+    intents: analysis ? analysis.intents : undefined,
+    steps: (plan.steps || []).map(step => ({
+      stepId: step.stepId,
+      toolId: step.toolId,
+      success: stepResults[step.stepId] ? stepResults[step.stepId].success : undefined,
+      skipped: stepResults[step.stepId] ? stepResults[step.stepId].skipped : undefined,
+      durationMs: stepResults[step.stepId] ? stepResults[step.stepId].durationMs : undefined,
+      error: stepResults[step.stepId] ? stepResults[step.stepId].error : undefined
+    }))
+  };
+}
+
+// Create singleton instance
+export const executionHistory = new ExecutionHistory();
\ No newline at end of file
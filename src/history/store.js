@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_STORE = process.env.EXECUTION_HISTORY_STORE || 'file';
+const DEFAULT_STORE_PATH = process.env.EXECUTION_HISTORY_PATH || '.executions.jsonl';
+
+/**
+ * Stores execution records in a local JSON Lines file.
+ *
+ * Stores expose `load()`, resolving to the stored records (oldest first),
+ * `append(record)` and `replace(records)`, which is used after old records are pruned.
+ * Appends are cheap; the file is only rewritten once it holds mostly pruned records.
+ */
+export class FileHistoryStore {
+  constructor(filePath = DEFAULT_STORE_PATH) {
+    this.filePath = path.resolve(filePath);
+    this.lineCount = 0;
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    let content;
+
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    const lines = content.split('\n').filter(line => line.trim());
+
+    for (const line of lines) {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+        logger.warn(`Skipping unreadable execution record in ${this.filePath}`);
+      }
+    }
+
+    this.lineCount = lines.length;
+    return records;
+  }
+
+  append(record) {
+    return this.enqueue(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+      this.lineCount++;
+    });
+  }
+
+  replace(records) {
+    // Pruned records stay in the file until they make up half of it
+    if (this.lineCount < records.length * 2) {
+      return this.pending;
+    }
+
+    return this.enqueue(async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      const content = records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, this.filePath);
+      this.lineCount = records.length;
+    });
+  }
+
+  enqueue(operation) {
+    // Queue writes so they land in the order they were made
+    this.pending = this.pending
+      .then(operation)
+      .catch(error => logger.error(`Failed to write execution history to ${this.filePath}:`, error));
+
+    return this.pending;
+  }
+}
+
+/**
+ * Keeps execution records in memory only, for tests and throwaway instances
+ */
+export class MemoryHistoryStore {
+  async load() {
+    return [];
+  }
+
+  async append() {}
+
+  async replace() {}
+}
+
+/**
+ * Creates the history store selected by EXECUTION_HISTORY_STORE ('file' or 'memory')
+ */
+export function createHistoryStore(name = DEFAULT_STORE) {
+  switch (name) {
+    case 'file':
+      return new FileHistoryStore();
+
+    case 'memory':
+      return new MemoryHistoryStore();
+
+    default:
+      throw new Error(`Unknown execution history store: ${name}`);
+  }
+}
\ No newline at end of file
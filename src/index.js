@@ -1,35 +1,76 @@
+// Load environment variables before any module reads its configuration
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
 import { logger } from './utils/logger.js';
 import { apiRouter } from './routes/api.js';
-import { initializeRegistry } from './registry/index.js';
-
-// Load environment variables
-dotenv.config();
+import { mcpRouter } from './routes/mcp.js';
+import { initializeRegistry, registry } from './registry/index.js';
+import { startStdioServer } from './mcp/stdio.js';
+import { supervisor } from './supervisor/index.js';
+import { initializeAuth } from './auth/index.js';
+import { resultCache } from './cache/index.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Serve MCP over stdio instead of HTTP when launched by an MCP client
+const stdioMode = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+
 // Middleware
 app.use(express.json());
 
 // Routes
 app.use('/api', apiRouter);
+app.use('/mcp', mcpRouter);
 
 // Simple health check endpoint
 app.get('/', (req, res) => {
   res.json({ status: 'Meta MCP Server is running' });
 });
 
+// Stop supervised MCP server processes on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    logger.info(`Received ${signal}, shutting down`);
+    await supervisor.stopAll();
+    process.exit(0);
+  });
+}
+
+// Stop a tool's MCP server process once its last version is removed from the registry
+registry.onChange(({ type, tool }) => {
+  if (type === 'removed' && registry.getToolVersions(tool.id).length === 0) {
+    supervisor.stop(tool.id).catch(error => logger.error(`Error stopping MCP server ${tool.id}:`, error));
+  }
+});
+
+// Cached results may no longer be what a changed or removed tool would return
+registry.onChange(({ type, tool }) => {
+  if (type !== 'added') {
+    resultCache.invalidate(tool.id).catch(error => logger.error(`Error clearing cached results of ${tool.id}:`, error));
+  }
+});
+
 // Initialize the tool registry
 initializeRegistry()
-  .then(() => {
+  .then(async () => {
+    if (stdioMode) {
+      await startStdioServer();
+      
+      // The client closed stdin; don't leave the MCP server processes we started running
+      await supervisor.stopAll();
+      process.exit(0);
+    }
+    
+    // Fail fast on a broken API key file rather than on the first request
+    initializeAuth();
+    
     // Start the server
     app.listen(port, () => {
       logger.info(`Meta MCP Server listening on port ${port}`);
     });
   })
   .catch(err => {
-    logger.error('Failed to initialize the tool registry:', err);
+    logger.error('Failed to start the server:', err);
     process.exit(1);
   });
\ No newline at end of file
@@ -0,0 +1,194 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+
+// How many jobs run at the same time, and how many may wait
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const JOB_QUEUE_LIMIT = parseInt(process.env.JOB_QUEUE_LIMIT || '100', 10);
+
+// How long finished jobs can still be looked up, in ms
+const JOB_RETENTION = parseInt(process.env.JOB_RETENTION || '3600000', 10);
+
+// Progress events kept per job for clients that subscribe late
+const MAX_JOB_EVENTS = 1000;
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+/**
+ * Raised when the queue is full
+ */
+export class QueueFullError extends Error {
+  constructor(limit) {
+    super(`The job queue is full (${limit} jobs waiting); try again later`);
+    this.name = 'QueueFullError';
+    this.status = 503;
+  }
+}
+
+/**
+ * Runs tasks in the background with bounded concurrency. Each job gets an
+ * AbortController so it can be cancelled while queued or running.
+ *
+ * Emits 'event' (job, event) for every status change and progress event of a job.
+ */
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = JOB_CONCURRENCY, queueLimit = JOB_QUEUE_LIMIT, retention = JOB_RETENTION } = {}) {
+    super();
+
+    // Every client following a job's events adds a listener
+    this.setMaxListeners(0);
+
+    this.concurrency = Math.max(1, concurrency);
+    this.queueLimit = queueLimit;
+    this.retention = retention;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queues a task
+   *
+   * @param {Function} task Called with an AbortSignal and a function that publishes progress
+   *   events (type, data); resolves to the job's result
+   * @param {Object} [options]
+   * @param {string} [options.subject] Who submitted the job
+   * @param {Object} [options.input] What the job was asked to do, for display
+   * @param {Function} [options.isSuccessful] Decides from the result whether the job succeeded (default: it resolved)
+   * @returns {Object} The job
+   */
+  submit(task, { subject, input, isSuccessful = () => true } = {}) {
+    this.prune();
+
+    if (this.queue.length >= this.queueLimit) {
+      throw new QueueFullError(this.queueLimit);
+    }
+
+    const job = {
+      id: `job_${randomUUID()}`,
+      status: 'queued',
+      subject,
+      input,
+      createdAt: new Date().toISOString(),
+      controller: new AbortController(),
+      task,
+      isSuccessful,
+      events: [],
+      nextEventId: 1
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+
+    logger.info(`Queued job ${job.id}`);
+    this.publish(job, 'job-status', { status: job.status });
+
+    this.drain();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Records an event of a job and tells subscribers about it. Events are numbered
+   * so clients that reconnect can resume where they left off.
+   */
+  publish(job, type, data) {
+    const event = { id: job.nextEventId++, type, jobId: job.id, ...data };
+
+    job.events.push(event);
+    if (job.events.length > MAX_JOB_EVENTS) {
+      job.events.shift();
+    }
+
+    this.emit('event', job, event);
+  }
+
+  /**
+   * Cancels a job. Queued jobs never start; running jobs have their signal aborted
+   * and finish as cancelled once their task returns.
+   *
+   * @returns {Object|undefined} The job, or undefined if it doesn't exist
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+
+    if (!job || ['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+      return job;
+    }
+
+    job.controller.abort();
+
+    if (job.status === 'queued') {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.finish(job, 'cancelled');
+    }
+
+    logger.info(`Cancelled job ${job.id}`);
+
+    return job;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.publish(job, 'job-status', { status: job.status });
+
+    try {
+      job.result = await job.task(job.controller.signal, (type, data) => this.publish(job, type, data));
+
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        this.finish(job, job.isSuccessful(job.result) ? 'succeeded' : 'failed');
+      }
+    } catch (error) {
+      logger.error(`Job ${job.id} failed:`, error);
+      job.error = error.message;
+      this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'failed');
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    logger.info(`Job ${job.id} ${status}`);
+    this.publish(job, 'job-finished', { job: describeJob(job) });
+  }
+
+  /**
+   * Forgets finished jobs older than the retention period
+   */
+  prune() {
+    const oldest = Date.now() - this.retention;
+
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < oldest) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * The public view of a job, without its task, controller and event log
+ */
+export function describeJob({ controller, task, isSuccessful, events, nextEventId, ...job }) {
+  return job;
+}
+
+// Create singleton instance
+export const jobQueue = new JobQueue();
\ No newline at end of file
@@ -0,0 +1,292 @@
+import { logger } from '../utils/logger.js';
+
+// Consecutive failures that trip a tool's circuit breaker, and how long it stays open, in ms
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5', 10);
+const CIRCUIT_BREAKER_RESET_TIMEOUT = parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT || '30000', 10);
+
+/**
+ * Raised when a tool is called while its circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(toolId, retryAt) {
+    super(`Tool ${toolId} is unavailable after repeated failures; calls resume after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.status = 503;
+    this.toolId = toolId;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Protects downstream tools from bursts of calls. Tools can declare
+ * `maxConcurrency` and a `rateLimit` ({ requests, interval }); calls beyond
+ * them wait their turn in a queue per tool. Each tool also has a circuit
+ * breaker: after `failureThreshold` consecutive failures (see `circuitBreaker`)
+ * calls fail immediately until `resetTimeout` has passed, when a single trial
+ * call decides whether the breaker closes again. Calls made during the trial
+ * wait for its outcome.
+ *
+ * State is kept per tool ID, shared by all of its versions.
+ */
+class ToolLimiter {
+  constructor({ failureThreshold = CIRCUIT_BREAKER_THRESHOLD, resetTimeout = CIRCUIT_BREAKER_RESET_TIMEOUT } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.tools = new Map();
+  }
+
+  /**
+   * Calls a tool once its limits allow it and records the outcome for its circuit breaker
+   *
+   * @param {Object} tool The tool definition
+   * @param {Function} call Makes the call; resolves to the tool's result
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Gives up waiting for a turn when aborted
+   * @returns {Promise<*>} What the call resolved to
+   */
+  async run(tool, call, { signal } = {}) {
+    const release = await this.acquire(tool, signal);
+
+    try {
+      const result = await call();
+      this.recordSuccess(tool);
+      return result;
+    } catch (error) {
+      // A cancelled call says nothing about the tool's health
+      if (!(signal && signal.aborted)) {
+        this.recordFailure(tool);
+      }
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Waits for a turn to call a tool
+   *
+   * @returns {Promise<Function>} Releases the turn once the call has finished
+   */
+  acquire(tool, signal) {
+    const state = this.stateFor(tool.id);
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new Error('Execution cancelled'));
+      }
+
+      const waiter = { tool, resolve, reject, signal };
+
+      waiter.onAbort = () => {
+        state.queue.splice(state.queue.indexOf(waiter), 1);
+        reject(new Error('Execution cancelled'));
+        this.dispatch(state);
+      };
+
+      if (signal) signal.addEventListener('abort', waiter.onAbort, { once: true });
+
+      state.queue.push(waiter);
+      this.dispatch(state);
+
+      if (state.queue.includes(waiter)) {
+        logger.info(`Call of tool ${tool.id} waiting for its turn (${state.queue.length} queued, ${state.running} running)`);
+      }
+    });
+  }
+
+  /**
+   * Starts as many queued calls of a tool as its limits allow. Calls held back by
+   * the rate limit are retried once the oldest call leaves the interval.
+   */
+  dispatch(state) {
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    while (state.queue.length > 0) {
+      const waiter = state.queue[0];
+      const { maxConcurrency, rateLimit } = waiter.tool;
+
+      // Nobody gets through an open breaker
+      const retryAt = this.checkCircuit(state, waiter.tool);
+
+      if (retryAt) {
+        this.dequeue(state, waiter).reject(new CircuitOpenError(waiter.tool.id, retryAt));
+        continue;
+      }
+
+      // Only one trial call gets through a half-open breaker; the rest wait until it has closed or opened again
+      if (state.trialRunning) {
+        return;
+      }
+
+      if (maxConcurrency && state.running >= maxConcurrency) {
+        return;
+      }
+
+      const now = Date.now();
+
+      if (rateLimit) {
+        state.starts = state.starts.filter(start => start > now - rateLimit.interval);
+
+        if (state.starts.length >= rateLimit.requests) {
+          state.timer = setTimeout(() => this.dispatch(state), state.starts[0] + rateLimit.interval - now);
+          return;
+        }
+      }
+
+      this.dequeue(state, waiter);
+
+      const trial = state.circuit === 'half-open';
+
+      if (trial) {
+        state.trialRunning = true;
+      }
+
+      state.running++;
+
+      if (rateLimit) {
+        state.starts.push(now);
+      }
+
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        state.running--;
+
+        // A cancelled trial call decides nothing, so the next call becomes the trial
+        if (trial && state.circuit === 'half-open') {
+          state.trialRunning = false;
+        }
+
+        this.dispatch(state);
+      });
+    }
+  }
+
+  dequeue(state, waiter) {
+    state.queue.splice(state.queue.indexOf(waiter), 1);
+
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+
+    return waiter;
+  }
+
+  /**
+   * Moves an open breaker whose reset timeout has passed to half-open
+   *
+   * @returns {number|undefined} When calls may be made again if the breaker is open
+   */
+  checkCircuit(state, tool) {
+    if (state.circuit === 'open') {
+      if (Date.now() < state.retryAt) {
+        return state.retryAt;
+      }
+
+      state.circuit = 'half-open';
+      logger.info(`Circuit breaker of tool ${tool.id} is half-open; trying a call`);
+    }
+
+    return undefined;
+  }
+
+  recordSuccess(tool) {
+    const state = this.stateFor(tool.id);
+
+    if (state.circuit !== 'closed') {
+      logger.info(`Circuit breaker of tool ${tool.id} closed`);
+    }
+
+    state.circuit = 'closed';
+    state.trialRunning = false;
+    state.consecutiveFailures = 0;
+    state.openedAt = null;
+    state.retryAt = null;
+  }
+
+  recordFailure(tool) {
+    const state = this.stateFor(tool.id);
+    const { failureThreshold, resetTimeout } = this.getBreakerConfig(tool);
+
+    state.consecutiveFailures++;
+
+    // A failed trial call opens the breaker again right away
+    if (state.circuit === 'half-open' || state.consecutiveFailures >= failureThreshold) {
+      const now = Date.now();
+
+      state.circuit = 'open';
+      state.trialRunning = false;
+      state.openedAt = now;
+      state.retryAt = now + resetTimeout;
+
+      logger.warn(`Circuit breaker of tool ${tool.id} opened after ${state.consecutiveFailures} consecutive failures`);
+
+      // Queued calls would only fail as well
+      this.dispatch(state);
+    }
+  }
+
+  /**
+   * Whether a tool's breaker is open, i.e. calling it would fail right away
+   */
+  isTripped(toolId) {
+    const state = this.tools.get(toolId);
+    return Boolean(state && state.circuit === 'open' && Date.now() < state.retryAt);
+  }
+
+  /**
+   * Describes the calls and circuit breaker of a tool
+   */
+  getStatus(toolId) {
+    const state = this.tools.get(toolId);
+
+    if (!state) {
+      return { running: 0, queued: 0, circuit: { state: 'closed', consecutiveFailures: 0 } };
+    }
+
+    // An open breaker whose reset timeout has passed lets the next call through
+    const circuit = state.circuit === 'open' && Date.now() >= state.retryAt ? 'half-open' : state.circuit;
+
+    return {
+      running: state.running,
+      queued: state.queue.length,
+      circuit: {
+        state: circuit,
+        consecutiveFailures: state.consecutiveFailures,
+        openedAt: state.openedAt ? new Date(state.openedAt).toISOString() : undefined,
+        retryAt: state.retryAt ? new Date(state.retryAt).toISOString() : undefined
+      }
+    };
+  }
+
+  getBreakerConfig(tool) {
+    return {
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      ...tool.circuitBreaker
+    };
+  }
+
+  stateFor(toolId) {
+    if (!this.tools.has(toolId)) {
+      this.tools.set(toolId, {
+        running: 0,
+        queue: [],
+        starts: [],
+        timer: null,
+        circuit: 'closed',
+        trialRunning: false,
+        consecutiveFailures: 0,
+        openedAt: null,
+        retryAt: null
+      });
+    }
+
+    return this.tools.get(toolId);
+  }
+}
+
+// Create singleton instance
+export const toolLimiter = new ToolLimiter();
\ No newline at end of file
@@ -0,0 +1,317 @@
+import { logger } from '../utils/logger.js';
+import { createTransport } from './transports.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+const CLIENT_INFO = { name: 'meta-mcp-server', version: '0.1.0' };
+const DEFAULT_REQUEST_TIMEOUT = parseInt(process.env.MCP_REQUEST_TIMEOUT || '60000', 10);
+
+/**
+ * A Model Context Protocol client speaking JSON-RPC over a transport.
+ */
+export class McpClient {
+  constructor(connection) {
+    this.connection = connection;
+    this.transport = createTransport(connection);
+    this.nextId = 1;
+    this.pending = new Map();
+    this.serverInfo = null;
+    this.serverCapabilities = null;
+    this.notificationHandlers = new Set();
+  }
+
+  /**
+   * Starts the transport and performs the initialize handshake
+   */
+  async connect() {
+    this.transport.onmessage = message => this.handleMessage(message);
+    this.transport.onclose = error => this.rejectPending(error);
+
+    await this.transport.start();
+
+    const result = await this.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    });
+
+    this.serverInfo = result.serverInfo;
+    this.serverCapabilities = result.capabilities || {};
+
+    // HTTP transports must echo the negotiated version on every request
+    if ('protocolVersion' in this.transport) {
+      this.transport.protocolVersion = result.protocolVersion;
+    }
+
+    await this.notify('notifications/initialized');
+
+    logger.info(`Connected to MCP server ${this.serverInfo ? this.serverInfo.name : describeConnection(this.connection)}`);
+
+    return result;
+  }
+
+  /**
+   * Lists all tools, following pagination cursors
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return tools;
+  }
+
+  /**
+   * Calls a tool on the server
+   *
+   * @param {string} name The tool name
+   * @param {Object} [args] The tool arguments
+   * @param {Object} [options] Request options: timeout, an AbortSignal that cancels the call,
+   *   and onProgress, called with the server's progress notifications for the call
+   */
+  async callTool(name, args = {}, options = {}) {
+    return await this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  /**
+   * Registers a handler for server notifications; returns an unsubscribe function
+   */
+  onNotification(handler) {
+    this.notificationHandlers.add(handler);
+    return () => this.notificationHandlers.delete(handler);
+  }
+
+  request(method, params, { timeout = DEFAULT_REQUEST_TIMEOUT, signal, onProgress } = {}) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new Error(`MCP request ${method} was cancelled`));
+      }
+
+      // Ask for progress notifications, using the request ID as the progress token
+      let unsubscribeProgress = () => {};
+
+      if (onProgress) {
+        params = { ...params, _meta: { ...(params && params._meta), progressToken: id } };
+        unsubscribeProgress = this.onNotification(notification => {
+          if (notification.method === 'notifications/progress' && notification.params && notification.params.progressToken === id) {
+            const { progressToken, ...progress } = notification.params;
+            onProgress(progress);
+          }
+        });
+      }
+
+      // Aborts the transport's work for this request (e.g. an HTTP request) on cancellation or timeout
+      const transportController = new AbortController();
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        transportController.abort();
+        unsubscribeProgress();
+
+        // Let the server stop working on the request
+        this.notify('notifications/cancelled', { requestId: id, reason: 'Cancelled by the client' })
+          .catch(error => logger.warn(`Failed to cancel MCP request ${method}: ${error.message}`));
+
+        reject(new Error(`MCP request ${method} was cancelled`));
+      };
+
+      // Stop listening for cancellation and progress once the request settles
+      const settle = callback => value => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        unsubscribeProgress();
+        callback(value);
+      };
+
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        transportController.abort();
+        settle(reject)(new Error(`MCP request ${method} timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pending.set(id, { resolve: settle(resolve), reject: settle(reject), timer, method });
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this.transport.send({ jsonrpc: '2.0', id, method, params }, { signal: transportController.signal }).catch(error => {
+        clearTimeout(timer);
+
+        // Requests that were cancelled or timed out have already been rejected
+        if (this.pending.delete(id)) {
+          settle(reject)(error);
+        }
+      });
+    });
+  }
+
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) message.params = params;
+    await this.transport.send(message);
+  }
+
+  handleMessage(message) {
+    // Response to one of our requests
+    if (message.id !== undefined && this.pending.has(message.id) && !message.method) {
+      const { resolve, reject, timer, method } = this.pending.get(message.id);
+      clearTimeout(timer);
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        reject(Object.assign(new Error(`MCP ${method} failed: ${message.error.message}`), {
+          code: message.error.code,
+          data: message.error.data
+        }));
+      } else {
+        resolve(message.result);
+      }
+      return;
+    }
+
+    // Requests from the server (e.g. ping); we don't offer any client features
+    if (message.id !== undefined && message.method) {
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+      this.transport.send(reply).catch(error => logger.warn(`Failed to reply to MCP server request: ${error.message}`));
+      return;
+    }
+
+    if (message.method) {
+      for (const handler of this.notificationHandlers) {
+        handler(message);
+      }
+    }
+  }
+
+  rejectPending(error) {
+    for (const [id, { reject, timer }] of this.pending) {
+      clearTimeout(timer);
+      reject(error);
+      this.pending.delete(id);
+    }
+  }
+
+  async close() {
+    this.rejectPending(new Error('MCP client closed'));
+    await this.transport.close();
+  }
+}
+
+/**
+ * Creates and connects a client for an MCP connection definition
+ */
+export async function connectMcpClient(connection) {
+  const client = new McpClient(connection);
+
+  try {
+    await client.connect();
+  } catch (error) {
+    await client.close();
+    throw error;
+  }
+
+  return client;
+}
+
+/**
+ * Gets the connection definition of an MCP server tool.
+ * Tools declare `mcp: { transport, ... }`; a bare apiEndpoint is treated as a streamable HTTP endpoint.
+ */
+export function getMcpConnection(tool) {
+  if (tool.mcp) {
+    return tool.mcp;
+  }
+
+  if (tool.apiEndpoint) {
+    return { transport: 'http', url: tool.apiEndpoint };
+  }
+
+  return null;
+}
+
+/**
+ * Converts a tools/call result into a step result
+ */
+export function mapToolCallResult(toolName, callResult) {
+  const content = callResult.content || [];
+
+  if (callResult.isError) {
+    const message = content
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join('\n');
+
+    throw new Error(`MCP tool ${toolName} returned an error: ${message || 'unknown error'}`);
+  }
+
+  let result;
+
+  if (callResult.structuredContent !== undefined) {
+    result = callResult.structuredContent;
+  } else if (content.length === 1 && content[0].type === 'text') {
+    result = parseTextContent(content[0].text);
+  } else {
+    result = content;
+  }
+
+  return { result, content };
+}
+
+function parseTextContent(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function describeConnection(connection) {
+  return connection.transport === 'stdio' ? connection.command : connection.url;
+}
+
+/**
+ * A pool of connected clients so that steps of one plan reuse the same session
+ */
+export class McpSessionPool {
+  constructor() {
+    this.clients = new Map();
+  }
+
+  async getClient(connection) {
+    const key = JSON.stringify(connection);
+
+    if (!this.clients.has(key)) {
+      const clientPromise = connectMcpClient(connection);
+
+      // Don't cache failed connections so a later step can try again
+      clientPromise.catch(() => this.clients.delete(key));
+
+      this.clients.set(key, clientPromise);
+    }
+
+    return await this.clients.get(key);
+  }
+
+  async closeAll() {
+    const clients = [...this.clients.values()];
+    this.clients.clear();
+
+    await Promise.all(clients.map(async clientPromise => {
+      try {
+        const client = await clientPromise;
+        await client.close();
+      } catch (error) {
+        // Connection never succeeded or is already gone
+      }
+    }));
+  }
+}
\ No newline at end of file
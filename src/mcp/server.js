@@ -0,0 +1,233 @@
+import { registry } from '../registry/index.js';
+import { ANALYZERS } from '../analyzer/index.js';
+import { createSingleToolPlan } from '../orchestrator/index.js';
+import { processRequest } from '../orchestrator/pipeline.js';
+import { executeRequest } from '../executor/index.js';
+import { logger } from '../utils/logger.js';
+import { MCP_PROTOCOL_VERSION } from './client.js';
+import { isToolAllowed } from '../auth/index.js';
+import { executionHistory } from '../history/index.js';
+
+const SERVER_INFO = { name: 'meta-mcp-server', version: '0.1.0' };
+
+// Protocol versions we can speak when a client asks for one
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', MCP_PROTOCOL_VERSION];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// The meta tool that runs the full analyze -> plan -> execute pipeline
+export const ROUTE_REQUEST_TOOL = {
+  name: 'route_request',
+  description: 'Analyzes a natural-language request, plans which registered tools to use and executes the plan',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'The request to fulfil, e.g. "Extract data from sales.csv and create a bar chart"'
+      },
+      analyzer: {
+        type: 'string',
+        enum: ANALYZERS,
+        description: 'How to analyze the request: keyword rules (default) or a language model'
+      }
+    },
+    required: ['query']
+  }
+};
+
+/**
+ * Handles one JSON-RPC message (or batch) sent to the meta server over MCP.
+ *
+ * @param {Object|Array} message The parsed JSON-RPC message
+ * @param {Object} [context]
+ * @param {Object} [context.access] The client's tool and intent allowlists (HTTP clients only)
+ * @returns {Promise<Object|Array|null>} The response, or null for notifications
+ */
+export async function handleMcpMessage(message, context = {}) {
+  if (Array.isArray(message)) {
+    const responses = await Promise.all(message.map(single => handleSingleMessage(single, context)));
+    const filtered = responses.filter(response => response !== null);
+    return filtered.length > 0 ? filtered : null;
+  }
+
+  return await handleSingleMessage(message, context);
+}
+
+/**
+ * Creates a JSON-RPC parse error response
+ */
+export function createParseErrorResponse(error) {
+  return errorResponse(null, PARSE_ERROR, `Parse error: ${error.message}`);
+}
+
+async function handleSingleMessage(message, context) {
+  if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    // Responses to requests we never send are ignored
+    if (message && message.jsonrpc === '2.0' && message.id !== undefined && !message.method) {
+      return null;
+    }
+    return errorResponse(message && message.id !== undefined ? message.id : null, INVALID_REQUEST, 'Invalid request');
+  }
+
+  const isNotification = message.id === undefined;
+
+  try {
+    const result = await dispatch(message.method, message.params || {}, context);
+
+    return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+  } catch (error) {
+    if (isNotification) {
+      logger.warn(`Error handling MCP notification ${message.method}: ${error.message}`);
+      return null;
+    }
+
+    return errorResponse(message.id, error.code || INTERNAL_ERROR, error.message);
+  }
+}
+
+async function dispatch(method, params, { access }) {
+  switch (method) {
+    case 'initialize':
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+          ? params.protocolVersion
+          : MCP_PROTOCOL_VERSION,
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: SERVER_INFO
+      };
+
+    case 'notifications/initialized':
+    case 'notifications/cancelled':
+      return {};
+
+    case 'ping':
+      return {};
+
+    case 'tools/list':
+      return { tools: listTools(access) };
+
+    case 'tools/call':
+      return await callTool(params.name, params.arguments || {}, access);
+
+    default:
+      throw rpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+/**
+ * Lists the registry's tools the client may use in MCP form, plus the route_request meta tool
+ */
+function listTools(access) {
+  const tools = registry.getTools()
+    .filter(tool => tool.id && tool.id !== ROUTE_REQUEST_TOOL.name && isToolAllowed(access, tool.id))
+    .map(tool => ({
+      name: tool.id,
+      title: tool.name,
+      description: tool.description || tool.name,
+      inputSchema: tool.inputSchema || inferInputSchema(tool.defaultParams)
+    }));
+
+  return [ROUTE_REQUEST_TOOL, ...tools];
+}
+
+/**
+ * Builds a permissive input schema from a tool's default parameters
+ */
+function inferInputSchema(defaultParams = {}) {
+  const properties = {};
+
+  for (const [name, value] of Object.entries(defaultParams)) {
+    if (Array.isArray(value)) {
+      properties[name] = { type: 'array' };
+    } else if (value === null) {
+      properties[name] = {};
+    } else {
+      properties[name] = { type: typeof value === 'object' ? 'object' : typeof value };
+    }
+  }
+
+  return { type: 'object', properties };
+}
+
+/**
+ * Calls a tool: route_request runs the whole pipeline, anything else runs as a single-step plan
+ */
+async function callTool(name, args, access) {
+  if (!name) {
+    throw rpcError(INVALID_PARAMS, 'tools/call requires a tool name');
+  }
+
+  logger.info(`MCP tools/call: ${name}`);
+
+  if (name === ROUTE_REQUEST_TOOL.name) {
+    if (!args.query || typeof args.query !== 'string') {
+      throw rpcError(INVALID_PARAMS, 'route_request requires a "query" string');
+    }
+
+    if (args.analyzer && !ANALYZERS.includes(args.analyzer)) {
+      throw rpcError(INVALID_PARAMS, `Unknown analyzer: ${args.analyzer}`);
+    }
+
+    const { executionPlan, result } = await processRequest(args.query, { analyzer: args.analyzer, access, source: 'mcp' });
+
+    return toCallToolResult(result, { executionPlan, result });
+  }
+
+  // Clients may ask for a version range, e.g. "toolId@^1.2"
+  let tool;
+  
+  try {
+    tool = registry.resolveTool(name);
+  } catch (error) {
+    throw rpcError(INVALID_PARAMS, error.message);
+  }
+
+  // Tools outside the allowlist look the same as tools that don't exist
+  if (!tool || !isToolAllowed(access, tool.id)) {
+    throw rpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+  }
+
+  const plan = createSingleToolPlan(tool, args);
+  const result = await executeRequest(plan, { access });
+
+  await executionHistory.record({ plan, result, source: 'mcp', principal: access });
+  const stepResult = result.stepResults && result.stepResults.step_1;
+
+  return toCallToolResult(result, stepResult && stepResult.success ? stepResult.result : result);
+}
+
+/**
+ * Wraps an execution result in an MCP CallToolResult.
+ * Tool failures are reported in-band with isError so the calling model can see them.
+ */
+function toCallToolResult(executionResult, payload) {
+  if (!executionResult.success) {
+    return {
+      content: [{ type: 'text', text: executionResult.error || executionResult.reason || 'Execution failed' }],
+      isError: true
+    };
+  }
+
+  const structuredContent = payload && typeof payload === 'object' && !Array.isArray(payload)
+    ? payload
+    : { result: payload };
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }],
+    structuredContent
+  };
+}
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
\ No newline at end of file
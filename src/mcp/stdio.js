@@ -0,0 +1,51 @@
+import readline from 'readline';
+import { logger } from '../utils/logger.js';
+import { handleMcpMessage, createParseErrorResponse } from './server.js';
+
+/**
+ * Serves MCP over stdin/stdout using newline-delimited JSON-RPC.
+ * stdout is reserved for protocol messages, so logs must go to stderr.
+ *
+ * @returns {Promise<void>} Resolves when stdin is closed
+ */
+export function startStdioServer() {
+  const input = readline.createInterface({ input: process.stdin, terminal: false });
+
+  // Messages still being handled, so we don't exit before replying
+  const inFlight = new Set();
+
+  const send = message => {
+    process.stdout.write(`${JSON.stringify(message)}\n`);
+  };
+
+  input.on('line', line => {
+    if (!line.trim()) return;
+
+    let message;
+
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(createParseErrorResponse(error));
+      return;
+    }
+
+    const handling = handleMcpMessage(message)
+      .then(response => {
+        if (response !== null) send(response);
+      })
+      .catch(error => logger.error('Error handling MCP message:', error))
+      .finally(() => inFlight.delete(handling));
+
+    inFlight.add(handling);
+  });
+
+  logger.info('Meta MCP Server listening on stdio');
+
+  return new Promise(resolve => {
+    input.on('close', async () => {
+      await Promise.all([...inFlight]);
+      resolve();
+    });
+  });
+}
\ No newline at end of file
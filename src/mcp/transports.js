@@ -0,0 +1,375 @@
+import { spawn } from 'child_process';
+import { logger } from '../utils/logger.js';
+
+/**
+ * JSON-RPC transport over the stdin/stdout of a spawned MCP server.
+ * Messages are newline-delimited JSON, as required by the MCP stdio transport.
+ */
+export class StdioTransport {
+  constructor({ command, args = [], env = {}, cwd }) {
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.process = null;
+    this.buffer = '';
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  async start() {
+    if (!this.command) {
+      throw new Error('stdio MCP connection is missing a command');
+    }
+
+    this.process = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    this.process.stdout.on('data', chunk => this.handleData(chunk));
+
+    this.process.stderr.on('data', chunk => {
+      logger.debug(`[${this.command}] ${chunk.toString().trim()}`);
+    });
+
+    this.process.on('close', code => this.handleClose(new Error(`MCP server process exited with code ${code}`)));
+
+    // Writing to a server that has exited fails with EPIPE; without listeners these errors would crash us
+    this.process.stdin.on('error', error => {
+      this.handleClose(new Error(`Failed to write to MCP server ${this.command}: ${error.message}`));
+    });
+
+    this.process.on('error', error => this.handleClose(new Error(`MCP server ${this.command} failed: ${error.message}`)));
+
+    // Surface spawn failures (e.g. command not found) to the caller
+    await new Promise((resolve, reject) => {
+      this.process.once('spawn', resolve);
+      this.process.once('error', error => reject(new Error(`Failed to start MCP server ${this.command}: ${error.message}`)));
+    });
+  }
+
+  /**
+   * Forgets the process and reports why the connection ended, once
+   */
+  handleClose(error) {
+    if (!this.process) return;
+
+    this.process = null;
+    if (this.onclose) this.onclose(error);
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk.toString('utf8');
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).trim();
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+
+      if (!line) continue;
+
+      try {
+        if (this.onmessage) this.onmessage(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Ignoring malformed message from MCP server ${this.command}: ${line}`);
+      }
+    }
+  }
+
+  async send(message) {
+    if (!this.process) {
+      throw new Error(`MCP server ${this.command} is not running`);
+    }
+
+    const { stdin } = this.process;
+
+    await new Promise((resolve, reject) => {
+      stdin.write(`${JSON.stringify(message)}\n`, error => {
+        if (error) {
+          reject(new Error(`Failed to write to MCP server ${this.command}: ${error.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async close() {
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill();
+      this.process = null;
+    }
+  }
+}
+
+// How long to wait for a legacy SSE server to announce the endpoint messages are POSTed to
+const SSE_ENDPOINT_TIMEOUT = 10000;
+
+// How long closing an HTTP session may take
+const CLOSE_TIMEOUT = 5000;
+
+/**
+ * JSON-RPC transport over MCP "streamable HTTP".
+ * Each message is POSTed to the endpoint; the server answers with either a
+ * JSON body or an SSE stream carrying one or more messages.
+ */
+export class StreamableHttpTransport {
+  constructor({ url, headers = {} }) {
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  async start() {
+    if (!this.url) {
+      throw new Error('HTTP MCP connection is missing a url');
+    }
+  }
+
+  /**
+   * Sends a message
+   *
+   * @param {Object} message The JSON-RPC message
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Aborts the HTTP request, e.g. when the call is cancelled or times out
+   */
+  async send(message, { signal } = {}) {
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream'
+    };
+
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+    if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) this.sessionId = sessionId;
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`MCP server at ${this.url} responded with HTTP ${response.status}: ${text}`);
+    }
+
+    // Notifications and responses are acknowledged with 202 and no body
+    if (response.status === 202) {
+      return;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+
+    if (contentType.includes('text/event-stream')) {
+      await readEventStream(response, ({ data }) => {
+        if (data) this.deliver(JSON.parse(data));
+      });
+    } else {
+      const text = await response.text();
+      if (text) this.deliver(JSON.parse(text));
+    }
+  }
+
+  deliver(payload) {
+    const messages = Array.isArray(payload) ? payload : [payload];
+    for (const message of messages) {
+      if (this.onmessage) this.onmessage(message);
+    }
+  }
+
+  async close() {
+    if (!this.sessionId) return;
+
+    // Explicitly end the session; servers may not support this, so ignore failures
+    try {
+      await fetch(this.url, {
+        method: 'DELETE',
+        headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId },
+        signal: AbortSignal.timeout(CLOSE_TIMEOUT)
+      });
+    } catch (error) {
+      logger.debug(`Failed to close MCP session at ${this.url}: ${error.message}`);
+    }
+
+    this.sessionId = null;
+  }
+}
+
+/**
+ * JSON-RPC transport over the legacy MCP "HTTP with SSE" protocol (2024-11-05).
+ * The client keeps a GET event stream open; the server first sends an
+ * `endpoint` event with the URL to POST messages to, then delivers every
+ * response and notification as a `message` event on the stream.
+ */
+export class SseTransport {
+  constructor({ url, headers = {} }) {
+    this.url = url;
+    this.headers = headers;
+    this.endpoint = null;
+    this.stream = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  async start() {
+    if (!this.url) {
+      throw new Error('SSE MCP connection is missing a url');
+    }
+
+    const stream = new AbortController();
+    this.stream = stream;
+
+    // Give up unless the server announces its endpoint in time
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stream.abort();
+    }, SSE_ENDPOINT_TIMEOUT);
+
+    const fail = error => {
+      clearTimeout(timer);
+      stream.abort();
+      return timedOut
+        ? new Error(`MCP server at ${this.url} didn't announce its message endpoint within ${SSE_ENDPOINT_TIMEOUT}ms`)
+        : error;
+    };
+
+    let response;
+
+    try {
+      response = await fetch(this.url, {
+        method: 'GET',
+        headers: { ...this.headers, Accept: 'text/event-stream' },
+        signal: stream.signal
+      });
+    } catch (error) {
+      throw fail(new Error(`Failed to open the event stream of MCP server ${this.url}: ${error.message}`));
+    }
+
+    if (!response.ok) {
+      throw fail(new Error(`MCP server at ${this.url} responded with HTTP ${response.status} to the event stream request`));
+    }
+
+    await new Promise((resolve, reject) => {
+      readEventStream(response, ({ event, data }) => {
+        if (event === 'endpoint') {
+          // The endpoint may be relative to the stream's URL
+          this.endpoint = new URL(data, this.url).href;
+          clearTimeout(timer);
+          resolve();
+        } else if (event === 'message' && data) {
+          try {
+            const payload = JSON.parse(data);
+            for (const message of Array.isArray(payload) ? payload : [payload]) {
+              if (this.onmessage) this.onmessage(message);
+            }
+          } catch (error) {
+            logger.warn(`Ignoring malformed message from MCP server ${this.url}: ${data}`);
+          }
+        }
+      })
+        .then(() => new Error(`MCP server at ${this.url} closed its event stream`), error => error)
+        .then(error => {
+          if (!this.endpoint) {
+            return reject(fail(error));
+          }
+
+          this.endpoint = null;
+
+          // Closing the transport ourselves isn't worth reporting
+          if (!stream.signal.aborted && this.onclose) this.onclose(error);
+        });
+    });
+  }
+
+  async send(message, { signal } = {}) {
+    if (!this.endpoint) {
+      throw new Error(`MCP server at ${this.url} is not connected`);
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal
+    });
+
+    // Replies arrive on the event stream, not in the response
+    const text = await response.text();
+
+    if (!response.ok) {
+      throw new Error(`MCP server at ${this.endpoint} responded with HTTP ${response.status}: ${text}`);
+    }
+  }
+
+  async close() {
+    if (this.stream) {
+      this.stream.abort();
+      this.stream = null;
+    }
+
+    this.endpoint = null;
+  }
+}
+
+/**
+ * Reads a text/event-stream response body until it ends
+ *
+ * @param {Response} response The fetch response
+ * @param {Function} onEvent Called with { event, data } for each event; event defaults to "message"
+ */
+async function readEventStream(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let separatorIndex;
+    while ((separatorIndex = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const lines = buffer.slice(0, separatorIndex).split(/\r?\n/);
+      buffer = buffer.slice(separatorIndex).replace(/^\r?\n\r?\n/, '');
+
+      const eventLine = lines.find(line => line.startsWith('event:'));
+      const data = lines
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+
+      onEvent({ event: eventLine ? eventLine.slice(6).trim() : 'message', data });
+    }
+  }
+}
+
+/**
+ * Creates a transport for an MCP connection definition
+ *
+ * @param {Object} connection { transport: 'stdio' | 'http' | 'streamable-http' | 'sse', ... }
+ */
+export function createTransport(connection) {
+  switch (connection.transport) {
+    case 'stdio':
+      return new StdioTransport(connection);
+
+    case 'http':
+    case 'streamable-http':
+      return new StreamableHttpTransport(connection);
+
+    case 'sse':
+      return new SseTransport(connection);
+
+    default:
+      throw new Error(`Unknown MCP transport: ${connection.transport}`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * Binds step inputs to upstream step outputs using the tools' declared schemas.
+ */
+
+// Output names that commonly carry the data an input of this name expects, in order of preference
+const PARAM_SYNONYMS = {
+  data: ['data', 'result', 'rows', 'records', 'content', 'output'],
+  input: ['input', 'result', 'output', 'data'],
+  inputData: ['data', 'result', 'rows', 'records'],
+  filePath: ['filePath', 'outputPath', 'path'],
+  inputFile: ['filePath', 'outputPath', 'path'],
+  dataSource: ['filePath', 'outputPath', 'path'],
+  text: ['text', 'content', 'output', 'result'],
+  code: ['code', 'result'],
+  command: ['command', 'code'],
+  query: ['query', 'result']
+};
+
+/**
+ * Creates the data flow map for a plan.
+ * Each input a step's tool declares is bound to the nearest upstream steps that produce
+ * a matching output: when several steps at the same distance do (e.g. the parents of a
+ * join) and the input accepts an array, all of them are bound and the step receives
+ * their outputs as an array. Bindings may reach past direct parents, in which case the
+ * source becomes a dependency of the step, but not past a step that already consumed
+ * the same input from further up; that step's output is used instead.
+ *
+ * @param {Object[]} steps The plan's steps (dependsOn may be extended)
+ * @param {Map<string, Object>} toolsByStepId The tool used by each step
+ * @returns {{ dataFlow: Object, errors: string[] }} The data flow and any unsatisfiable inputs
+ */
+export function bindStepInputs(steps, toolsByStepId) {
+  const stepsById = new Map(steps.map(step => [step.stepId, step]));
+  const dataFlow = {};
+  const errors = [];
+
+  for (const step of steps) {
+    const tool = toolsByStepId.get(step.stepId) || {};
+    const connections = new Map((step.dependsOn || []).map(parentId => [parentId, []]));
+    const inputs = getInputProperties(tool);
+
+    if (!inputs) {
+      // Tools without an input schema receive each parent's result as `input`
+      for (const mappings of connections.values()) {
+        mappings.push({ fromPath: '$.result', toParam: 'input' });
+      }
+    } else {
+      const levels = getAncestorLevels(step, stepsById);
+
+      for (const [name, schema] of Object.entries(inputs.properties)) {
+        // Values already supplied by the request (e.g. a file name) take precedence
+        if (!isEmptyValue(step.inputParams[name])) continue;
+
+        const required = inputs.required.includes(name);
+        const sources = findSources(name, schema, required, levels, toolsByStepId, dataFlow);
+
+        for (const source of sources) {
+          if (!connections.has(source.stepId)) {
+            connections.set(source.stepId, []);
+          }
+          connections.get(source.stepId).push({ fromPath: source.output ? `$.${source.output}` : '$', toParam: name });
+        }
+
+        if (sources.length === 0 && required) {
+          errors.push(`Step ${step.stepId} (${step.toolId}) requires input "${name}" but no value was given and no upstream step produces it`);
+        }
+      }
+    }
+
+    for (const [parentId, mappings] of connections) {
+      dataFlow[`${parentId}:${step.stepId}`] = {
+        from: parentId,
+        to: step.stepId,
+        mappings
+      };
+    }
+
+    step.dependsOn = [...connections.keys()];
+  }
+
+  return { dataFlow, errors };
+}
+
+/**
+ * Gets a tool's input properties and required inputs from its inputSchema
+ */
+function getInputProperties(tool) {
+  if (!tool.inputSchema || !tool.inputSchema.properties) {
+    return null;
+  }
+
+  return {
+    properties: tool.inputSchema.properties,
+    required: tool.inputSchema.required || []
+  };
+}
+
+/**
+ * Gets the outputs a step produces, as a map of name to JSON Schema type
+ */
+function getOutputProperties(step, tool) {
+  const outputs = new Map();
+
+  if (tool.outputSchema && tool.outputSchema.properties) {
+    for (const [name, schema] of Object.entries(tool.outputSchema.properties)) {
+      outputs.set(name, schema.type);
+    }
+    return outputs;
+  }
+
+  // Fall back to the example outputs declared by the tool or the plan
+  for (const [name, value] of Object.entries(step.outputParams || tool.outputs || {})) {
+    outputs.set(name, inferType(value));
+  }
+
+  return outputs;
+}
+
+/**
+ * Lists a step's ancestors grouped by distance: its parents, then their parents, and so on
+ */
+function getAncestorLevels(step, stepsById) {
+  const levels = [];
+  const seen = new Set([step.stepId]);
+  let frontier = step.dependsOn || [];
+
+  while (frontier.length > 0) {
+    const level = [];
+    const next = [];
+
+    for (const stepId of frontier) {
+      if (seen.has(stepId) || !stepsById.has(stepId)) continue;
+      seen.add(stepId);
+
+      const ancestor = stepsById.get(stepId);
+      level.push(ancestor);
+      next.push(...(ancestor.dependsOn || []));
+    }
+
+    if (level.length > 0) levels.push(level);
+    frontier = next;
+  }
+
+  return levels;
+}
+
+/**
+ * Finds the nearest ancestor outputs that can satisfy an input
+ *
+ * @returns {Object[]} The sources ({ stepId, output }), where a missing output means the step's whole output
+ */
+function findSources(name, schema, required, levels, toolsByStepId, dataFlow) {
+  const candidates = PARAM_SYNONYMS[name] || [name];
+  const names = candidates.includes(name) ? candidates : [name, ...candidates];
+
+  // Steps whose data already went through a nearer step, and the nearest generic result
+  const consumed = new Set();
+  let genericSource = null;
+
+  for (const level of levels) {
+    const matches = [];
+    let consumer = null;
+
+    for (const ancestor of level) {
+      getInputSources(ancestor.stepId, name, dataFlow).forEach(stepId => consumed.add(stepId));
+    }
+
+    for (const ancestor of level) {
+      if (consumed.has(ancestor.stepId)) continue;
+
+      const sourceIds = getInputSources(ancestor.stepId, name, dataFlow);
+
+      const outputs = getOutputProperties(ancestor, toolsByStepId.get(ancestor.stepId) || {});
+      const output = names.find(n => outputs.has(n) && isTypeCompatible(schema.type, outputs.get(n)));
+
+      if (output) {
+        matches.push({ stepId: ancestor.stepId, output });
+      } else if (sourceIds.length > 0) {
+        consumer = consumer || { stepId: ancestor.stepId };
+      } else if (required && !genericSource && outputs.has('result') && isTypeCompatible(schema.type, outputs.get('result'))) {
+        genericSource = { stepId: ancestor.stepId, output: 'result' };
+      }
+    }
+
+    // Join steps receive the matching output of every parent, if the input takes an array
+    if (matches.length > 0) {
+      return acceptsArray(schema) ? matches : matches.slice(0, 1);
+    }
+
+    // A step that transformed this input's data (e.g. merged two files) passes on its output
+    if (consumer) {
+      return [consumer];
+    }
+  }
+
+  // A required input with no named match falls back to the nearest generic result
+  return genericSource ? [genericSource] : [];
+}
+
+/**
+ * Gets the steps an input of a step is bound to
+ */
+function getInputSources(stepId, name, dataFlow) {
+  return Object.values(dataFlow)
+    .filter(flow => flow.to === stepId && flow.mappings.some(mapping => mapping.toParam === name))
+    .map(flow => flow.from);
+}
+
+function acceptsArray(schema) {
+  return !schema.type || [].concat(schema.type).includes('array');
+}
+
+function isTypeCompatible(inputType, outputType) {
+  if (!inputType || !outputType) return true;
+
+  const normalize = type => (type === 'integer' ? 'number' : type);
+  const inputTypes = [].concat(inputType).map(normalize);
+  const outputTypes = [].concat(outputType).map(normalize);
+
+  return inputTypes.some(type => outputTypes.includes(type));
+}
+
+function inferType(value) {
+  if (value === null || value === undefined) return undefined;
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
\ No newline at end of file
@@ -1,68 +1,167 @@
 import { logger } from '../utils/logger.js';
 import { INTENT_TYPES } from '../analyzer/index.js';
+import { bindStepInputs } from './bindings.js';
+import { isToolAllowed, isIntentAllowed } from '../auth/index.js';
+import { registry } from '../registry/index.js';
+import { toolLimiter } from '../limits/index.js';
+import { EXECUTION_PLAN_SCHEMA } from './plan-schema.js';
+import { parsePath } from '../utils/data-mapping.js';
+import { parseExpression } from '../utils/expressions.js';
+import {
+  MAX_LOOP_ITERATIONS,
+  getStepKind,
+  getStepTools,
+  getReferencedSteps,
+  getControlFlowDependencies
+} from '../executor/control-flow.js';
+import { assertValid, validateSchema, ValidationError } from '../utils/validation.js';
+
+// Intents that only produce data, and can therefore run without upstream steps
+const SOURCE_INTENTS = [
+  INTENT_TYPES.FILE_OPERATION,
+  INTENT_TYPES.WEB_SEARCH,
+  INTENT_TYPES.KNOWLEDGE_RETRIEVAL
+];
+
+// Which upstream intents each intent consumes, as groups in order of preference.
+// A step depends on every earlier step in the first group that has any.
+const INTENT_DEPENDENCIES = {
+  [INTENT_TYPES.DATA_PROCESSING]: [SOURCE_INTENTS],
+  [INTENT_TYPES.VISUALIZATION]: [[INTENT_TYPES.DATA_PROCESSING], SOURCE_INTENTS],
+  [INTENT_TYPES.CODE_GENERATION]: [[INTENT_TYPES.KNOWLEDGE_RETRIEVAL, INTENT_TYPES.WEB_SEARCH]],
+  [INTENT_TYPES.TERMINAL_EXECUTION]: [[INTENT_TYPES.CODE_GENERATION]]
+};
+
+// Entities that get a step each: a sub-task naming two files or two chart types becomes two steps
+const FAN_OUT_ENTITIES = {
+  [INTENT_TYPES.FILE_OPERATION]: 'files',
+  [INTENT_TYPES.VISUALIZATION]: 'visualizationTypes',
+  [INTENT_TYPES.CODE_GENERATION]: 'codeLanguages'
+};
 
 /**
  * Creates an execution plan based on the request analysis.
  * 
  * @param {Object} analysis The analysis result from the analyzer
+ * @param {Object} [options]
+ * @param {Object} [options.access] The client's tool and intent allowlists; plans only use what they permit
  * @returns {Object} An execution plan with steps and tools to use
  */
-export async function createExecutionPlan(analysis) {
+export async function createExecutionPlan(analysis, { access } = {}) {
   logger.info(`Creating execution plan for query: ${analysis.query}`);
   
-  const { intents, entities, matchedTools } = analysis;
+  const { intents, entities } = analysis;
+  const parameters = analysis.parameters || {};
+  
+  // Refuse outright rather than quietly leaving out part of the request
+  const forbiddenIntents = intents.filter(intent => 
+    intent !== INTENT_TYPES.UNKNOWN && !isIntentAllowed(access, intent)
+  );
+  
+  if (forbiddenIntents.length > 0) {
+    return {
+      planId: generatePlanId(),
+      canExecute: false,
+      reason: `Not permitted to fulfil intents: ${forbiddenIntents.join(', ')}`,
+      forbiddenIntents
+    };
+  }
+  
+  // Only consider tools the client is entitled to
+  const matchedTools = analysis.matchedTools.filter(match => isToolAllowed(access, match.tool.id));
   
   // If no tools were matched, we can't create a plan
   if (matchedTools.length === 0) {
     return {
+      planId: generatePlanId(),
       canExecute: false,
       reason: 'No suitable tools found',
       suggestedTools: suggestToolsToCreate(intents, entities)
     };
   }
   
-  // Create a plan with sequential steps
+  // Create a plan whose steps form a dependency graph
   const steps = [];
+  const toolsByStepId = new Map();
   
   // Track which intents have been addressed by the plan
   const addressedIntents = new Set();
   
-  // First, try to address each intent with the best-matching tool
-  for (const intent of intents) {
-    if (intent === INTENT_TYPES.UNKNOWN) continue;
-    
-    // Find the best tool for this intent
-    const toolForIntent = findBestToolForIntent(intent, matchedTools);
+  // Plan the request's sub-tasks in the order the user gave them; analyses without
+  // sub-tasks (e.g. from a model that didn't split the request) are a single one
+  const subTasks = analysis.subTasks && analysis.subTasks.length > 0
+    ? analysis.subTasks
+    : [{ text: analysis.query, intents, entities }];
+  
+  subTasks.forEach((subTask, index) => {
+    const subTaskNumber = index + 1;
     
-    if (toolForIntent) {
-      steps.push({
-        stepId: `step_${steps.length + 1}`,
-        intent,
-        toolId: toolForIntent.tool.id,
-        toolName: toolForIntent.tool.name,
-        inputParams: determineInputParams(intent, entities, toolForIntent.tool),
-        outputParams: determineOutputParams(intent, toolForIntent.tool)
-      });
+    // Address each of the sub-task's intents with the best-matching tool
+    for (const intent of subTask.intents) {
+      if (intent === INTENT_TYPES.UNKNOWN) continue;
+      
+      // Find the best tool for this intent; the others are kept as fallbacks
+      const [toolForIntent, ...fallbacks] = rankToolsForIntent(intent, matchedTools);
+      
+      if (!toolForIntent) continue;
+      
+      // Parameters the analyzer extracted for this sub-task take precedence over those for the whole request
+      const extractedParams = {
+        ...parameters[intent],
+        ...(subTask.parameters ? subTask.parameters[intent] : undefined)
+      };
+      
+      for (const stepEntities of fanOutEntities(intent, subTask.entities)) {
+        const stepId = `step_${steps.length + 1}`;
+        toolsByStepId.set(stepId, toolForIntent.tool);
+        
+        steps.push({
+          stepId,
+          intent,
+          subTask: subTaskNumber,
+          toolId: toolForIntent.tool.id,
+          toolVersion: toolForIntent.tool.version,
+          toolName: toolForIntent.tool.name,
+          inputParams: determineInputParams(intent, stepEntities, toolForIntent.tool, extractedParams),
+          outputParams: determineOutputParams(intent, toolForIntent.tool),
+          dependsOn: determineDependencies(intent, steps, subTaskNumber, subTask.sequential),
+          fallbackTools: fallbacks.length > 0
+            ? fallbacks.map(match => ({
+              toolId: match.tool.id,
+              toolVersion: match.tool.version,
+              inputParams: determineInputParams(intent, stepEntities, match.tool, extractedParams)
+            }))
+            : undefined
+        });
+      }
       
       addressedIntents.add(intent);
     }
-  }
+  });
   
   // Check if all intents have been addressed
   const unaddressedIntents = intents.filter(intent => 
     intent !== INTENT_TYPES.UNKNOWN && !addressedIntents.has(intent)
   );
   
-  // Create a sequential execution plan
+  // Bind each step's inputs to the outputs of upstream steps
+  const { dataFlow, errors: bindingErrors } = createDataFlowMap(steps, toolsByStepId);
+  
+  // Create the execution plan
   const plan = {
     planId: generatePlanId(),
-    canExecute: steps.length > 0,
+    canExecute: steps.length > 0 && bindingErrors.length === 0,
     steps,
-    dataFlow: createDataFlowMap(steps),
+    dataFlow,
     timestamp: new Date().toISOString(),
     unaddressedIntents: unaddressedIntents.length > 0 ? unaddressedIntents : undefined
   };
   
+  if (bindingErrors.length > 0) {
+    plan.reason = `Cannot satisfy required inputs: ${bindingErrors.join('; ')}`;
+    plan.bindingErrors = bindingErrors;
+  }
+  
   // If there are unaddressed intents, suggest tools to create
   if (unaddressedIntents.length > 0) {
     plan.suggestedTools = suggestToolsToCreate(unaddressedIntents, entities);
@@ -72,9 +171,10 @@ export async function createExecutionPlan(analysis) {
 }
 
 /**
- * Finds the best tool for a specific intent from the matched tools
+ * Ranks the matched tools that support an intent, best first. Tools whose
+ * circuit breaker is open come after healthy ones, so they're only kept as fallbacks.
  */
-function findBestToolForIntent(intent, matchedTools) {
+function rankToolsForIntent(intent, matchedTools) {
   // Filter tools that support this intent
   const toolsForIntent = matchedTools.filter(tool => 
     tool.tool.capabilities && 
@@ -82,16 +182,18 @@ function findBestToolForIntent(intent, matchedTools) {
     tool.tool.capabilities.intents.includes(intent)
   );
   
-  // Sort by match score (descending)
-  toolsForIntent.sort((a, b) => b.score - a.score);
-  
-  return toolsForIntent.length > 0 ? toolsForIntent[0] : null;
+  // Sort by match score (descending), with tripped and then deprecated tools after all others
+  return toolsForIntent.sort((a, b) => 
+    toolLimiter.isTripped(a.tool.id) - toolLimiter.isTripped(b.tool.id) ||
+    Boolean(a.tool.deprecated) - Boolean(b.tool.deprecated) ||
+    b.score - a.score
+  );
 }
 
 /**
  * Determines what input parameters to pass to a tool based on intent and entities
  */
-function determineInputParams(intent, entities, tool) {
+function determineInputParams(intent, entities, tool, extractedParams = {}) {
   // This would be more sophisticated in a real implementation
   // based on the specific tool's requirements
   
@@ -124,7 +226,8 @@ function determineInputParams(intent, entities, tool) {
         params.dataSource = entities.files[0];
       }
       if (entities.visualizationTypes.length > 0) {
-        params.visualizationType = entities.visualizationTypes[0];
+        // Chart tools name this input differently, e.g. the visualization creator's `type`
+        params[selectInputName(tool, ['visualizationType', 'chartType', 'type'], 'visualizationType')] = entities.visualizationTypes[0];
       }
       break;
       
@@ -141,6 +244,9 @@ function determineInputParams(intent, entities, tool) {
       break;
   }
   
+  // Parameters extracted by the analyzer take precedence over entity-derived ones
+  Object.assign(params, extractedParams);
+  
   // Merge with tool-specific default parameters
   if (tool.defaultParams) {
     return { ...tool.defaultParams, ...params };
@@ -149,6 +255,23 @@ function determineInputParams(intent, entities, tool) {
   return params;
 }
 
+/**
+ * Picks the first of several names for an input that a tool declares, in its
+ * input schema or default parameters
+ *
+ * @param {Object} tool The tool
+ * @param {string[]} candidates Names for the input, in order of preference
+ * @param {string} fallback The name to use when the tool declares none of them
+ */
+function selectInputName(tool, candidates, fallback) {
+  const declared = {
+    ...tool.defaultParams,
+    ...(tool.inputSchema && tool.inputSchema.properties)
+  };
+  
+  return candidates.find(name => name in declared) || fallback;
+}
+
 /**
  * Determines what output parameters to expect from a tool
  */
@@ -190,29 +313,56 @@ function determineOutputParams(intent, tool) {
 }
 
 /**
- * Creates a data flow map between steps
+ * Splits a sub-task's entities into one set per step: one per file, chart type or
+ * language for intents that handle them one at a time
+ */
+function fanOutEntities(intent, entities) {
+  const key = FAN_OUT_ENTITIES[intent];
+  const values = key && entities[key] ? entities[key] : [];
+  
+  if (values.length <= 1) {
+    return [entities];
+  }
+  
+  return values.map(value => ({ ...entities, [key]: [value] }));
+}
+
+/**
+ * Determines which earlier steps a new step for this intent consumes. Of the steps
+ * it could consume, it takes those of the latest sub-task, e.g. the merged data
+ * rather than the files that were merged.
+ *
+ * @param {string} intent The new step's intent
+ * @param {Object[]} previousSteps The steps planned so far
+ * @param {number} subTask The number of the new step's sub-task
+ * @param {boolean} sequential Whether the user asked for the sub-task to come after the previous one
  */
-function createDataFlowMap(steps) {
-  const dataFlow = {};
+function determineDependencies(intent, previousSteps, subTask, sequential) {
+  const groups = INTENT_DEPENDENCIES[intent] || [];
   
-  // In a simple sequential flow, each step's output becomes the next step's input
-  for (let i = 0; i < steps.length - 1; i++) {
-    const currentStep = steps[i];
-    const nextStep = steps[i + 1];
+  for (const group of groups) {
+    const parents = previousSteps.filter(step => group.includes(step.intent));
     
-    dataFlow[`${currentStep.stepId}:${nextStep.stepId}`] = {
-      from: currentStep.stepId,
-      to: nextStep.stepId,
-      mappings: [
-        {
-          fromParam: 'result',
-          toParam: 'input'
-        }
-      ]
-    };
+    if (parents.length > 0) {
+      const latest = Math.max(...parents.map(step => step.subTask));
+      return parents.filter(step => step.subTask === latest).map(step => step.stepId);
+    }
   }
   
-  return dataFlow;
+  // Nothing to consume, but still wait for the previous sub-task if the user said so
+  if (sequential) {
+    const previous = Math.max(0, ...previousSteps.filter(step => step.subTask < subTask).map(step => step.subTask));
+    return previousSteps.filter(step => step.subTask === previous).map(step => step.stepId);
+  }
+  
+  return [];
+}
+
+/**
+ * Creates a data flow map by binding step inputs to upstream outputs via the tools' schemas
+ */
+function createDataFlowMap(steps, toolsByStepId) {
+  return bindStepInputs(steps, toolsByStepId);
 }
 
 /**
@@ -324,4 +474,265 @@ function generateToolTemplate(intent, entities) {
   }
   
   return template;
+}
+
+/**
+ * Creates a single-step plan that calls one tool directly with the given parameters.
+ * Used when a caller has already chosen the tool (e.g. an MCP tools/call).
+ *
+ * @param {Object} tool The registry tool to call
+ * @param {Object} params The tool's input parameters
+ * @returns {Object} An execution plan
+ */
+export function createSingleToolPlan(tool, params = {}) {
+  const steps = [{
+    stepId: 'step_1',
+    intent: tool.capabilities && tool.capabilities.intents ? tool.capabilities.intents[0] : INTENT_TYPES.UNKNOWN,
+    toolId: tool.id,
+    toolVersion: tool.version,
+    toolName: tool.name,
+    inputParams: { ...(tool.defaultParams || {}), ...params },
+    outputParams: tool.outputs || { success: true },
+    dependsOn: []
+  }];
+  
+  const { dataFlow, errors: bindingErrors } = createDataFlowMap(steps, new Map([['step_1', tool]]));
+  
+  const plan = {
+    planId: generatePlanId(),
+    canExecute: bindingErrors.length === 0,
+    steps,
+    dataFlow,
+    timestamp: new Date().toISOString()
+  };
+  
+  if (bindingErrors.length > 0) {
+    plan.reason = `Cannot satisfy required inputs: ${bindingErrors.join('; ')}`;
+    plan.bindingErrors = bindingErrors;
+  }
+  
+  return plan;
+}
+
+/**
+ * Checks a plan submitted by a client (e.g. one returned by POST /api/plan and
+ * edited by hand) against the registry and the tools' input schemas, and
+ * prepares it for execution under a new plan ID.
+ *
+ * Inputs bound from upstream steps through the data flow don't need a value in
+ * the plan; they are validated when the step runs.
+ *
+ * @param {Object} submitted The submitted plan
+ * @returns {Object} An execution plan for the executor
+ * @throws {ValidationError} If the plan is malformed, uses tools that aren't registered,
+ *   refers to unknown steps, has circular dependencies or gives a tool invalid inputs
+ */
+export function prepareExecutionPlan(submitted) {
+  assertValid(EXECUTION_PLAN_SCHEMA, submitted, 'execution plan');
+  
+  const errors = [];
+  const dataFlow = submitted.dataFlow || {};
+  const stepIds = new Set();
+  
+  submitted.steps.forEach((step, index) => {
+    if (stepIds.has(step.stepId)) {
+      errors.push({ field: `steps.${index}.stepId`, message: `duplicate step ID ${step.stepId}` });
+    }
+    stepIds.add(step.stepId);
+  });
+  
+  // Inputs each step receives from upstream steps
+  const boundParams = new Map(submitted.steps.map(step => [step.stepId, new Set()]));
+  
+  for (const [key, flow] of Object.entries(dataFlow)) {
+    for (const end of ['from', 'to']) {
+      if (!stepIds.has(flow[end])) {
+        errors.push({ field: `dataFlow.${key}.${end}`, message: `unknown step ${flow[end]}` });
+      }
+    }
+    
+    flow.mappings.forEach((mapping, index) => {
+      if (boundParams.has(flow.to)) {
+        boundParams.get(flow.to).add(mapping.toParam);
+      }
+      
+      try {
+        parsePath(mapping.fromPath || `$.${mapping.fromParam}`);
+      } catch (error) {
+        errors.push({ field: `dataFlow.${key}.mappings.${index}`, message: error.message });
+      }
+    });
+  }
+  
+  // Gets the tool a step, fallback or compensating call refers to, or records why there is none
+  const resolveToolFor = (target, field) => {
+    const ref = target.toolVersion ? `${target.toolId}@${target.toolVersion}` : target.toolId;
+    
+    try {
+      const tool = registry.resolveTool(ref);
+      
+      if (!tool) {
+        errors.push({ field: `${field}.toolId`, message: `no registered tool matches ${ref}` });
+      }
+      
+      return tool;
+    } catch (error) {
+      errors.push({ field: `${field}.${target.toolVersion ? 'toolVersion' : 'toolId'}`, message: error.message });
+    }
+  };
+  
+  submitted.steps.forEach((step, index) => {
+    for (const parentId of step.dependsOn || []) {
+      if (!stepIds.has(parentId)) {
+        errors.push({ field: `steps.${index}.dependsOn`, message: `unknown step ${parentId}` });
+      }
+    }
+    
+    (step.fallbackTools || []).forEach((fallback, fallbackIndex) => 
+      resolveToolFor(fallback, `steps.${index}.fallbackTools.${fallbackIndex}`)
+    );
+    
+    ((step.failurePolicy && step.failurePolicy.onFailure) || []).forEach((call, callIndex) => 
+      resolveToolFor(call, `steps.${index}.failurePolicy.onFailure.${callIndex}`)
+    );
+    
+    errors.push(...validateControlFlow(step, `steps.${index}`, stepIds));
+    
+    for (const { call, field, itemParam } of getStepTools(step)) {
+      const tool = resolveToolFor(call, `steps.${index}${field}`);
+      
+      if (!tool || !tool.inputSchema) {
+        continue;
+      }
+      
+      // Inputs bound from upstream steps or filled in by a loop needn't be given
+      const bound = new Set([...boundParams.get(step.stepId), ...(itemParam ? [itemParam] : [])]);
+      
+      for (const error of validateSchema(tool.inputSchema, call.inputParams || {})) {
+        const param = error.field.split('.')[0];
+        
+        if (!bound.has(param)) {
+          const paramField = error.field === '(root)' ? '' : `.${error.field}`;
+          errors.push({ field: `steps.${index}${field}.inputParams${paramField}`, message: error.message });
+        }
+      }
+    }
+  });
+  
+  const cycle = findDependencyCycle(submitted.steps, dataFlow);
+  
+  if (cycle) {
+    errors.push({ field: 'steps', message: `circular dependency: ${cycle.join(' -> ')}` });
+  }
+  
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    throw new ValidationError(`Invalid execution plan: ${summary}`, errors);
+  }
+  
+  return {
+    planId: generatePlanId(),
+    basedOnPlanId: submitted.planId,
+    canExecute: true,
+    steps: submitted.steps.map(step => ({
+      ...step,
+      inputParams: step.inputParams || {},
+      dependsOn: step.dependsOn || []
+    })),
+    dataFlow,
+    concurrency: submitted.concurrency,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Checks the condition, branches and loop settings of an `if`, `foreach` or `map-reduce` step
+ *
+ * @returns {Array<{ field: string, message: string }>} The problems found
+ */
+function validateControlFlow(step, field, stepIds) {
+  const errors = [];
+  const kind = getStepKind(step);
+  
+  if (kind === 'if') {
+    try {
+      parseExpression(step.condition);
+    } catch (error) {
+      errors.push({ field: `${field}.condition`, message: error.message });
+    }
+    
+    for (const branch of ['then', 'else']) {
+      for (const stepId of step[branch] || []) {
+        if (!stepIds.has(stepId)) {
+          errors.push({ field: `${field}.${branch}`, message: `unknown step ${stepId}` });
+        }
+      }
+    }
+  }
+  
+  if (kind === 'foreach' || kind === 'map-reduce') {
+    try {
+      parsePath(step.items);
+    } catch (error) {
+      errors.push({ field: `${field}.items`, message: error.message });
+    }
+    
+    if (step.maxIterations > MAX_LOOP_ITERATIONS) {
+      errors.push({ field: `${field}.maxIterations`, message: `must be at most ${MAX_LOOP_ITERATIONS}` });
+    }
+  }
+  
+  for (const stepId of getReferencedSteps(step)) {
+    if (!stepIds.has(stepId)) {
+      errors.push({ field: `${field}.${kind === 'if' ? 'condition' : 'items'}`, message: `unknown step ${stepId}` });
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Finds a cycle in the steps' dependencies, following dependsOn, the data flow and the control flow
+ *
+ * @returns {string[]|null} The step IDs on the cycle, starting and ending with the same step
+ */
+function findDependencyCycle(steps, dataFlow) {
+  const parents = new Map(steps.map(step => [step.stepId, [...(step.dependsOn || [])]]));
+  
+  for (const flow of [...Object.values(dataFlow), ...getControlFlowDependencies(steps)]) {
+    if (parents.has(flow.to)) {
+      parents.get(flow.to).push(flow.from);
+    }
+  }
+  
+  const visited = new Set();
+  const path = [];
+  
+  const visit = stepId => {
+    if (path.includes(stepId)) {
+      return [...path.slice(path.indexOf(stepId)), stepId];
+    }
+    
+    if (visited.has(stepId) || !parents.has(stepId)) {
+      return null;
+    }
+    
+    visited.add(stepId);
+    path.push(stepId);
+    
+    for (const parentId of parents.get(stepId)) {
+      const cycle = visit(parentId);
+      if (cycle) return cycle;
+    }
+    
+    path.pop();
+    return null;
+  };
+  
+  for (const stepId of parents.keys()) {
+    const cycle = visit(stepId);
+    if (cycle) return cycle;
+  }
+  
+  return null;
 }
\ No newline at end of file
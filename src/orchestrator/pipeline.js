@@ -0,0 +1,112 @@
+import { analyzeRequest } from '../analyzer/index.js';
+import { executeRequest, dryRunRequest } from '../executor/index.js';
+import { executionHistory } from '../history/index.js';
+import { createExecutionPlan } from './index.js';
+
+/**
+ * Runs the full pipeline for a natural-language request: analyze, plan, execute,
+ * and record the outcome in the execution history.
+ *
+ * @param {string} query The user's request
+ * @param {Object} [options]
+ * @param {string} [options.analyzer] The analyzer to use ('rules' or 'llm')
+ * @param {Object} [options.access] The client's allowlists; also recorded as who made the request
+ * @param {AbortSignal} [options.signal] Cancels the execution
+ * @param {string} [options.source] Where the request came in, e.g. 'api' or 'mcp'
+ * @param {Function} [options.onEvent] Called with progress events as the request goes through
+ *   the pipeline: analysis, plan, step-started, step-progress, step-finished and plan-finished
+ * @param {boolean} [options.dryRun] Only work out which tool calls the plan would make; nothing is executed or recorded
+ * @param {boolean} [options.cache] Whether cacheable tools may reuse cached results (default true)
+ * @returns {Promise<Object>} { query, analysis, executionPlan, result }
+ */
+export async function processRequest(query, { analyzer, access, signal, source, onEvent, dryRun, cache } = {}) {
+  const emit = createEmitter(onEvent);
+
+  // Step 1: Analyze the request to understand intent and requirements
+  const analysis = await analyzeRequest(query, { analyzer, access });
+  emit('analysis', { analysis });
+
+  // Step 2: Create an execution plan based on the analysis, using only tools the client may use
+  const executionPlan = await createExecutionPlan(analysis, { access });
+  emit('plan', { planId: executionPlan.planId, plan: executionPlan });
+
+  if (dryRun) {
+    return { query, analysis, executionPlan, result: await dryRunRequest(executionPlan, { access }) };
+  }
+
+  // Step 3: Execute the plan and get results
+  const result = await executePlan(executionPlan, { query, analysis, access, signal, source, onEvent, cache });
+
+  return { query, analysis, executionPlan, result };
+}
+
+/**
+ * Analyzes and plans a request without executing it, recording the plan in the
+ * execution history with the status 'planned' (or 'rejected' if it can't run)
+ *
+ * @param {string} query The user's request
+ * @param {Object} [options]
+ * @param {string} [options.analyzer] The analyzer to use ('rules' or 'llm')
+ * @param {Object} [options.access] The client's allowlists; also recorded as who made the request
+ * @param {string} [options.source] Where the request came in, e.g. 'api' or 'mcp'
+ * @returns {Promise<Object>} { query, analysis, executionPlan }
+ */
+export async function planRequest(query, { analyzer, access, source } = {}) {
+  const analysis = await analyzeRequest(query, { analyzer, access });
+  const executionPlan = await createExecutionPlan(analysis, { access });
+
+  await executionHistory.record({
+    query,
+    analysis,
+    plan: executionPlan,
+    source,
+    principal: access
+  });
+
+  return { query, analysis, executionPlan };
+}
+
+/**
+ * Executes a plan and records the outcome in the execution history
+ *
+ * @param {Object} plan The execution plan
+ * @param {Object} [options]
+ * @param {string} [options.query] The request the plan was made for
+ * @param {Object} [options.analysis] The analysis the plan was made from
+ * @param {Object} [options.access] The client's allowlists; also recorded as who made the request
+ * @param {AbortSignal} [options.signal] Cancels the execution
+ * @param {string} [options.source] Where the request came in, e.g. 'api' or 'mcp'
+ * @param {Function} [options.onEvent] Called with the execution's progress events
+ * @param {boolean} [options.cache] Whether cacheable tools may reuse cached results (default true)
+ * @returns {Promise<Object>} The execution result
+ */
+export async function executePlan(plan, { query, analysis, access, signal, source, onEvent, cache } = {}) {
+  const emit = createEmitter(onEvent);
+
+  const result = await executeRequest(plan, { access, signal, onEvent, cache });
+  emit('plan-finished', {
+    planId: plan.planId,
+    success: result.success,
+    cancelled: result.cancelled,
+    error: result.error || result.reason,
+    durationMs: result.durationMs
+  });
+
+  // Keep the whole story so it can be looked up later by planId
+  await executionHistory.record({
+    query,
+    analysis,
+    plan,
+    result,
+    source,
+    principal: access
+  });
+
+  return result;
+}
+
+function createEmitter(onEvent) {
+  return (type, data) => {
+    if (onEvent) onEvent({ type, ...data, timestamp: new Date().toISOString() });
+  };
+}
\ No newline at end of file
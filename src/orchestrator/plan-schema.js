@@ -0,0 +1,133 @@
+import { TRANSFORM_NAMES } from '../utils/data-mapping.js';
+import { FAILURE_POLICY_SCHEMA } from '../registry/tool-schema.js';
+import { STEP_KINDS, REDUCE_OPERATION_NAMES } from '../executor/control-flow.js';
+
+const stringArray = {
+  type: 'array',
+  items: { type: 'string' }
+};
+
+// A tool call inside a step, e.g. the map or reduce call of a map-reduce step
+const toolCall = {
+  type: 'object',
+  required: ['toolId'],
+  properties: {
+    toolId: { type: 'string', minLength: 1 },
+    toolVersion: { type: 'string' },
+    inputParams: { type: 'object' }
+  }
+};
+
+// Which fields each kind of step needs; steps without a kind are tool calls
+const kindRequires = (kind, required) => ({
+  if: {
+    properties: { kind: { const: kind } },
+    required: kind === 'tool' ? [] : ['kind']
+  },
+  then: { required }
+});
+
+/**
+ * JSON Schema for execution plans submitted by clients, e.g. a plan returned by
+ * POST /api/plan and edited by hand. Extra fields the orchestrator adds (reasons,
+ * suggestions, timestamps) are allowed and ignored.
+ */
+export const EXECUTION_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    planId: { type: 'string' },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['stepId'],
+        allOf: [
+          kindRequires('tool', ['toolId']),
+          kindRequires('if', ['condition']),
+          kindRequires('foreach', ['toolId', 'items']),
+          kindRequires('map-reduce', ['items', 'map', 'reduce'])
+        ],
+        properties: {
+          stepId: { type: 'string', minLength: 1 },
+          kind: { type: 'string', enum: STEP_KINDS, description: 'What the step does (default "tool")' },
+          toolId: { type: 'string', minLength: 1, description: 'Tool ID, optionally with a version range, e.g. "toolId@^1.2"' },
+          toolVersion: { type: 'string' },
+          toolName: { type: 'string' },
+          intent: { type: 'string' },
+          inputParams: { type: 'object' },
+          outputParams: { type: 'object' },
+          dependsOn: stringArray,
+          failurePolicy: FAILURE_POLICY_SCHEMA,
+          fallbackTools: {
+            type: 'array',
+            description: 'Tools to try, in order, when the step\'s tool fails and its policy allows fallbacks',
+            items: {
+              type: 'object',
+              required: ['toolId'],
+              properties: {
+                toolId: { type: 'string' },
+                toolVersion: { type: 'string' },
+                inputParams: { type: 'object' }
+              }
+            }
+          },
+          condition: { type: 'string', description: 'if: an expression over earlier steps\' results, e.g. "$.step_1.result.rowCount > 1000"' },
+          then: { ...stringArray, description: 'if: the steps that only run when the condition holds' },
+          else: { ...stringArray, description: 'if: the steps that only run when it doesn\'t' },
+          items: { type: 'string', description: 'foreach, map-reduce: path to an upstream array, e.g. "$.step_1.result.files"' },
+          itemParam: { type: 'string', description: 'foreach: the input that receives each item (default "item")' },
+          maxIterations: { type: 'integer', minimum: 1 },
+          concurrency: { type: 'integer', minimum: 1, description: 'foreach, map-reduce: iterations that run at the same time' },
+          map: {
+            ...toolCall,
+            properties: {
+              ...toolCall.properties,
+              itemParam: { type: 'string' }
+            }
+          },
+          reduce: {
+            type: 'object',
+            description: 'map-reduce: a built-in operation or a tool that receives the map outputs',
+            anyOf: [{ required: ['operation'] }, { required: ['toolId'] }],
+            properties: {
+              operation: { type: 'string', enum: REDUCE_OPERATION_NAMES },
+              path: { type: 'string', description: 'Selects what to combine from each map output' },
+              toolId: { type: 'string', minLength: 1 },
+              toolVersion: { type: 'string' },
+              inputParams: { type: 'object' },
+              itemsParam: { type: 'string', description: 'The input that receives the map outputs (default "items")' }
+            }
+          }
+        }
+      }
+    },
+    dataFlow: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['from', 'to', 'mappings'],
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          mappings: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['toParam'],
+              anyOf: [{ required: ['fromPath'] }, { required: ['fromParam'] }],
+              properties: {
+                fromPath: { type: 'string' },
+                fromParam: { type: 'string' },
+                toParam: { type: 'string' },
+                transform: { type: 'string', enum: TRANSFORM_NAMES }
+              }
+            }
+          }
+        }
+      }
+    },
+    concurrency: { type: 'integer', minimum: 1 }
+  }
+};
\ No newline at end of file
@@ -1,75 +1,433 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { EventEmitter } from 'events';
+import { fileURLToPath, pathToFileURL } from 'url';
+import semver from 'semver';
 import { logger } from '../utils/logger.js';
+import { connectMcpClient } from '../mcp/client.js';
+import { detectIntents, extractDataTypes, extractFileTypes } from '../analyzer/rules.js';
+import { assertValid, checkSchema, ValidationError } from '../utils/validation.js';
+import { TOOL_DEFINITION_SCHEMA } from './tool-schema.js';
+import { createRegistryStore } from './store.js';
+import { isToolFile, watchToolDirectories } from './watcher.js';
 
-// Initialize registry as a singleton
-class ToolRegistry {
-  constructor() {
+// Built-in tool definitions; TOOL_DIRS adds more directories (comma-separated)
+const BUILTIN_TOOLS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../tools');
+
+// Initialize registry as a singleton.
+// Emits a 'change' event ({ type: 'added' | 'updated' | 'removed', tool }) whenever a tool version changes.
+class ToolRegistry extends EventEmitter {
+  constructor(store = createRegistryStore()) {
+    super();
     this.tools = [];
+    this.mcpServers = new Map();
     this.lastScanTime = null;
+    this.store = store;
+    this.toolDirs = getToolDirectories();
+    this.scanning = Promise.resolve();
+    
+    // What each tool file looked like when it was last loaded, and the tools it defined
+    this.loadedFiles = new Map();
+  }
+
+  /**
+   * Subscribes to registry changes
+   *
+   * @param {Function} listener Called with { type, tool } for every added, updated or removed tool version
+   * @returns {Function} Unsubscribes the listener
+   */
+  onChange(listener) {
+    this.on('change', listener);
+    return () => this.off('change', listener);
+  }
+
+  emitChange(type, tool) {
+    this.emit('change', { type, tool });
   }
 
+  /**
+   * Gets one entry per tool ID: the newest version that isn't deprecated, or the newest if all are
+   */
   getTools() {
-    return this.tools;
+    const versionsById = new Map();
+    
+    for (const tool of this.tools) {
+      if (!versionsById.has(tool.id)) {
+        versionsById.set(tool.id, []);
+      }
+      versionsById.get(tool.id).push(tool);
+    }
+    
+    return [...versionsById.values()].map(selectPreferredVersion);
   }
 
-  async registerTool(tool) {
-    // Check if tool already exists
-    const existingTool = this.tools.find(t => t.id === tool.id);
+  /**
+   * Gets every registered version of a tool, newest first
+   */
+  getToolVersions(id) {
+    return this.tools
+      .filter(t => t.id === id)
+      .sort((a, b) => semver.rcompare(versionOf(a), versionOf(b)));
+  }
+
+  /**
+   * Resolves a tool reference to a registered tool version
+   *
+   * @param {string} ref A tool ID, optionally with a semver range: "toolId" or "toolId@^1.2"
+   * @returns {Object|undefined} The preferred version satisfying the range
+   */
+  resolveTool(ref) {
+    const { id, range } = parseToolRef(ref);
+    
+    if (!range) {
+      return this.getTools().find(t => t.id === id);
+    }
+    
+    if (!semver.validRange(range)) {
+      throw new Error(`Invalid version range in tool reference ${ref}`);
+    }
+    
+    const candidates = this.getToolVersions(id).filter(t => semver.satisfies(versionOf(t), range));
+    
+    return candidates.length > 0 ? selectPreferredVersion(candidates) : undefined;
+  }
+
+  getMcpServers() {
+    return [...this.mcpServers.values()];
+  }
+
+  /**
+   * Registers or updates a tool and persists the registry
+   *
+   * @param {Object} tool The tool definition
+   * @param {Object} [options]
+   * @param {Object} [options.source] Where the definition came from, e.g. { type: 'file', file } (defaults to { type: 'api' })
+   */
+  async registerTool(tool, { source } = {}) {
+    validateToolDefinition(tool);
+    
+    // MCP servers that ask for it contribute their remote tools instead of a single entry
+    if (tool.type === 'mcp-server' && tool.importTools) {
+      return await this.importMcpServerTools(tool);
+    }
+    
+    this.addTool(tool, source || tool.source || { type: 'api' });
+    
+    await this.persist();
+  }
+
+  /**
+   * Adds a tool to the in-memory registry, recording its source and registration times
+   */
+  addTool(tool, source) {
+    const now = new Date().toISOString();
+    // Other versions of the same tool stay registered side by side
+    const index = this.tools.findIndex(t => t.id === tool.id && versionOf(t) === versionOf(tool));
+    const existingTool = this.tools[index];
     
     if (existingTool) {
-      // Update existing tool
-      Object.assign(existingTool, tool);
-      logger.info(`Updated tool: ${tool.name} (${tool.id})`);
+      // Replace rather than merge so fields removed from the definition (e.g. a reloaded file's) don't linger;
+      // only when the tool was first registered carries over
+      this.tools[index] = { ...tool, source, registeredAt: existingTool.registeredAt || now, updatedAt: now };
+      
+      if (existingTool.source && existingTool.source.type === source.type) {
+        logger.info(`Updated tool: ${tool.name} (${tool.id}@${versionOf(tool)})`);
+      } else {
+        // e.g. a tool registered through the API in place of a file's
+        logger.info(`Replaced tool: ${tool.name} (${tool.id}@${versionOf(tool)}) with definition from ${source.type}`);
+      }
+      
+      this.emitChange('updated', this.tools[index]);
     } else {
       // Add new tool
+      this.tools.push({ ...tool, source, registeredAt: now, updatedAt: now });
+      logger.info(`Registered new tool: ${tool.name} (${tool.id}@${versionOf(tool)})`);
+      this.emitChange('added', this.tools[this.tools.length - 1]);
+    }
+  }
+
+  /**
+   * Applies changes to a registered tool version and persists the registry
+   *
+   * @param {string} id The tool ID
+   * @param {Object} changes Fields to change; `id` and `version` can't be changed
+   * @param {string} [version] The version to update (defaults to the preferred version)
+   * @returns {Promise<Object|undefined>} The updated tool, or undefined if it isn't registered
+   */
+  async updateTool(id, changes, version) {
+    const existingTool = version
+      ? this.tools.find(t => t.id === id && versionOf(t) === version)
+      : this.getTools().find(t => t.id === id);
+    
+    if (!existingTool) {
+      return undefined;
+    }
+    
+    const updatedTool = {
+      ...existingTool,
+      ...changes,
+      id: existingTool.id,
+      version: existingTool.version,
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Fields set to null are removed, so PATCH can clear e.g. a deprecation
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete updatedTool[field];
+      }
+    }
+    
+    validateToolDefinition(updatedTool);
+    
+    this.tools[this.tools.indexOf(existingTool)] = updatedTool;
+    logger.info(`Updated tool: ${updatedTool.name} (${id}@${versionOf(updatedTool)})`);
+    this.emitChange('updated', updatedTool);
+    
+    await this.persist();
+    
+    return updatedTool;
+  }
+
+  /**
+   * Removes a tool (every version, or just one) and persists the registry
+   *
+   * @param {string} id The tool ID
+   * @param {string} [version] The version to remove
+   * @returns {Promise<Object[]>} The removed tool versions
+   */
+  async removeTool(id, version) {
+    const removed = this.tools.filter(t => t.id === id && (!version || versionOf(t) === version));
+    
+    if (removed.length === 0) {
+      return removed;
+    }
+    
+    this.tools = this.tools.filter(t => !removed.includes(t));
+    
+    for (const tool of removed) {
+      logger.info(`Removed tool: ${tool.name} (${id}@${versionOf(tool)})`);
+      this.emitChange('removed', tool);
+    }
+    
+    await this.persist();
+    
+    return removed;
+  }
+
+  /**
+   * Loads tools and MCP servers saved by earlier runs.
+   * Tools discovered from files are not stored; they are re-read by scanForTools.
+   */
+  async loadPersistedTools() {
+    let state;
+    
+    try {
+      state = await this.store.load();
+    } catch (error) {
+      logger.error('Error loading persisted tools:', error);
+      return;
+    }
+    
+    for (const tool of state.tools) {
+      try {
+        validateToolDefinition(tool);
+      } catch (error) {
+        logger.warn(`Skipping persisted tool ${tool.id}: ${error.message}`);
+        continue;
+      }
+      
       this.tools.push(tool);
-      logger.info(`Registered new tool: ${tool.name} (${tool.id})`);
     }
+    
+    for (const server of state.mcpServers) {
+      this.mcpServers.set(server.id, server);
+    }
+    
+    logger.info(`Loaded ${this.tools.length} persisted tools`);
   }
 
-  async scanForTools() {
+  /**
+   * Saves every tool that didn't come from a tool file, plus the known MCP servers
+   */
+  async persist() {
+    await this.store.save({
+      tools: this.tools.filter(t => !t.source || t.source.type !== 'file'),
+      mcpServers: this.getMcpServers()
+    });
+  }
+
+  /**
+   * Connects to an MCP server, lists its tools and registers each one as `serverId.toolName`.
+   * Tools previously imported from the same server that are no longer advertised are removed.
+   *
+   * @param {Object} server Server definition with an id and an `mcp` connection
+   * @returns {Promise<Object>} The IDs of the added, updated and removed tools
+   */
+  async importMcpServerTools(server) {
+    if (!server.id || !server.mcp) {
+      throw new Error('MCP server definitions need an id and an mcp connection to import tools');
+    }
+    
+    logger.info(`Importing tools from MCP server ${server.id}`);
+    
+    const client = await connectMcpClient(server.mcp);
+    let remoteTools;
+    
     try {
-      const toolsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../tools');
+      remoteTools = await client.listTools();
+    } finally {
+      await client.close();
+    }
+    
+    const previousIds = new Set(
+      this.tools
+        .filter(t => t.source && t.source.type === 'mcp-import' && t.source.serverId === server.id)
+        .map(t => t.id)
+    );
+    
+    const changes = { added: [], updated: [], removed: [] };
+    const importedIds = new Set();
+    
+    for (const remoteTool of remoteTools) {
+      const tool = createImportedTool(server, remoteTool);
       
-      // Ensure the directory exists
       try {
-        await fs.access(toolsDir);
+        validateToolDefinition(tool);
       } catch (error) {
-        logger.info('Tools directory does not exist. Creating it...');
-        await fs.mkdir(toolsDir, { recursive: true });
-        return; // No tools to scan yet
+        logger.warn(`Skipping tool ${remoteTool.name} from MCP server ${server.id}: ${error.message}`);
+        continue;
       }
       
-      const files = await fs.readdir(toolsDir);
+      importedIds.add(tool.id);
       
-      // Find all tool definition files
-      const toolFiles = files.filter(file => 
-        file.endsWith('.tool.json') || file.endsWith('.tool.js')
-      );
+      if (previousIds.has(tool.id)) {
+        changes.updated.push(tool.id);
+        // Replace rather than merge so removed fields (e.g. schema properties) don't linger
+        const index = this.tools.findIndex(t => t.id === tool.id);
+        this.tools[index] = { ...tool, registeredAt: this.tools[index].registeredAt, updatedAt: new Date().toISOString() };
+        this.emitChange('updated', this.tools[index]);
+      } else {
+        changes.added.push(tool.id);
+        this.addTool(tool, tool.source);
+      }
+    }
+    
+    for (const id of previousIds) {
+      if (!importedIds.has(id)) {
+        changes.removed.push(id);
+      }
+    }
+    
+    // Remove the tools before announcing it, so listeners see the registry without them
+    const removedTools = this.tools.filter(t => changes.removed.includes(t.id));
+    this.tools = this.tools.filter(t => !removedTools.includes(t));
+    
+    for (const tool of removedTools) {
+      this.emitChange('removed', tool);
+    }
+    
+    this.mcpServers.set(server.id, {
+      ...server,
+      toolIds: [...importedIds],
+      lastImportTime: new Date().toISOString()
+    });
+    
+    await this.persist();
+    
+    logger.info(`Imported tools from MCP server ${server.id}: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`);
+    
+    return changes;
+  }
+
+  /**
+   * Loads tool definition files from the tool directories. Files that changed since the
+   * last scan are reloaded and tools whose files were deleted are dropped.
+   * Scans run one at a time, in the order they were requested.
+   */
+  scanForTools() {
+    this.scanning = this.scanning.then(() => this.scanToolDirectories());
+    return this.scanning;
+  }
+
+  async scanToolDirectories() {
+    try {
+      const toolFiles = [];
+      
+      for (const toolsDir of this.toolDirs) {
+        toolFiles.push(...await listToolFiles(toolsDir));
+      }
+      
+      // Tool versions defined by the files, and files that could be read
+      const scannedKeys = new Set();
+      const readableFiles = new Set();
       
       for (const file of toolFiles) {
         try {
-          if (file.endsWith('.tool.json')) {
-            // Load JSON definition
-            const toolPath = path.join(toolsDir, file);
-            const toolData = await fs.readFile(toolPath, 'utf8');
-            const tool = JSON.parse(toolData);
-            await this.registerTool(tool);
-          } else if (file.endsWith('.tool.js')) {
-            // Load JS module
-            const modulePath = path.join(toolsDir, file);
-            const module = await import(`file://${modulePath}`);
-            
-            if (module.default && typeof module.default === 'object') {
-              await this.registerTool(module.default);
-            } else {
-              logger.warn(`Tool module ${file} does not export a default tool definition`);
-            }
+          const stats = await fs.stat(file);
+          const signature = `${stats.mtimeMs}:${stats.size}`;
+          const previous = this.loadedFiles.get(file);
+          
+          // Skip files that haven't changed, unless something else replaced their tools
+          if (previous && previous.signature === signature && previous.keys.every(key => this.isLoadedFrom(key, file))) {
+            previous.keys.forEach(key => scannedKeys.add(key));
+            readableFiles.add(file);
+            continue;
+          }
+          
+          const tool = await loadToolFile(file, signature);
+          
+          if (!tool) {
+            logger.warn(`Tool module ${file} does not export a default tool definition`);
+            readableFiles.add(file);
+            continue;
           }
+          
+          // Tools registered through the API live in the registry store, which never saves file tools,
+          // so a file taking one over would lose it on the next save
+          const storedTool = this.tools.find(t => toolKey(t) === toolKey(tool) && (!t.source || t.source.type !== 'file'));
+          
+          if (storedTool) {
+            logger.warn(`Ignoring tool file ${file}: ${toolKey(tool)} is already registered through the API`);
+            this.loadedFiles.delete(file);
+            readableFiles.add(file);
+            continue;
+          }
+          
+          await this.registerTool(tool, { source: { type: 'file', file } });
+          
+          scannedKeys.add(toolKey(tool));
+          readableFiles.add(file);
+          this.loadedFiles.set(file, { signature, keys: [toolKey(tool)] });
         } catch (error) {
-          logger.error(`Error loading tool from ${file}:`, error);
+          this.loadedFiles.delete(file);
+          
+          if (error instanceof ValidationError) {
+            logger.error(`Invalid tool definition in ${file}: ${error.message}`);
+          } else {
+            logger.error(`Error loading tool from ${file}:`, error);
+          }
+        }
+      }
+      
+      // Drop tools whose files were deleted, or whose files now define something else.
+      // Tools in files that failed to load are kept until the file is fixed.
+      const staleTools = this.tools.filter(t => 
+        t.source && t.source.type === 'file' &&
+        !scannedKeys.has(toolKey(t)) &&
+        (!toolFiles.includes(t.source.file) || readableFiles.has(t.source.file))
+      );
+      
+      this.tools = this.tools.filter(t => !staleTools.includes(t));
+      
+      for (const tool of staleTools) {
+        logger.info(`Removed tool ${tool.id}@${versionOf(tool)}: no longer defined in ${tool.source.file}`);
+        this.emitChange('removed', tool);
+      }
+      
+      for (const file of this.loadedFiles.keys()) {
+        if (!toolFiles.includes(file)) {
+          this.loadedFiles.delete(file);
         }
       }
       
@@ -79,6 +437,154 @@ class ToolRegistry {
       logger.error('Error scanning for tools:', error);
     }
   }
+
+  isLoadedFrom(key, file) {
+    return this.tools.some(t => toolKey(t) === key && t.source && t.source.file === file);
+  }
+}
+
+/**
+ * The directories scanned for tool files: the built-in one plus any listed in TOOL_DIRS
+ */
+function getToolDirectories() {
+  const extraDirs = (process.env.TOOL_DIRS || '')
+    .split(',')
+    .map(dir => dir.trim())
+    .filter(Boolean)
+    .map(dir => path.resolve(dir));
+  
+  return [BUILTIN_TOOLS_DIR, ...extraDirs];
+}
+
+/**
+ * Lists the tool files in a directory, in a stable order so duplicate IDs always resolve the same way
+ */
+async function listToolFiles(toolsDir) {
+  // Ensure the directory exists
+  try {
+    await fs.access(toolsDir);
+  } catch (error) {
+    if (toolsDir !== BUILTIN_TOOLS_DIR) {
+      logger.warn(`Tools directory ${toolsDir} does not exist`);
+      return [];
+    }
+    
+    logger.info('Tools directory does not exist. Creating it...');
+    await fs.mkdir(toolsDir, { recursive: true });
+    return []; // No tools to scan yet
+  }
+  
+  const files = await fs.readdir(toolsDir);
+  
+  return files
+    .filter(isToolFile)
+    .sort()
+    .map(file => path.join(toolsDir, file));
+}
+
+/**
+ * Reads a tool definition from a .tool.json or .tool.js file
+ *
+ * @param {string} file The file path
+ * @param {string} signature Identifies this revision of the file; used to bypass the ESM module cache
+ * @returns {Promise<Object|undefined>} The tool definition, or undefined if a module has no default export
+ */
+async function loadToolFile(file, signature) {
+  if (file.endsWith('.tool.json')) {
+    // Load JSON definition
+    const toolData = await fs.readFile(file, 'utf8');
+    return JSON.parse(toolData);
+  }
+  
+  // Load JS module; a new query string per revision makes import() load edits instead of the cached module
+  const module = await import(`${pathToFileURL(file).href}?v=${encodeURIComponent(signature)}`);
+  
+  return module.default && typeof module.default === 'object' ? module.default : undefined;
+}
+
+/**
+ * Validates a tool definition against the tool schema, including its own input/output schemas.
+ * Throws a ValidationError listing the offending fields.
+ */
+export function validateToolDefinition(tool) {
+  assertValid(TOOL_DEFINITION_SCHEMA, tool, `tool definition${tool && tool.id ? ` ${tool.id}` : ''}`);
+  
+  const schemaErrors = ['inputSchema', 'outputSchema']
+    .filter(field => tool[field])
+    .map(field => ({ field, message: checkSchema(tool[field]) }))
+    .filter(error => error.message);
+  
+  if (tool.version !== undefined && !semver.valid(tool.version)) {
+    schemaErrors.push({ field: 'version', message: 'must be a semantic version, e.g. 1.2.0' });
+  }
+  
+  if (schemaErrors.length > 0) {
+    const summary = schemaErrors.map(error => `${error.field}: ${error.message}`).join('; ');
+    throw new ValidationError(`Invalid tool definition ${tool.id}: ${summary}`, schemaErrors);
+  }
+}
+
+/**
+ * Splits a tool reference like "toolId@^1.2" into its ID and version range
+ */
+export function parseToolRef(ref) {
+  const separator = ref.indexOf('@');
+  
+  if (separator === -1) {
+    return { id: ref, range: null };
+  }
+  
+  return { id: ref.slice(0, separator), range: ref.slice(separator + 1) };
+}
+
+// Tools without a version sort below every versioned release
+function versionOf(tool) {
+  return tool.version || '0.0.0';
+}
+
+function toolKey(tool) {
+  return `${tool.id}@${versionOf(tool)}`;
+}
+
+/**
+ * Picks the newest version that isn't deprecated, falling back to the newest version
+ */
+function selectPreferredVersion(versions) {
+  const sorted = [...versions].sort((a, b) => semver.rcompare(versionOf(a), versionOf(b)));
+  return sorted.find(t => !t.deprecated) || sorted[0];
+}
+
+/**
+ * Builds a registry entry for a tool advertised by an MCP server
+ */
+function createImportedTool(server, remoteTool) {
+  const text = `${remoteTool.name.replace(/[_-]+/g, ' ')} ${remoteTool.title || ''} ${remoteTool.description || ''}`;
+  
+  const tool = {
+    id: `${server.id}.${remoteTool.name}`,
+    name: remoteTool.title || remoteTool.name,
+    version: server.version || '0.1.0',
+    description: remoteTool.description || '',
+    type: 'mcp-server',
+    mcp: server.mcp,
+    mcpToolName: remoteTool.name,
+    inputSchema: remoteTool.inputSchema || { type: 'object', properties: {} },
+    capabilities: {
+      intents: detectIntents(text),
+      fileTypes: extractFileTypes(text),
+      dataTypes: extractDataTypes(text)
+    },
+    source: {
+      type: 'mcp-import',
+      serverId: server.id
+    }
+  };
+  
+  if (remoteTool.outputSchema) {
+    tool.outputSchema = remoteTool.outputSchema;
+  }
+  
+  return tool;
 }
 
 // Create singleton instance
@@ -86,6 +592,8 @@ export const registry = new ToolRegistry();
 
 // Initialize the registry
 export async function initializeRegistry() {
+  // Stored tools load first; tool files can add versions of them but not replace them
+  await registry.loadPersistedTools();
   await registry.scanForTools();
   
   // Set up periodic scanning if enabled
@@ -99,5 +607,10 @@ export async function initializeRegistry() {
     logger.info(`Tool discovery enabled. Will scan every ${interval}ms.`);
   }
   
+  // Reload tools as soon as their files change
+  if (process.env.TOOL_WATCH_ENABLED !== 'false') {
+    registry.watcher = watchToolDirectories(registry.toolDirs, () => registry.scanForTools());
+  }
+  
   return registry;
 }
\ No newline at end of file
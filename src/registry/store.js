@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_STORE = process.env.REGISTRY_STORE || 'file';
+const DEFAULT_STORE_PATH = process.env.REGISTRY_STORE_PATH || '.tool-cache.json';
+
+// Bumped when the stored layout changes
+const STORE_FORMAT_VERSION = 1;
+
+/**
+ * Stores registry state in a local JSON file.
+ *
+ * Stores expose `load()`, resolving to `{ tools, mcpServers }`, and `save(state)`.
+ * Writes go to a temporary file that is renamed into place, so a crash never
+ * leaves a half-written registry behind.
+ */
+export class FileRegistryStore {
+  constructor(filePath = DEFAULT_STORE_PATH) {
+    this.filePath = path.resolve(filePath);
+    this.lastWritten = null;
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    let content;
+
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { tools: [], mcpServers: [] };
+      }
+      throw error;
+    }
+
+    const data = JSON.parse(content);
+
+    if (data.formatVersion !== STORE_FORMAT_VERSION) {
+      throw new Error(`Unsupported registry store format ${data.formatVersion} in ${this.filePath}`);
+    }
+
+    this.lastWritten = content;
+
+    return {
+      tools: data.tools || [],
+      mcpServers: data.mcpServers || []
+    };
+  }
+
+  save(state) {
+    // Queue writes so they land in the order they were made
+    this.pending = this.pending
+      .then(() => this.write(state))
+      .catch(error => logger.error(`Failed to save tool registry to ${this.filePath}:`, error));
+
+    return this.pending;
+  }
+
+  async write({ tools, mcpServers }) {
+    const content = JSON.stringify({ formatVersion: STORE_FORMAT_VERSION, tools, mcpServers }, null, 2);
+
+    if (content === this.lastWritten) return;
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, this.filePath);
+
+    this.lastWritten = content;
+  }
+}
+
+/**
+ * Keeps registry state in memory only, for tests and throwaway instances
+ */
+export class MemoryRegistryStore {
+  constructor() {
+    this.state = { tools: [], mcpServers: [] };
+  }
+
+  async load() {
+    return structuredClone(this.state);
+  }
+
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
+
+/**
+ * Creates the registry store selected by REGISTRY_STORE ('file' or 'memory')
+ */
+export function createRegistryStore(name = DEFAULT_STORE) {
+  switch (name) {
+    case 'file':
+      return new FileRegistryStore();
+
+    case 'memory':
+      return new MemoryRegistryStore();
+
+    default:
+      throw new Error(`Unknown registry store: ${name}`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+import { INTENT_TYPES } from '../analyzer/rules.js';
+
+const stringArray = {
+  type: 'array',
+  items: { type: 'string' }
+};
+
+/**
+ * What to do when a step fails. Tools can declare a default policy that a
+ * plan's steps can override field by field.
+ */
+export const FAILURE_POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    retries: { type: 'integer', minimum: 0, description: 'How many times to retry the tool before giving up on it' },
+    retryDelay: { type: 'number', minimum: 0, description: 'Delay before the first retry in ms; doubles with every retry' },
+    fallback: { type: 'boolean', description: 'Try the next-best tools for the step\'s intent when this one fails' },
+    continueOnError: { type: 'boolean', description: 'Carry on with the rest of the plan if the step fails' },
+    onFailure: {
+      type: 'array',
+      description: 'Compensating tool calls made when the step fails',
+      items: {
+        type: 'object',
+        required: ['toolId'],
+        properties: {
+          toolId: { type: 'string' },
+          toolVersion: { type: 'string' },
+          inputParams: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * JSON Schema for tool definitions, enforced when tools are registered or scanned.
+ * Unknown top-level fields are allowed so tools can carry extra metadata.
+ */
+export const TOOL_DEFINITION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$',
+      description: 'Unique tool ID; letters, digits, ".", "_" and "-"'
+    },
+    name: { type: 'string', minLength: 1 },
+    version: { type: 'string', description: 'Semantic version; several versions of one ID can be registered' },
+    deprecated: {
+      type: ['boolean', 'string'],
+      description: 'Marks the tool as deprecated; a string explains what to use instead'
+    },
+    description: { type: 'string' },
+    type: { type: 'string' },
+    apiEndpoint: { type: 'string' },
+    capabilities: {
+      type: 'object',
+      properties: {
+        intents: {
+          type: 'array',
+          items: { type: 'string', enum: Object.values(INTENT_TYPES) }
+        },
+        fileTypes: stringArray,
+        dataTypes: stringArray,
+        languages: stringArray,
+        visualizationTypes: stringArray
+      }
+    },
+    defaultParams: { type: 'object' },
+    outputs: { type: 'object' },
+    inputSchema: { type: 'object' },
+    outputSchema: { type: 'object' },
+    failurePolicy: FAILURE_POLICY_SCHEMA,
+    cacheable: {
+      type: 'boolean',
+      description: 'The tool always returns the same output for the same inputs, so its results can be cached'
+    },
+    cacheTtl: { type: 'integer', minimum: 1, description: 'How long cached results stay valid, in ms' },
+    maxConcurrency: { type: 'integer', minimum: 1, description: 'Most calls of the tool running at the same time; others wait their turn' },
+    rateLimit: {
+      type: 'object',
+      required: ['requests', 'interval'],
+      description: 'Most calls of the tool started per interval; others wait their turn',
+      properties: {
+        requests: { type: 'integer', minimum: 1 },
+        interval: { type: 'integer', minimum: 1, description: 'Length of the interval in ms' }
+      }
+    },
+    circuitBreaker: {
+      type: 'object',
+      description: 'When calls of the tool stop being made after repeated failures',
+      properties: {
+        failureThreshold: { type: 'integer', minimum: 1, description: 'Consecutive failures that open the breaker' },
+        resetTimeout: { type: 'integer', minimum: 1, description: 'How long the breaker stays open before a trial call, in ms' }
+      }
+    },
+    executionConfig: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ['http', 'command-line'] },
+        url: { type: 'string' },
+        method: { type: 'string' },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        command: { type: 'string' },
+        args: stringArray,
+        timeout: { type: 'number', minimum: 1 },
+        retries: { type: 'integer', minimum: 0 }
+      },
+      allOf: [
+        {
+          if: { properties: { type: { const: 'http' } } },
+          then: { required: ['url'] }
+        },
+        {
+          if: { properties: { type: { const: 'command-line' } } },
+          then: { required: ['command'] }
+        }
+      ]
+    },
+    mcp: {
+      type: 'object',
+      required: ['transport'],
+      properties: {
+        transport: { type: 'string', enum: ['stdio', 'http', 'streamable-http', 'sse'] },
+        command: { type: 'string' },
+        args: stringArray,
+        url: { type: 'string' }
+      },
+      allOf: [
+        {
+          if: { properties: { transport: { const: 'stdio' } } },
+          then: { required: ['command'] }
+        },
+        {
+          if: { properties: { transport: { enum: ['http', 'streamable-http', 'sse'] } } },
+          then: { required: ['url'] }
+        }
+      ]
+    },
+    mcpToolName: { type: 'string' },
+    importTools: { type: 'boolean' },
+    process: {
+      type: 'object',
+      properties: {
+        command: { type: 'string' },
+        args: stringArray,
+        port: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+};
\ No newline at end of file
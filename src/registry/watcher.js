@@ -0,0 +1,54 @@
+import { watch } from 'fs';
+import { logger } from '../utils/logger.js';
+
+// Editors often write a file in several steps; wait for them to settle before reloading
+const WATCH_DEBOUNCE = parseInt(process.env.TOOL_WATCH_DEBOUNCE || '100', 10);
+
+/**
+ * Whether a file name is a tool definition file
+ */
+export function isToolFile(fileName) {
+  return fileName.endsWith('.tool.json') || fileName.endsWith('.tool.js');
+}
+
+/**
+ * Watches directories for changes to tool definition files.
+ * Bursts of changes are coalesced into a single callback. Watchers don't keep the process alive.
+ *
+ * @param {string[]} directories The directories to watch
+ * @param {Function} onChange Called (without arguments) after tool files change
+ * @returns {{ close: Function }} Stops watching
+ */
+export function watchToolDirectories(directories, onChange, { debounce = WATCH_DEBOUNCE } = {}) {
+  const watchers = [];
+  let timer = null;
+
+  const scheduleChange = fileName => {
+    // Some platforms don't report the file name, so treat that as a possible tool change
+    if (fileName && !isToolFile(fileName.toString())) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounce);
+  };
+
+  for (const directory of directories) {
+    try {
+      const watcher = watch(directory, (eventType, fileName) => scheduleChange(fileName));
+
+      watcher.on('error', error => logger.warn(`Stopped watching ${directory}: ${error.message}`));
+      watcher.unref();
+      watchers.push(watcher);
+
+      logger.info(`Watching ${directory} for tool changes`);
+    } catch (error) {
+      logger.warn(`Cannot watch ${directory} for tool changes: ${error.message}`);
+    }
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+}
\ No newline at end of file
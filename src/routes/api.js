@@ -1,56 +1,259 @@
 import express from 'express';
-import { analyzeRequest } from '../analyzer/index.js';
-import { createExecutionPlan } from '../orchestrator/index.js';
-import { executeRequest } from '../executor/index.js';
+import { ANALYZERS } from '../analyzer/index.js';
+import { prepareExecutionPlan } from '../orchestrator/index.js';
+import { processRequest, planRequest, executePlan } from '../orchestrator/pipeline.js';
+import { dryRunRequest } from '../executor/index.js';
+import { ValidationError } from '../utils/validation.js';
 import { logger } from '../utils/logger.js';
 import { toolsRouter } from './tools.js';
+import { executionsRouter } from './executions.js';
+import { jobsRouter } from './jobs.js';
+import { workflowsRouter } from './workflows.js';
+import { workflowLibrary, instantiateWorkflow } from '../workflows/index.js';
+import { jobQueue, describeJob, QueueFullError } from '../jobs/index.js';
+import { authenticate, requireRole } from '../auth/index.js';
+import { openEventStream } from '../utils/sse.js';
 
 const router = express.Router();
 
+// Every API route needs an authenticated client
+router.use(authenticate);
+
 // Tools management routes
 router.use('/tools', toolsRouter);
 
-// Main request endpoint for processing user queries
-router.post('/request', async (req, res) => {
+// Execution history routes
+router.use('/executions', executionsRouter);
+
+// Background job routes
+router.use('/jobs', jobsRouter);
+
+// Saved workflow routes; running a workflow is below with the other ways of running plans
+router.use('/workflows', workflowsRouter);
+
+// Main request endpoint for processing user queries.
+// With "async": true (or ?async=true) the request runs as a background job and a job ID is returned at once.
+// With "stream": true (or ?stream=true) progress is sent as Server-Sent Events while the request runs.
+// With "dryRun": true (or ?dryRun=true) the plan is worked out but no tools are called.
+// With a "Cache-Control: no-cache" header, cacheable tools are called again instead of reusing cached results.
+router.post('/request', requireRole('operator'), async (req, res) => {
+  try {
+    const { query, analyzer } = req.body;
+    const dryRun = isFlagSet(req, 'dryRun');
+    const queryError = checkQuery(req.body);
+    
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    
+    logger.info(`Processing request${isFlagSet(req, 'async') ? ' as a job' : ''}${dryRun ? ' (dry run)' : ''}: ${query}`);
+    
+    await respond(req, res, ({ signal, onEvent }) => processRequest(query, {
+      analyzer,
+      access: req.auth,
+      signal,
+      source: 'api',
+      onEvent,
+      dryRun,
+      cache: usesCache(req)
+    }), { query, analyzer, dryRun: dryRun || undefined });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ error: error.message });
+    }
+    
+    logger.error('Error processing request:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Analyze a request and plan it without executing anything. The plan can be
+// edited and then submitted to POST /execute. It's recorded in the history as 'planned'.
+router.post('/plan', requireRole('operator'), async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, analyzer } = req.body;
+    const queryError = checkQuery(req.body);
     
-    if (!query) {
-      return res.status(400).json({ error: 'Query parameter is required' });
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
     }
     
-    logger.info(`Processing request: ${query}`);
+    logger.info(`Planning request: ${query}`);
+    
+    res.json(await planRequest(query, { analyzer, access: req.auth, source: 'api' }));
+  } catch (error) {
+    logger.error('Error planning request:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Execute a submitted plan after checking it against the registry and the tools' schemas.
+// Takes the same "async", "stream" and "dryRun" options and Cache-Control header as POST /request.
+router.post('/execute', requireRole('operator'), async (req, res) => {
+  try {
+    const { plan } = req.body;
+    const dryRun = isFlagSet(req, 'dryRun');
     
-    // Step 1: Analyze the request to understand intent and requirements
-    const analysis = await analyzeRequest(query);
+    if (!plan || typeof plan !== 'object') {
+      return res.status(400).json({ error: 'Plan parameter is required' });
+    }
     
-    // Step 2: Create an execution plan based on the analysis
-    const executionPlan = await createExecutionPlan(analysis);
+    const executionPlan = prepareExecutionPlan(plan);
     
-    // Step 3: Execute the plan and get results
-    const result = await executeRequest(executionPlan);
+    logger.info(`Executing submitted plan ${executionPlan.planId}${plan.planId ? ` based on ${plan.planId}` : ''}${dryRun ? ' (dry run)' : ''}`);
     
-    res.json({
-      query,
-      analysis: analysis,
-      executionPlan: executionPlan,
-      result
-    });
+    await respond(req, res, async ({ signal, onEvent }) => ({
+      executionPlan,
+      result: dryRun
+        ? await dryRunRequest(executionPlan, { access: req.auth })
+        : await executePlan(executionPlan, { access: req.auth, signal, source: 'api', onEvent, cache: usesCache(req) })
+    }), { planId: executionPlan.planId, basedOnPlanId: plan.planId, dryRun: dryRun || undefined });
   } catch (error) {
-    logger.error('Error processing request:', error);
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.errors });
+    }
+    
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ error: error.message });
+    }
+    
+    logger.error('Error executing plan:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Endpoint to see available tools
-router.get('/tools', async (req, res) => {
+// Run a saved workflow with parameters, without analyzing a request. The newest valid
+// version runs unless "version" (a semver range) says otherwise.
+// Takes the same "async", "stream" and "dryRun" options and Cache-Control header as POST /request.
+router.post('/workflows/:name/run', requireRole('operator'), async (req, res) => {
   try {
-    const { registry } = await import('../registry/index.js');
-    res.json(registry.getTools());
+    const { name } = req.params;
+    const { parameters = {}, version } = req.body;
+    const dryRun = isFlagSet(req, 'dryRun');
+    
+    if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+      return res.status(400).json({ error: 'Parameters must be an object' });
+    }
+    
+    let workflow;
+    
+    try {
+      workflow = await workflowLibrary.get(name, version);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (!workflow) {
+      return res.status(404).json({ error: `Workflow ${name}${version ? `@${version}` : ''} not found` });
+    }
+    
+    const executionPlan = instantiateWorkflow(workflow, parameters);
+    
+    logger.info(`Running workflow ${workflow.name}@${workflow.version} as plan ${executionPlan.planId}${dryRun ? ' (dry run)' : ''}`);
+    
+    await respond(req, res, async ({ signal, onEvent }) => ({
+      executionPlan,
+      result: dryRun
+        ? await dryRunRequest(executionPlan, { access: req.auth })
+        : await executePlan(executionPlan, {
+          query: `workflow ${workflow.name}@${workflow.version}`,
+          access: req.auth,
+          signal,
+          source: 'workflow',
+          onEvent,
+          cache: usesCache(req)
+        })
+    }), { workflow: executionPlan.workflow, planId: executionPlan.planId, dryRun: dryRun || undefined });
   } catch (error) {
-    logger.error('Error fetching tools:', error);
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.errors });
+    }
+    
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ error: error.message });
+    }
+    
+    logger.error('Error running workflow:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Options can be given in the body or the query string
+function isFlagSet(req, name) {
+  return req.body[name] === true || req.query[name] === 'true';
+}
+
+// "Cache-Control: no-cache" (or no-store) asks for fresh results from cacheable tools
+function usesCache(req) {
+  return !/\bno-(?:cache|store)\b/i.test(req.get('Cache-Control') || '');
+}
+
+function checkQuery({ query, analyzer }) {
+  if (!query) {
+    return 'Query parameter is required';
+  }
+  
+  if (analyzer && !ANALYZERS.includes(analyzer)) {
+    return `Unknown analyzer ${analyzer}. Use one of: ${ANALYZERS.join(', ')}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Runs work for a request the way the client asked for it: as a background job
+ * ("async"), streaming progress events followed by a "result" event with the
+ * response body or an "error" event ("stream"), or answering once it's done.
+ *
+ * @param {Function} run Called with { signal, onEvent }; resolves to the response body, including `result`
+ * @param {Object} input What a job was asked to do, for display
+ */
+async function respond(req, res, run, input) {
+  if (isFlagSet(req, 'async')) {
+    const job = jobQueue.submit(
+      (signal, publish) => run({ signal, onEvent: ({ type, ...data }) => publish(type, data) }),
+      {
+        subject: req.auth.subject,
+        input,
+        isSuccessful: output => output.result.success
+      }
+    );
+    
+    return res.status(202)
+      .location(`${req.baseUrl}/jobs/${job.id}`)
+      .json(describeJob(job));
+  }
+  
+  // Stop running tools if the client goes away before the response is sent
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  
+  if (isFlagSet(req, 'stream')) {
+    const events = openEventStream(res);
+    
+    try {
+      const body = await run({
+        signal: controller.signal,
+        onEvent: ({ type, ...data }) => events.send(type, data)
+      });
+      
+      events.send('result', body);
+    } catch (error) {
+      logger.error('Error processing streamed request:', error);
+      events.send('error', { error: error.message });
+    } finally {
+      events.close();
+    }
+    
+    return;
+  }
+  
+  const body = await run({ signal: controller.signal });
+  
+  // Tool inputs or outputs that don't match their schemas are the caller's (or tool's) problem, not ours
+  res.status(body.result.validationErrors ? 422 : 200).json(body);
+}
+
 export { router as apiRouter };
\ No newline at end of file
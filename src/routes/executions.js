@@ -0,0 +1,67 @@
+import express from 'express';
+import { executionHistory, EXECUTION_STATUSES } from '../history/index.js';
+import { requireRole } from '../auth/index.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Admins see every execution; other clients only their own
+function subjectFilter(req) {
+  return req.auth && req.auth.role !== 'admin' ? req.auth.subject : undefined;
+}
+
+// List past executions, newest first
+router.get('/', requireRole('reader'), async (req, res) => {
+  try {
+    const { tool, status, from, to } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+    if (status && !EXECUTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Unknown status ${status}. Use one of: ${EXECUTION_STATUSES.join(', ')}` });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO 8601 date or time` });
+      }
+    }
+
+    if (!(limit >= 1 && limit <= 500) || !(offset >= 0)) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500 and offset must not be negative' });
+    }
+
+    res.json(await executionHistory.list({
+      tool,
+      status,
+      from,
+      to,
+      subject: subjectFilter(req),
+      limit,
+      offset
+    }));
+  } catch (error) {
+    logger.error('Error listing executions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the full analysis, plan and result of one execution
+router.get('/:planId', requireRole('reader'), async (req, res) => {
+  try {
+    const { planId } = req.params;
+    const execution = await executionHistory.get(planId);
+    const subject = subjectFilter(req);
+
+    if (!execution || (subject && execution.subject !== subject)) {
+      return res.status(404).json({ error: `Execution ${planId} not found` });
+    }
+
+    res.json(execution);
+  } catch (error) {
+    logger.error('Error getting execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export { router as executionsRouter };
\ No newline at end of file
@@ -0,0 +1,100 @@
+import express from 'express';
+import { jobQueue, describeJob } from '../jobs/index.js';
+import { requireRole } from '../auth/index.js';
+import { logger } from '../utils/logger.js';
+import { openEventStream } from '../utils/sse.js';
+
+const router = express.Router();
+
+// Admins can see and cancel every job; other clients only their own
+function findJob(req) {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job || (req.auth && req.auth.role !== 'admin' && job.subject !== req.auth.subject)) {
+    return null;
+  }
+
+  return job;
+}
+
+// Get a job's status, and its result once it has finished
+router.get('/:id', requireRole('reader'), (req, res) => {
+  try {
+    const job = findJob(req);
+
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+
+    res.json(describeJob(job));
+  } catch (error) {
+    logger.error('Error getting job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Follow a job's status changes and progress as Server-Sent Events. Past events are
+// replayed first; clients reconnecting with Last-Event-ID only get the ones they missed.
+router.get('/:id/events', requireRole('reader'), (req, res) => {
+  try {
+    const job = findJob(req);
+
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+    const events = openEventStream(res);
+
+    const forward = event => {
+      events.send(event.type, event, event.id);
+
+      if (event.type === 'job-finished') {
+        events.close();
+      }
+    };
+
+    for (const event of job.events) {
+      if (event.id > lastEventId) forward(event);
+    }
+
+    if (job.finishedAt) {
+      return events.close();
+    }
+
+    const onEvent = (eventJob, event) => {
+      if (eventJob === job) forward(event);
+    };
+
+    jobQueue.on('event', onEvent);
+    res.on('close', () => jobQueue.off('event', onEvent));
+  } catch (error) {
+    logger.error('Error streaming job events:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued or running job
+router.delete('/:id', requireRole('operator'), (req, res) => {
+  try {
+    const job = findJob(req);
+
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+
+    if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ error: `Job ${job.id} has already finished`, status: job.status });
+    }
+
+    jobQueue.cancel(job.id);
+
+    // Running jobs report 'cancelled' once their in-flight tool calls have stopped
+    res.status(202).json(describeJob(job));
+  } catch (error) {
+    logger.error('Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export { router as jobsRouter };
\ No newline at end of file
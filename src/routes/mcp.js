@@ -0,0 +1,102 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { handleMcpMessage } from '../mcp/server.js';
+import { logger } from '../utils/logger.js';
+import { authenticate, requireRole } from '../auth/index.js';
+
+const router = express.Router();
+
+// How long a session may go unused before it expires, in ms
+const SESSION_TTL = parseInt(process.env.MCP_SESSION_TTL || '1800000', 10);
+
+// Session IDs handed out on initialize, with when each was last used
+const sessions = new Map();
+
+// Clients that disconnect without ending their session would otherwise keep it forever
+const sweeper = setInterval(() => {
+  const cutoff = Date.now() - SESSION_TTL;
+
+  for (const [sessionId, lastSeen] of sessions) {
+    if (lastSeen < cutoff) sessions.delete(sessionId);
+  }
+}, Math.min(SESSION_TTL, 60000));
+
+sweeper.unref();
+
+/**
+ * Marks a session as used, unless it doesn't exist or has expired
+ *
+ * @returns {boolean} Whether the session is still valid
+ */
+function touchSession(sessionId) {
+  const lastSeen = sessions.get(sessionId);
+
+  if (lastSeen === undefined || lastSeen < Date.now() - SESSION_TTL) {
+    sessions.delete(sessionId);
+    return false;
+  }
+
+  sessions.set(sessionId, Date.now());
+  return true;
+}
+
+// MCP clients call tools, so they need the operator role
+router.use(authenticate, requireRole('operator'));
+
+// Streamable HTTP endpoint: every JSON-RPC message is POSTed here
+router.post('/', async (req, res) => {
+  try {
+    const message = req.body;
+    const messages = Array.isArray(message) ? message : [message];
+    const isInitialize = messages.some(m => m && m.method === 'initialize');
+    const sessionId = req.get('Mcp-Session-Id');
+
+    if (!isInitialize && sessionId && !touchSession(sessionId)) {
+      return res.status(404).json({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32001, message: 'Session not found' }
+      });
+    }
+
+    const response = await handleMcpMessage(message, { access: req.auth });
+
+    if (isInitialize) {
+      const newSessionId = randomUUID();
+      sessions.set(newSessionId, Date.now());
+      res.set('Mcp-Session-Id', newSessionId);
+    }
+
+    // Notifications and responses only get an acknowledgement
+    if (response === null) {
+      return res.status(202).end();
+    }
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Error handling MCP request:', error);
+    res.status(500).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32603, message: error.message }
+    });
+  }
+});
+
+// We don't push server-initiated messages, so there is no standalone SSE stream
+router.get('/', (req, res) => {
+  res.set('Allow', 'POST, DELETE').status(405).end();
+});
+
+// Explicit session termination
+router.delete('/', (req, res) => {
+  const sessionId = req.get('Mcp-Session-Id');
+
+  if (!sessionId || !sessions.delete(sessionId)) {
+    return res.status(404).end();
+  }
+
+  res.status(200).end();
+});
+
+export { router as mcpRouter };
\ No newline at end of file
@@ -1,13 +1,17 @@
 import express from 'express';
 import { registry } from '../registry/index.js';
-import { generateToolDefinition, generateMcpServerTemplate } from '../utils/tool-generator.js';
-import { createMcpServer } from '../executor/index.js';
+import { generateMcpServerTemplate } from '../utils/tool-generator.js';
+import { createMcpServer, stopMcpServer } from '../executor/index.js';
+import { supervisor } from '../supervisor/index.js';
+import { toolLimiter } from '../limits/index.js';
 import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/validation.js';
+import { requireRole, requireToolAccess, isToolAllowed, redactTool } from '../auth/index.js';
 
 const router = express.Router();
 
 // Register a new tool
-router.post('/register', async (req, res) => {
+router.post('/register', requireRole('admin'), async (req, res) => {
   try {
     const toolDefinition = req.body;
     
@@ -15,32 +19,33 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Tool definition must include at least a name' });
     }
     
-    // Register the tool
-    await registry.registerTool(toolDefinition);
-    
-    // If it's an MCP server, we might want to save the definition
-    if (toolDefinition.type === 'mcp-server') {
-      try {
-        await generateToolDefinition(toolDefinition, 'js');
-      } catch (error) {
-        logger.warn('Failed to save tool definition file:', error);
-        // Continue anyway since the tool is registered in memory
-      }
+    // Derive an ID from the name so every registered tool can be looked up
+    if (!toolDefinition.id) {
+      toolDefinition.id = toolDefinition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
     }
     
+    // Register the tool (MCP servers with importTools register their remote tools instead).
+    // The registry store keeps it; writing a tool file would turn it into a file tool the API can't change.
+    const imported = await registry.registerTool(toolDefinition);
+    
     res.json({
       success: true,
       message: `Tool ${toolDefinition.name} registered successfully`,
-      toolId: toolDefinition.id
+      toolId: toolDefinition.id,
+      imported
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.errors });
+    }
+    
     logger.error('Error registering tool:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Create a new MCP server
-router.post('/create-server', async (req, res) => {
+router.post('/create-server', requireRole('admin'), async (req, res) => {
   try {
     const serverDefinition = req.body;
     
@@ -66,38 +71,239 @@ router.post('/create-server', async (req, res) => {
       res.json(result);
     }
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.errors });
+    }
+    
     logger.error('Error creating MCP server:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get all available tools
-router.get('/', async (req, res) => {
+router.get('/', requireRole('reader'), async (req, res) => {
   try {
-    const tools = registry.getTools();
-    res.json(tools);
+    // Clients only see the tools they are allowed to use
+    const tools = registry.getTools().filter(tool => isToolAllowed(req.auth, tool.id));
+    res.json(tools.map(tool => redactTool(req.auth, tool)));
   } catch (error) {
     logger.error('Error getting tools:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get a specific tool by ID
-router.get('/:id', async (req, res) => {
+// List MCP servers whose tools were imported
+router.get('/servers', requireRole('reader'), async (req, res) => {
+  try {
+    res.json(registry.getMcpServers().map(server => redactTool(req.auth, server)));
+  } catch (error) {
+    logger.error('Error getting MCP servers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-import the tools of a known MCP server
+router.post('/servers/:id/import', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const server = registry.getMcpServers().find(s => s.id === id);
+    
+    if (!server) {
+      return res.status(404).json({ error: `MCP server ${id} not found` });
+    }
+    
+    const changes = await registry.importMcpServerTools(server);
+    
+    res.json({
+      success: true,
+      serverId: id,
+      ...changes
+    });
+  } catch (error) {
+    logger.error('Error importing MCP server tools:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a specific tool by ID, or by "id@range" to select a version, with its call limits' current state
+router.get('/:id', requireRole('reader'), requireToolAccess, async (req, res) => {
   try {
     const { id } = req.params;
-    const tools = registry.getTools();
-    const tool = tools.find(t => t.id === id);
+    let tool;
+    
+    try {
+      tool = registry.resolveTool(id);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
     if (!tool) {
       return res.status(404).json({ error: `Tool ${id} not found` });
     }
     
-    res.json(tool);
+    res.json({
+      ...redactTool(req.auth, tool),
+      versions: registry.getToolVersions(tool.id).map(t => t.version),
+      // Calls in progress and waiting, and the state of the tool's circuit breaker
+      calls: toolLimiter.getStatus(tool.id)
+    });
   } catch (error) {
     logger.error('Error getting tool:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Update a tool (the preferred version, or ?version=x.y.z)
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version } = req.query;
+    const changes = req.body;
+    
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return res.status(400).json({ error: 'Request body must be an object of fields to change' });
+    }
+    
+    const tool = version
+      ? registry.getToolVersions(id).find(t => t.version === version)
+      : registry.resolveTool(id);
+    
+    if (!tool) {
+      return res.status(404).json({ error: `Tool ${id}${version ? `@${version}` : ''} not found` });
+    }
+    
+    if (('id' in changes && changes.id !== tool.id) || ('version' in changes && changes.version !== tool.version)) {
+      return res.status(400).json({ error: 'A tool\'s id and version can\'t be changed; register a new version instead' });
+    }
+    
+    // Edits would be overwritten by the next scan
+    if (tool.source && tool.source.type === 'file') {
+      return res.status(409).json({ error: `Tool ${id} is defined in ${tool.source.file}; edit that file instead` });
+    }
+    
+    const updated = await registry.updateTool(id, changes, tool.version);
+    
+    res.json({
+      success: true,
+      message: `Tool ${id} updated successfully`,
+      tool: updated
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.errors });
+    }
+    
+    logger.error('Error updating tool:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unregister a tool (every version, or ?version=x.y.z)
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version } = req.query;
+    const versions = registry.getToolVersions(id).filter(t => !version || t.version === version);
+    
+    if (versions.length === 0) {
+      return res.status(404).json({ error: `Tool ${id}${version ? `@${version}` : ''} not found` });
+    }
+    
+    // Tool files would bring the tool back on the next scan
+    const fileTool = versions.find(t => t.source && t.source.type === 'file');
+    if (fileTool) {
+      return res.status(409).json({ error: `Tool ${id} is defined in ${fileTool.source.file}; delete that file instead` });
+    }
+    
+    const removed = await registry.removeTool(id, version);
+    
+    res.json({
+      success: true,
+      message: `Tool ${id} unregistered successfully`,
+      removedVersions: removed.map(t => t.version)
+    });
+  } catch (error) {
+    logger.error('Error unregistering tool:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a tool's MCP server process
+router.post('/:id/start', requireRole('operator'), requireToolAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tool = registry.getTools().find(t => t.id === id);
+    
+    if (!tool) {
+      return res.status(404).json({ error: `Tool ${id} not found` });
+    }
+    
+    const status = await supervisor.start(tool);
+    
+    res.json({
+      success: true,
+      message: `MCP server ${id} started`,
+      status
+    });
+  } catch (error) {
+    logger.error('Error starting MCP server:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop a tool's MCP server process
+router.post('/:id/stop', requireRole('operator'), requireToolAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!registry.getTools().some(t => t.id === id)) {
+      return res.status(404).json({ error: `Tool ${id} not found` });
+    }
+    
+    res.json(await stopMcpServer(id));
+  } catch (error) {
+    logger.error('Error stopping MCP server:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restart a tool's MCP server process
+router.post('/:id/restart', requireRole('operator'), requireToolAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tool = registry.getTools().find(t => t.id === id);
+    
+    if (!tool) {
+      return res.status(404).json({ error: `Tool ${id} not found` });
+    }
+    
+    const status = await supervisor.restart(tool);
+    
+    res.json({
+      success: true,
+      message: `MCP server ${id} restarted`,
+      status
+    });
+  } catch (error) {
+    logger.error('Error restarting MCP server:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the process and health status of a tool's MCP server
+router.get('/:id/status', requireRole('reader'), requireToolAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!registry.getTools().some(t => t.id === id)) {
+      return res.status(404).json({ error: `Tool ${id} not found` });
+    }
+    
+    res.json(await supervisor.getHealth(id));
+  } catch (error) {
+    logger.error('Error getting MCP server status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export { router as toolsRouter };
\ No newline at end of file
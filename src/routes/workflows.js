@@ -0,0 +1,70 @@
+import express from 'express';
+import { workflowLibrary, WorkflowExistsError } from '../workflows/index.js';
+import { requireRole } from '../auth/index.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/validation.js';
+
+const router = express.Router();
+
+// List the newest version of every workflow, including invalid ones with their `errors`
+router.get('/', requireRole('reader'), async (req, res) => {
+  try {
+    res.json(await workflowLibrary.list());
+  } catch (error) {
+    logger.error('Error listing workflows:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a workflow with its plan; ?version= picks a version by semver range
+router.get('/:name', requireRole('reader'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { version } = req.query;
+    let workflow;
+
+    try {
+      workflow = await workflowLibrary.get(name, version);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!workflow) {
+      return res.status(404).json({ error: `Workflow ${name}${version ? `@${version}` : ''} not found` });
+    }
+
+    res.json(workflow);
+  } catch (error) {
+    logger.error('Error getting workflow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a plan, e.g. one returned by POST /api/plan, as a new workflow version.
+// Body: { name, version, description, parameters, plan }
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    if (!req.body || typeof req.body !== 'object' || !req.body.name) {
+      return res.status(400).json({ error: 'Workflow must include at least a name and a plan' });
+    }
+
+    const workflow = await workflowLibrary.save(req.body);
+
+    res.status(201)
+      .location(`${req.baseUrl}/${encodeURIComponent(workflow.name)}?version=${encodeURIComponent(workflow.version)}`)
+      .json(workflow);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.errors });
+    }
+
+    if (error instanceof WorkflowExistsError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    logger.error('Error saving workflow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export { router as workflowsRouter };
\ No newline at end of file
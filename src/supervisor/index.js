@@ -0,0 +1,333 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Generated servers live in mcp-servers/<id> at the project root
+const MCP_SERVERS_DIR = path.join(__dirname, '../../mcp-servers');
+
+const MAX_RESTARTS = parseInt(process.env.SUPERVISOR_MAX_RESTARTS || '5', 10);
+const RESTART_BASE_DELAY = parseInt(process.env.SUPERVISOR_RESTART_DELAY || '1000', 10);
+const MAX_RESTART_DELAY = 30000;
+
+// A process that stays up this long is considered healthy again
+const STABLE_UPTIME = 60000;
+
+const STOP_TIMEOUT = 5000;
+const HEALTH_CHECK_TIMEOUT = 2000;
+
+/**
+ * Supervises MCP server processes: starts, stops and restarts them on crash.
+ */
+class ProcessSupervisor {
+  constructor() {
+    this.processes = new Map();
+  }
+
+  /**
+   * Starts the process for a tool. Resolves once the process has spawned.
+   *
+   * @param {Object} tool The tool definition
+   * @returns {Promise<Object>} The process status
+   */
+  async start(tool) {
+    const existing = this.processes.get(tool.id);
+
+    if (existing && ['starting', 'running', 'restarting'].includes(existing.status)) {
+      return this.getStatus(tool.id);
+    }
+
+    // Registered right away so a stop() while starting is noticed
+    const entry = {
+      toolId: tool.id,
+      config: null,
+      child: null,
+      pid: null,
+      port: null,
+      status: 'starting',
+      startedAt: null,
+      restarts: 0,
+      lastExitCode: null,
+      lastError: null,
+      restartTimer: null,
+      stopping: false
+    };
+
+    this.processes.set(tool.id, entry);
+
+    try {
+      // Keep the port across restarts so clients can still reach the server
+      entry.config = await resolveProcessConfig(tool, existing ? existing.port : null);
+      entry.port = entry.config.port;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.lastError = error.message;
+      throw error;
+    }
+
+    await this.spawnProcess(entry);
+
+    return this.getStatus(tool.id);
+  }
+
+  /**
+   * Stops a supervised process, escalating to SIGKILL if it doesn't exit in time
+   */
+  async stop(toolId) {
+    const entry = this.processes.get(toolId);
+
+    if (!entry || entry.status === 'stopped') {
+      return { toolId, status: 'stopped' };
+    }
+
+    entry.stopping = true;
+    clearTimeout(entry.restartTimer);
+
+    if (entry.child) {
+      await terminate(entry.child);
+    }
+
+    entry.status = 'stopped';
+    entry.child = null;
+    entry.pid = null;
+
+    logger.info(`Stopped MCP server process for ${toolId}`);
+
+    return this.getStatus(toolId);
+  }
+
+  /**
+   * Stops and starts a process again, resetting its restart budget
+   */
+  async restart(tool) {
+    await this.stop(tool.id);
+    return await this.start(tool);
+  }
+
+  /**
+   * Gets the supervision status of a tool's process
+   */
+  getStatus(toolId) {
+    const entry = this.processes.get(toolId);
+
+    if (!entry) {
+      return { toolId, status: 'stopped' };
+    }
+
+    return {
+      toolId,
+      status: entry.status,
+      pid: entry.pid,
+      port: entry.port,
+      startedAt: entry.startedAt,
+      uptime: entry.startedAt && entry.status === 'running'
+        ? Date.now() - new Date(entry.startedAt).getTime()
+        : 0,
+      restarts: entry.restarts,
+      lastExitCode: entry.lastExitCode,
+      lastError: entry.lastError
+    };
+  }
+
+  /**
+   * Gets the status plus a live health probe of the server's HTTP port
+   */
+  async getHealth(toolId) {
+    const status = this.getStatus(toolId);
+
+    if (status.status !== 'running') {
+      return { ...status, healthy: false };
+    }
+
+    const entry = this.processes.get(toolId);
+    const healthUrl = entry.config.healthUrl || (entry.port ? `http://localhost:${entry.port}/` : null);
+
+    // Without an HTTP endpoint, a live process is the best signal we have
+    if (!healthUrl) {
+      return { ...status, healthy: true };
+    }
+
+    try {
+      const response = await fetch(healthUrl, { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT) });
+      return { ...status, healthy: response.ok, healthUrl };
+    } catch (error) {
+      return { ...status, healthy: false, healthUrl, healthError: error.message };
+    }
+  }
+
+  /**
+   * Stops every supervised process (used on shutdown)
+   */
+  async stopAll() {
+    await Promise.all([...this.processes.keys()].map(toolId => this.stop(toolId)));
+  }
+
+  async spawnProcess(entry) {
+    const { config } = entry;
+
+    // stop() was called while the process was starting or waiting to restart
+    if (entry.stopping) return;
+
+    const env = { ...process.env, ...config.env };
+    if (entry.port) env.PORT = String(entry.port);
+
+    logger.info(`Starting MCP server process for ${entry.toolId}: ${config.command} ${config.args.join(' ')}`);
+
+    const child = spawn(config.command, config.args, {
+      cwd: config.cwd,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    child.stdout.on('data', chunk => logger.debug(`[${entry.toolId}] ${chunk.toString().trim()}`));
+    child.stderr.on('data', chunk => logger.debug(`[${entry.toolId}] ${chunk.toString().trim()}`));
+
+    child.on('exit', (code, signal) => this.handleExit(entry, child, code, signal));
+
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', error => {
+        entry.status = 'failed';
+        entry.lastError = error.message;
+        reject(new Error(`Failed to start MCP server ${entry.toolId}: ${error.message}`));
+      });
+    });
+
+    // stop() was called while the process was spawning and couldn't reach it yet
+    if (entry.stopping) {
+      logger.info(`MCP server process for ${entry.toolId} was stopped while starting; terminating it`);
+      await terminate(child);
+      return;
+    }
+
+    entry.child = child;
+    entry.pid = child.pid;
+    entry.status = 'running';
+    entry.startedAt = new Date().toISOString();
+  }
+
+  handleExit(entry, child, code, signal) {
+    // Ignore exits from processes that have already been replaced
+    if (entry.child !== child) return;
+
+    entry.child = null;
+    entry.pid = null;
+    entry.lastExitCode = code;
+
+    if (entry.stopping) return;
+
+    const uptime = entry.startedAt ? Date.now() - new Date(entry.startedAt).getTime() : 0;
+
+    // A long stable run earns a fresh restart budget
+    if (uptime >= STABLE_UPTIME) {
+      entry.restarts = 0;
+    }
+
+    entry.lastError = signal ? `Terminated by ${signal}` : `Exited with code ${code}`;
+
+    if (entry.restarts >= MAX_RESTARTS) {
+      entry.status = 'failed';
+      logger.error(`MCP server ${entry.toolId} crashed (${entry.lastError}); giving up after ${entry.restarts} restarts`);
+      return;
+    }
+
+    const delay = Math.min(RESTART_BASE_DELAY * Math.pow(2, entry.restarts), MAX_RESTART_DELAY);
+    entry.restarts++;
+    entry.status = 'restarting';
+
+    logger.warn(`MCP server ${entry.toolId} crashed (${entry.lastError}); restarting in ${delay}ms`);
+
+    entry.restartTimer = setTimeout(() => {
+      this.spawnProcess(entry).catch(error => {
+        logger.error(`Failed to restart MCP server ${entry.toolId}:`, error);
+      });
+    }, delay);
+  }
+}
+
+/**
+ * Ends a process with SIGTERM, escalating to SIGKILL if it doesn't exit in time
+ */
+function terminate(child) {
+  return new Promise(resolve => {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return resolve();
+    }
+
+    const killTimer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT);
+
+    child.once('exit', () => {
+      clearTimeout(killTimer);
+      resolve();
+    });
+
+    child.kill('SIGTERM');
+  });
+}
+
+/**
+ * Works out how to launch a tool's process.
+ * Tools may declare `process: { command, args, cwd, env, port, healthUrl }`;
+ * otherwise the generated server in mcp-servers/<id> is started with node.
+ */
+async function resolveProcessConfig(tool, previousPort) {
+  const declared = tool.process || {};
+  const generatedDir = path.join(MCP_SERVERS_DIR, tool.id);
+
+  let command = declared.command;
+  let args = declared.args || [];
+  let cwd = declared.cwd ? path.resolve(declared.cwd) : undefined;
+
+  if (!command) {
+    try {
+      await fs.access(path.join(generatedDir, 'src/index.js'));
+    } catch (error) {
+      throw new Error(`Tool ${tool.id} has no process command and no generated server in mcp-servers/${tool.id}`);
+    }
+
+    command = process.execPath;
+    args = ['src/index.js'];
+    cwd = generatedDir;
+  }
+
+  const port = declared.port || portFromEndpoint(tool.apiEndpoint) || previousPort || await findFreePort();
+
+  return {
+    command,
+    args,
+    cwd,
+    env: declared.env || {},
+    port,
+    healthUrl: declared.healthUrl
+  };
+}
+
+function portFromEndpoint(endpoint) {
+  if (!endpoint) return null;
+
+  try {
+    const { port, hostname } = new URL(endpoint);
+    return ['localhost', '127.0.0.1'].includes(hostname) && port ? parseInt(port, 10) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Create singleton instance
+export const supervisor = new ProcessSupervisor();
\ No newline at end of file
@@ -18,6 +18,22 @@ export default {
     filePath: '',
     outputFormat: 'json'
   },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      filePath: { type: 'string', description: 'Path of the file to read' },
+      outputFormat: { type: 'string', enum: ['json', 'text'] }
+    },
+    required: ['filePath']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      result: { type: 'object', description: 'The parsed file contents' },
+      processingTime: { type: 'string' }
+    }
+  },
   outputs: {
     success: true,
     result: {},
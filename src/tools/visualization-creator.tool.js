@@ -30,6 +30,26 @@ export default {
     height: 600,
     colorScheme: 'default'
   },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      data: { type: ['object', 'array'], description: 'The data to visualize' },
+      type: { type: 'string' },
+      title: { type: 'string' },
+      width: { type: 'number' },
+      height: { type: 'number' },
+      colorScheme: { type: 'string' }
+    },
+    required: ['data']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      visualizationPath: { type: 'string' },
+      format: { type: 'string' }
+    }
+  },
   outputs: {
     success: true,
     visualizationPath: '',
@@ -0,0 +1,124 @@
+/**
+ * Helpers for selecting and transforming values when data flows between steps.
+ */
+
+// Named transforms that can be applied to a selected value
+const TRANSFORMS = {
+  toString: value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)),
+  toNumber: value => Number(value),
+  toBoolean: value => Boolean(value),
+  toArray: value => (Array.isArray(value) ? value : [value]),
+  first: value => (Array.isArray(value) ? value[0] : value),
+  last: value => (Array.isArray(value) ? value[value.length - 1] : value),
+  length: value => (Array.isArray(value) || typeof value === 'string' ? value.length : Object.keys(value || {}).length),
+  keys: value => Object.keys(value || {}),
+  values: value => Object.values(value || {}),
+  flatten: value => (Array.isArray(value) ? value.flat() : value),
+  json: value => JSON.stringify(value),
+  parseJson: value => (typeof value === 'string' ? JSON.parse(value) : value)
+};
+
+export const TRANSFORM_NAMES = Object.keys(TRANSFORMS);
+
+/**
+ * Parses a JSONPath-style selector into path segments.
+ * Supports `$`, `.key`, `['key']`, `[0]` and the `[*]` / `.*` wildcard.
+ *
+ * @param {string} selector e.g. "$.result.rows[0].name"
+ * @returns {Array<string|number>} The path segments ('*' for wildcards)
+ */
+export function parsePath(selector) {
+  if (typeof selector !== 'string') {
+    throw new Error(`Invalid path selector: ${selector}`);
+  }
+
+  const segments = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[\*\]|\[['"]([^'"]+)['"]\]/g;
+  const body = selector.replace(/^\$/, '');
+
+  // Allow bare paths such as "result.rows"
+  const normalized = body && !body.startsWith('.') && !body.startsWith('[') ? `.${body}` : body;
+
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(normalized)) !== null) {
+    if (match.index !== lastIndex) {
+      throw new Error(`Invalid path selector: ${selector}`);
+    }
+
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(parseInt(match[2], 10));
+    } else if (match[3] !== undefined) {
+      segments.push(match[3]);
+    } else {
+      segments.push('*');
+    }
+
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex !== normalized.length) {
+    throw new Error(`Invalid path selector: ${selector}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Selects a value from an object with a JSONPath-style selector.
+ * Wildcards map over arrays (or object values) and return an array.
+ *
+ * @param {*} value The object to select from
+ * @param {string} selector The path selector
+ * @returns {*} The selected value, or undefined if the path doesn't exist
+ */
+export function selectPath(value, selector) {
+  return selectSegments(value, parsePath(selector));
+}
+
+function selectSegments(value, segments) {
+  if (segments.length === 0) {
+    return value;
+  }
+
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  const [segment, ...rest] = segments;
+
+  if (segment === '*') {
+    const items = Array.isArray(value) ? value : Object.values(value);
+    return items.map(item => selectSegments(item, rest));
+  }
+
+  return selectSegments(value[segment], rest);
+}
+
+/**
+ * Applies one transform or a list of transforms to a value
+ *
+ * @param {*} value The value to transform
+ * @param {string|string[]} transform Transform name(s), applied in order
+ * @returns {*} The transformed value
+ */
+export function applyTransform(value, transform) {
+  if (!transform) {
+    return value;
+  }
+
+  const names = Array.isArray(transform) ? transform : [transform];
+
+  return names.reduce((current, name) => {
+    const fn = TRANSFORMS[name];
+
+    if (!fn) {
+      throw new Error(`Unknown transform: ${name}`);
+    }
+
+    return fn(current);
+  }, value);
+}
\ No newline at end of file
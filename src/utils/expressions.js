@@ -0,0 +1,256 @@
+/**
+ * A small expression language for conditions in execution plans, evaluated without `eval`.
+ *
+ * Expressions combine JSONPath-style references to step outputs with literals, comparisons
+ * and boolean operators, e.g. `$.step_1.result.rowCount > 1000 && $.step_2.success`:
+ * - references: `$.stepId.result.field`, `$.stepId.result.rows[0]`, `$.stepId.result.rows.length`
+ * - literals: numbers, 'single' or "double" quoted strings, true, false, null
+ * - comparisons: == != > >= < <=
+ * - boolean operators: && || ! and parentheses
+ */
+import { selectPath } from './data-mapping.js';
+
+const TOKEN_PATTERNS = [
+  ['whitespace', /\s+/y],
+  ['path', /\$(?:\.[A-Za-z_$][\w$-]*|\.\*|\[\d+\]|\[\*\]|\['[^']*'\]|\["[^"]*"\])*/y],
+  ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+  ['string', /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/y],
+  ['operator', /==|!=|>=|<=|&&|\|\||[><!()]/y],
+  ['keyword', /(?:true|false|null)\b/y]
+];
+
+const COMPARISONS = {
+  '==': (left, right) => isEqual(left, right),
+  '!=': (left, right) => !isEqual(left, right),
+  '>': (left, right) => isComparable(left, right) && left > right,
+  '>=': (left, right) => isComparable(left, right) && left >= right,
+  '<': (left, right) => isComparable(left, right) && left < right,
+  '<=': (left, right) => isComparable(left, right) && left <= right
+};
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * Parses an expression into a syntax tree
+ *
+ * @param {string} source The expression
+ * @returns {Object} The syntax tree
+ * @throws {Error} If the expression isn't valid
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    throw new Error('Expression must be a non-empty string');
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const fail = message => {
+    const token = peek();
+    const where = token ? `"${token.text}" at position ${token.index}` : 'end of expression';
+    throw new Error(`Invalid expression ${JSON.stringify(source)}: ${message} (${where})`);
+  };
+
+  const accept = text => {
+    const token = peek();
+
+    if (token && token.type === 'operator' && token.text === text) {
+      position++;
+      return true;
+    }
+
+    return false;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+
+    while (accept('||')) {
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+
+    while (accept('&&')) {
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+
+    return node;
+  };
+
+  const parseNot = () => {
+    if (accept('!')) {
+      return { type: 'not', operand: parseNot() };
+    }
+
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+
+    if (token && token.type === 'operator' && Object.hasOwn(COMPARISONS, token.text)) {
+      position++;
+      return { type: 'compare', operator: token.text, left, right: parseOperand() };
+    }
+
+    return left;
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+
+    if (!token) {
+      fail('expected a value');
+    }
+
+    if (accept('(')) {
+      const node = parseOr();
+
+      if (!accept(')')) {
+        fail('expected ")"');
+      }
+
+      return node;
+    }
+
+    position++;
+
+    switch (token.type) {
+      case 'path':
+        return { type: 'path', path: token.text };
+
+      case 'number':
+        return { type: 'literal', value: Number(token.text) };
+
+      case 'string':
+        return { type: 'literal', value: token.text.slice(1, -1).replace(/\\(.)/g, '$1') };
+
+      case 'keyword':
+        return { type: 'literal', value: KEYWORDS[token.text] };
+
+      default:
+        position--;
+        return fail('expected a value');
+    }
+  };
+
+  const tree = parseOr();
+
+  if (position < tokens.length) {
+    fail('unexpected token');
+  }
+
+  return tree;
+}
+
+/**
+ * Evaluates an expression against data, typically the results of earlier steps keyed by step ID
+ *
+ * @param {string|Object} expression The expression, or a tree returned by parseExpression
+ * @param {Object} data What `$` refers to
+ * @returns {*} The value of the expression
+ */
+export function evaluateExpression(expression, data) {
+  const tree = typeof expression === 'string' ? parseExpression(expression) : expression;
+  return evaluate(tree, data);
+}
+
+/**
+ * Lists the references an expression makes, e.g. ['$.step_1.result.rowCount']
+ *
+ * @param {string|Object} expression The expression, or a tree returned by parseExpression
+ * @returns {string[]} The paths, in the order they appear
+ */
+export function getExpressionPaths(expression) {
+  const tree = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const paths = [];
+
+  const visit = node => {
+    if (node.type === 'path') paths.push(node.path);
+    for (const child of [node.left, node.right, node.operand]) {
+      if (child) visit(child);
+    }
+  };
+
+  visit(tree);
+
+  return paths;
+}
+
+function evaluate(node, data) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'path':
+      return selectPath(data, node.path);
+
+    case 'not':
+      return !evaluate(node.operand, data);
+
+    case 'and':
+      return Boolean(evaluate(node.left, data)) && Boolean(evaluate(node.right, data));
+
+    case 'or':
+      return Boolean(evaluate(node.left, data)) || Boolean(evaluate(node.right, data));
+
+    case 'compare':
+      return COMPARISONS[node.operator](evaluate(node.left, data), evaluate(node.right, data));
+
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    let matched = false;
+
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+
+      if (match && match[0].length > 0) {
+        if (type !== 'whitespace') {
+          tokens.push({ type, text: match[0], index });
+        }
+
+        index += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      throw new Error(`Invalid expression ${JSON.stringify(source)}: unexpected character "${source[index]}" at position ${index}`);
+    }
+  }
+
+  return tokens;
+}
+
+// Numbers compare with numbers and strings with strings; anything else is never ordered
+function isComparable(left, right) {
+  return (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+}
+
+// Arrays and objects are equal when they have the same contents
+function isEqual(left, right) {
+  if (typeof left === 'object' && typeof right === 'object' && left !== null && right !== null) {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  return left === right;
+}
\ No newline at end of file
@@ -1,15 +1,21 @@
 import winston from 'winston';
 
+// LOG_LEVEL=silent turns logging off, e.g. in tests
 const logLevel = process.env.LOG_LEVEL || 'info';
 
+// In stdio MCP mode stdout carries protocol messages, so console logs go to stderr
+const stdioMode = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+
 export const logger = winston.createLogger({
   level: logLevel,
+  silent: logLevel === 'silent',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.json()
   ),
   transports: [
     new winston.transports.Console({
+      stderrLevels: stdioMode ? Object.keys(winston.config.npm.levels) : [],
       format: winston.format.combine(
         winston.format.colorize(),
         winston.format.simple()
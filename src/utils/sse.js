@@ -0,0 +1,42 @@
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL = parseInt(process.env.SSE_HEARTBEAT_INTERVAL || '15000', 10);
+
+/**
+ * Turns a response into a Server-Sent Events stream
+ *
+ * @param {Object} res The Express response
+ * @returns {Object} { send(event, data, id), close() }
+ */
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send(event, data, id) {
+      if (res.writableEnded) return;
+
+      let message = '';
+      if (id !== undefined) message += `id: ${id}\n`;
+      message += `event: ${event}\n`;
+      message += `data: ${JSON.stringify(data)}\n\n`;
+
+      res.write(message);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
\ No newline at end of file
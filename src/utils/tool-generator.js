@@ -5,66 +5,6 @@ import { logger } from './logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-/**
- * Creates a new MCP tool definition file based on a template.
- * 
- * @param {Object} definition The tool definition
- * @param {string} outputFormat The output format ('js' or 'json')
- * @returns {Promise<string>} The path to the created file
- */
-export async function generateToolDefinition(definition, outputFormat = 'js') {
-  try {
-    // Ensure the tools directory exists
-    const toolsDir = path.join(__dirname, '../tools');
-    
-    try {
-      await fs.access(toolsDir);
-    } catch (error) {
-      logger.info('Tools directory does not exist. Creating it...');
-      await fs.mkdir(toolsDir, { recursive: true });
-    }
-    
-    // Generate a tool ID if one wasn't provided
-    if (!definition.id) {
-      definition.id = definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-    }
-    
-    // Set default values if not provided
-    const toolDef = {
-      version: '0.1.0',
-      type: 'mcp-server',
-      ...definition
-    };
-    
-    // Create the output file path
-    const fileName = `${toolDef.id}.tool.${outputFormat}`;
-    const filePath = path.join(toolsDir, fileName);
-    
-    // Create the file content
-    let fileContent;
-    
-    if (outputFormat === 'js') {
-      fileContent = `/**
- * MCP tool definition for ${toolDef.name}
- */
-
-export default ${JSON.stringify(toolDef, null, 2)};`;
-    } else {
-      fileContent = JSON.stringify(toolDef, null, 2);
-    }
-    
-    // Write the file
-    await fs.writeFile(filePath, fileContent);
-    
-    logger.info(`Generated tool definition file: ${fileName}`);
-    
-    return filePath;
-  } catch (error) {
-    logger.error('Error generating tool definition:', error);
-    throw error;
-  }
-}
-
 /**
  * Creates a new MCP server implementation based on a template.
  * 
@@ -0,0 +1,131 @@
+import Ajv from 'ajv';
+import Ajv2019 from 'ajv/dist/2019.js';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+// Tool schemas come from many sources (including remote MCP servers), so don't reject unknown keywords
+const AJV_OPTIONS = { allErrors: true, strict: false };
+
+// Schemas are draft-07 unless their $schema names a newer draft, as MCP servers often do
+const ajv = new Ajv(AJV_OPTIONS);
+const ajv2019 = new Ajv2019(AJV_OPTIONS);
+const ajv2020 = new Ajv2020(AJV_OPTIONS);
+
+/**
+ * Raised when data doesn't match a JSON Schema.
+ * `errors` lists each offending field so API routes can return them with a 422.
+ */
+export class ValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 422;
+    this.errors = errors;
+  }
+}
+
+// Compiled validators, cached per schema object for as long as the schema is in use
+const compiled = new WeakMap();
+
+function getValidator(schema) {
+  if (!compiled.has(schema)) {
+    const instance = getAjv(schema);
+    const validate = instance.compile(schema);
+
+    // Ajv keeps every compiled schema, and refuses a second schema with the same $id
+    // (e.g. a reloaded tool's), so the cache above is the only place the validator lives
+    instance.removeSchema(schema);
+
+    compiled.set(schema, validate);
+  }
+  return compiled.get(schema);
+}
+
+function getAjv(schema) {
+  const dialect = schema && typeof schema.$schema === 'string' ? schema.$schema : '';
+
+  if (dialect.includes('2020-12')) return ajv2020;
+  if (dialect.includes('2019-09')) return ajv2019;
+  return ajv;
+}
+
+/**
+ * Validates data against a JSON Schema
+ *
+ * @param {Object} schema The JSON Schema
+ * @param {*} data The data to validate
+ * @returns {Array<{ field: string, message: string }>} The validation errors (empty if valid)
+ */
+export function validateSchema(schema, data) {
+  let validate;
+
+  try {
+    validate = getValidator(schema);
+  } catch (error) {
+    return [{ field: '(schema)', message: `Invalid schema: ${error.message}` }];
+  }
+
+  if (validate(data)) {
+    return [];
+  }
+
+  // "must match then schema" only repeats the conditional errors it wraps
+  return validate.errors
+    .filter(error => error.keyword !== 'if')
+    .map(formatError);
+}
+
+/**
+ * Checks that a JSON Schema itself is well-formed
+ *
+ * @param {Object} schema The JSON Schema
+ * @returns {string|null} The problem with the schema, or null if it compiles
+ */
+export function checkSchema(schema) {
+  try {
+    getValidator(schema);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validates data against a JSON Schema and throws a ValidationError if it doesn't match
+ *
+ * @param {Object} schema The JSON Schema
+ * @param {*} data The data to validate
+ * @param {string} label What is being validated, used in the error message
+ */
+export function assertValid(schema, data, label) {
+  const errors = validateSchema(schema, data);
+
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    throw new ValidationError(`Invalid ${label}: ${summary}`, errors);
+  }
+}
+
+/**
+ * Converts an Ajv error into a { field, message } pair with a dotted field path
+ */
+function formatError(error) {
+  let field = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .join('.');
+
+  // Point at the missing or unexpected property itself
+  if (error.keyword === 'required') {
+    field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+  } else if (error.keyword === 'additionalProperties') {
+    field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+  }
+
+  let message = error.message;
+  if (error.keyword === 'enum') {
+    message += `: ${error.params.allowedValues.join(', ')}`;
+  }
+
+  return { field: field || '(root)', message };
+}
\ No newline at end of file
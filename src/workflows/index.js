@@ -0,0 +1,405 @@
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import YAML from 'yaml';
+import { logger } from '../utils/logger.js';
+import { selectPath } from '../utils/data-mapping.js';
+import { validateSchema, checkSchema, ValidationError } from '../utils/validation.js';
+import { prepareExecutionPlan } from '../orchestrator/index.js';
+import { WORKFLOW_SCHEMA } from './workflow-schema.js';
+
+// Where workflow definitions (.yaml, .yml or .json) are kept
+const WORKFLOWS_DIR = path.resolve(process.env.WORKFLOWS_DIR || 'workflows');
+
+const WORKFLOW_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const DEFAULT_VERSION = '1.0.0';
+
+// e.g. "{{ filePath }}"; a string that is nothing but a placeholder takes the parameter's value as is
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([A-Za-z_][\w-]*)\s*\}\}$/;
+
+/**
+ * Raised when saving a workflow version that already exists
+ */
+export class WorkflowExistsError extends Error {
+  constructor(name, version, file) {
+    super(`Workflow ${name}@${version} already exists in ${file}; save it under a new version`);
+    this.name = 'WorkflowExistsError';
+    this.status = 409;
+  }
+}
+
+/**
+ * Named, parameterized execution plans kept as files, so pipelines that run
+ * often don't go through request analysis each time. Files are reread when
+ * they change and every workflow is checked against the registry whenever
+ * the workflows are looked up, so one that refers to a tool that's gone is
+ * reported as invalid instead of failing when it runs.
+ */
+class WorkflowLibrary {
+  constructor(directory = WORKFLOWS_DIR) {
+    this.directory = directory;
+
+    // Parsed definitions per file, reused until the file changes
+    this.files = new Map();
+  }
+
+  /**
+   * Reads new and changed workflow files and validates every workflow
+   *
+   * @returns {Promise<Object[]>} The workflows, each with the file it came from and any `errors`
+   */
+  async load() {
+    let fileNames;
+
+    try {
+      fileNames = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = fileNames
+      .filter(fileName => WORKFLOW_EXTENSIONS.includes(path.extname(fileName)))
+      .sort()
+      .map(fileName => path.join(this.directory, fileName));
+
+    for (const file of this.files.keys()) {
+      if (!files.includes(file)) this.files.delete(file);
+    }
+
+    const workflows = [];
+    const seen = new Map();
+
+    for (const file of files) {
+      const { definition, error } = await this.readFile(file);
+      const relativeFile = path.relative(process.cwd(), file);
+
+      // Files that can't be read are still listed, so their problem can be seen
+      if (error) {
+        const name = path.basename(file, path.extname(file));
+        workflows.push({ name, version: DEFAULT_VERSION, file: relativeFile, errors: [{ field: '(file)', message: error }] });
+        continue;
+      }
+
+      const errors = validateWorkflow(definition);
+      const workflow = { name: definition.name, version: DEFAULT_VERSION, ...definition, file: relativeFile };
+      const key = `${workflow.name}@${workflow.version}`;
+
+      // Files are read in name order, so the first definition of a version wins
+      if (seen.has(key)) {
+        errors.push({ field: 'version', message: `${key} is also defined in ${seen.get(key)}` });
+      } else {
+        seen.set(key, workflow.file);
+      }
+
+      workflows.push(errors.length > 0 ? { ...workflow, errors } : workflow);
+    }
+
+    return workflows;
+  }
+
+  /**
+   * Parses a workflow file, or reuses the last parse if the file hasn't changed
+   *
+   * @returns {Promise<{ definition?: Object, error?: string }>}
+   */
+  async readFile(file) {
+    let mtimeMs;
+
+    try {
+      ({ mtimeMs } = await fs.stat(file));
+      const cached = this.files.get(file);
+
+      if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.parsed;
+      }
+
+      const text = await fs.readFile(file, 'utf8');
+      const definition = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+
+      if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('A workflow file must contain an object');
+      }
+
+      this.files.set(file, { mtimeMs, parsed: { definition } });
+      logger.info(`Loaded workflow ${definition.name} from ${file}`);
+    } catch (error) {
+      logger.error(`Error loading workflow file ${file}:`, error);
+      this.files.set(file, { mtimeMs, parsed: { error: error.message } });
+    }
+
+    return this.files.get(file).parsed;
+  }
+
+  /**
+   * Lists the newest version of each workflow, with all of its versions
+   */
+  async list() {
+    const byName = new Map();
+
+    for (const workflow of sortByVersion(await this.load())) {
+      if (!byName.has(workflow.name)) {
+        byName.set(workflow.name, { ...summarize(workflow), versions: [] });
+      }
+
+      byName.get(workflow.name).versions.push(workflow.version);
+    }
+
+    return [...byName.values()];
+  }
+
+  /**
+   * Gets a workflow by name: the newest valid version, or the newest version matching a semver range
+   *
+   * @param {string} name The workflow name
+   * @param {string} [range] e.g. "1.2.0" or "^1"
+   * @returns {Promise<Object|undefined>}
+   * @throws {Error} If the range is invalid
+   */
+  async get(name, range) {
+    if (range && !semver.validRange(range)) {
+      throw new Error(`Invalid version range ${range}`);
+    }
+
+    const versions = sortByVersion(await this.load()).filter(workflow => workflow.name === name);
+
+    if (range) {
+      return versions.find(workflow => semver.satisfies(workflow.version, range));
+    }
+
+    return versions.find(workflow => !workflow.errors) || versions[0];
+  }
+
+  /**
+   * Saves a workflow to a new file named after it, e.g. workflows/daily-report@1.0.0.yaml
+   *
+   * @param {Object} definition The workflow; its plan may be one returned by the orchestrator
+   * @returns {Promise<Object>} The saved workflow
+   * @throws {ValidationError} If the workflow isn't valid
+   * @throws {WorkflowExistsError} If this version of the workflow already exists
+   */
+  async save(definition) {
+    const { name, version = DEFAULT_VERSION, description, parameters, plan } = definition;
+
+    // Only what's needed to run the plan again; the orchestrator's planId, reasons and timestamps aren't
+    const workflow = {
+      name,
+      version,
+      description,
+      parameters,
+      plan: plan && typeof plan === 'object'
+        ? { steps: plan.steps, dataFlow: plan.dataFlow, concurrency: plan.concurrency }
+        : plan
+    };
+
+    const errors = validateWorkflow(workflow);
+
+    if (errors.length > 0) {
+      const summary = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+      throw new ValidationError(`Invalid workflow ${name}: ${summary}`, errors);
+    }
+
+    const existing = (await this.load()).find(other => other.name === name && other.version === version);
+
+    if (existing) {
+      throw new WorkflowExistsError(name, version, existing.file);
+    }
+
+    const file = path.join(this.directory, `${name}@${version}.yaml`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+
+    try {
+      await fs.writeFile(file, YAML.stringify(JSON.parse(JSON.stringify(workflow))), { flag: 'wx' });
+    } catch (error) {
+      // A file that isn't a readable workflow may already have the name
+      if (error.code === 'EEXIST') throw new WorkflowExistsError(name, version, path.relative(process.cwd(), file));
+      throw error;
+    }
+
+    logger.info(`Saved workflow ${name}@${version} to ${file}`);
+
+    return { ...workflow, file: path.relative(process.cwd(), file) };
+  }
+}
+
+/**
+ * Creates the execution plan for running a workflow with parameters. Parameters
+ * that aren't given take their default, and all of them are checked against the
+ * workflow's parameter schema before they're put in place of the placeholders.
+ *
+ * @param {Object} workflow The workflow
+ * @param {Object} [values] The parameters
+ * @returns {Object} The execution plan, with the workflow's name, version and parameters under `workflow`
+ * @throws {ValidationError} If the workflow or the parameters are invalid
+ */
+export function instantiateWorkflow(workflow, values = {}) {
+  if (workflow.errors) {
+    const summary = workflow.errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    throw new ValidationError(`Invalid workflow ${workflow.name}@${workflow.version}: ${summary}`, workflow.errors);
+  }
+
+  const parameters = applyDefaults(workflow.parameters, values);
+
+  if (workflow.parameters) {
+    const errors = validateSchema(workflow.parameters, parameters);
+
+    if (errors.length > 0) {
+      const details = errors.map(error => ({ ...error, field: `parameters.${error.field}` }));
+      const summary = details.map(error => `${error.field}: ${error.message}`).join('; ');
+      throw new ValidationError(`Invalid parameters for workflow ${workflow.name}: ${summary}`, details);
+    }
+  }
+
+  const plan = prepareExecutionPlan(fillPlaceholders(workflow.plan, parameters));
+
+  return {
+    ...plan,
+    workflow: { name: workflow.name, version: workflow.version, parameters }
+  };
+}
+
+/**
+ * Checks a workflow definition, including its plan against the registry. Plan values
+ * made of placeholders can only be checked once the workflow runs, so problems with
+ * them are left out unless the parameter has a default.
+ *
+ * @returns {Array<{ field: string, message: string }>} The problems found
+ */
+function validateWorkflow(definition) {
+  const errors = validateSchema(WORKFLOW_SCHEMA, definition);
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (definition.version !== undefined && !semver.valid(definition.version)) {
+    errors.push({ field: 'version', message: 'must be a semantic version, e.g. 1.2.0' });
+  }
+
+  if (definition.parameters) {
+    const schemaError = checkSchema(definition.parameters);
+
+    if (schemaError) {
+      return [...errors, { field: 'parameters', message: schemaError }];
+    }
+  }
+
+  const declared = (definition.parameters && definition.parameters.properties) || {};
+
+  for (const { name, field } of findPlaceholders(definition.plan, 'plan')) {
+    if (!Object.hasOwn(declared, name)) {
+      errors.push({ field, message: `unknown parameter ${name}` });
+    }
+  }
+
+  try {
+    prepareExecutionPlan(fillPlaceholders(definition.plan, applyDefaults(definition.parameters, {}), true));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+
+    for (const planError of error.errors) {
+      let value;
+
+      // dataFlow keys such as "flow]" don't make valid path selectors; report those fields as they are
+      try {
+        value = selectPath(definition.plan, planError.field);
+      } catch (selectorError) {
+        value = undefined;
+      }
+
+      if (findPlaceholders(value, '').length === 0) {
+        errors.push({ ...planError, field: `plan.${planError.field}` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Parameters that weren't given take their schema's default
+function applyDefaults(schema, values) {
+  const parameters = { ...values };
+
+  for (const [name, property] of Object.entries((schema && schema.properties) || {})) {
+    if (parameters[name] === undefined && property && property.default !== undefined) {
+      parameters[name] = property.default;
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Replaces the placeholders in every string of a value. With `keepUnknown`,
+ * placeholders without a value are left as they are.
+ */
+function fillPlaceholders(value, parameters, keepUnknown = false) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER_PATTERN);
+
+    if (whole) {
+      const parameter = getParameter(parameters, whole[1]);
+      return parameter === undefined && keepUnknown ? value : parameter;
+    }
+
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      const parameter = getParameter(parameters, name);
+
+      if (parameter === undefined) return keepUnknown ? placeholder : '';
+      return typeof parameter === 'object' && parameter !== null ? JSON.stringify(parameter) : String(parameter);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, parameters, keepUnknown));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, parameters, keepUnknown)]));
+  }
+
+  return value;
+}
+
+function getParameter(parameters, name) {
+  return Object.hasOwn(parameters, name) ? parameters[name] : undefined;
+}
+
+/**
+ * Lists the placeholders in a value, with the field each one is in
+ */
+function findPlaceholders(value, field) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(PLACEHOLDER_PATTERN)].map(match => ({ name: match[1], field }));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => findPlaceholders(item, field ? `${field}.${key}` : key));
+  }
+
+  return [];
+}
+
+// Newest version first
+function sortByVersion(workflows) {
+  return workflows
+    .filter(workflow => semver.valid(workflow.version))
+    .sort((a, b) => semver.rcompare(a.version, b.version))
+    .concat(workflows.filter(workflow => !semver.valid(workflow.version)));
+}
+
+/**
+ * The listing view of a workflow, without its plan
+ */
+function summarize({ plan, ...workflow }) {
+  return {
+    ...workflow,
+    steps: plan && Array.isArray(plan.steps) ? plan.steps.length : undefined
+  };
+}
+
+// Create singleton instance
+export const workflowLibrary = new WorkflowLibrary();
\ No newline at end of file
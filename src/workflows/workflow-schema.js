@@ -0,0 +1,31 @@
+/**
+ * JSON Schema for workflow definitions: a named, versioned execution plan whose
+ * string values can contain `{{ parameter }}` placeholders. The plan itself is
+ * checked like a submitted plan once its placeholders are filled in.
+ */
+export const WORKFLOW_SCHEMA = {
+  type: 'object',
+  required: ['name', 'plan'],
+  properties: {
+    name: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$',
+      description: 'Letters, digits, dots, dashes and underscores'
+    },
+    version: { type: 'string', description: 'Semantic version, e.g. 1.2.0 (default 1.0.0)' },
+    description: { type: 'string' },
+    parameters: {
+      type: 'object',
+      description: 'JSON Schema of the parameters the workflow is run with; `default`s fill in missing ones'
+    },
+    plan: {
+      type: 'object',
+      required: ['steps'],
+      properties: {
+        steps: { type: 'array', minItems: 1 },
+        dataFlow: { type: 'object' },
+        concurrency: {}
+      }
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decomposeQuery } from '../../src/analyzer/decomposer.js';
+import { analyzeRequest } from '../../src/analyzer/index.js';
+
+describe('query decomposition', () => {
+  it('splits compound requests into sub-tasks in the order given', () => {
+    const subTasks = decomposeQuery('load sales.csv and q1.csv, merge them, then plot a bar chart and a line chart');
+
+    assert.deepEqual(subTasks.map(subTask => subTask.text), [
+      'load sales.csv and q1.csv',
+      'merge them',
+      'plot a bar chart and a line chart'
+    ]);
+    assert.deepEqual(subTasks.map(subTask => subTask.intents), [['FILE_OPERATION'], ['DATA_PROCESSING'], ['VISUALIZATION']]);
+    assert.deepEqual(subTasks.map(subTask => subTask.sequential), [false, true, true]);
+  });
+
+  it('gives each sub-task its own entities and shares the request\'s context', () => {
+    const [load, merge, plot] = decomposeQuery('load sales.csv and q1.csv, merge them, then plot a bar chart and a line chart');
+
+    assert.deepEqual(load.entities.files, ['sales.csv', 'q1.csv']);
+    assert.deepEqual(merge.entities.files, []);
+    assert.deepEqual(merge.entities.dataTypes, ['tabular']);
+    assert.deepEqual(plot.entities.visualizationTypes, ['bar_chart', 'line_chart']);
+  });
+
+  it('splits sentences and drops leading sequence words', () => {
+    const subTasks = decomposeQuery('Load the JSON data. Then chart it');
+
+    assert.deepEqual(subTasks.map(subTask => subTask.text), ['Load the JSON data', 'chart it']);
+    assert.deepEqual(subTasks[1].intents, ['VISUALIZATION']);
+    assert.deepEqual(subTasks[1].entities.dataTypes, ['json']);
+    assert.equal(subTasks[1].sequential, true);
+  });
+
+  it('does not mark sub-tasks joined with "and" as sequential', () => {
+    const subTasks = decomposeQuery('search the docs and run the python script');
+
+    assert.deepEqual(subTasks.map(subTask => subTask.text), ['search the docs', 'run the python script']);
+    assert.deepEqual(subTasks.map(subTask => subTask.sequential), [false, false]);
+  });
+
+  it('finds no sub-tasks in requests without intents', () => {
+    assert.deepEqual(decomposeQuery('hello there'), []);
+  });
+
+  it('adds the sub-tasks and the intents their verbs imply to the analysis', async () => {
+    const analysis = await analyzeRequest('load sales.csv, merge them, then plot a line chart');
+
+    assert.deepEqual(analysis.subTasks.map(subTask => subTask.text), ['load sales.csv', 'merge them', 'plot a line chart']);
+    assert.deepEqual(analysis.intents, ['FILE_OPERATION', 'DATA_PROCESSING', 'VISUALIZATION']);
+  });
+});
\ No newline at end of file
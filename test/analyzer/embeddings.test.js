@@ -0,0 +1,55 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, describeTool, ToolIndex } from '../../src/analyzer/embeddings.js';
+
+const tools = [
+  { id: 'chart-maker', name: 'Chart maker', description: 'Draws bar and line charts from tabular data' },
+  { id: 'pdf-reader', name: 'PDF reader', description: 'Extracts text from PDF documents' },
+  { id: 'web-search', name: 'Web search', description: 'Searches the web for pages' }
+];
+
+describe('tool embeddings', () => {
+  it('tokenizes, drops stopwords and stems plurals', () => {
+    assert.deepEqual(tokenize('Draw the barCharts for all categories'), ['draw', 'bar', 'chart', 'category']);
+  });
+
+  it('describes tools by name, ID, description, capabilities and inputs', () => {
+    const text = describeTool({
+      id: 'csv_loader',
+      name: 'CSV loader',
+      capabilities: { intents: ['FILE_OPERATION'], fileTypes: ['csv'] },
+      inputSchema: { properties: { filePath: {} } }
+    });
+
+    assert.equal(text, 'CSV loader csv loader FILE OPERATION csv filePath');
+  });
+
+  it('ranks tools by similarity to the request', async () => {
+    const index = new ToolIndex('tfidf');
+    const similarities = await index.search('plot some charts of my data', tools);
+
+    assert.equal(similarities.size, 3);
+    assert.ok(similarities.get('chart-maker') > 0.3);
+    assert.equal(similarities.get('pdf-reader'), 0);
+    assert.equal(similarities.get('web-search'), 0);
+  });
+
+  it('rebuilds the index when the tools change', async () => {
+    const index = new ToolIndex('tfidf');
+
+    await index.search('charts', tools);
+    const signature = index.signature;
+
+    await index.search('pdf text', tools);
+    assert.equal(index.signature, signature);
+
+    const similarities = await index.search('pdf text', tools.slice(1));
+    assert.notEqual(index.signature, signature);
+    assert.deepEqual([...similarities.keys()], ['pdf-reader', 'web-search']);
+  });
+
+  it('rejects unknown backends', () => {
+    assert.throws(() => new ToolIndex('nope'), /Unknown embedding backend: nope/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+import '../setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeRequest } from '../../src/analyzer/index.js';
+import { analyzeWithLlm, StubChatModel } from '../../src/analyzer/llm.js';
+import { ValidationError } from '../../src/utils/validation.js';
+
+const QUERY = 'load sales.csv and then plot a bar chart';
+
+const validResponse = {
+  intents: ['FILE_OPERATION', 'VISUALIZATION'],
+  entities: { files: ['sales.csv'], dataTypes: ['tabular'], codeLanguages: [], visualizationTypes: ['bar_chart'] },
+  confidence: 0.9
+};
+
+describe('LLM analyzer', () => {
+  afterEach(() => {
+    delete process.env.LLM_STUB_RESPONSE;
+  });
+
+  it('analyzes requests with the stub model', async () => {
+    const analysis = await analyzeRequest(QUERY, { analyzer: 'llm', provider: 'stub' });
+
+    assert.equal(analysis.analyzer, 'llm');
+    assert.equal(analysis.analyzerError, undefined);
+    assert.deepEqual(analysis.intents, ['FILE_OPERATION', 'VISUALIZATION']);
+    assert.deepEqual(analysis.entities.files, ['sales.csv']);
+    assert.deepEqual(analysis.entities.visualizationTypes, ['bar_chart']);
+  });
+
+  it('uses the model output, including a fenced JSON response', async () => {
+    process.env.LLM_STUB_RESPONSE = '```json\n' + JSON.stringify(validResponse) + '\n```';
+
+    const analysis = await analyzeRequest('anything', { analyzer: 'llm', provider: 'stub' });
+
+    assert.equal(analysis.analyzer, 'llm');
+    assert.deepEqual(analysis.intents, ['FILE_OPERATION', 'VISUALIZATION']);
+    assert.equal(analysis.confidence, 0.9);
+  });
+
+  it('falls back to the rules when the model returns invalid JSON', async () => {
+    process.env.LLM_STUB_RESPONSE = 'Sure! Here is your analysis.';
+
+    const analysis = await analyzeRequest(QUERY, { analyzer: 'llm', provider: 'stub' });
+
+    assert.equal(analysis.analyzer, 'rules');
+    assert.match(analysis.analyzerError, /invalid JSON/);
+    assert.deepEqual(analysis.intents, ['FILE_OPERATION', 'VISUALIZATION']);
+  });
+
+  it('falls back to the rules when the model output does not match the schema', async () => {
+    process.env.LLM_STUB_RESPONSE = JSON.stringify({ ...validResponse, intents: ['SUMMARIZE'] });
+
+    const analysis = await analyzeRequest(QUERY, { analyzer: 'llm', provider: 'stub' });
+
+    assert.equal(analysis.analyzer, 'rules');
+    assert.match(analysis.analyzerError, /LLM analysis/);
+    assert.deepEqual(analysis.entities.files, ['sales.csv']);
+  });
+
+  it('falls back to the rules for an unknown provider', async () => {
+    const analysis = await analyzeRequest(QUERY, { analyzer: 'llm', provider: 'nope' });
+
+    assert.equal(analysis.analyzer, 'rules');
+    assert.match(analysis.analyzerError, /Unknown LLM provider/);
+  });
+
+  it('rejects model output that does not match the schema', async () => {
+    const invalidResponses = [
+      { intents: ['FILE_OPERATION'] },
+      { ...validResponse, entities: { ...validResponse.entities, files: 'sales.csv' } },
+      { ...validResponse, confidence: 2 },
+      { ...validResponse, subTasks: [{ text: 'load sales.csv' }] }
+    ];
+
+    for (const response of invalidResponses) {
+      process.env.LLM_STUB_RESPONSE = JSON.stringify(response);
+      await assert.rejects(analyzeWithLlm(QUERY, { provider: 'stub' }), ValidationError);
+    }
+  });
+
+  it('normalizes sub-tasks from the model', async () => {
+    process.env.LLM_STUB_RESPONSE = JSON.stringify({
+      ...validResponse,
+      intents: [],
+      subTasks: [
+        { text: 'plot a bar chart', intents: ['VISUALIZATION'], sequential: true },
+        { text: 'load sales.csv', intents: ['FILE_OPERATION'], entities: { files: ['sales.csv'] } }
+      ]
+    });
+
+    const analysis = await analyzeWithLlm(QUERY, { provider: 'stub' });
+
+    // Intents of the sub-tasks count, in canonical order
+    assert.deepEqual(analysis.intents, ['FILE_OPERATION', 'VISUALIZATION']);
+    assert.equal(analysis.subTasks[0].sequential, true);
+    assert.equal(analysis.subTasks[1].sequential, false);
+    assert.deepEqual(analysis.subTasks[0].entities, { files: [], dataTypes: [], codeLanguages: [], visualizationTypes: [] });
+    assert.deepEqual(analysis.subTasks[1].entities.files, ['sales.csv']);
+  });
+
+  it('describes the request to the stub model as the rules see it', async () => {
+    const model = new StubChatModel();
+    const response = await model.invoke([['system', ''], ['human', QUERY]]);
+
+    assert.deepEqual(JSON.parse(response.content).intents, ['FILE_OPERATION', 'VISUALIZATION']);
+  });
+});
\ No newline at end of file
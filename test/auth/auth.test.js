@@ -0,0 +1,185 @@
+import '../setup.js';
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const READER_KEY = 'reader-key-0123456789';
+const ADMIN_KEY = 'admin-key-0123456789';
+const JWT_SECRET = 'test-secret';
+
+// The API key file is located when the auth module loads
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const keysFile = path.join(keysDir, 'api-keys.json');
+
+fs.writeFileSync(keysFile, JSON.stringify([
+  { name: 'dashboard', role: 'reader', key: READER_KEY, tools: ['csv-*'] },
+  { name: 'ops', role: 'admin', key: ADMIN_KEY }
+]));
+
+process.env.API_KEYS_FILE = keysFile;
+process.env.JWT_SECRET = JWT_SECRET;
+
+const {
+  authenticate,
+  requireRole,
+  requireToolAccess,
+  hasRole,
+  redactTool,
+  isToolAllowed,
+  isIntentAllowed
+} = await import('../../src/auth/index.js');
+
+function signJwt(claims, secret = JWT_SECRET) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function createRequest(headers = {}, params = {}) {
+  return { params, get: name => headers[name.toLowerCase()] };
+}
+
+/**
+ * Runs a middleware and reports whether it called next, and what it responded otherwise
+ */
+function run(middleware, req) {
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let called = false;
+
+  middleware(req, res, () => { called = true; });
+
+  return { next: called, res };
+}
+
+describe('auth', () => {
+  after(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  describe('authenticate', () => {
+    it('identifies API keys from either header', () => {
+      const req = createRequest({ 'x-api-key': READER_KEY });
+      assert.equal(run(authenticate, req).next, true);
+      assert.deepEqual(req.auth, { subject: 'dashboard', role: 'reader', method: 'api-key', tools: ['csv-*'], intents: undefined });
+
+      const bearer = createRequest({ authorization: `Bearer ${ADMIN_KEY}` });
+      assert.equal(run(authenticate, bearer).next, true);
+      assert.equal(bearer.auth.role, 'admin');
+    });
+
+    it('rejects missing and unknown credentials', () => {
+      for (const headers of [{}, { 'x-api-key': 'unknown-key-0123456789' }]) {
+        const { next, res } = run(authenticate, createRequest(headers));
+
+        assert.equal(next, false);
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+      }
+    });
+
+    it('accepts valid JWTs and rejects tampered or expired ones', () => {
+      const now = Math.floor(Date.now() / 1000);
+      const req = createRequest({ authorization: `Bearer ${signJwt({ sub: 'ci', role: 'operator', exp: now + 60 })}` });
+
+      assert.equal(run(authenticate, req).next, true);
+      assert.equal(req.auth.subject, 'ci');
+      assert.equal(req.auth.role, 'operator');
+
+      const rejected = [
+        [signJwt({ sub: 'ci', role: 'operator' }, 'wrong-secret'), 401, /signature/],
+        [signJwt({ sub: 'ci', role: 'operator', exp: now - 120 }), 401, /expired/],
+        [signJwt({ sub: 'ci', role: 'root' }), 403, /token claims/]
+      ];
+
+      for (const [token, status, message] of rejected) {
+        const { next, res } = run(authenticate, createRequest({ authorization: `Bearer ${token}` }));
+
+        assert.equal(next, false);
+        assert.equal(res.statusCode, status);
+        assert.match(res.body.error, message);
+      }
+    });
+  });
+
+  describe('roles', () => {
+    it('grants every role up to the principal\'s', () => {
+      assert.equal(hasRole({ role: 'operator' }, 'reader'), true);
+      assert.equal(hasRole({ role: 'operator' }, 'operator'), true);
+      assert.equal(hasRole({ role: 'operator' }, 'admin'), false);
+      // Without a principal, authentication is disabled
+      assert.equal(hasRole(undefined, 'admin'), true);
+    });
+
+    it('requireRole answers 403 to principals without the role', () => {
+      const allowed = run(requireRole('operator'), { auth: { role: 'admin' } });
+      const denied = run(requireRole('operator'), { auth: { role: 'reader' } });
+
+      assert.equal(allowed.next, true);
+      assert.equal(denied.next, false);
+      assert.equal(denied.res.statusCode, 403);
+      assert.equal(denied.res.body.error, 'This action requires the operator role');
+    });
+  });
+
+  describe('allowlists', () => {
+    it('matches tool IDs and prefixes', () => {
+      const access = { role: 'reader', tools: ['csv-*', 'visualization-creator'] };
+
+      assert.equal(isToolAllowed(access, 'csv-loader'), true);
+      assert.equal(isToolAllowed(access, 'visualization-creator'), true);
+      assert.equal(isToolAllowed(access, 'visualization-creator-2'), false);
+      assert.equal(isToolAllowed({ role: 'reader' }, 'anything'), true);
+    });
+
+    it('matches intents', () => {
+      assert.equal(isIntentAllowed({ intents: ['VISUALIZATION'] }, 'VISUALIZATION'), true);
+      assert.equal(isIntentAllowed({ intents: ['VISUALIZATION'] }, 'CODE_EXECUTION'), false);
+      assert.equal(isIntentAllowed({ role: 'reader' }, 'CODE_EXECUTION'), true);
+    });
+
+    it('requireToolAccess checks the tool of the route, ignoring its version', () => {
+      const auth = { role: 'reader', tools: ['csv-*'] };
+
+      assert.equal(run(requireToolAccess, { auth, params: { id: 'csv-loader@^1' } }).next, true);
+
+      const denied = run(requireToolAccess, { auth, params: { id: 'code-runner' } });
+      assert.equal(denied.next, false);
+      assert.equal(denied.res.statusCode, 403);
+    });
+  });
+
+  describe('redactTool', () => {
+    const tool = {
+      id: 'remote',
+      name: 'Remote',
+      type: 'mcp-server',
+      apiEndpoint: 'http://localhost:9000',
+      mcp: { transport: 'http', url: 'http://localhost:9000/mcp', headers: { Authorization: 'Bearer secret' } },
+      process: { command: 'node', env: { TOKEN: 'secret' } },
+      executionConfig: { type: 'http', url: 'http://localhost:9000' }
+    };
+
+    it('hides connection and execution config from non-admins', () => {
+      for (const role of ['reader', 'operator']) {
+        assert.deepEqual(redactTool({ role }, tool), { id: 'remote', name: 'Remote', type: 'mcp-server' });
+      }
+
+      // The registry's entry is left alone
+      assert.ok(tool.mcp);
+    });
+
+    it('shows admins everything', () => {
+      assert.equal(redactTool({ role: 'admin' }, tool), tool);
+      assert.equal(redactTool(undefined, tool), tool);
+    });
+  });
+});
\ No newline at end of file
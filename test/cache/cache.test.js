@@ -0,0 +1,112 @@
+import '../setup.js';
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resultCache, createCacheKey, canonicalize } from '../../src/cache/index.js';
+import { DiskCacheStore, MemoryCacheStore, createCacheStore } from '../../src/cache/store.js';
+
+const tool = { id: 'cache-tool', version: '1.2.0' };
+
+describe('result cache', () => {
+  const { maxEntries, ttl } = resultCache;
+
+  afterEach(() => {
+    resultCache.maxEntries = maxEntries;
+    resultCache.ttl = ttl;
+    resultCache.entries.clear();
+  });
+
+  it('keys results by tool, version and inputs in any key order', () => {
+    assert.equal(canonicalize({ b: [1, undefined], a: { d: 1, c: null }, skipped: undefined }), '{"a":{"c":null,"d":1},"b":[1,null]}');
+    assert.equal(createCacheKey(tool, { a: 1, b: 2 }), createCacheKey(tool, { b: 2, a: 1 }));
+    assert.notEqual(createCacheKey(tool, { a: 1 }), createCacheKey({ ...tool, version: '1.3.0' }, { a: 1 }));
+    assert.match(createCacheKey({ id: 'unversioned' }, {}), /^unversioned@0\.0\.0:[0-9a-f]{64}$/);
+  });
+
+  it('returns cached results until they expire', async () => {
+    await resultCache.set(tool, { a: 1 }, { rows: 1 });
+    await resultCache.set({ ...tool, cacheTtl: -1 }, { a: 2 }, { rows: 2 });
+
+    assert.deepEqual(await resultCache.get(tool, { a: 1 }), { value: { rows: 1 } });
+    assert.equal(await resultCache.get(tool, { a: 2 }), undefined);
+    assert.equal(await resultCache.get(tool, { a: 3 }), undefined);
+  });
+
+  it('keeps cached results apart from the copies it is given and returns', async () => {
+    const result = { rows: [1] };
+    await resultCache.set(tool, { copy: true }, result);
+    result.rows.push(2);
+
+    const first = await resultCache.get(tool, { copy: true });
+    first.value.rows.push(3);
+
+    assert.deepEqual(await resultCache.get(tool, { copy: true }), { value: { rows: [1] } });
+  });
+
+  it('drops the least recently used results beyond its size', async () => {
+    resultCache.maxEntries = 2;
+
+    await resultCache.set(tool, { n: 1 }, 1);
+    await resultCache.set(tool, { n: 2 }, 2);
+    await resultCache.get(tool, { n: 1 });
+    await resultCache.set(tool, { n: 3 }, 3);
+
+    assert.deepEqual(await resultCache.get(tool, { n: 1 }), { value: 1 });
+    assert.equal(await resultCache.get(tool, { n: 2 }), undefined);
+    assert.deepEqual(await resultCache.get(tool, { n: 3 }), { value: 3 });
+  });
+
+  it('forgets every version of an invalidated tool', async () => {
+    await resultCache.set(tool, {}, 'old');
+    await resultCache.set({ ...tool, version: '2.0.0' }, {}, 'new');
+    await resultCache.set({ id: 'cache-tool-other' }, {}, 'other');
+
+    await resultCache.invalidate('cache-tool');
+
+    assert.equal(await resultCache.get(tool, {}), undefined);
+    assert.equal(await resultCache.get({ ...tool, version: '2.0.0' }, {}), undefined);
+    assert.deepEqual(await resultCache.get({ id: 'cache-tool-other' }, {}), { value: 'other' });
+  });
+
+  describe('stores', () => {
+    let directory;
+
+    before(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'result-cache-'));
+    });
+
+    after(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('keeps entries on disk and deletes them once expired', async () => {
+      const store = new DiskCacheStore(directory);
+      const key = createCacheKey({ id: 'tools/disk tool' }, {});
+
+      await store.set(key, { value: [1, 2], expiresAt: Date.now() + 60000 });
+      await store.set(`${key}:expired`, { value: 3, expiresAt: Date.now() - 1 });
+
+      assert.deepEqual((await new DiskCacheStore(directory).get(key)).value, [1, 2]);
+      assert.equal(await store.get(`${key}:expired`), undefined);
+      assert.equal((await fs.readdir(directory)).length, 1);
+
+      await store.deleteMatching('tools/disk tool@');
+      assert.equal(await store.get(key), undefined);
+    });
+
+    it('ignores unreadable entries', async () => {
+      const store = new DiskCacheStore(directory);
+
+      await fs.writeFile(store.fileFor('broken'), '{');
+      assert.equal(await store.get('broken'), undefined);
+    });
+
+    it('creates stores by name', () => {
+      assert.ok(createCacheStore('memory') instanceof MemoryCacheStore);
+      assert.ok(createCacheStore('disk') instanceof DiskCacheStore);
+      assert.throws(() => createCacheStore('redis'), /Unknown result cache store: redis/);
+    });
+  });
+});
\ No newline at end of file
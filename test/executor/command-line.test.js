@@ -0,0 +1,126 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeCommandLineTool } from '../../src/executor/command-line.js';
+
+// Runs a Node.js script as the tool's command
+function script(source, { args = [], ...config } = {}) {
+  return { command: process.execPath, args: ['-e', source, '--', ...args], ...config };
+}
+
+describe('command-line tools', () => {
+  it('passes templated arguments and returns the output', async () => {
+    const output = await executeCommandLineTool(
+      script('console.log(process.argv.slice(1).join("|"))', { args: ['--file={filePath}', '{options}'] }),
+      { filePath: 'sales.csv', options: { header: true } }
+    );
+
+    assert.equal(output.exitCode, 0);
+    assert.equal(output.stdout, '--file=sales.csv|{"header":true}\n');
+    assert.equal(output.result, output.stdout);
+  });
+
+  it('does not run arguments through a shell', async () => {
+    const output = await executeCommandLineTool(
+      script('console.log(process.argv[1])', { args: ['{text}'] }),
+      { text: '$(echo hacked); rm -rf /' }
+    );
+
+    assert.equal(output.stdout, '$(echo hacked); rm -rf /\n');
+  });
+
+  it('fails when a templated parameter is missing', async () => {
+    await assert.rejects(
+      executeCommandLineTool(script('', { args: ['{filePath}'] }), {}),
+      /Missing parameter "filePath"/
+    );
+  });
+
+  it('parses JSON output and writes the parameters to stdin when asked', async () => {
+    const output = await executeCommandLineTool(
+      script(`
+        let input = '';
+        process.stdin.on('data', chunk => { input += chunk; });
+        process.stdin.on('end', () => console.log(JSON.stringify({ received: JSON.parse(input) })));
+      `, { stdin: true, outputFormat: 'json' }),
+      { rows: [1, 2] }
+    );
+
+    assert.deepEqual(output.result, { received: { rows: [1, 2] } });
+  });
+
+  it('rejects JSON tools whose output is not JSON', async () => {
+    await assert.rejects(
+      executeCommandLineTool(script('console.log("not json")', { outputFormat: 'json' }), {}),
+      /did not produce valid JSON output/
+    );
+  });
+
+  it('reports the exit code and stderr of failed commands', async () => {
+    await assert.rejects(
+      executeCommandLineTool(script('console.error("bad input"); process.exit(3)'), {}),
+      error => error.exitCode === 3 && /exited with code 3: bad input/.test(error.message)
+    );
+  });
+
+  it('kills commands that run past their timeout', async () => {
+    const start = Date.now();
+
+    await assert.rejects(
+      executeCommandLineTool(script('setTimeout(() => {}, 10000)', { timeout: 100 }), {}),
+      /timed out after 100ms/
+    );
+    assert.ok(Date.now() - start < 5000);
+  });
+
+  it('kills commands that write more than the output limit', async () => {
+    await assert.rejects(
+      executeCommandLineTool(script('process.stdout.write("x".repeat(10000)); setTimeout(() => {}, 10000)', { maxOutputSize: 1000 }), {}),
+      /exceeded the output limit of 1000 bytes/
+    );
+  });
+
+  it('passes only allowlisted and configured environment variables', async () => {
+    process.env.COMMAND_TEST_SECRET = 'secret';
+
+    try {
+      const printEnv = 'console.log(JSON.stringify({ secret: process.env.COMMAND_TEST_SECRET, extra: process.env.EXTRA }))';
+
+      const restricted = await executeCommandLineTool(script(printEnv, { outputFormat: 'json', env: { EXTRA: 'yes' } }), {});
+      assert.deepEqual(restricted.result, { extra: 'yes' });
+
+      const allowed = await executeCommandLineTool(script(printEnv, { outputFormat: 'json', envAllowlist: ['COMMAND_TEST_SECRET'] }), {});
+      assert.deepEqual(allowed.result, { secret: 'secret' });
+    } finally {
+      delete process.env.COMMAND_TEST_SECRET;
+    }
+  });
+
+  it('keeps the working directory inside the sandbox', async () => {
+    const output = await executeCommandLineTool(script('console.log(process.cwd())', { cwd: 'src' }), {});
+    assert.equal(output.stdout.trim(), `${process.cwd()}/src`);
+
+    await assert.rejects(
+      executeCommandLineTool(script('', { cwd: '../..' }), {}),
+      /outside of the command sandbox/
+    );
+  });
+
+  it('reports commands that cannot be started', async () => {
+    await assert.rejects(
+      executeCommandLineTool({ command: 'no-such-command-for-tests' }, {}),
+      /Failed to start command no-such-command-for-tests/
+    );
+  });
+
+  it('kills the command when cancelled', async () => {
+    const controller = new AbortController();
+    const start = Date.now();
+    const run = executeCommandLineTool(script('setTimeout(() => {}, 10000)'), {}, { signal: controller.signal });
+
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(run, /was cancelled/);
+    assert.ok(Date.now() - start < 5000);
+  });
+});
\ No newline at end of file
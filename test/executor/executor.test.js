@@ -0,0 +1,428 @@
+import '../setup.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { registry } from '../../src/registry/index.js';
+import { executeRequest } from '../../src/executor/index.js';
+
+// Calls per tool, the order steps started and finished in, and the most calls that ran at the same time
+const calls = {};
+let log = [];
+let running = 0;
+let maxRunning = 0;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function track(id, run) {
+  calls[id] = (calls[id] || 0) + 1;
+  log.push(`start:${id}`);
+  running++;
+  maxRunning = Math.max(maxRunning, running);
+
+  try {
+    return await run();
+  } finally {
+    running--;
+    log.push(`end:${id}`);
+  }
+}
+
+const tools = [
+  { id: 'numbers', execute: () => track('numbers', async () => ({ values: [1, 2, 3] })) },
+  { id: 'slow', execute: ({ value }) => track('slow', async () => { await delay(30); return { value }; }) },
+  { id: 'double', execute: ({ item }) => track('double', async () => item * 2) },
+  { id: 'sum', execute: ({ values }) => track('sum', async () => ({ total: values.reduce((a, b) => a + b, 0) })) },
+  { id: 'collect', execute: ({ value }) => track('collect', async () => ({ value })) },
+  {
+    id: 'broken',
+    // Fails in many tests, which mustn't trip its circuit breaker
+    circuitBreaker: { failureThreshold: 1000 },
+    execute: () => track('broken', async () => { throw new Error('Always fails'); })
+  },
+  {
+    id: 'flaky',
+    failurePolicy: { retries: 2, retryDelay: 1 },
+    execute: () => track('flaky', async () => {
+      if (calls.flaky < 3) throw new Error('Temporary failure');
+      return { ok: true };
+    })
+  },
+  {
+    id: 'unreliable',
+    failurePolicy: { fallback: true },
+    execute: () => track('unreliable', async () => { throw new Error('Unavailable'); })
+  },
+  { id: 'backup', execute: () => track('backup', async () => ({ from: 'backup' })) },
+  {
+    id: 'optional',
+    failurePolicy: { continueOnError: true },
+    execute: () => track('optional', async () => { throw new Error('Not available'); })
+  },
+  { id: 'undo', execute: ({ reason }) => track('undo', async () => ({ undone: reason })) },
+  {
+    id: 'strict',
+    failurePolicy: { retries: 3, retryDelay: 1 },
+    inputSchema: { type: 'object', required: ['count'], properties: { count: { type: 'integer' } } },
+    outputSchema: { type: 'object', required: ['count'], properties: { count: { type: 'string' } } },
+    execute: ({ count }) => track('strict', async () => ({ count }))
+  },
+  {
+    id: 'progress',
+    execute: (params, { onProgress }) => track('progress', async () => {
+      onProgress({ progress: 50, message: 'Halfway' });
+      return { done: true };
+    })
+  },
+  { id: 'lookup', cacheable: true, execute: ({ key }) => track('lookup', async () => ({ key, at: calls.lookup })) },
+  {
+    id: 'fragile',
+    failurePolicy: { retries: 2, retryDelay: 1 },
+    circuitBreaker: { failureThreshold: 1, resetTimeout: 60000 },
+    execute: () => track('fragile', async () => { throw new Error('Overloaded'); })
+  },
+  {
+    id: 'hang',
+    execute: (params, { signal }) => track('hang', () => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')), { once: true });
+    }))
+  }
+];
+
+function createPlan(steps, dataFlow = {}, options = {}) {
+  return { planId: `plan_${Math.random().toString(36).slice(2)}`, canExecute: true, steps, dataFlow, ...options };
+}
+
+describe('executor', () => {
+  before(async () => {
+    for (const tool of tools) {
+      await registry.registerTool({ name: tool.id, ...tool });
+    }
+  });
+
+  it('passes outputs along the data flow', async () => {
+    const result = await executeRequest(createPlan(
+      [
+        { stepId: 'step_1', toolId: 'numbers', inputParams: {} },
+        { stepId: 'step_2', toolId: 'sum', inputParams: {} }
+      ],
+      { flow_1: { from: 'step_1', to: 'step_2', mappings: [{ fromParam: 'values', toParam: 'values' }] } }
+    ));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stepResults.step_2.result, { total: 6 });
+    assert.ok(result.durationMs >= 0);
+    assert.ok(result.stepResults.step_1.startedAt);
+  });
+
+  it('selects upstream values with path selectors and transforms', async () => {
+    const result = await executeRequest(createPlan(
+      [
+        { stepId: 'step_1', toolId: 'numbers', inputParams: {} },
+        { stepId: 'step_2', toolId: 'collect', inputParams: {} }
+      ],
+      { flow_1: { from: 'step_1', to: 'step_2', mappings: [{ fromPath: '$.values[*]', toParam: 'value', transform: ['last', 'toString'] }] } }
+    ));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stepResults.step_2.result, { value: '3' });
+  });
+
+  it('runs independent steps concurrently, up to the plan\'s concurrency', async () => {
+    const steps = [1, 2, 3, 4].map(n => ({ stepId: `step_${n}`, toolId: 'slow', inputParams: { value: n } }));
+
+    maxRunning = 0;
+    let result = await executeRequest(createPlan(steps));
+    assert.equal(result.success, true);
+    assert.equal(maxRunning, 4);
+
+    maxRunning = 0;
+    result = await executeRequest(createPlan(steps, {}, { concurrency: 2 }));
+    assert.equal(result.success, true);
+    assert.equal(maxRunning, 2);
+  });
+
+  it('waits for every parent before starting a step', async () => {
+    log = [];
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'slow', inputParams: { value: 1 } },
+      { stepId: 'step_2', toolId: 'numbers', inputParams: {} },
+      { stepId: 'step_3', toolId: 'sum', inputParams: { values: [] }, dependsOn: ['step_1', 'step_2'] }
+    ]));
+
+    assert.equal(result.success, true);
+    assert.ok(log.indexOf('start:sum') > log.indexOf('end:slow'));
+    assert.ok(log.indexOf('start:sum') > log.indexOf('end:numbers'));
+  });
+
+  it('binds the outputs of several parents to one input as an array', async () => {
+    const result = await executeRequest(createPlan(
+      [
+        { stepId: 'step_1', toolId: 'slow', inputParams: { value: 1 } },
+        { stepId: 'step_2', toolId: 'slow', inputParams: { value: 2 } },
+        { stepId: 'step_3', toolId: 'collect', inputParams: {} }
+      ],
+      {
+        flow_1: { from: 'step_1', to: 'step_3', mappings: [{ fromParam: 'value', toParam: 'value' }] },
+        flow_2: { from: 'step_2', to: 'step_3', mappings: [{ fromParam: 'value', toParam: 'value' }] }
+      }
+    ));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stepResults.step_3.result, { value: [1, 2] });
+  });
+
+  it('stops scheduling steps after a failure', async () => {
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'broken', inputParams: {} },
+      { stepId: 'step_2', toolId: 'numbers', inputParams: {}, dependsOn: ['step_1'] }
+    ]));
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Error in step step_1: Always fails');
+    assert.equal(result.stepResults.step_2, undefined);
+  });
+
+  it('does not call tools with inputs that don\'t match their schema', async () => {
+    const result = await executeRequest(createPlan([{ stepId: 'step_1', toolId: 'strict', inputParams: { count: 'many' } }]));
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Error in step step_1: Invalid input for tool strict: count: must be integer/);
+    assert.deepEqual(result.validationErrors, { stepId: 'step_1', errors: [{ field: 'count', message: 'must be integer' }] });
+    assert.equal(calls.strict, undefined);
+    assert.equal(result.stepResults.step_1.attempts, undefined);
+  });
+
+  it('fails steps whose output doesn\'t match the tool\'s schema', async () => {
+    const result = await executeRequest(createPlan([{ stepId: 'step_1', toolId: 'strict', inputParams: { count: 2 } }]));
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Invalid output from tool strict: count: must be string/);
+    assert.equal(calls.strict, 1);
+  });
+
+  it('retries failed steps according to the tool\'s failure policy', async () => {
+    const result = await executeRequest(createPlan([{ stepId: 'step_1', toolId: 'flaky', inputParams: {} }]));
+    const stepResult = result.stepResults.step_1;
+
+    assert.equal(result.success, true);
+    assert.equal(calls.flaky, 3);
+    assert.deepEqual(stepResult.policies, ['retry']);
+    assert.deepEqual(result.policies, { step_1: ['retry'] });
+    assert.deepEqual(stepResult.attempts.map(attempt => attempt.success), [false, false, true]);
+  });
+
+  it('lets steps override the tool\'s failure policy', async () => {
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'broken', inputParams: {}, failurePolicy: { retries: 1, retryDelay: 1 } }
+    ]));
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.stepResults.step_1.attempts.map(attempt => attempt.attempt), [1, 2]);
+  });
+
+  it('falls back to the step\'s fallback tools', async () => {
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'unreliable', inputParams: {}, fallbackTools: [{ toolId: 'backup' }] }
+    ]));
+    const stepResult = result.stepResults.step_1;
+
+    assert.equal(result.success, true);
+    assert.equal(stepResult.toolId, 'backup');
+    assert.deepEqual(stepResult.result, { from: 'backup' });
+    assert.deepEqual(stepResult.policies, ['fallback']);
+    assert.deepEqual(stepResult.attempts.map(attempt => attempt.toolId), ['unreliable', 'backup']);
+  });
+
+  it('only falls back when the policy allows it', async () => {
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'broken', inputParams: {}, fallbackTools: [{ toolId: 'backup' }] }
+    ]));
+
+    assert.equal(result.success, false);
+    assert.equal(result.stepResults.step_1.toolId, 'broken');
+  });
+
+  it('carries on after a failed step whose policy allows it', async () => {
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'optional', inputParams: {} },
+      { stepId: 'step_2', toolId: 'numbers', inputParams: {}, dependsOn: ['step_1'] }
+    ]));
+
+    assert.equal(result.success, true);
+    assert.equal(result.stepResults.step_1.success, false);
+    assert.equal(result.stepResults.step_1.continued, true);
+    assert.deepEqual(result.stepResults.step_1.policies, ['continue-on-error']);
+    assert.equal(result.stepResults.step_2.success, true);
+  });
+
+  it('makes the compensating calls of a failed step', async () => {
+    const result = await executeRequest(createPlan([
+      {
+        stepId: 'step_1',
+        toolId: 'broken',
+        inputParams: {},
+        failurePolicy: { onFailure: [{ toolId: 'undo', inputParams: { reason: 'broken' } }] }
+      }
+    ]));
+    const stepResult = result.stepResults.step_1;
+
+    assert.equal(result.success, false);
+    assert.deepEqual(stepResult.policies, ['on-failure']);
+    assert.equal(stepResult.compensations.length, 1);
+    assert.equal(stepResult.compensations[0].success, true);
+    assert.deepEqual(stepResult.compensations[0].result, { undone: 'broken' });
+  });
+
+  it('runs only the branch an if step takes', async () => {
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'numbers', inputParams: {} },
+      { stepId: 'step_2', kind: 'if', condition: '$.step_1.result.values.length > 2', then: ['step_3'], else: ['step_4'] },
+      { stepId: 'step_3', toolId: 'collect', inputParams: { value: 'then' } },
+      { stepId: 'step_4', toolId: 'collect', inputParams: { value: 'else' } },
+      { stepId: 'step_5', toolId: 'numbers', inputParams: {}, dependsOn: ['step_4'] }
+    ]));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stepResults.step_2.result, { value: true, branch: 'then' });
+    assert.deepEqual(result.stepResults.step_3.result, { value: 'then' });
+    assert.equal(result.stepResults.step_4.skipped, true);
+    assert.equal(result.stepResults.step_5.skipped, true);
+  });
+
+  it('loops over upstream arrays with foreach and map-reduce', async () => {
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'numbers', inputParams: {} },
+      { stepId: 'step_2', kind: 'foreach', items: '$.step_1.result.values', toolId: 'double' },
+      { stepId: 'step_3', kind: 'map-reduce', items: '$.step_1.result.values', map: { toolId: 'double' }, reduce: { operation: 'sum' } },
+      {
+        stepId: 'step_4',
+        kind: 'map-reduce',
+        items: '$.step_1.result.values',
+        map: { toolId: 'collect', itemParam: 'value' },
+        reduce: { toolId: 'sum', itemsParam: 'values', path: '$.value' }
+      }
+    ]));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stepResults.step_2.result, [2, 4, 6]);
+    assert.equal(result.stepResults.step_2.iterations.length, 3);
+    assert.equal(result.stepResults.step_3.result, 12);
+    assert.deepEqual(result.stepResults.step_4.result, { total: 6 });
+  });
+
+  it('fails loops over more items than they may run', async () => {
+    const doubled = calls.double;
+    const result = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'numbers', inputParams: {} },
+      { stepId: 'step_2', kind: 'foreach', items: '$.step_1.result.values', toolId: 'double', maxIterations: 2 }
+    ]));
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /has 3 items, more than its limit of 2 iterations/);
+    assert.equal(calls.double, doubled);
+  });
+
+  it('reuses cached results of cacheable tools unless asked not to', async () => {
+    const plan = () => createPlan([{ stepId: 'step_1', toolId: 'lookup', inputParams: { key: 'a' } }]);
+
+    const first = await executeRequest(plan());
+    const second = await executeRequest(plan());
+    const fresh = await executeRequest(plan(), { cache: false });
+
+    assert.equal(first.stepResults.step_1.cache, 'miss');
+    assert.equal(second.stepResults.step_1.cache, 'hit');
+    assert.deepEqual(second.stepResults.step_1.result, first.stepResults.step_1.result);
+    assert.equal(fresh.stepResults.step_1.cache, 'bypass');
+    assert.equal(calls.lookup, 2);
+  });
+
+  it('does not call or retry tools whose circuit breaker is open', async () => {
+    const result = await executeRequest(createPlan([{ stepId: 'step_1', toolId: 'fragile', inputParams: {} }]));
+    const stepResult = result.stepResults.step_1;
+
+    assert.equal(result.success, false);
+    assert.equal(calls.fragile, 1);
+    assert.deepEqual(stepResult.attempts.map(attempt => attempt.error), ['Overloaded', stepResult.error]);
+    assert.match(stepResult.error, /Tool fragile is unavailable after repeated failures/);
+    assert.equal(stepResult.circuitOpen, true);
+  });
+
+  it('fails plans with missing tools or unsatisfiable dependencies', async () => {
+    const missing = await executeRequest(createPlan([{ stepId: 'step_1', toolId: 'nope', inputParams: {} }]));
+    assert.equal(missing.error, 'Tool nope not found');
+
+    const cyclic = await executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'numbers', inputParams: {}, dependsOn: ['step_2'] },
+      { stepId: 'step_2', toolId: 'numbers', inputParams: {}, dependsOn: ['step_1'] }
+    ]));
+    assert.equal(cyclic.success, false);
+    assert.equal(cyclic.error, 'Steps step_1, step_2 have unsatisfiable dependencies');
+  });
+
+  it('does not run plans that cannot execute', async () => {
+    const result = await executeRequest({ canExecute: false, reason: 'No tools', steps: [] });
+
+    assert.deepEqual(result, { success: false, reason: 'No tools', suggestedTools: undefined });
+  });
+
+  it('refuses plans with tools or intents the client may not use', async () => {
+    const plan = () => createPlan([{ stepId: 'step_1', toolId: 'numbers', intent: 'FILE_OPERATION', inputParams: {} }]);
+
+    const tools = await executeRequest(plan(), { access: { role: 'operator', tools: ['sum'] } });
+    assert.equal(tools.success, false);
+    assert.match(tools.reason, /Not permitted to run steps: step_1 \(numbers\)/);
+
+    const intents = await executeRequest(plan(), { access: { role: 'operator', tools: ['*'], intents: ['VISUALIZATION'] } });
+    assert.equal(intents.success, false);
+
+    const allowed = await executeRequest(plan(), { access: { role: 'operator', tools: ['numbers'] } });
+    assert.equal(allowed.success, true);
+  });
+
+  it('aborts running steps and starts no others when cancelled', async () => {
+    const controller = new AbortController();
+    const execution = executeRequest(createPlan([
+      { stepId: 'step_1', toolId: 'hang', inputParams: {} },
+      { stepId: 'step_2', toolId: 'numbers', inputParams: {}, dependsOn: ['step_1'] }
+    ]), { signal: controller.signal });
+
+    await delay(20);
+    controller.abort();
+    const result = await execution;
+
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, true);
+    assert.equal(result.error, 'Execution was cancelled');
+    assert.equal(result.stepResults.step_1.error, 'Aborted');
+    assert.equal(result.stepResults.step_2, undefined);
+  });
+
+  it('reports when steps start, progress and finish', async () => {
+    const events = [];
+    const plan = createPlan([
+      { stepId: 'step_1', toolId: 'progress', inputParams: {} },
+      { stepId: 'step_2', toolId: 'broken', inputParams: {}, dependsOn: ['step_1'] }
+    ]);
+
+    await executeRequest(plan, {
+      onEvent: event => {
+        events.push(event);
+        throw new Error('Listeners that throw are ignored');
+      }
+    });
+
+    assert.deepEqual(events.map(event => `${event.type}:${event.stepId}`), [
+      'step-started:step_1',
+      'step-progress:step_1',
+      'step-finished:step_1',
+      'step-started:step_2',
+      'step-finished:step_2'
+    ]);
+    assert.equal(events[1].progress, 50);
+    assert.equal(events[1].message, 'Halfway');
+    assert.equal(events[1].planId, plan.planId);
+    assert.equal(events[4].success, false);
+    assert.equal(events[4].error, 'Always fails');
+  });
+});
\ No newline at end of file
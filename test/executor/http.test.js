@@ -0,0 +1,188 @@
+import '../setup.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { executeHttpTool } from '../../src/executor/http.js';
+
+// Requests the server received, and how it answers the next ones
+let received = [];
+let respond;
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+describe('HTTP tools', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        respond(req, res, received.length);
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    respond = (req, res) => json(res, 200, { rows: [1, 2] });
+  });
+
+  it('posts the parameters as JSON and wraps the response in `result`', async () => {
+    const output = await executeHttpTool(
+      { url: `${baseUrl}/load`, headers: { 'X-Tool': 'test' } },
+      { filePath: 'sales.csv' }
+    );
+
+    assert.deepEqual(output, { result: { rows: [1, 2] } });
+    assert.equal(received[0].method, 'POST');
+    assert.equal(received[0].headers['content-type'], 'application/json');
+    assert.equal(received[0].headers['x-tool'], 'test');
+    assert.deepEqual(JSON.parse(received[0].body), { filePath: 'sales.csv' });
+  });
+
+  it('sends the parameters of GET requests in the query string', async () => {
+    await executeHttpTool({ url: `${baseUrl}/search?lang=en`, method: 'get' }, {
+      q: 'sales',
+      filter: { year: 2024 },
+      skipped: null
+    });
+
+    const url = new URL(received[0].url, baseUrl);
+
+    assert.equal(received[0].method, 'GET');
+    assert.equal(url.searchParams.get('lang'), 'en');
+    assert.equal(url.searchParams.get('q'), 'sales');
+    assert.equal(url.searchParams.get('filter'), '{"year":2024}');
+    assert.equal(url.searchParams.has('skipped'), false);
+  });
+
+  it('maps the response with responseMapping', async () => {
+    respond = (req, res) => json(res, 200, { data: { rows: [1, 2], total: 2 } });
+
+    const output = await executeHttpTool({
+      url: baseUrl,
+      responseMapping: { result: '$.data.rows', count: 'data.total', missing: 'data.nope.deeper' }
+    }, {});
+
+    assert.deepEqual(output, { result: [1, 2], count: 2, missing: undefined });
+  });
+
+  it('passes through bodies that have a result and wraps text bodies', async () => {
+    respond = (req, res) => json(res, 200, { result: 'done', extra: true });
+    assert.deepEqual(await executeHttpTool({ url: baseUrl }, {}), { result: 'done', extra: true });
+
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('plain text');
+    };
+    assert.deepEqual(await executeHttpTool({ url: baseUrl }, {}), { result: 'plain text' });
+  });
+
+  it('retries idempotent requests that fail with a retryable status', async () => {
+    respond = (req, res, count) => (count < 3 ? json(res, 503, { error: 'Busy' }) : json(res, 200, { ok: true }));
+
+    const output = await executeHttpTool({ url: baseUrl, method: 'GET', retries: 2, retryDelay: 1 }, {});
+
+    assert.deepEqual(output, { result: { ok: true } });
+    assert.equal(received.length, 3);
+  });
+
+  it('gives up after the retry budget with the last error', async () => {
+    respond = (req, res) => json(res, 503, { error: 'Busy' });
+
+    await assert.rejects(
+      executeHttpTool({ url: baseUrl, method: 'PUT', retries: 1, retryDelay: 1 }, {}),
+      error => error.status === 503 && /HTTP 503 from .*: Busy/.test(error.message)
+    );
+    assert.equal(received.length, 2);
+  });
+
+  it('only retries POST requests marked idempotent', async () => {
+    respond = (req, res) => json(res, 502, { error: 'Bad gateway' });
+
+    await assert.rejects(executeHttpTool({ url: baseUrl, retries: 2, retryDelay: 1 }, {}), /HTTP 502/);
+    assert.equal(received.length, 1);
+
+    received = [];
+    await assert.rejects(executeHttpTool({ url: baseUrl, retries: 2, retryDelay: 1, idempotent: true }, {}), /HTTP 502/);
+    assert.equal(received.length, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    respond = (req, res) => json(res, 404, { error: 'No such file' });
+
+    await assert.rejects(
+      executeHttpTool({ url: baseUrl, method: 'GET', retries: 2, retryDelay: 1 }, {}),
+      error => error.status === 404 && error.retryable === false && error.body.error === 'No such file'
+    );
+    assert.equal(received.length, 1);
+  });
+
+  it('times out slow requests and retries them', async () => {
+    respond = () => {};
+
+    const start = Date.now();
+
+    await assert.rejects(
+      executeHttpTool({ url: baseUrl, method: 'GET', timeout: 50, retries: 1, retryDelay: 1 }, {}),
+      error => error.retryable && /timed out after 50ms/.test(error.message)
+    );
+    assert.equal(received.length, 2);
+    assert.ok(Date.now() - start < 1000);
+  });
+
+  it('times out responses whose body stalls and retries them', async () => {
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('{"rows": [');
+    };
+
+    await assert.rejects(
+      executeHttpTool({ url: baseUrl, method: 'GET', timeout: 50, retries: 1, retryDelay: 1 }, {}),
+      error => error.retryable && /timed out after 50ms/.test(error.message)
+    );
+    assert.equal(received.length, 2);
+  });
+
+  it('reports unreachable servers', async () => {
+    await assert.rejects(
+      executeHttpTool({ url: 'http://127.0.0.1:1/', method: 'GET', retries: 0 }, {}),
+      error => error.retryable && /failed/.test(error.message)
+    );
+  });
+
+  it('requires a URL', async () => {
+    await assert.rejects(executeHttpTool({}, {}), /missing executionConfig.url/);
+  });
+
+  it('stops at once when cancelled and does not retry', async () => {
+    respond = () => {};
+
+    const controller = new AbortController();
+    const call = executeHttpTool({ url: baseUrl, method: 'GET', retries: 2, retryDelay: 1 }, {}, { signal: controller.signal });
+
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(call, /was cancelled/);
+    assert.equal(received.length, 1);
+
+    await assert.rejects(
+      executeHttpTool({ url: baseUrl }, {}, { signal: AbortSignal.abort() }),
+      /was cancelled/
+    );
+  });
+});
\ No newline at end of file
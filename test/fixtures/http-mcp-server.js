@@ -0,0 +1,77 @@
+// A minimal MCP server over streamable HTTP for tests. tools/call answers with an
+// SSE stream, everything else with JSON; calls of the tool "slow" are never answered.
+// It records every request it receives, and whether the client aborted it.
+import http from 'http';
+
+export async function startHttpMcpServer({ tools = [{ name: 'echo', inputSchema: { type: 'object' } }] } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const message = body ? JSON.parse(body) : null;
+      const request = { method: req.method, headers: req.headers, message, aborted: false };
+      requests.push(request);
+      res.on('close', () => { request.aborted = !res.writableEnded; });
+
+      if (req.url !== '/mcp') {
+        res.writeHead(404);
+        return res.end('Not found');
+      }
+
+      if (req.method === 'DELETE') {
+        res.writeHead(204);
+        return res.end();
+      }
+
+      // Notifications are acknowledged without a body
+      if (message.id === undefined) {
+        res.writeHead(202);
+        return res.end();
+      }
+
+      if (message.method === 'initialize') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' });
+        return res.end(JSON.stringify({
+          jsonrpc: '2.0',
+          id: message.id,
+          result: { protocolVersion: '2025-03-26', capabilities: { tools: {} }, serverInfo: { name: 'http-fixture', version: '1.0.0' } }
+        }));
+      }
+
+      if (message.method === 'tools/list') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { tools } }));
+      }
+
+      if (message.method === 'tools/call' && message.params.name === 'slow') {
+        return;
+      }
+
+      if (message.method === 'tools/call') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'working' } })}\n\n`);
+        return res.end(`data: ${JSON.stringify({
+          jsonrpc: '2.0',
+          id: message.id,
+          result: { content: [{ type: 'text', text: 'done' }], structuredContent: { arguments: message.params.arguments } }
+        })}\n\n`);
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/mcp`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
\ No newline at end of file
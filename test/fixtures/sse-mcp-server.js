@@ -0,0 +1,58 @@
+// A minimal MCP server over the legacy HTTP+SSE transport for tests. GET /sse opens
+// the event stream and announces where to POST messages; replies arrive on the stream.
+// Its tools are echo and slow, which never answers.
+import http from 'http';
+
+export async function startSseMcpServer() {
+  const streams = new Set();
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/sse') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('event: endpoint\ndata: /messages?session=1\n\n');
+      streams.add(res);
+      req.on('close', () => streams.delete(res));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || req.url !== '/messages?session=1') {
+        res.writeHead(404);
+        return res.end('Not found');
+      }
+
+      res.writeHead(202);
+      res.end('Accepted');
+
+      const { id, method, params } = JSON.parse(body);
+
+      if (id === undefined || (method === 'tools/call' && params.name === 'slow')) return;
+
+      const result = method === 'initialize'
+        ? { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'sse-fixture', version: '1.0.0' } }
+        : method === 'tools/list'
+          ? { tools: [{ name: 'echo', inputSchema: { type: 'object' } }, { name: 'slow', inputSchema: { type: 'object' } }] }
+          : { content: [{ type: 'text', text: JSON.stringify(params.arguments) }] };
+
+      for (const stream of streams) {
+        stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id, result })}\n\n`);
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/sse`,
+    // Ends every open event stream, as a server that goes away would
+    dropStreams: () => {
+      for (const stream of streams) stream.end();
+    },
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+// A minimal MCP server over stdio for tests. Its tools:
+// - echo: returns its arguments as JSON text
+// - fail: returns an error result
+// - slow: never answers
+// tools/list is split over two pages.
+import readline from 'readline';
+
+const tools = [
+  { name: 'echo', description: 'Echoes its arguments', inputSchema: { type: 'object' } },
+  { name: 'fail', description: 'Always fails', inputSchema: { type: 'object' } },
+  { name: 'slow', description: 'Never answers', inputSchema: { type: 'object' } }
+];
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+function handle(message) {
+  const { id, method, params } = message;
+
+  if (id === undefined) return;
+
+  switch (method) {
+    case 'initialize':
+      return send({
+        jsonrpc: '2.0',
+        id,
+        result: { protocolVersion: params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stdio-fixture', version: '1.0.0' } }
+      });
+
+    case 'tools/list':
+      return send({
+        jsonrpc: '2.0',
+        id,
+        result: params.cursor ? { tools: tools.slice(2) } : { tools: tools.slice(0, 2), nextCursor: 'page-2' }
+      });
+
+    case 'tools/call':
+      if (params.name === 'echo') {
+        return send({ jsonrpc: '2.0', id, result: { content: [{ type: 'text', text: JSON.stringify(params.arguments) }] } });
+      }
+      if (params.name === 'fail') {
+        return send({ jsonrpc: '2.0', id, result: { isError: true, content: [{ type: 'text', text: 'Something broke' }] } });
+      }
+      if (params.name === 'slow') {
+        return;
+      }
+      return send({ jsonrpc: '2.0', id, error: { code: -32602, message: `Unknown tool: ${params.name}` } });
+
+    default:
+      return send({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (line.trim()) handle(JSON.parse(line));
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { executionHistory } from '../../src/history/index.js';
+import { FileHistoryStore, MemoryHistoryStore, createHistoryStore } from '../../src/history/store.js';
+import { executionsRouter } from '../../src/routes/executions.js';
+
+function execution(planId, { toolIds = ['numbers'], success = true, canExecute = true, startedAt, subject } = {}) {
+  const steps = toolIds.map((toolId, i) => ({ stepId: `step_${i + 1}`, toolId }));
+  const stepResults = Object.fromEntries(steps.map(step => [step.stepId, { success, durationMs: 5, error: success ? undefined : 'Broken' }]));
+
+  return {
+    query: `query for ${planId}`,
+    analysis: { intents: ['FILE_OPERATION'] },
+    plan: { planId, canExecute, steps },
+    result: canExecute
+      ? { planId, success, stepResults, error: success ? null : 'Error in step step_1: Broken', startedAt, finishedAt: startedAt, durationMs: 5 }
+      : { success: false, reason: 'No suitable tools' },
+    source: 'api',
+    principal: subject ? { subject, role: 'operator' } : undefined
+  };
+}
+
+describe('execution history', () => {
+  before(async () => {
+    await executionHistory.record(execution('plan_old', { startedAt: '2024-01-01T00:00:00.000Z', subject: 'alice' }));
+    await executionHistory.record(execution('plan_failed', { toolIds: ['numbers', 'sum'], success: false, startedAt: '2024-06-01T00:00:00.000Z', subject: 'bob' }));
+    await executionHistory.record(execution('plan_rejected', { canExecute: false, subject: 'alice' }));
+  });
+
+  it('records summaries of each execution', async () => {
+    const record = await executionHistory.get('plan_failed');
+
+    assert.equal(record.status, 'failed');
+    assert.equal(record.query, 'query for plan_failed');
+    assert.equal(record.subject, 'bob');
+    assert.deepEqual(record.toolIds, ['numbers', 'sum']);
+    assert.equal(record.error, 'Error in step step_1: Broken');
+    assert.equal(record.startedAt, '2024-06-01T00:00:00.000Z');
+    assert.ok(record.plan && record.result && record.analysis);
+
+    assert.equal((await executionHistory.get('plan_rejected')).status, 'rejected');
+  });
+
+  it('lists executions newest first as summaries with one line per step', async () => {
+    const { total, executions } = await executionHistory.list();
+
+    assert.equal(total, 3);
+    assert.deepEqual(executions.map(e => e.planId), ['plan_rejected', 'plan_failed', 'plan_old']);
+
+    const failed = executions[1];
+    assert.equal(failed.plan, undefined);
+    assert.equal(failed.result, undefined);
+    assert.deepEqual(failed.intents, ['FILE_OPERATION']);
+    assert.deepEqual(failed.steps[0], { stepId: 'step_1', toolId: 'numbers', success: false, skipped: undefined, durationMs: 5, error: 'Broken' });
+  });
+
+  it('filters by tool, status, time range and client, and pages the results', async () => {
+    const ids = async filters => (await executionHistory.list(filters)).executions.map(e => e.planId);
+
+    assert.deepEqual(await ids({ tool: 'sum' }), ['plan_failed']);
+    assert.deepEqual(await ids({ status: 'succeeded' }), ['plan_old']);
+    assert.deepEqual(await ids({ from: '2024-03-01', to: '2024-12-31' }), ['plan_failed']);
+    assert.deepEqual(await ids({ subject: 'alice' }), ['plan_rejected', 'plan_old']);
+    assert.deepEqual(await ids({ limit: 1, offset: 1 }), ['plan_failed']);
+    assert.equal((await executionHistory.list({ limit: 1 })).total, 3);
+  });
+
+  it('drops the oldest executions beyond the retention limit', async () => {
+    const maxEntries = executionHistory.maxEntries;
+    executionHistory.maxEntries = 3;
+
+    try {
+      await executionHistory.record(execution('plan_newest'));
+
+      assert.equal(await executionHistory.get('plan_old'), undefined);
+      assert.equal((await executionHistory.list()).total, 3);
+    } finally {
+      executionHistory.maxEntries = maxEntries;
+    }
+  });
+
+  describe('routes', () => {
+    let server;
+    let baseUrl;
+    let auth;
+
+    before(async () => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.auth = auth;
+        next();
+      });
+      app.use('/executions', executionsRouter);
+
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/executions`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('shows admins every execution and other clients only their own', async () => {
+      auth = { subject: 'admin', role: 'admin' };
+      const all = await (await fetch(baseUrl)).json();
+      assert.equal(all.total, 3);
+
+      auth = { subject: 'bob', role: 'reader' };
+      const own = await (await fetch(baseUrl)).json();
+      assert.deepEqual(own.executions.map(e => e.planId), ['plan_failed']);
+
+      assert.equal((await fetch(`${baseUrl}/plan_failed`)).status, 200);
+      assert.equal((await fetch(`${baseUrl}/plan_rejected`)).status, 404);
+    });
+
+    it('rejects invalid filters', async () => {
+      auth = { subject: 'admin', role: 'admin' };
+
+      for (const query of ['status=done', 'from=yesterday', 'limit=0', 'limit=501', 'offset=-1']) {
+        const response = await fetch(`${baseUrl}?${query}`);
+        assert.equal(response.status, 400, query);
+      }
+    });
+  });
+
+  describe('stores', () => {
+    let dir;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-test-'));
+    });
+
+    after(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('appends records to a JSON Lines file and skips a partial last line', async () => {
+      const filePath = path.join(dir, 'executions.jsonl');
+      const store = new FileHistoryStore(filePath);
+
+      await store.append({ planId: 'first' });
+      await store.append({ planId: 'second' });
+      await fs.appendFile(filePath, '{"planId":"thi');
+
+      assert.deepEqual(await new FileHistoryStore(filePath).load(), [{ planId: 'first' }, { planId: 'second' }]);
+    });
+
+    it('rewrites the file once it holds mostly pruned records', async () => {
+      const filePath = path.join(dir, 'pruned.jsonl');
+      const store = new FileHistoryStore(filePath);
+
+      for (const planId of ['a', 'b', 'c', 'd']) {
+        await store.append({ planId });
+      }
+
+      await store.replace([{ planId: 'b' }, { planId: 'c' }, { planId: 'd' }]);
+      assert.equal((await fs.readFile(filePath, 'utf8')).trim().split('\n').length, 4);
+
+      await store.replace([{ planId: 'd' }]);
+      assert.deepEqual(await store.load(), [{ planId: 'd' }]);
+    });
+
+    it('creates stores by name', () => {
+      assert.ok(createHistoryStore('memory') instanceof MemoryHistoryStore);
+      assert.ok(createHistoryStore('file') instanceof FileHistoryStore);
+      assert.throws(() => createHistoryStore('nope'), /Unknown execution history store: nope/);
+    });
+  });
+
+  it('records the tools loop steps call and whether steps were skipped', async () => {
+    const record = execution('plan_loop', { toolIds: ['numbers', 'collect'] });
+    record.plan.steps.push({ stepId: 'step_3', kind: 'map-reduce', items: '$.step_1.result', map: { toolId: 'double' }, reduce: { toolId: 'sum' } });
+    record.result.stepResults.step_2.skipped = true;
+
+    await executionHistory.record(record);
+    const { executions } = await executionHistory.list({ tool: 'double' });
+
+    assert.deepEqual(executions.map(e => e.planId), ['plan_loop']);
+    assert.deepEqual((await executionHistory.get('plan_loop')).toolIds, ['numbers', 'collect', 'double', 'sum']);
+    assert.equal(executions[0].steps[1].skipped, true);
+  });
+
+  it('records plans that were not executed as planned', async () => {
+    const { plan } = execution('plan_only', { toolIds: ['numbers'] });
+
+    await executionHistory.record({ query: 'plan only', plan, source: 'api' });
+    const record = await executionHistory.get('plan_only');
+    const { executions } = await executionHistory.list({ status: 'planned' });
+
+    assert.equal(record.status, 'planned');
+    assert.deepEqual(record.toolIds, ['numbers']);
+    assert.equal(record.error, undefined);
+    assert.deepEqual(executions.map(e => e.planId), ['plan_only']);
+    assert.equal(executions[0].steps[0].success, undefined);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+import '../setup.js';
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { jobQueue, describeJob, QueueFullError } from '../../src/jobs/index.js';
+import { apiRouter } from '../../src/routes/api.js';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(check, timeout = 5000) {
+  const start = Date.now();
+
+  while (!(await check())) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for the condition');
+    await delay(10);
+  }
+}
+
+// A task that runs until it's released or aborted
+function blockingTask() {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+
+  const task = signal => new Promise((resolve, reject) => {
+    released.then(() => resolve('released'));
+    signal.addEventListener('abort', () => reject(new Error('Aborted')), { once: true });
+  });
+
+  return { task, release: () => release() };
+}
+
+const finished = job => () => ['succeeded', 'failed', 'cancelled'].includes(job.status);
+
+describe('job queue', () => {
+  const { concurrency, queueLimit } = jobQueue;
+
+  afterEach(() => {
+    jobQueue.concurrency = concurrency;
+    jobQueue.queueLimit = queueLimit;
+  });
+
+  it('runs tasks in the background and keeps their result', async () => {
+    const job = jobQueue.submit(async () => ({ rows: 2 }), { subject: 'alice', input: { query: 'load' } });
+
+    assert.equal(jobQueue.get(job.id), job);
+    await waitFor(finished(job));
+
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(job.result, { rows: 2 });
+    assert.ok(job.startedAt && job.finishedAt);
+  });
+
+  it('marks jobs failed when the task throws or its result says so', async () => {
+    const thrown = jobQueue.submit(async () => { throw new Error('Broken'); });
+    const unsuccessful = jobQueue.submit(async () => ({ success: false }), { isSuccessful: result => result.success });
+
+    await waitFor(finished(thrown));
+    await waitFor(finished(unsuccessful));
+
+    assert.equal(thrown.status, 'failed');
+    assert.equal(thrown.error, 'Broken');
+    assert.equal(unsuccessful.status, 'failed');
+  });
+
+  it('runs at most `concurrency` jobs and starts queued ones as others finish', async () => {
+    jobQueue.concurrency = 1;
+
+    const first = blockingTask();
+    const firstJob = jobQueue.submit(first.task);
+    const secondJob = jobQueue.submit(async () => 'second');
+
+    assert.equal(firstJob.status, 'running');
+    assert.equal(secondJob.status, 'queued');
+
+    first.release();
+    await waitFor(finished(secondJob));
+
+    assert.equal(firstJob.status, 'succeeded');
+    assert.equal(secondJob.result, 'second');
+  });
+
+  it('cancels queued jobs before they start and aborts running ones', async () => {
+    jobQueue.concurrency = 1;
+
+    const running = blockingTask();
+    const runningJob = jobQueue.submit(running.task);
+    let queuedStarted = false;
+    const queuedJob = jobQueue.submit(async () => { queuedStarted = true; });
+
+    jobQueue.cancel(queuedJob.id);
+    assert.equal(queuedJob.status, 'cancelled');
+
+    jobQueue.cancel(runningJob.id);
+    await waitFor(finished(runningJob));
+
+    assert.equal(runningJob.status, 'cancelled');
+    assert.equal(queuedStarted, false);
+    assert.equal(jobQueue.cancel('job_missing'), undefined);
+  });
+
+  it('refuses jobs when the queue is full', () => {
+    jobQueue.concurrency = 1;
+    jobQueue.queueLimit = 1;
+
+    const blocker = blockingTask();
+    const running = jobQueue.submit(blocker.task);
+    const queued = jobQueue.submit(async () => {});
+
+    assert.throws(() => jobQueue.submit(async () => {}), error => error instanceof QueueFullError && error.status === 503);
+
+    jobQueue.cancel(queued.id);
+    jobQueue.cancel(running.id);
+  });
+
+  it('describes jobs without their task and controller', () => {
+    const job = jobQueue.submit(async () => {});
+    const description = describeJob(job);
+
+    assert.equal(description.id, job.id);
+    assert.equal('task' in description, false);
+    assert.equal('controller' in description, false);
+  });
+
+  describe('routes', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api', apiRouter);
+
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('runs requests as jobs and reports their status', async () => {
+      const response = await fetch(`${baseUrl}/request?async=true`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: 'load sales.csv' })
+      });
+      const job = await response.json();
+
+      assert.equal(response.status, 202);
+      assert.equal(response.headers.get('location'), `/api/jobs/${job.id}`);
+      assert.equal(job.input.query, 'load sales.csv');
+
+      let status;
+      await waitFor(async () => {
+        status = await (await fetch(`${baseUrl}/jobs/${job.id}`)).json();
+        return !['queued', 'running'].includes(status.status);
+      });
+
+      // No tools are registered, so the plan can't run
+      assert.equal(status.status, 'failed');
+      assert.equal(status.result.query, 'load sales.csv');
+      assert.equal(status.result.result.success, false);
+
+      const cancel = await fetch(`${baseUrl}/jobs/${job.id}`, { method: 'DELETE' });
+      assert.equal(cancel.status, 409);
+    });
+
+    it('cancels jobs and answers 404 for unknown ones', async () => {
+      const blocker = blockingTask();
+      const job = jobQueue.submit(blocker.task);
+
+      const cancel = await fetch(`${baseUrl}/jobs/${job.id}`, { method: 'DELETE' });
+      assert.equal(cancel.status, 202);
+      await waitFor(finished(job));
+      assert.equal(job.status, 'cancelled');
+
+      assert.equal((await fetch(`${baseUrl}/jobs/job_missing`)).status, 404);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,250 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toolLimiter, CircuitOpenError } from '../../src/limits/index.js';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A call the test finishes by hand
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const fail = () => Promise.reject(new Error('Tool failed'));
+
+// Limiter state is per tool ID, so every test uses its own tool
+let toolCount = 0;
+
+function createTool(settings = {}) {
+  return { id: `tool-${++toolCount}`, circuitBreaker: { failureThreshold: 2, resetTimeout: 50 }, ...settings };
+}
+
+async function trip(tool) {
+  for (let i = 0; i < tool.circuitBreaker.failureThreshold; i++) {
+    await assert.rejects(toolLimiter.run(tool, fail), /Tool failed/);
+  }
+}
+
+describe('tool limiter', () => {
+  describe('queueing', () => {
+    it('runs at most maxConcurrency calls of a tool at a time', async () => {
+      const tool = createTool({ maxConcurrency: 2 });
+      const calls = [deferred(), deferred(), deferred(), deferred()];
+      let started = 0;
+
+      const results = calls.map((call, index) => toolLimiter.run(tool, () => {
+        started++;
+        return call.promise.then(() => index);
+      }));
+
+      await delay(0);
+      assert.equal(started, 2);
+      assert.deepEqual(toolLimiter.getStatus(tool.id), {
+        running: 2,
+        queued: 2,
+        circuit: { state: 'closed', consecutiveFailures: 0, openedAt: undefined, retryAt: undefined }
+      });
+
+      calls[0].resolve();
+      await delay(0);
+      assert.equal(started, 3);
+
+      calls.forEach(call => call.resolve());
+      assert.deepEqual(await Promise.all(results), [0, 1, 2, 3]);
+      assert.equal(toolLimiter.getStatus(tool.id).running, 0);
+    });
+
+    it('stops waiting for a turn when the call is cancelled', async () => {
+      const tool = createTool({ maxConcurrency: 1 });
+      const blocker = deferred();
+      const controller = new AbortController();
+      let called = false;
+
+      const first = toolLimiter.run(tool, () => blocker.promise);
+      const second = toolLimiter.run(tool, () => { called = true; }, { signal: controller.signal });
+
+      controller.abort();
+      await assert.rejects(second, /Execution cancelled/);
+      assert.equal(toolLimiter.getStatus(tool.id).queued, 0);
+
+      blocker.resolve();
+      await first;
+      assert.equal(called, false);
+    });
+
+    it('does not count a cancelled call as a failure', async () => {
+      const tool = createTool();
+      const controller = new AbortController();
+
+      const call = toolLimiter.run(tool, () => new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(new Error('Aborted')));
+      }), { signal: controller.signal });
+
+      await delay(0);
+      controller.abort();
+      await assert.rejects(call, /Aborted/);
+      assert.equal(toolLimiter.getStatus(tool.id).circuit.consecutiveFailures, 0);
+    });
+  });
+
+  describe('rate limit', () => {
+    it('holds calls beyond the limit until the oldest leaves the window', async () => {
+      const tool = createTool({ rateLimit: { requests: 2, interval: 100 } });
+      const startedAt = [];
+      const start = Date.now();
+
+      await Promise.all([1, 2, 3].map(() => toolLimiter.run(tool, async () => {
+        startedAt.push(Date.now() - start);
+      })));
+
+      assert.ok(startedAt[0] < 50);
+      assert.ok(startedAt[1] < 50);
+      assert.ok(startedAt[2] >= 95, `third call started after ${startedAt[2]}ms`);
+    });
+
+    it('counts calls that have already finished', async () => {
+      const tool = createTool({ rateLimit: { requests: 1, interval: 80 } });
+
+      await toolLimiter.run(tool, async () => {});
+
+      const start = Date.now();
+      await toolLimiter.run(tool, async () => {});
+      assert.ok(Date.now() - start >= 70);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('opens after failureThreshold consecutive failures and fails calls without making them', async () => {
+      const tool = createTool();
+      let called = false;
+
+      await assert.rejects(toolLimiter.run(tool, fail));
+      await toolLimiter.run(tool, async () => {});
+      await assert.rejects(toolLimiter.run(tool, fail));
+      assert.equal(toolLimiter.isTripped(tool.id), false);
+
+      await assert.rejects(toolLimiter.run(tool, fail));
+      assert.equal(toolLimiter.isTripped(tool.id), true);
+      assert.equal(toolLimiter.getStatus(tool.id).circuit.state, 'open');
+
+      const error = await toolLimiter.run(tool, async () => { called = true; }).catch(e => e);
+      assert.ok(error instanceof CircuitOpenError);
+      assert.equal(error.status, 503);
+      assert.equal(called, false);
+    });
+
+    it('rejects queued calls when it opens', async () => {
+      const tool = createTool({ maxConcurrency: 1, circuitBreaker: { failureThreshold: 1, resetTimeout: 50 } });
+      const failing = deferred();
+
+      const first = toolLimiter.run(tool, () => failing.promise);
+      const queued = toolLimiter.run(tool, async () => 'ran');
+
+      failing.reject(new Error('Tool failed'));
+
+      await assert.rejects(first, /Tool failed/);
+      await assert.rejects(queued, CircuitOpenError);
+    });
+
+    it('closes after a successful trial call', async () => {
+      const tool = createTool();
+
+      await trip(tool);
+      await delay(60);
+
+      assert.equal(toolLimiter.isTripped(tool.id), false);
+      assert.equal(toolLimiter.getStatus(tool.id).circuit.state, 'half-open');
+
+      assert.equal(await toolLimiter.run(tool, async () => 'ok'), 'ok');
+      assert.deepEqual(toolLimiter.getStatus(tool.id).circuit, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: undefined,
+        retryAt: undefined
+      });
+    });
+
+    it('opens again right away when the trial call fails', async () => {
+      const tool = createTool({ circuitBreaker: { failureThreshold: 3, resetTimeout: 50 } });
+
+      await trip(tool);
+      await delay(60);
+
+      await assert.rejects(toolLimiter.run(tool, fail), /Tool failed/);
+      assert.equal(toolLimiter.isTripped(tool.id), true);
+      await assert.rejects(toolLimiter.run(tool, async () => {}), CircuitOpenError);
+    });
+
+    it('holds calls made during the trial until it succeeds', async () => {
+      const tool = createTool();
+      const trial = deferred();
+      const order = [];
+
+      await trip(tool);
+      await delay(60);
+
+      const trialCall = toolLimiter.run(tool, () => trial.promise.then(() => order.push('trial')));
+      const waiting = [1, 2].map(n => toolLimiter.run(tool, async () => order.push(`call ${n}`)));
+      let settled = false;
+      Promise.allSettled(waiting).then(() => { settled = true; });
+
+      await delay(20);
+      assert.equal(settled, false);
+      assert.equal(toolLimiter.getStatus(tool.id).queued, 2);
+
+      trial.resolve();
+      await trialCall;
+      await Promise.all(waiting);
+
+      assert.deepEqual(order, ['trial', 'call 1', 'call 2']);
+      assert.equal(toolLimiter.getStatus(tool.id).circuit.state, 'closed');
+    });
+
+    it('fails calls made during the trial when it fails', async () => {
+      const tool = createTool();
+      const trial = deferred();
+      let called = false;
+
+      await trip(tool);
+      await delay(60);
+
+      const trialCall = toolLimiter.run(tool, () => trial.promise);
+      const waiting = toolLimiter.run(tool, async () => { called = true; });
+
+      await delay(10);
+      trial.reject(new Error('Tool failed'));
+
+      await assert.rejects(trialCall, /Tool failed/);
+      await assert.rejects(waiting, CircuitOpenError);
+      assert.equal(called, false);
+    });
+
+    it('makes the next call the trial when the trial call is cancelled', async () => {
+      const tool = createTool();
+      const controller = new AbortController();
+
+      await trip(tool);
+      await delay(60);
+
+      const trialCall = toolLimiter.run(tool, () => new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(new Error('Aborted')));
+      }), { signal: controller.signal });
+      const waiting = toolLimiter.run(tool, async () => 'ran');
+
+      await delay(0);
+      controller.abort();
+
+      await assert.rejects(trialCall, /Aborted/);
+      assert.equal(await waiting, 'ran');
+      assert.equal(toolLimiter.getStatus(tool.id).circuit.state, 'closed');
+    });
+  });
+});
\ No newline at end of file
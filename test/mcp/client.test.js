@@ -0,0 +1,229 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import {
+  McpClient,
+  McpSessionPool,
+  connectMcpClient,
+  getMcpConnection,
+  mapToolCallResult
+} from '../../src/mcp/client.js';
+import { startHttpMcpServer } from '../fixtures/http-mcp-server.js';
+import { startSseMcpServer } from '../fixtures/sse-mcp-server.js';
+
+const STDIO_SERVER = {
+  transport: 'stdio',
+  command: process.execPath,
+  args: [fileURLToPath(new URL('../fixtures/stdio-mcp-server.js', import.meta.url))]
+};
+
+describe('MCP client', () => {
+  describe('over stdio', () => {
+    let client;
+
+    before(async () => {
+      client = await connectMcpClient(STDIO_SERVER);
+    });
+
+    after(async () => {
+      await client.close();
+    });
+
+    it('performs the initialize handshake', () => {
+      assert.equal(client.serverInfo.name, 'stdio-fixture');
+      assert.deepEqual(client.serverCapabilities, { tools: {} });
+    });
+
+    it('lists tools across pages', async () => {
+      const tools = await client.listTools();
+      assert.deepEqual(tools.map(tool => tool.name), ['echo', 'fail', 'slow']);
+    });
+
+    it('calls tools', async () => {
+      const callResult = await client.callTool('echo', { value: 42 });
+      assert.deepEqual(mapToolCallResult('echo', callResult).result, { value: 42 });
+    });
+
+    it('rejects JSON-RPC errors', async () => {
+      await assert.rejects(client.callTool('nope'), error => error.code === -32602 && /tools\/call failed: Unknown tool/.test(error.message));
+    });
+
+    it('times out requests the server never answers', async () => {
+      await assert.rejects(
+        client.request('tools/call', { name: 'slow', arguments: {} }, { timeout: 50 }),
+        /MCP request tools\/call timed out after 50ms/
+      );
+      assert.equal(client.pending.size, 0);
+    });
+  });
+
+  it('rejects pending requests when the server process exits', async () => {
+    const client = await connectMcpClient(STDIO_SERVER);
+    const call = client.callTool('slow');
+
+    client.transport.process.kill();
+
+    await assert.rejects(call, /MCP server process exited/);
+    await client.close();
+  });
+
+  it('rejects requests to a server that exits right away', { timeout: 5000 }, async () => {
+    const client = new McpClient({ transport: 'stdio', command: process.execPath, args: ['-e', 'process.exit(0)'] });
+
+    await assert.rejects(client.connect(), /MCP server process exited|Failed to write to MCP server/);
+    await assert.rejects(client.request('ping'), /is not running/);
+    assert.equal(client.pending.size, 0);
+    await client.close();
+  });
+
+  it('rejects requests the server can no longer read', { timeout: 5000 }, async () => {
+    const client = new McpClient({
+      transport: 'stdio',
+      command: process.execPath,
+      args: ['-e', "require('fs').closeSync(0); console.log('stdin closed'); setTimeout(() => {}, 1000)"]
+    });
+
+    await client.transport.start();
+    await once(client.transport.process.stdout, 'data');
+
+    await assert.rejects(client.request('ping'), /Failed to write to MCP server/);
+    await client.close();
+  });
+
+  it('fails to connect to a command that does not exist', async () => {
+    await assert.rejects(
+      connectMcpClient({ transport: 'stdio', command: 'no-such-mcp-server-for-tests' }),
+      /Failed to start MCP server no-such-mcp-server-for-tests/
+    );
+  });
+
+  describe('over streamable HTTP', () => {
+    let server;
+
+    before(async () => {
+      server = await startHttpMcpServer();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('keeps the session and negotiated version, reads SSE responses and ends the session', async () => {
+      const client = new McpClient({ transport: 'http', url: server.url, headers: { Authorization: 'Bearer token' } });
+      const notifications = [];
+      client.onNotification(message => notifications.push(message.method));
+
+      await client.connect();
+      const callResult = await client.callTool('echo', { value: 1 });
+      await client.close();
+
+      assert.deepEqual(mapToolCallResult('echo', callResult).result, { arguments: { value: 1 } });
+      assert.deepEqual(notifications, ['notifications/message']);
+
+      const [initialize, initialized, call, end] = server.requests;
+
+      assert.equal(initialize.headers['mcp-session-id'], undefined);
+      assert.equal(initialized.message.method, 'notifications/initialized');
+      assert.equal(call.headers['mcp-session-id'], 'session-1');
+      assert.equal(call.headers['mcp-protocol-version'], '2025-03-26');
+      assert.equal(call.headers.authorization, 'Bearer token');
+      assert.equal(end.method, 'DELETE');
+      assert.equal(end.headers['mcp-session-id'], 'session-1');
+    });
+
+    it('reports HTTP errors', async () => {
+      await assert.rejects(
+        connectMcpClient({ transport: 'http', url: server.url.replace('/mcp', '/nope') }),
+        /responded with HTTP 404: Not found/
+      );
+    });
+
+    it('aborts the HTTP request of a call that times out', async () => {
+      const client = await connectMcpClient({ transport: 'http', url: server.url });
+
+      await assert.rejects(
+        client.request('tools/call', { name: 'slow', arguments: {} }, { timeout: 50 }),
+        /MCP request tools\/call timed out after 50ms/
+      );
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const call = server.requests.find(request => request.message && request.message.params && request.message.params.name === 'slow');
+      assert.equal(call.aborted, true);
+
+      await client.close();
+    });
+
+    it('shares one client per connection in a session pool', async () => {
+      const pool = new McpSessionPool();
+      const connection = { transport: 'http', url: server.url };
+
+      const [first, second] = await Promise.all([pool.getClient(connection), pool.getClient(connection)]);
+      assert.equal(first, second);
+
+      await pool.closeAll();
+      assert.equal(pool.clients.size, 0);
+    });
+  });
+
+  describe('over legacy HTTP+SSE', () => {
+    let server;
+
+    before(async () => {
+      server = await startSseMcpServer();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('posts messages to the announced endpoint and reads replies from the stream', async () => {
+      const client = await connectMcpClient({ transport: 'sse', url: server.url });
+
+      assert.equal(client.serverInfo.name, 'sse-fixture');
+      assert.deepEqual((await client.listTools()).map(tool => tool.name), ['echo', 'slow']);
+      assert.deepEqual(mapToolCallResult('echo', await client.callTool('echo', { value: 3 })).result, { value: 3 });
+
+      await client.close();
+    });
+
+    it('rejects pending requests when the server ends the stream', async () => {
+      const client = await connectMcpClient({ transport: 'sse', url: server.url });
+      const call = client.callTool('slow');
+
+      server.dropStreams();
+
+      await assert.rejects(call, /closed its event stream/);
+      await client.close();
+    });
+
+    it('fails to connect to servers without an event stream', async () => {
+      await assert.rejects(
+        connectMcpClient({ transport: 'sse', url: server.url.replace('/sse', '/nope') }),
+        /responded with HTTP 404 to the event stream request/
+      );
+    });
+  });
+
+  it('gets connections from tool definitions', () => {
+    const mcp = { transport: 'stdio', command: 'server' };
+
+    assert.equal(getMcpConnection({ mcp, apiEndpoint: 'http://example.com' }), mcp);
+    assert.deepEqual(getMcpConnection({ apiEndpoint: 'http://example.com/mcp' }), { transport: 'http', url: 'http://example.com/mcp' });
+    assert.equal(getMcpConnection({}), null);
+  });
+
+  it('maps tool call results', () => {
+    assert.deepEqual(mapToolCallResult('t', { content: [{ type: 'text', text: 'plain' }] }).result, 'plain');
+    assert.deepEqual(mapToolCallResult('t', { content: [{ type: 'text', text: '[1,2]' }] }).result, [1, 2]);
+
+    const content = [{ type: 'text', text: 'a' }, { type: 'image', data: 'b', mimeType: 'image/png' }];
+    assert.deepEqual(mapToolCallResult('t', { content }).result, content);
+
+    assert.throws(
+      () => mapToolCallResult('t', { isError: true, content: [{ type: 'text', text: 'Something broke' }] }),
+      /MCP tool t returned an error: Something broke/
+    );
+  });
+});
\ No newline at end of file
@@ -0,0 +1,160 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { registry } from '../../src/registry/index.js';
+import { handleMcpMessage, ROUTE_REQUEST_TOOL } from '../../src/mcp/server.js';
+
+// Sessions expire quickly here; the router reads the setting when it's loaded
+process.env.MCP_SESSION_TTL = '500';
+const { mcpRouter } = await import('../../src/routes/mcp.js');
+
+function request(id, method, params = {}) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+describe('MCP server', () => {
+  before(async () => {
+    await registry.registerTool({
+      id: 'greeter',
+      name: 'Greeter',
+      defaultParams: { name: 'world', times: 1 },
+      execute: async ({ name }) => ({ greeting: `Hello, ${name}` })
+    });
+    await registry.registerTool({
+      id: 'failing',
+      name: 'Failing',
+      execute: async () => { throw new Error('Out of paper'); }
+    });
+  });
+
+  it('negotiates the protocol version on initialize', async () => {
+    const known = await handleMcpMessage(request(1, 'initialize', { protocolVersion: '2024-11-05' }));
+    assert.equal(known.result.protocolVersion, '2024-11-05');
+    assert.equal(known.result.serverInfo.name, 'meta-mcp-server');
+
+    const unknown = await handleMcpMessage(request(2, 'initialize', { protocolVersion: '1999-01-01' }));
+    assert.equal(unknown.result.protocolVersion, '2025-03-26');
+  });
+
+  it('lists route_request and the registered tools with inferred input schemas', async () => {
+    const { result } = await handleMcpMessage(request(1, 'tools/list'));
+    const greeter = result.tools.find(tool => tool.name === 'greeter');
+
+    assert.deepEqual(result.tools[0], ROUTE_REQUEST_TOOL);
+    assert.equal(greeter.title, 'Greeter');
+    assert.deepEqual(greeter.inputSchema, { type: 'object', properties: { name: { type: 'string' }, times: { type: 'number' } } });
+  });
+
+  it('calls registered tools', async () => {
+    const { result } = await handleMcpMessage(request(1, 'tools/call', { name: 'greeter', arguments: { name: 'MCP' } }));
+
+    assert.deepEqual(result.structuredContent, { greeting: 'Hello, MCP' });
+    assert.deepEqual(JSON.parse(result.content[0].text), { greeting: 'Hello, MCP' });
+  });
+
+  it('reports tool failures in the result', async () => {
+    const { result } = await handleMcpMessage(request(1, 'tools/call', { name: 'failing' }));
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Out of paper/);
+  });
+
+  it('answers unknown tools and methods with JSON-RPC errors', async () => {
+    const unknownTool = await handleMcpMessage(request(1, 'tools/call', { name: 'nope' }));
+    assert.deepEqual(unknownTool.error, { code: -32602, message: 'Unknown tool: nope' });
+
+    const missingQuery = await handleMcpMessage(request(2, 'tools/call', { name: 'route_request', arguments: {} }));
+    assert.equal(missingQuery.error.code, -32602);
+
+    const unknownMethod = await handleMcpMessage(request(3, 'resources/list'));
+    assert.equal(unknownMethod.error.code, -32601);
+
+    const invalid = await handleMcpMessage({ id: 4, method: 'ping' });
+    assert.deepEqual(invalid, { jsonrpc: '2.0', id: 4, error: { code: -32600, message: 'Invalid request' } });
+  });
+
+  it('answers batches and ignores notifications', async () => {
+    assert.equal(await handleMcpMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+
+    const responses = await handleMcpMessage([
+      request(1, 'ping'),
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      request(2, 'ping')
+    ]);
+
+    assert.deepEqual(responses.map(response => response.id), [1, 2]);
+  });
+
+  describe('over streamable HTTP', () => {
+    let server;
+    let url;
+
+    before(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/mcp', mcpRouter);
+
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      url = `http://127.0.0.1:${server.address().port}/mcp`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    function post(message, sessionId) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+
+      return fetch(url, { method: 'POST', headers, body: JSON.stringify(message) });
+    }
+
+    it('issues a session on initialize and ends it on DELETE', async () => {
+      const initialize = await post(request(1, 'initialize'));
+      const sessionId = initialize.headers.get('mcp-session-id');
+
+      assert.equal(initialize.status, 200);
+      assert.ok(sessionId);
+
+      const initialized = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+      assert.equal(initialized.status, 202);
+
+      const list = await post(request(2, 'tools/list'), sessionId);
+      assert.equal((await list.json()).result.tools[0].name, 'route_request');
+
+      const end = await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+      assert.equal(end.status, 200);
+
+      const afterEnd = await post(request(3, 'ping'), sessionId);
+      assert.equal(afterEnd.status, 404);
+      assert.equal((await afterEnd.json()).error.code, -32001);
+    });
+
+    it('expires sessions that go unused', async () => {
+      const sessionId = (await post(request(1, 'initialize'))).headers.get('mcp-session-id');
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert.equal((await post(request(2, 'ping'), sessionId)).status, 200);
+
+      // Using the session keeps it alive
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert.equal((await post(request(3, 'ping'), sessionId)).status, 200);
+
+      await new Promise(resolve => setTimeout(resolve, 600));
+      const expired = await post(request(4, 'ping'), sessionId);
+
+      assert.equal(expired.status, 404);
+      assert.equal((await expired.json()).error.code, -32001);
+    });
+
+    it('does not offer a standalone SSE stream', async () => {
+      const response = await fetch(url);
+
+      assert.equal(response.status, 405);
+      assert.equal(response.headers.get('allow'), 'POST, DELETE');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { bindStepInputs } from '../../src/orchestrator/bindings.js';
+
+const loader = {
+  id: 'loader',
+  inputSchema: { type: 'object', properties: { filePath: { type: 'string' } } },
+  outputSchema: { type: 'object', properties: { rows: { type: 'array' }, filePath: { type: 'string' } } }
+};
+
+const counter = {
+  id: 'counter',
+  outputSchema: { type: 'object', properties: { count: { type: 'number' } } }
+};
+
+const chart = {
+  id: 'chart',
+  inputSchema: {
+    type: 'object',
+    properties: { data: { type: 'array' }, title: { type: 'string' } },
+    required: ['data']
+  }
+};
+
+// Merges its data inputs; it declares no outputs, so its whole output is passed on
+const merger = {
+  id: 'merger',
+  inputSchema: { type: 'object', properties: { data: { type: 'array' } }, required: ['data'] }
+};
+
+function step(stepId, toolId, dependsOn = [], inputParams = {}) {
+  return { stepId, toolId, dependsOn, inputParams };
+}
+
+describe('input bindings', () => {
+  it('binds inputs to matching upstream outputs by name and type', () => {
+    const steps = [step('step_1', 'loader', [], { filePath: 'sales.csv' }), step('step_2', 'chart', ['step_1'])];
+    const { dataFlow, errors } = bindStepInputs(steps, new Map([['step_1', loader], ['step_2', chart]]));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(dataFlow, {
+      'step_1:step_2': { from: 'step_1', to: 'step_2', mappings: [{ fromPath: '$.rows', toParam: 'data' }] }
+    });
+  });
+
+  it('reaches past direct parents and makes the source a dependency', () => {
+    const steps = [step('step_1', 'loader'), step('step_2', 'counter', ['step_1']), step('step_3', 'chart', ['step_2'])];
+    const { dataFlow } = bindStepInputs(steps, new Map([['step_1', loader], ['step_2', counter], ['step_3', chart]]));
+
+    assert.deepEqual(dataFlow['step_1:step_3'].mappings, [{ fromPath: '$.rows', toParam: 'data' }]);
+    assert.deepEqual(dataFlow['step_2:step_3'].mappings, []);
+    assert.deepEqual(steps[2].dependsOn, ['step_2', 'step_1']);
+  });
+
+  it('keeps values given in the request', () => {
+    const steps = [step('step_1', 'loader'), step('step_2', 'chart', ['step_1'], { data: [1, 2] })];
+    const { dataFlow } = bindStepInputs(steps, new Map([['step_1', loader], ['step_2', chart]]));
+
+    assert.deepEqual(dataFlow['step_1:step_2'].mappings, []);
+  });
+
+  it('binds a join input to every parent', () => {
+    const steps = [step('step_1', 'loader'), step('step_2', 'loader'), step('step_3', 'merger', ['step_1', 'step_2'])];
+    const { dataFlow } = bindStepInputs(steps, new Map([['step_1', loader], ['step_2', loader], ['step_3', merger]]));
+
+    assert.deepEqual(dataFlow['step_1:step_3'].mappings, [{ fromPath: '$.rows', toParam: 'data' }]);
+    assert.deepEqual(dataFlow['step_2:step_3'].mappings, [{ fromPath: '$.rows', toParam: 'data' }]);
+  });
+
+  it('binds only the nearest match to inputs that don\'t take an array', () => {
+    const single = { id: 'single', inputSchema: { type: 'object', properties: { filePath: { type: 'string' } } } };
+    const steps = [step('step_1', 'loader'), step('step_2', 'loader'), step('step_3', 'single', ['step_1', 'step_2'])];
+    const { dataFlow } = bindStepInputs(steps, new Map([['step_1', loader], ['step_2', loader], ['step_3', single]]));
+
+    assert.deepEqual(dataFlow['step_1:step_3'].mappings, [{ fromPath: '$.filePath', toParam: 'filePath' }]);
+    assert.deepEqual(dataFlow['step_2:step_3'].mappings, []);
+  });
+
+  it('takes the output of a step that already consumed the data', () => {
+    const steps = [
+      step('step_1', 'loader'),
+      step('step_2', 'loader'),
+      step('step_3', 'merger', ['step_1', 'step_2']),
+      step('step_4', 'chart', ['step_3'])
+    ];
+    const { dataFlow } = bindStepInputs(steps, new Map([['step_1', loader], ['step_2', loader], ['step_3', merger], ['step_4', chart]]));
+
+    assert.deepEqual(dataFlow['step_3:step_4'].mappings, [{ fromPath: '$', toParam: 'data' }]);
+    assert.equal(dataFlow['step_1:step_4'], undefined);
+    assert.deepEqual(steps[3].dependsOn, ['step_3']);
+  });
+
+  it('reports required inputs that nothing produces', () => {
+    const steps = [step('step_1', 'counter'), step('step_2', 'chart', ['step_1'])];
+    const { errors } = bindStepInputs(steps, new Map([['step_1', counter], ['step_2', chart]]));
+
+    assert.deepEqual(errors, ['Step step_2 (chart) requires input "data" but no value was given and no upstream step produces it']);
+  });
+
+  it('passes each parent\'s result as input to tools without an input schema', () => {
+    const steps = [step('step_1', 'loader'), step('step_2', 'counter', ['step_1'])];
+    const { dataFlow } = bindStepInputs(steps, new Map([['step_1', loader], ['step_2', counter]]));
+
+    assert.deepEqual(dataFlow['step_1:step_2'].mappings, [{ fromPath: '$.result', toParam: 'input' }]);
+  });
+});
\ No newline at end of file
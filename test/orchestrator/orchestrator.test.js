@@ -0,0 +1,67 @@
+import '../setup.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { registry } from '../../src/registry/index.js';
+import { analyzeRequest } from '../../src/analyzer/index.js';
+import { createExecutionPlan } from '../../src/orchestrator/index.js';
+
+async function plan(query) {
+  return createExecutionPlan(await analyzeRequest(query));
+}
+
+describe('orchestrator', () => {
+  before(async () => {
+    // The built-in file processor and visualization creator
+    await registry.scanForTools();
+  });
+
+  it('plans the sub-tasks in order, one step per file', async () => {
+    const { steps, canExecute } = await plan('load sales.csv and q1.csv, merge them, then plot a line chart');
+
+    assert.equal(canExecute, true);
+    assert.deepEqual(steps.map(step => [step.stepId, step.intent, step.subTask]), [
+      ['step_1', 'FILE_OPERATION', 1],
+      ['step_2', 'FILE_OPERATION', 1],
+      ['step_3', 'DATA_PROCESSING', 2],
+      ['step_4', 'VISUALIZATION', 3]
+    ]);
+    assert.deepEqual(steps.map(step => step.inputParams.filePath).slice(0, 2), ['sales.csv', 'q1.csv']);
+  });
+
+  it('makes later sub-tasks wait for the ones before them', async () => {
+    const { steps, dataFlow } = await plan('load sales.csv and q1.csv, merge them, then plot a line chart');
+
+    assert.deepEqual(steps[0].dependsOn, []);
+    assert.deepEqual(steps[1].dependsOn, []);
+    assert.deepEqual(steps[2].dependsOn, ['step_1', 'step_2']);
+    assert.ok(steps[3].dependsOn.includes('step_3'));
+    assert.ok(Object.values(dataFlow).some(flow => flow.from === 'step_3' && flow.to === 'step_4'));
+  });
+
+  it('gives each requested chart its own step with that chart type', async () => {
+    const { steps, canExecute } = await plan('load sales.csv, then plot a bar chart and a line chart');
+    const charts = steps.filter(step => step.intent === 'VISUALIZATION');
+
+    assert.equal(canExecute, true);
+    assert.deepEqual(charts.map(step => step.inputParams.type), ['bar_chart', 'line_chart']);
+    assert.ok(charts.every(step => !('visualizationType' in step.inputParams)));
+    assert.ok(charts.every(step => step.dependsOn.includes('step_1')));
+  });
+
+  it('overrides the tool\'s default chart type', async () => {
+    const { steps } = await plan('load sales.csv and draw a pie chart');
+
+    assert.equal(steps.find(step => step.intent === 'VISUALIZATION').inputParams.type, 'pie_chart');
+  });
+
+  it('binds the chart data to the merged files', async () => {
+    const { steps, dataFlow } = await plan('load sales.csv and q1.csv, merge them, then plot a line chart');
+    const merge = steps.find(step => step.intent === 'DATA_PROCESSING');
+    const chart = steps.find(step => step.intent === 'VISUALIZATION');
+    const connections = Object.values(dataFlow).filter(flow => flow.to === chart.stepId);
+
+    assert.equal(chart.inputParams.type, 'line_chart');
+    assert.deepEqual(connections.map(flow => flow.from), [merge.stepId]);
+    assert.deepEqual(merge.dependsOn, ['step_1', 'step_2']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { registry } from '../../src/registry/index.js';
+import { executeRequest } from '../../src/executor/index.js';
+import { startHttpMcpServer } from '../fixtures/http-mcp-server.js';
+
+const STDIO_SERVER = {
+  transport: 'stdio',
+  command: process.execPath,
+  args: [fileURLToPath(new URL('../fixtures/stdio-mcp-server.js', import.meta.url))]
+};
+
+describe('importing tools from MCP servers', () => {
+  it('registers each remote tool as serverId.toolName', async () => {
+    const changes = await registry.registerTool({
+      id: 'fixture',
+      name: 'Fixture server',
+      type: 'mcp-server',
+      importTools: true,
+      mcp: STDIO_SERVER
+    });
+
+    assert.deepEqual(changes, { added: ['fixture.echo', 'fixture.fail', 'fixture.slow'], updated: [], removed: [] });
+    assert.equal(registry.getTools().some(tool => tool.id === 'fixture'), false);
+
+    const echo = registry.getTools().find(tool => tool.id === 'fixture.echo');
+
+    assert.equal(echo.name, 'echo');
+    assert.equal(echo.description, 'Echoes its arguments');
+    assert.equal(echo.mcpToolName, 'echo');
+    assert.deepEqual(echo.mcp, STDIO_SERVER);
+    assert.deepEqual(echo.source, { type: 'mcp-import', serverId: 'fixture' });
+    assert.deepEqual(registry.getMcpServers().find(server => server.id === 'fixture').toolIds, ['fixture.echo', 'fixture.fail', 'fixture.slow']);
+  });
+
+  it('runs imported tools through the server they came from', async () => {
+    const result = await executeRequest({
+      planId: 'plan_import',
+      canExecute: true,
+      steps: [{ stepId: 'step_1', toolId: 'fixture.echo', inputParams: { value: 7 } }],
+      dataFlow: {}
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stepResults.step_1.result.result, { value: 7 });
+  });
+
+  it('requires an id and a connection', async () => {
+    await assert.rejects(
+      registry.registerTool({ name: 'No connection', type: 'mcp-server', importTools: true, id: 'nothing' }),
+      /need an id and an mcp connection/
+    );
+  });
+
+  it('skips remote tools with invalid schemas', async () => {
+    const server = await startHttpMcpServer({ tools: [{ name: 'good' }, { name: 'bad', inputSchema: { type: 'nope' } }] });
+
+    try {
+      const changes = await registry.importMcpServerTools({ id: 'mixed', mcp: { transport: 'http', url: server.url } });
+
+      assert.deepEqual(changes.added, ['mixed.good']);
+      assert.equal(registry.getTools().some(tool => tool.id === 'mixed.bad'), false);
+    } finally {
+      await server.close();
+    }
+  });
+
+  describe('re-importing', () => {
+    const tools = [{ name: 'first' }, { name: 'second', inputSchema: { type: 'object', properties: { a: {} } } }];
+    let server;
+
+    before(async () => {
+      server = await startHttpMcpServer({ tools });
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('adds, replaces and removes tools to match the server', async () => {
+      const definition = { id: 'remote', name: 'Remote', type: 'mcp-server', importTools: true, mcp: { transport: 'http', url: server.url } };
+
+      await registry.registerTool(definition);
+
+      tools.splice(0, 2, { name: 'second', inputSchema: { type: 'object' } }, { name: 'third' });
+
+      const changes = await registry.importMcpServerTools(registry.getMcpServers().find(s => s.id === 'remote'));
+
+      assert.deepEqual(changes, { added: ['remote.third'], updated: ['remote.second'], removed: ['remote.first'] });
+      assert.deepEqual(registry.getTools().find(tool => tool.id === 'remote.second').inputSchema, { type: 'object' });
+      assert.equal(registry.getTools().some(tool => tool.id === 'remote.first'), false);
+    });
+
+    it('removes tools from the registry before announcing their removal', async () => {
+      const stillListed = [];
+      const unsubscribe = registry.onChange(({ type, tool }) => {
+        if (type === 'removed') stillListed.push(registry.getTools().some(t => t.id === tool.id));
+      });
+
+      try {
+        tools.splice(0, tools.length, { name: 'third' });
+        const changes = await registry.importMcpServerTools(registry.getMcpServers().find(s => s.id === 'remote'));
+
+        assert.deepEqual(changes.removed, ['remote.second']);
+        assert.deepEqual(stillListed, [false]);
+      } finally {
+        unsubscribe();
+      }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,218 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { registry, validateToolDefinition } from '../../src/registry/index.js';
+import { ValidationError } from '../../src/utils/validation.js';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('tool registry', () => {
+  it('rejects invalid tool definitions', async () => {
+    const invalidTools = [
+      { id: 'no name' },
+      { id: 'bad id!', name: 'Bad ID' },
+      { id: 'bad-version', name: 'Bad version', version: 'latest' },
+      { id: 'bad-intent', name: 'Bad intent', capabilities: { intents: ['SUMMARIZE'] } },
+      { id: 'bad-config', name: 'Bad config', executionConfig: { type: 'http' } },
+      { id: 'bad-schema', name: 'Bad schema', inputSchema: { type: 'nope' } }
+    ];
+
+    for (const tool of invalidTools) {
+      assert.throws(() => validateToolDefinition(tool), ValidationError);
+      await assert.rejects(registry.registerTool(tool), ValidationError);
+    }
+
+    assert.equal(registry.getTools().some(tool => invalidTools.some(invalid => invalid.id === tool.id)), false);
+  });
+
+  it('names the offending fields', () => {
+    assert.throws(
+      () => validateToolDefinition({ id: 'fields', name: '', executionConfig: { type: 'command-line' } }),
+      error => error.errors.some(e => e.field === 'name') && error.errors.some(e => e.field === 'executionConfig.command')
+    );
+  });
+
+  it('registers valid tools', async () => {
+    await registry.registerTool({
+      id: 'valid',
+      name: 'Valid',
+      capabilities: { intents: ['FILE_OPERATION'] },
+      inputSchema: { type: 'object', properties: { filePath: { type: 'string' } } }
+    });
+
+    assert.ok(registry.getTools().some(tool => tool.id === 'valid'));
+  });
+
+  it('keeps versions side by side and prefers the newest that is not deprecated', async () => {
+    await registry.registerTool({ id: 'versioned', name: 'Versioned', version: '1.0.0' });
+    await registry.registerTool({ id: 'versioned', name: 'Versioned', version: '1.2.0' });
+    await registry.registerTool({ id: 'versioned', name: 'Versioned', version: '2.0.0', deprecated: 'Use 1.2' });
+
+    assert.deepEqual(registry.getToolVersions('versioned').map(tool => tool.version), ['2.0.0', '1.2.0', '1.0.0']);
+    assert.equal(registry.getTools().find(tool => tool.id === 'versioned').version, '1.2.0');
+    assert.equal(registry.resolveTool('versioned@^1.0').version, '1.2.0');
+    assert.equal(registry.resolveTool('versioned@~1.0').version, '1.0.0');
+    assert.equal(registry.resolveTool('versioned@^2').version, '2.0.0');
+    assert.equal(registry.resolveTool('versioned@^3'), undefined);
+    assert.throws(() => registry.resolveTool('versioned@not a range'), /Invalid version range/);
+  });
+
+  it('replaces a re-registered tool instead of merging the definitions', async () => {
+    await registry.registerTool({ id: 'replaced', name: 'Replaced', description: 'Old', defaultParams: { limit: 10 } });
+    const original = registry.resolveTool('replaced');
+
+    await delay(5);
+    await registry.registerTool({ id: 'replaced', name: 'Replaced' });
+    const replaced = registry.resolveTool('replaced');
+
+    assert.equal(replaced.description, undefined);
+    assert.equal(replaced.defaultParams, undefined);
+    assert.equal(replaced.registeredAt, original.registeredAt);
+    assert.deepEqual(replaced.source, { type: 'api' });
+  });
+
+  it('updates a tool, removing fields set to null', async () => {
+    await registry.registerTool({ id: 'updated', name: 'Updated', version: '1.0.0', deprecated: true });
+
+    const updated = await registry.updateTool('updated', { id: 'renamed', description: 'New', deprecated: null });
+
+    assert.equal(updated.id, 'updated');
+    assert.equal(updated.description, 'New');
+    assert.equal('deprecated' in updated, false);
+    assert.equal(registry.resolveTool('updated').description, 'New');
+    assert.equal(await registry.updateTool('missing', { description: 'New' }), undefined);
+    await assert.rejects(registry.updateTool('updated', { name: '' }), ValidationError);
+  });
+
+  it('announces added, updated and removed tools', async () => {
+    const seen = [];
+    const unsubscribe = registry.onChange(({ type, tool }) => {
+      if (tool.id === 'announced') seen.push(`${type}:${tool.version}`);
+    });
+
+    await registry.registerTool({ id: 'announced', name: 'Announced', version: '1.0.0' });
+    await registry.registerTool({ id: 'announced', name: 'Announced again', version: '1.0.0' });
+    await registry.updateTool('announced', { description: 'Changed' });
+    await registry.removeTool('announced');
+    unsubscribe();
+    await registry.registerTool({ id: 'announced', name: 'Announced', version: '2.0.0' });
+
+    assert.deepEqual(seen, ['added:1.0.0', 'updated:1.0.0', 'updated:1.0.0', 'removed:1.0.0']);
+  });
+
+  it('removes one version or every version of a tool', async () => {
+    await registry.registerTool({ id: 'removed', name: 'Removed', version: '1.0.0' });
+    await registry.registerTool({ id: 'removed', name: 'Removed', version: '2.0.0' });
+
+    const one = await registry.removeTool('removed', '2.0.0');
+    assert.deepEqual(one.map(tool => tool.version), ['2.0.0']);
+    assert.deepEqual(registry.getToolVersions('removed').map(tool => tool.version), ['1.0.0']);
+
+    const rest = await registry.removeTool('removed');
+    assert.equal(rest.length, 1);
+    assert.equal(registry.resolveTool('removed'), undefined);
+    assert.deepEqual(await registry.removeTool('removed'), []);
+
+    const state = await registry.store.load();
+    assert.equal(state.tools.some(tool => tool.id === 'removed'), false);
+  });
+
+  describe('tool files', () => {
+    let toolsDir;
+    let toolDirs;
+
+    before(async () => {
+      toolsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-test-'));
+      toolDirs = registry.toolDirs;
+      registry.toolDirs = [toolsDir];
+    });
+
+    after(async () => {
+      registry.toolDirs = toolDirs;
+      await fs.rm(toolsDir, { recursive: true, force: true });
+    });
+
+    it('reloads changed files and drops tools whose files were deleted', async () => {
+      const file = path.join(toolsDir, 'reloaded.tool.json');
+
+      await fs.writeFile(file, JSON.stringify({ id: 'reloaded', name: 'Reloaded', description: 'First revision', defaultParams: { limit: 10 } }));
+      await registry.scanForTools();
+
+      const loaded = registry.resolveTool('reloaded');
+      assert.deepEqual(loaded.source, { type: 'file', file });
+
+      await delay(5);
+      await fs.writeFile(file, JSON.stringify({ id: 'reloaded', name: 'Reloaded' }));
+      await registry.scanForTools();
+
+      const reloaded = registry.resolveTool('reloaded');
+      assert.equal(reloaded.description, undefined);
+      assert.equal(reloaded.defaultParams, undefined);
+      assert.equal(reloaded.registeredAt, loaded.registeredAt);
+
+      const state = await registry.store.load();
+      assert.equal(state.tools.some(tool => tool.id === 'reloaded'), false);
+
+      const stillListed = [];
+      const unsubscribe = registry.onChange(({ type }) => {
+        if (type === 'removed') stillListed.push(registry.resolveTool('reloaded') !== undefined);
+      });
+
+      await fs.rm(file);
+      await registry.scanForTools();
+      unsubscribe();
+
+      assert.equal(registry.resolveTool('reloaded'), undefined);
+      assert.deepEqual(stillListed, [false]);
+    });
+
+    it('loads tool modules and reloads them when they change', async () => {
+      const file = path.join(toolsDir, 'module.tool.js');
+
+      await fs.writeFile(file, "export default { id: 'module', name: 'Module', version: '1.0.0' };");
+      await registry.scanForTools();
+      assert.equal(registry.resolveTool('module').version, '1.0.0');
+
+      await delay(5);
+      await fs.writeFile(file, "export default { id: 'module', name: 'Module', version: '1.1.0' };");
+      await registry.scanForTools();
+
+      assert.deepEqual(registry.getToolVersions('module').map(tool => tool.version), ['1.1.0']);
+    });
+
+    it('keeps the loaded tool while its file is invalid', async () => {
+      const file = path.join(toolsDir, 'invalid.tool.json');
+
+      await fs.writeFile(file, JSON.stringify({ id: 'invalid', name: 'Invalid' }));
+      await registry.scanForTools();
+
+      await fs.writeFile(file, JSON.stringify({ id: 'invalid', name: 'Invalid', version: 'not semver' }));
+      await registry.scanForTools();
+
+      assert.equal(registry.resolveTool('invalid').version, undefined);
+    });
+
+    it('keeps tools registered through the API when a file defines the same version', async () => {
+      await registry.registerTool({ id: 'shadowed', name: 'From the API', version: '1.0.0' });
+
+      await fs.writeFile(path.join(toolsDir, 'shadowed.tool.json'), JSON.stringify({ id: 'shadowed', name: 'From a file', version: '1.0.0' }));
+      await fs.writeFile(path.join(toolsDir, 'shadowed-2.tool.json'), JSON.stringify({ id: 'shadowed', name: 'From a file', version: '2.0.0' }));
+      await registry.scanForTools();
+
+      const stored = registry.getToolVersions('shadowed').find(tool => tool.version === '1.0.0');
+      assert.equal(stored.name, 'From the API');
+      assert.deepEqual(stored.source, { type: 'api' });
+      assert.equal(registry.resolveTool('shadowed').name, 'From a file');
+
+      await registry.scanForTools();
+
+      const state = await registry.store.load();
+      assert.deepEqual(state.tools.filter(tool => tool.id === 'shadowed').map(tool => tool.name), ['From the API']);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { registry } from '../../src/registry/index.js';
+import { FileRegistryStore, MemoryRegistryStore, createRegistryStore } from '../../src/registry/store.js';
+
+describe('registry stores', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-store-test-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('starts empty when the file does not exist', async () => {
+    const store = new FileRegistryStore(path.join(dir, 'missing.json'));
+
+    assert.deepEqual(await store.load(), { tools: [], mcpServers: [] });
+  });
+
+  it('saves the state to a file and loads it back', async () => {
+    const filePath = path.join(dir, 'nested', 'registry.json');
+    const store = new FileRegistryStore(filePath);
+
+    await store.save({ tools: [{ id: 'first', name: 'First' }], mcpServers: [] });
+    await store.save({ tools: [{ id: 'second', name: 'Second' }], mcpServers: [{ id: 'server' }] });
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.equal(saved.formatVersion, 1);
+
+    const loaded = await new FileRegistryStore(filePath).load();
+    assert.deepEqual(loaded, { tools: [{ id: 'second', name: 'Second' }], mcpServers: [{ id: 'server' }] });
+
+    // Only the file itself is left behind
+    assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['registry.json']);
+  });
+
+  it('refuses files in an unknown format', async () => {
+    const filePath = path.join(dir, 'future.json');
+    await fs.writeFile(filePath, JSON.stringify({ formatVersion: 99, tools: [] }));
+
+    await assert.rejects(new FileRegistryStore(filePath).load(), /Unsupported registry store format 99/);
+  });
+
+  it('keeps copies in the memory store', async () => {
+    const store = new MemoryRegistryStore();
+    const state = { tools: [{ id: 'copied', name: 'Copied' }], mcpServers: [] };
+
+    await store.save(state);
+    state.tools[0].name = 'Changed';
+
+    const loaded = await store.load();
+    assert.equal(loaded.tools[0].name, 'Copied');
+
+    loaded.tools.push({ id: 'extra' });
+    assert.equal((await store.load()).tools.length, 1);
+  });
+
+  it('creates stores by name', () => {
+    assert.ok(createRegistryStore('memory') instanceof MemoryRegistryStore);
+    assert.ok(createRegistryStore('file') instanceof FileRegistryStore);
+    assert.throws(() => createRegistryStore('nope'), /Unknown registry store: nope/);
+  });
+
+  describe('registry persistence', () => {
+    it('saves tools registered through the API with their source', async () => {
+      await registry.registerTool({ id: 'stored', name: 'Stored' });
+
+      const state = await registry.store.load();
+      const stored = state.tools.find(tool => tool.id === 'stored');
+
+      assert.deepEqual(stored.source, { type: 'api' });
+      assert.ok(stored.registeredAt);
+    });
+
+    it('does not save tools read from tool files', async () => {
+      await registry.registerTool({ id: 'from-file', name: 'From file' }, { source: { type: 'file', file: 'from-file.tool.json' } });
+
+      const state = await registry.store.load();
+      assert.equal(state.tools.some(tool => tool.id === 'from-file'), false);
+    });
+
+    it('loads valid stored tools and MCP servers and skips invalid ones', async () => {
+      const store = registry.store;
+      registry.store = new MemoryRegistryStore();
+
+      try {
+        await registry.store.save({
+          tools: [{ id: 'persisted', name: 'Persisted', source: { type: 'api' } }, { id: 'invalid persisted' }],
+          mcpServers: [{ id: 'persisted-server', toolIds: [] }]
+        });
+
+        await registry.loadPersistedTools();
+
+        assert.ok(registry.getTools().some(tool => tool.id === 'persisted'));
+        assert.equal(registry.getTools().some(tool => tool.id === 'invalid persisted'), false);
+        assert.ok(registry.getMcpServers().some(server => server.id === 'persisted-server'));
+      } finally {
+        registry.store = store;
+      }
+    });
+  });
+});
\ No newline at end of file
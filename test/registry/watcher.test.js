@@ -0,0 +1,67 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { isToolFile, watchToolDirectories } from '../../src/registry/watcher.js';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('tool directory watcher', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watcher-test-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('recognizes tool files', () => {
+    assert.equal(isToolFile('chart.tool.json'), true);
+    assert.equal(isToolFile('chart.tool.js'), true);
+    assert.equal(isToolFile('chart.json'), false);
+    assert.equal(isToolFile('chart.tool.json.swp'), false);
+  });
+
+  it('coalesces a burst of tool file changes into one callback', async () => {
+    let changes = 0;
+    const watcher = watchToolDirectories([dir], () => changes++, { debounce: 50 });
+
+    try {
+      await fs.writeFile(path.join(dir, 'first.tool.json'), '{}');
+      await fs.writeFile(path.join(dir, 'second.tool.json'), '{}');
+      await fs.writeFile(path.join(dir, 'first.tool.json'), '{"id":"first"}');
+      await delay(200);
+
+      assert.equal(changes, 1);
+
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'not a tool');
+      await delay(200);
+
+      assert.equal(changes, 1);
+    } finally {
+      watcher.close();
+    }
+  });
+
+  it('stops calling back once closed', async () => {
+    let changes = 0;
+    const watcher = watchToolDirectories([dir], () => changes++, { debounce: 10 });
+
+    watcher.close();
+    await fs.writeFile(path.join(dir, 'closed.tool.json'), '{}');
+    await delay(100);
+
+    assert.equal(changes, 0);
+  });
+
+  it('skips directories that cannot be watched', () => {
+    const watcher = watchToolDirectories([path.join(dir, 'missing')], () => {});
+    watcher.close();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { jobQueue } from '../../src/jobs/index.js';
+import { apiRouter } from '../../src/routes/api.js';
+
+// Reads a whole Server-Sent Events response into { id, event, data } objects
+async function readEvents(response) {
+  const text = await response.text();
+
+  return text
+    .split('\n\n')
+    .filter(block => block.trim() && !block.startsWith(':'))
+    .map(block => {
+      const event = {};
+
+      for (const line of block.split('\n')) {
+        const [field, ...rest] = line.split(': ');
+        event[field] = field === 'data' ? JSON.parse(rest.join(': ')) : rest.join(': ');
+      }
+
+      return event;
+    });
+}
+
+describe('progress events', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', apiRouter);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('streams a request\'s progress and then its result', async () => {
+    const response = await fetch(`${baseUrl}/request`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: 'load sales.csv', stream: true })
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readEvents(response);
+
+    assert.deepEqual(events.map(event => event.event), ['analysis', 'plan', 'plan-finished', 'result']);
+    assert.deepEqual(events[0].data.analysis.entities.files, ['sales.csv']);
+    assert.equal(events[2].data.planId, events[1].data.planId);
+    assert.equal(events[3].data.query, 'load sales.csv');
+    assert.equal(events[3].data.result.success, false);
+  });
+
+  it('replays a job\'s events and follows it until it finishes', async () => {
+    let release;
+    const job = jobQueue.submit((signal, publish) => new Promise(resolve => {
+      publish('step-progress', { progress: 50 });
+      release = () => resolve('done');
+    }));
+
+    const stream = fetch(`${baseUrl}/jobs/${job.id}/events`);
+    setTimeout(() => release(), 50);
+
+    const response = await stream;
+    const events = await readEvents(response);
+
+    assert.deepEqual(events.map(event => event.event), ['job-status', 'job-status', 'step-progress', 'job-finished']);
+    assert.deepEqual(events.map(event => event.id), ['1', '2', '3', '4']);
+    assert.deepEqual(events[1].data, { id: 2, type: 'job-status', jobId: job.id, status: 'running' });
+    assert.equal(events[3].data.job.status, 'succeeded');
+    assert.equal(events[3].data.job.events, undefined);
+  });
+
+  it('only sends the events a reconnecting client missed', async () => {
+    const job = jobQueue.submit(async () => 'done');
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const response = await fetch(`${baseUrl}/jobs/${job.id}/events`, { headers: { 'Last-Event-ID': '2' } });
+    const events = await readEvents(response);
+
+    assert.deepEqual(events.map(event => event.event), ['job-finished']);
+    assert.equal((await fetch(`${baseUrl}/jobs/job_missing/events`)).status, 404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,261 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { registry } from '../../src/registry/index.js';
+import { apiRouter } from '../../src/routes/api.js';
+
+let calls = 0;
+
+const tools = [
+  {
+    id: 'plans-numbers',
+    name: 'Numbers',
+    version: '1.0.0',
+    execute: async () => {
+      calls++;
+      return { values: [1, 2, 3] };
+    }
+  },
+  {
+    id: 'plans-cached',
+    name: 'Cached',
+    version: '1.0.0',
+    cacheable: true,
+    execute: async () => ({ call: ++calls })
+  },
+  {
+    id: 'plans-sum',
+    name: 'Sum',
+    version: '1.0.0',
+    inputSchema: { type: 'object', required: ['values'], properties: { values: { type: 'array' }, label: { type: 'string' } } },
+    executionConfig: { type: 'http', url: 'http://127.0.0.1:1/sum', method: 'put' }
+  }
+];
+
+const DEFAULT_FAILURE_POLICY = { retries: 0, retryDelay: 500, fallback: false, continueOnError: false, onFailure: [] };
+
+const plan = {
+  planId: 'plan_original',
+  steps: [
+    { stepId: 'step_1', toolId: 'plans-numbers', inputParams: {} },
+    { stepId: 'step_2', toolId: 'plans-sum', inputParams: { label: 'Total' }, dependsOn: ['step_1'] }
+  ],
+  dataFlow: {
+    flow_1: { from: 'step_1', to: 'step_2', mappings: [{ fromPath: '$.values', toParam: 'values', transform: 'first' }] }
+  }
+};
+
+describe('plan and execute routes', () => {
+  let server;
+  let baseUrl;
+
+  const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    for (const tool of tools) {
+      await registry.registerTool(tool);
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', apiRouter);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('plans a request without executing it', async () => {
+    const response = await post('/plan', { query: 'load sales.csv' });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.query, 'load sales.csv');
+    assert.deepEqual(body.analysis.entities.files, ['sales.csv']);
+    assert.ok(body.executionPlan.planId);
+    assert.equal(body.result, undefined);
+
+    assert.equal((await post('/plan', {})).status, 400);
+  });
+
+  it('dry-runs a submitted plan without calling any tools', async () => {
+    const response = await post('/execute?dryRun=true', { plan });
+    const { executionPlan, result } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.notEqual(executionPlan.planId, 'plan_original');
+    assert.equal(executionPlan.basedOnPlanId, 'plan_original');
+    assert.equal(result.dryRun, true);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.calls, [
+      {
+        stepId: 'step_1',
+        stage: 1,
+        toolId: 'plans-numbers',
+        toolVersion: '1.0.0',
+        call: { type: 'javascript' },
+        arguments: {},
+        dependsOn: [],
+        failurePolicy: DEFAULT_FAILURE_POLICY
+      },
+      {
+        stepId: 'step_2',
+        stage: 2,
+        toolId: 'plans-sum',
+        toolVersion: '1.0.0',
+        call: { type: 'http', method: 'PUT', url: 'http://127.0.0.1:1/sum' },
+        arguments: { label: 'Total', values: { $from: 'step_1', path: '$.values', transform: 'first' } },
+        dependsOn: ['step_1'],
+        failurePolicy: DEFAULT_FAILURE_POLICY
+      }
+    ]);
+    assert.equal(calls, 0);
+  });
+
+  it('executes a submitted plan', async () => {
+    const response = await post('/execute', {
+      plan: { steps: [{ stepId: 'step_1', toolId: 'plans-numbers@^1.0' }] }
+    });
+    const { result } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stepResults.step_1.result, { values: [1, 2, 3] });
+    assert.equal(calls, 1);
+  });
+
+  it('rejects plans that don\'t match the registry or the tools\' schemas', async () => {
+    const response = await post('/execute', {
+      plan: {
+        steps: [
+          { stepId: 'step_1', toolId: 'plans-sum', inputParams: { label: 1 } },
+          { stepId: 'step_2', toolId: 'plans-missing' },
+          { stepId: 'step_2', toolId: 'plans-numbers', toolVersion: '^2.0' }
+        ],
+        dataFlow: {
+          flow_1: { from: 'step_3', to: 'step_1', mappings: [{ fromPath: '$.[', toParam: 'values' }] }
+        }
+      }
+    });
+    const body = await response.json();
+    const fields = body.details.map(detail => detail.field);
+
+    assert.equal(response.status, 422);
+    assert.match(body.error, /^Invalid execution plan: /);
+    assert.deepEqual(fields, [
+      'steps.2.stepId',
+      'dataFlow.flow_1.from',
+      'dataFlow.flow_1.mappings.0',
+      'steps.0.inputParams.label',
+      'steps.1.toolId',
+      'steps.2.toolId'
+    ]);
+    assert.equal(body.details[5].message, 'no registered tool matches plans-numbers@^2.0');
+  });
+
+  it('rejects plans with circular dependencies', async () => {
+    const response = await post('/execute', {
+      plan: {
+        steps: [
+          { stepId: 'step_1', toolId: 'plans-numbers', dependsOn: ['step_2'] },
+          { stepId: 'step_2', toolId: 'plans-numbers', dependsOn: ['step_1'] }
+        ]
+      }
+    });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual((await response.json()).details, [
+      { field: 'steps', message: 'circular dependency: step_1 -> step_2 -> step_1' }
+    ]);
+  });
+
+  it('rejects malformed plans', async () => {
+    const missing = await post('/execute', {});
+    assert.equal(missing.status, 400);
+
+    const malformed = await post('/execute', { plan: { steps: [] } });
+    assert.equal(malformed.status, 422);
+    assert.match((await malformed.json()).error, /Invalid execution plan/);
+  });
+
+  it('dry-runs requests', async () => {
+    const response = await post('/request', { query: 'load sales.csv', dryRun: true });
+    const { executionPlan, result } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(result.dryRun, true);
+    assert.equal(result.planId, executionPlan.planId);
+    assert.equal(calls, 1);
+  });
+
+  it('checks the tools of fallbacks and compensating calls', async () => {
+    const response = await post('/execute', {
+      plan: {
+        steps: [{
+          stepId: 'step_1',
+          toolId: 'plans-numbers',
+          fallbackTools: [{ toolId: 'plans-missing' }],
+          failurePolicy: { retries: 1, onFailure: [{ toolId: 'plans-numbers', toolVersion: '^2.0' }] }
+        }]
+      }
+    });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual((await response.json()).details.map(detail => detail.field), [
+      'steps.0.fallbackTools.0.toolId',
+      'steps.0.failurePolicy.onFailure.0.toolId'
+    ]);
+  });
+
+  it('checks the conditions, branches and loops of control-flow steps', async () => {
+    const response = await post('/execute', {
+      plan: {
+        steps: [
+          { stepId: 'step_1', toolId: 'plans-numbers' },
+          { stepId: 'step_2', kind: 'if', condition: '$.step_1.result.values >', then: ['step_9'] },
+          { stepId: 'step_3', kind: 'foreach', items: '$.step_8.result.values', toolId: 'plans-sum', itemParam: 'values', maxIterations: 1000 }
+        ]
+      }
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(body.details.map(detail => detail.field), [
+      'steps.1.condition',
+      'steps.1.then',
+      'steps.2.maxIterations',
+      'steps.2.items'
+    ]);
+
+    const incomplete = await post('/execute', {
+      plan: { steps: [{ stepId: 'step_1', kind: 'map-reduce', items: '$.step_0.result.values' }] }
+    });
+
+    assert.equal(incomplete.status, 422);
+    assert.deepEqual((await incomplete.json()).details.map(detail => detail.field), ['steps.0.map', 'steps.0.reduce']);
+  });
+
+  it('calls cacheable tools again when asked for fresh results', async () => {
+    const cachedPlan = { plan: { steps: [{ stepId: 'step_1', toolId: 'plans-cached' }] } };
+
+    const first = (await (await post('/execute', cachedPlan)).json()).result.stepResults.step_1;
+    const second = (await (await post('/execute', cachedPlan)).json()).result.stepResults.step_1;
+    const fresh = (await (await post('/execute', cachedPlan, { 'Cache-Control': 'no-cache' })).json()).result.stepResults.step_1;
+
+    assert.equal(first.cache, 'miss');
+    assert.equal(second.cache, 'hit');
+    assert.deepEqual(second.result, first.result);
+    assert.equal(fresh.cache, 'bypass');
+    assert.notDeepEqual(fresh.result, first.result);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import express from 'express';
+import { registry } from '../../src/registry/index.js';
+import { toolsRouter } from '../../src/routes/tools.js';
+
+describe('tool routes', () => {
+  let server;
+  let baseUrl;
+
+  // Who the requests come from; without a principal every role is granted
+  let auth;
+
+  const send = (method, path, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = auth;
+      next();
+    });
+    app.use('/tools', toolsRouter);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/tools`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('keeps MCP servers registered through the API in the registry store, not in tool files', async () => {
+    const registered = await send('POST', '/register', {
+      name: 'Routes MCP Server',
+      type: 'mcp-server',
+      mcp: { transport: 'http', url: 'http://127.0.0.1:1/mcp' }
+    });
+
+    assert.equal(registered.status, 200);
+    assert.equal((await registered.json()).toolId, 'routes-mcp-server');
+
+    const tool = registry.resolveTool('routes-mcp-server');
+    assert.deepEqual(tool.source, { type: 'api' });
+    await assert.rejects(fs.access(new URL('../../src/tools/routes-mcp-server.js', import.meta.url)), { code: 'ENOENT' });
+
+    const state = await registry.store.load();
+    assert.ok(state.tools.some(stored => stored.id === 'routes-mcp-server'));
+  });
+
+  it('lets the API change and remove the tools it registered', async () => {
+    const updated = await send('PATCH', '/routes-mcp-server', { description: 'Changed through the API' });
+    assert.equal(updated.status, 200);
+    assert.equal(registry.resolveTool('routes-mcp-server').description, 'Changed through the API');
+
+    const removed = await send('DELETE', '/routes-mcp-server');
+    assert.equal(removed.status, 200);
+    assert.equal(registry.resolveTool('routes-mcp-server'), undefined);
+  });
+
+  it('rejects registrations without a name', async () => {
+    assert.equal((await send('POST', '/register', {})).status, 400);
+  });
+
+  it('shows tool connections and execution config only to admins', async () => {
+    await registry.registerTool({
+      id: 'routes-http-tool',
+      name: 'HTTP tool',
+      executionConfig: { type: 'http', url: 'http://127.0.0.1:1/run', headers: { Authorization: 'Bearer secret' } }
+    });
+    await registry.registerTool({
+      id: 'routes-server',
+      name: 'Server',
+      type: 'mcp-server',
+      mcp: { transport: 'http', url: 'http://127.0.0.1:1/mcp', headers: { Authorization: 'Bearer secret' } }
+    });
+
+    try {
+      auth = { subject: 'reader', role: 'reader' };
+
+      const tool = await (await send('GET', '/routes-http-tool')).json();
+      const listed = (await (await send('GET', '/')).json()).find(t => t.id === 'routes-http-tool');
+      const mcpServer = await (await send('GET', '/routes-server')).json();
+
+      assert.equal(tool.name, 'HTTP tool');
+      assert.equal(tool.executionConfig, undefined);
+      assert.equal(listed.executionConfig, undefined);
+      assert.equal(mcpServer.mcp, undefined);
+
+      auth = { subject: 'admin', role: 'admin' };
+
+      const full = await (await send('GET', '/routes-http-tool')).json();
+      assert.equal(full.executionConfig.headers.Authorization, 'Bearer secret');
+    } finally {
+      auth = undefined;
+    }
+  });
+});
\ No newline at end of file
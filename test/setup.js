@@ -0,0 +1,7 @@
+// Test files import this before anything from src/, so the modules they load
+// keep their state in memory and don't log
+process.env.LOG_LEVEL = 'silent';
+process.env.REGISTRY_STORE = 'memory';
+process.env.EXECUTION_HISTORY_STORE = 'memory';
+process.env.TOOL_WATCH_ENABLED = 'false';
+process.env.RESULT_CACHE_STORE = 'memory';
\ No newline at end of file
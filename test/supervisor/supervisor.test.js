@@ -0,0 +1,118 @@
+import '../setup.js';
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The supervisor reads its restart settings when it's loaded
+process.env.SUPERVISOR_MAX_RESTARTS = '2';
+process.env.SUPERVISOR_RESTART_DELAY = '10';
+
+const { supervisor } = await import('../../src/supervisor/index.js');
+
+const HTTP_SERVER = "require('http').createServer((req, res) => res.end('ok')).listen(process.env.PORT)";
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(check, timeout = 5000) {
+  const start = Date.now();
+
+  while (!(await check())) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for the condition');
+    await delay(20);
+  }
+}
+
+function tool(id, source) {
+  return { id, name: id, type: 'mcp-server', process: { command: process.execPath, args: ['-e', source] } };
+}
+
+describe('process supervisor', () => {
+  after(async () => {
+    await supervisor.stopAll();
+  });
+
+  it('starts a server on a free port and reports it healthy', async () => {
+    const status = await supervisor.start(tool('supervised-http', HTTP_SERVER));
+
+    assert.equal(status.status, 'running');
+    assert.ok(status.pid);
+    assert.ok(status.port);
+
+    await waitFor(async () => (await supervisor.getHealth('supervised-http')).healthy);
+
+    const again = await supervisor.start(tool('supervised-http', HTTP_SERVER));
+    assert.equal(again.pid, status.pid);
+  });
+
+  it('restarts a server on the same port and stops it', async () => {
+    const before = supervisor.getStatus('supervised-http');
+    const restarted = await supervisor.restart(tool('supervised-http', HTTP_SERVER));
+
+    assert.equal(restarted.status, 'running');
+    assert.notEqual(restarted.pid, before.pid);
+    assert.equal(restarted.port, before.port);
+
+    const stopped = await supervisor.stop('supervised-http');
+
+    assert.equal(stopped.status, 'stopped');
+    assert.equal(stopped.pid, null);
+    assert.equal((await supervisor.getHealth('supervised-http')).healthy, false);
+  });
+
+  it('terminates servers stopped while they were starting', async () => {
+    const pidFile = path.join(os.tmpdir(), `supervised-early-${process.pid}.pid`);
+    const source = `require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(process.pid)); ${HTTP_SERVER}`;
+
+    try {
+      const starting = supervisor.start(tool('supervised-early', source)).catch(() => {});
+      const stopped = await supervisor.stop('supervised-early');
+      await starting;
+
+      assert.equal(stopped.status, 'stopped');
+      assert.equal(supervisor.getStatus('supervised-early').status, 'stopped');
+
+      // The process may have been spawned before it was stopped, but mustn't outlive the stop
+      await delay(300);
+      const pid = await fs.readFile(pidFile, 'utf8').catch(() => null);
+
+      if (pid) {
+        assert.throws(() => process.kill(Number(pid), 0), { code: 'ESRCH' });
+      }
+    } finally {
+      await fs.rm(pidFile, { force: true });
+    }
+  });
+
+  it('restarts crashed servers until the restart budget is spent', async () => {
+    await supervisor.start(tool('supervised-crash', 'setTimeout(() => process.exit(2), 20)'));
+
+    await waitFor(() => supervisor.getStatus('supervised-crash').status === 'failed');
+
+    const status = supervisor.getStatus('supervised-crash');
+
+    assert.equal(status.restarts, 2);
+    assert.equal(status.lastExitCode, 2);
+    assert.equal(status.lastError, 'Exited with code 2');
+  });
+
+  it('reports servers that cannot be started', async () => {
+    await assert.rejects(
+      supervisor.start({ id: 'supervised-missing', process: { command: 'no-such-mcp-server-for-tests' } }),
+      /Failed to start MCP server supervised-missing/
+    );
+    assert.equal(supervisor.getStatus('supervised-missing').status, 'failed');
+
+    await assert.rejects(
+      supervisor.start({ id: 'supervised-nothing' }),
+      /has no process command and no generated server/
+    );
+  });
+
+  it('reports unknown tools as stopped', () => {
+    assert.deepEqual(supervisor.getStatus('never-started'), { toolId: 'never-started', status: 'stopped' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePath, selectPath, applyTransform } from '../../src/utils/data-mapping.js';
+
+const data = {
+  result: {
+    rows: [{ name: 'a', tags: ['x'] }, { name: 'b', tags: ['y', 'z'] }],
+    'odd key': 1
+  }
+};
+
+describe('data mapping', () => {
+  it('parses path selectors', () => {
+    assert.deepEqual(parsePath('$'), []);
+    assert.deepEqual(parsePath('$.result.rows[0].name'), ['result', 'rows', 0, 'name']);
+    assert.deepEqual(parsePath('result.rows[*]'), ['result', 'rows', '*']);
+    assert.deepEqual(parsePath("$['odd key']"), ['odd key']);
+  });
+
+  it('rejects invalid selectors', () => {
+    assert.throws(() => parsePath('$.rows[x]'), /Invalid path selector: \$\.rows\[x\]/);
+    assert.throws(() => parsePath('$..rows'), /Invalid path selector/);
+    assert.throws(() => parsePath(42), /Invalid path selector/);
+  });
+
+  it('selects values, mapping wildcards over arrays', () => {
+    assert.equal(selectPath(data, '$'), data);
+    assert.equal(selectPath(data, '$.result.rows[1].name'), 'b');
+    assert.deepEqual(selectPath(data, '$.result.rows[*].name'), ['a', 'b']);
+    assert.deepEqual(selectPath(data, '$.result.rows.*.tags'), [['x'], ['y', 'z']]);
+    assert.equal(selectPath(data, "$.result['odd key']"), 1);
+    assert.equal(selectPath(data, '$.result.missing.deeper'), undefined);
+  });
+
+  it('applies transforms in order', () => {
+    assert.equal(applyTransform([1, 2], 'length'), 2);
+    assert.deepEqual(applyTransform([['x'], ['y', 'z']], ['flatten', 'last']), 'z');
+    assert.equal(applyTransform({ a: 1 }, 'toString'), '{"a":1}');
+    assert.deepEqual(applyTransform('[1]', 'parseJson'), [1]);
+    assert.equal(applyTransform('same', undefined), 'same');
+    assert.throws(() => applyTransform(1, 'nope'), /Unknown transform: nope/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression, evaluateExpression, getExpressionPaths } from '../../src/utils/expressions.js';
+
+const results = {
+  step_1: { success: true, result: { rowCount: 1500, rows: [{ name: 'a' }], status: 'ok' } }
+};
+
+describe('expressions', () => {
+  it('compares step results with literals', () => {
+    assert.equal(evaluateExpression('$.step_1.result.rowCount > 1000', results), true);
+    assert.equal(evaluateExpression('$.step_1.result.status == \'ok\'', results), true);
+    assert.equal(evaluateExpression('$.step_1.result.rows[0].name != "b"', results), true);
+    assert.equal(evaluateExpression('$.step_1.result.rows.length >= 2', results), false);
+  });
+
+  it('combines conditions with boolean operators and parentheses', () => {
+    assert.equal(evaluateExpression('$.step_1.result.rowCount > 1000 && $.step_1.success', results), true);
+    assert.equal(evaluateExpression('!($.step_1.result.rows.length >= 2)', results), true);
+    assert.equal(evaluateExpression('$.step_2.result.count > 1 || true', results), true);
+  });
+
+  it('does not order values that are missing or of different types', () => {
+    assert.equal(evaluateExpression('$.step_1.result.missing > 1', results), false);
+    assert.equal(evaluateExpression('$.step_1.result.status < 1', results), false);
+  });
+
+  it('evaluates references on their own to their value', () => {
+    assert.equal(evaluateExpression('$.step_1.result.rowCount', results), 1500);
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => parseExpression(''), /Expression must be a non-empty string/);
+    assert.throws(() => parseExpression('1 >'), /Invalid expression "1 >": expected a value \(end of expression\)/);
+    assert.throws(() => parseExpression('$.a + 1'), /unexpected character "\+" at position 4/);
+  });
+
+  it('lists the paths an expression refers to', () => {
+    assert.deepEqual(getExpressionPaths('$.step_1.result.x > 1 || $.step_2.success'), ['$.step_1.result.x', '$.step_2.success']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+import '../setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, checkSchema, assertValid, ValidationError } from '../../src/utils/validation.js';
+
+const schema = {
+  type: 'object',
+  required: ['filePath'],
+  properties: {
+    filePath: { type: 'string' },
+    options: {
+      type: 'object',
+      properties: { format: { enum: ['csv', 'json'] } },
+      additionalProperties: false
+    }
+  }
+};
+
+describe('schema validation', () => {
+  it('accepts matching data', () => {
+    assert.deepEqual(validateSchema(schema, { filePath: 'sales.csv', options: { format: 'csv' } }), []);
+  });
+
+  it('lists every offending field with a dotted path', () => {
+    const errors = validateSchema(schema, { options: { format: 'xml', extra: true } });
+
+    assert.deepEqual(errors, [
+      { field: 'filePath', message: "must have required property 'filePath'" },
+      { field: 'options.extra', message: 'must NOT have additional properties' },
+      { field: 'options.format', message: 'must be equal to one of the allowed values: csv, json' }
+    ]);
+  });
+
+  it('reports schemas that do not compile', () => {
+    assert.match(checkSchema({ type: 'nope' }), /schema is invalid/);
+    assert.equal(checkSchema(schema), null);
+    assert.equal(validateSchema({ type: 'nope' }, {})[0].field, '(schema)');
+  });
+
+  it('throws a ValidationError with the field errors', () => {
+    assert.throws(
+      () => assertValid(schema, { filePath: 1 }, 'input for tool loader'),
+      error => error instanceof ValidationError &&
+        error.status === 422 &&
+        error.message === 'Invalid input for tool loader: filePath: must be string' &&
+        error.errors.length === 1
+    );
+  });
+
+  it('validates against the draft a schema names', () => {
+    const tuple = {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'array',
+      prefixItems: [{ type: 'string' }, { type: 'number' }],
+      items: false
+    };
+
+    assert.equal(checkSchema(tuple), null);
+    assert.deepEqual(validateSchema(tuple, ['a', 1]), []);
+    assert.equal(validateSchema(tuple, ['a', 'b']).length, 1);
+    assert.equal(validateSchema(tuple, ['a', 1, 2]).length, 1);
+
+    const draft2019 = {
+      $schema: 'https://json-schema.org/draft/2019-09/schema',
+      type: 'object',
+      dependentRequired: { from: ['to'] }
+    };
+
+    assert.equal(validateSchema(draft2019, { from: 1 }).length, 1);
+  });
+
+  it('compiles schemas that share an $id', () => {
+    const first = { $id: 'https://example.com/tool-input', type: 'object', required: ['a'] };
+    const second = { $id: 'https://example.com/tool-input', type: 'object', required: ['b'] };
+
+    assert.equal(validateSchema(first, { a: 1 }).length, 0);
+    assert.equal(validateSchema(second, { a: 1 }).length, 1);
+  });
+});
\ No newline at end of file
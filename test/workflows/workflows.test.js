@@ -0,0 +1,260 @@
+import '../setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { registry } from '../../src/registry/index.js';
+import { ValidationError } from '../../src/utils/validation.js';
+
+// The library reads its directory when it's loaded
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'workflows-'));
+process.env.WORKFLOWS_DIR = directory;
+
+const { workflowLibrary, instantiateWorkflow, WorkflowExistsError } = await import('../../src/workflows/index.js');
+const { apiRouter } = await import('../../src/routes/api.js');
+
+let reads = [];
+
+const tools = [
+  {
+    id: 'wf-reader',
+    name: 'Reader',
+    version: '1.0.0',
+    inputSchema: { type: 'object', required: ['filePath'], properties: { filePath: { type: 'string' } } },
+    execute: async ({ filePath }) => {
+      reads.push(filePath);
+      return { rows: [1, 2] };
+    }
+  },
+  {
+    id: 'wf-chart',
+    name: 'Chart',
+    version: '1.0.0',
+    inputSchema: { type: 'object', properties: { data: { type: 'array' }, type: { type: 'string' }, width: { type: 'integer' } } },
+    execute: async ({ data, type, width }) => ({ chart: { points: data.length, type, width } })
+  }
+];
+
+const fileChart = {
+  name: 'file-chart',
+  version: '1.0.0',
+  description: 'Reads a file and charts it',
+  parameters: {
+    type: 'object',
+    required: ['filePath'],
+    properties: {
+      filePath: { type: 'string' },
+      chartType: { type: 'string', default: 'bar_chart' },
+      width: { type: 'integer', default: 800 }
+    }
+  },
+  plan: {
+    planId: 'plan_from_orchestrator',
+    steps: [
+      { stepId: 'read', toolId: 'wf-reader', inputParams: { filePath: '{{ filePath }}' } },
+      { stepId: 'chart', toolId: 'wf-chart', inputParams: { type: 'chart of {{ chartType }}', width: '{{ width }}' }, dependsOn: ['read'] }
+    ],
+    dataFlow: {
+      read_to_chart: { from: 'read', to: 'chart', mappings: [{ fromPath: '$.rows', toParam: 'data' }] }
+    }
+  }
+};
+
+describe('workflows', () => {
+  before(async () => {
+    for (const tool of tools) {
+      await registry.registerTool(tool);
+    }
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('library', () => {
+    it('saves workflows to files without the orchestrator\'s extras', async () => {
+      const saved = await workflowLibrary.save(fileChart);
+
+      assert.equal(saved.file, path.relative(process.cwd(), path.join(directory, 'file-chart@1.0.0.yaml')));
+      assert.equal(saved.plan.planId, undefined);
+
+      const text = await fs.readFile(path.join(directory, 'file-chart@1.0.0.yaml'), 'utf8');
+      assert.match(text, /^name: file-chart$/m);
+      assert.doesNotMatch(text, /plan_from_orchestrator/);
+    });
+
+    it('refuses to overwrite a saved version', async () => {
+      await assert.rejects(workflowLibrary.save(fileChart), WorkflowExistsError);
+    });
+
+    it('rejects invalid workflows with the field of each problem', async () => {
+      await assert.rejects(
+        workflowLibrary.save({
+          name: 'broken',
+          version: 'one',
+          parameters: { type: 'object', properties: {} },
+          plan: { steps: [{ stepId: 'read', toolId: 'wf-missing', inputParams: { filePath: '{{ path }}' } }] }
+        }),
+        error => {
+          assert.deepEqual(error.errors.map(detail => detail.field), ['version', 'plan.steps.0.inputParams.filePath', 'plan.steps.0.toolId']);
+          return true;
+        }
+      );
+    });
+
+    it('reports problems in data flows whose names aren\'t valid path selectors', async () => {
+      await assert.rejects(
+        workflowLibrary.save({
+          name: 'odd-flow',
+          plan: {
+            steps: [{ stepId: 'read', toolId: 'wf-reader', inputParams: { filePath: 'sales.csv' } }],
+            dataFlow: { 'flow]': { from: 'nowhere', to: 'read', mappings: [] } }
+          }
+        }),
+        error => {
+          assert.ok(error instanceof ValidationError);
+          assert.deepEqual(error.errors.map(detail => detail.field), ['plan.dataFlow.flow].from']);
+          return true;
+        }
+      );
+    });
+
+    it('lists the newest version of each workflow and gets versions by range', async () => {
+      await workflowLibrary.save({ ...fileChart, version: '1.1.0', description: 'Newer' });
+      await workflowLibrary.save({ ...fileChart, version: '2.0.0-beta.1' });
+
+      const [listed] = await workflowLibrary.list();
+
+      assert.equal(listed.name, 'file-chart');
+      assert.equal(listed.version, '2.0.0-beta.1');
+      assert.deepEqual(listed.versions, ['2.0.0-beta.1', '1.1.0', '1.0.0']);
+      assert.equal(listed.steps, 2);
+      assert.equal(listed.plan, undefined);
+
+      assert.equal((await workflowLibrary.get('file-chart', '^1')).version, '1.1.0');
+      assert.equal((await workflowLibrary.get('file-chart', '1.0.0')).description, 'Reads a file and charts it');
+      assert.equal(await workflowLibrary.get('file-chart', '^3'), undefined);
+      await assert.rejects(workflowLibrary.get('file-chart', 'not a range'), /Invalid version range not a range/);
+    });
+
+    it('lists files that aren\'t valid workflows with their errors', async () => {
+      await fs.writeFile(path.join(directory, 'unreadable.yaml'), 'name: [unclosed');
+      await fs.writeFile(path.join(directory, 'stale.json'), JSON.stringify({
+        name: 'stale',
+        plan: { steps: [{ stepId: 'read', toolId: 'wf-gone' }] }
+      }));
+
+      const workflows = await workflowLibrary.list();
+      const stale = workflows.find(workflow => workflow.name === 'stale');
+      const unreadable = workflows.find(workflow => workflow.name === 'unreadable');
+
+      assert.equal(stale.version, '1.0.0');
+      assert.deepEqual(stale.errors, [{ field: 'plan.steps.0.toolId', message: 'no registered tool matches wf-gone' }]);
+      assert.equal(unreadable.errors[0].field, '(file)');
+
+      await fs.rm(path.join(directory, 'unreadable.yaml'));
+      await fs.rm(path.join(directory, 'stale.json'));
+    });
+  });
+
+  describe('instantiation', () => {
+    it('fills in parameters, defaults and placeholders inside strings', async () => {
+      const workflow = await workflowLibrary.get('file-chart', '1.0.0');
+      const plan = instantiateWorkflow(workflow, { filePath: 'sales.csv' });
+
+      assert.deepEqual(plan.steps[0].inputParams, { filePath: 'sales.csv' });
+      assert.deepEqual(plan.steps[1].inputParams, { type: 'chart of bar_chart', width: 800 });
+      assert.deepEqual(plan.workflow, {
+        name: 'file-chart',
+        version: '1.0.0',
+        parameters: { filePath: 'sales.csv', chartType: 'bar_chart', width: 800 }
+      });
+      assert.equal(plan.canExecute, true);
+    });
+
+    it('checks the parameters against the workflow\'s schema', async () => {
+      const workflow = await workflowLibrary.get('file-chart', '1.0.0');
+
+      assert.throws(
+        () => instantiateWorkflow(workflow, { width: 'wide' }),
+        error => {
+          assert.deepEqual(error.errors.map(detail => detail.field), ['parameters.filePath', 'parameters.width']);
+          return true;
+        }
+      );
+    });
+  });
+
+  describe('routes', () => {
+    let server;
+    let baseUrl;
+
+    const post = (path, body) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    before(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api', apiRouter);
+
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('saves, lists and gets workflows', async () => {
+      const saved = await post('/workflows', { ...fileChart, name: 'route-chart' });
+
+      assert.equal(saved.status, 201);
+      assert.equal(saved.headers.get('location'), '/api/workflows/route-chart?version=1.0.0');
+      assert.equal((await post('/workflows', { ...fileChart, name: 'route-chart' })).status, 409);
+      assert.equal((await post('/workflows', { ...fileChart, name: 'route-chart', version: '2.0.0', plan: {} })).status, 422);
+      assert.equal((await post('/workflows', {})).status, 400);
+
+      const listed = await (await fetch(`${baseUrl}/workflows`)).json();
+      assert.ok(listed.some(workflow => workflow.name === 'route-chart'));
+
+      const workflow = await (await fetch(`${baseUrl}/workflows/route-chart?version=^1`)).json();
+      assert.equal(workflow.plan.steps.length, 2);
+
+      assert.equal((await fetch(`${baseUrl}/workflows/route-chart?version=^5`)).status, 404);
+    });
+
+    it('runs workflows by name', async () => {
+      reads = [];
+      const response = await post('/workflows/file-chart/run', { version: '^1', parameters: { filePath: 'sales.csv', chartType: 'line' } });
+      const { executionPlan, result } = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(executionPlan.workflow.parameters, { filePath: 'sales.csv', chartType: 'line', width: 800 });
+      assert.equal(executionPlan.workflow.version, '1.1.0');
+      assert.equal(result.success, true);
+      assert.deepEqual(result.stepResults.chart.result, { chart: { points: 2, type: 'chart of line', width: 800 } });
+      assert.deepEqual(reads, ['sales.csv']);
+    });
+
+    it('dry-runs workflows and rejects invalid parameters', async () => {
+      reads = [];
+      const dryRun = await post('/workflows/file-chart/run?dryRun=true', { version: '1.0.0', parameters: { filePath: 'q1.csv' } });
+      const { result } = await dryRun.json();
+
+      assert.equal(result.dryRun, true);
+      assert.deepEqual(result.calls[0].arguments, { filePath: 'q1.csv' });
+      assert.deepEqual(reads, []);
+
+      assert.equal((await post('/workflows/file-chart/run', { version: '1.0.0', parameters: {} })).status, 422);
+      assert.equal((await post('/workflows/file-chart/run', { parameters: [] })).status, 400);
+      assert.equal((await post('/workflows/nope/run', {})).status, 404);
+    });
+  });
+});
\ No newline at end of file